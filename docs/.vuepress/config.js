@@ -76,6 +76,9 @@ module.exports = {
                 'adapters/cubemap',
                 'adapters/cubemap-tiles',
                 'adapters/cubemap-video',
+                'adapters/cylindrical',
+                'adapters/dual-fisheye',
+                'adapters/dual-fisheye-video',
                 'adapters/little-planet',
               ],
             },
@@ -0,0 +1,13 @@
+/**
+ * Node.js environment of the unit tests, the files are transpiled by @babel/register
+ */
+
+// the icons and the styles are processed by rollup
+require.extensions['.svg'] = (module) => {
+  module.exports = '';
+};
+require.extensions['.scss'] = () => null;
+
+// the transpiled classes cannot extend the native classes of uevent, the ES5 build is used instead
+require('uevent/browser');
+require.cache[require.resolve('uevent')] = require.cache[require.resolve('uevent/browser')];
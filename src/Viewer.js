@@ -6,8 +6,9 @@ import { Notification } from './components/Notification';
 import { Overlay } from './components/Overlay';
 import { Panel } from './components/Panel';
 import { CONFIG_PARSERS, DEFAULTS, DEPRECATED_OPTIONS, getConfig, READONLY_OPTIONS } from './data/config';
-import { CHANGE_EVENTS, DEFAULT_TRANSITION, EVENTS, IDS, SPHERE_RADIUS, VIEWER_DATA } from './data/constants';
-import { SYSTEM } from './data/system';
+import { AbstractAdapter } from './adapters/AbstractAdapter';
+import { CHANGE_EVENTS, DEFAULT_OVERLAY_ID, DEFAULT_TRANSITION, EVENTS, IDS, SPHERE_RADIUS, VIEWER_DATA } from './data/constants';
+import { getHeadlessSystem, getWebGLCtx, SYSTEM } from './data/system';
 import errorIcon from './icons/error.svg';
 import { AbstractPlugin } from './plugins/AbstractPlugin';
 import { PSVError } from './PSVError';
@@ -21,6 +22,7 @@ import {
   Dynamic,
   each,
   exitFullscreen,
+  firstNonNull,
   getAbortError,
   getAngle,
   getShortestArc,
@@ -35,6 +37,7 @@ import {
   throttle,
   toggleClass
 } from './utils';
+import { createSplinePath, getSplinePathValue } from './utils/spline';
 
 Cache.enabled = true;
 
@@ -53,14 +56,35 @@ export class Viewer extends EventEmitter {
   constructor(options) {
     super();
 
-    SYSTEM.load();
+    /**
+     * @summary Configuration holder
+     * @type {PSV.Options}
+     * @readonly
+     */
+    this.config = getConfig(options);
+
+    /**
+     * @summary Capabilities of the rendering target
+     * @description Same as {@link PSV.SYSTEM} except in headless mode, where they are read from the context of the viewer
+     * @type {PSV.SYSTEM}
+     * @readonly
+     */
+    this.system = SYSTEM;
+
+    if (this.config.headless) {
+      this.config.headless.context = this.config.headless.context || getWebGLCtx(this.config.headless.canvas);
+      this.system = getHeadlessSystem(this.config.headless.context);
+    }
+    else {
+      SYSTEM.load();
+    }
 
     // must support WebGL
-    if (!SYSTEM.isWebGLSupported) {
+    if (!this.system.isWebGLSupported) {
       throw new PSVError('WebGL is not supported.');
     }
 
-    if (SYSTEM.maxTextureWidth === 0) {
+    if (this.system.maxTextureWidth === 0) {
       throw new PSVError('Unable to detect system capabilities');
     }
 
@@ -118,28 +142,27 @@ export class Viewer extends EventEmitter {
     };
 
     /**
-     * @summary Configuration holder
-     * @type {PSV.Options}
-     * @readonly
-     */
-    this.config = getConfig(options);
-
-    /**
-     * @summary Top most parent
+     * @summary Top most parent, `null` in headless mode
      * @member {HTMLElement}
      * @readonly
      */
-    this.parent = (typeof options.container === 'string') ? document.getElementById(options.container) : options.container;
-    this.parent[VIEWER_DATA] = this;
+    this.parent = null;
 
     /**
-     * @summary Main container
+     * @summary Main container, `null` in headless mode
      * @member {HTMLElement}
      * @readonly
      */
-    this.container = document.createElement('div');
-    this.container.classList.add('psv-container');
-    this.parent.appendChild(this.container);
+    this.container = null;
+
+    if (!this.config.headless) {
+      this.parent = (typeof options.container === 'string') ? document.getElementById(options.container) : options.container;
+      this.parent[VIEWER_DATA] = this;
+
+      this.container = document.createElement('div');
+      this.container.classList.add('psv-container');
+      this.parent.appendChild(this.container);
+    }
 
     /**
      * @summary Render adapter
@@ -177,53 +200,56 @@ export class Viewer extends EventEmitter {
      */
     this.textureLoader = new TextureLoader(this);
 
-    /**
-     * @type {PSV.services.EventsHandler}
-     * @readonly
-     */
-    this.eventsHandler = new EventsHandler(this);
-
     /**
      * @type {PSV.services.DataHelper}
      * @readonly
      */
     this.dataHelper = new DataHelper(this);
 
-    /**
-     * @member {PSV.components.Loader}
-     * @readonly
-     */
-    this.loader = new Loader(this);
-
-    /**
-     * @member {PSV.components.Navbar}
-     * @readonly
-     */
-    this.navbar = new Navbar(this);
-
-    /**
-     * @member {PSV.components.Panel}
-     * @readonly
-     */
-    this.panel = new Panel(this);
-
-    /**
-     * @member {PSV.services.TooltipRenderer}
-     * @readonly
-     */
-    this.tooltip = new TooltipRenderer(this);
-
-    /**
-     * @member {PSV.components.Notification}
-     * @readonly
-     */
-    this.notification = new Notification(this);
-
-    /**
-     * @member {PSV.components.Overlay}
-     * @readonly
-     */
-    this.overlay = new Overlay(this);
+    // the user interface is not created in headless mode
+    if (!this.config.headless) {
+      /**
+       * @type {PSV.services.EventsHandler}
+       * @readonly
+       */
+      this.eventsHandler = new EventsHandler(this);
+
+      /**
+       * @member {PSV.components.Loader}
+       * @readonly
+       */
+      this.loader = new Loader(this);
+
+      /**
+       * @member {PSV.components.Navbar}
+       * @readonly
+       */
+      this.navbar = new Navbar(this);
+
+      /**
+       * @member {PSV.components.Panel}
+       * @readonly
+       */
+      this.panel = new Panel(this);
+
+      /**
+       * @member {PSV.services.TooltipRenderer}
+       * @readonly
+       */
+      this.tooltip = new TooltipRenderer(this);
+
+      /**
+       * @member {PSV.components.Notification}
+       * @readonly
+       */
+      this.notification = new Notification(this);
+
+      /**
+       * @member {PSV.components.Overlay}
+       * @readonly
+       */
+      this.overlay = new Overlay(this);
+    }
 
     /**
      * @member {Record<string, PSV.utils.Dynamic>}
@@ -249,7 +275,7 @@ export class Viewer extends EventEmitter {
 
     this.__updateSpeeds();
 
-    this.eventsHandler.init();
+    this.eventsHandler?.init();
 
     this.__resizeRefresh = throttle(() => this.refreshUi('resize'), 500);
 
@@ -263,19 +289,21 @@ export class Viewer extends EventEmitter {
     each(this.plugins, plugin => plugin.init?.());
 
     // init buttons
-    this.navbar.setButtons(this.config.navbar);
+    this.navbar?.setButtons(this.config.navbar);
 
     // load panorama
     if (this.config.panorama) {
       this.setPanorama(this.config.panorama);
     }
 
-    toggleClass(this.container, 'psv--is-touch', SYSTEM.isTouchEnabled.initial);
-    SYSTEM.isTouchEnabled.promise.then(enabled => toggleClass(this.container, 'psv--is-touch', enabled));
+    if (!this.config.headless) {
+      toggleClass(this.container, 'psv--is-touch', SYSTEM.isTouchEnabled.initial);
+      SYSTEM.isTouchEnabled.promise.then(enabled => toggleClass(this.container, 'psv--is-touch', enabled));
+    }
 
     // enable GUI after first render
     this.once(EVENTS.RENDER, () => {
-      if (this.config.navbar) {
+      if (this.config.navbar && !this.config.headless) {
         this.container.classList.add('psv--has-navbar');
         this.navbar.show();
       }
@@ -310,14 +338,16 @@ export class Viewer extends EventEmitter {
     this.children.slice().forEach(child => child.destroy());
     this.children.length = 0;
 
-    this.eventsHandler.destroy();
+    this.eventsHandler?.destroy();
     this.renderer.destroy();
     this.textureLoader.destroy();
     this.dataHelper.destroy();
     this.adapter.destroy();
 
-    this.parent.removeChild(this.container);
-    delete this.parent[VIEWER_DATA];
+    if (this.parent) {
+      this.parent.removeChild(this.container);
+      delete this.parent[VIEWER_DATA];
+    }
 
     delete this.parent;
     delete this.container;
@@ -427,9 +457,14 @@ export class Viewer extends EventEmitter {
 
   /**
    * @summary Flags the view has changed for the next render
+   * @description In headless mode, where there is no animation loop, a render is scheduled instead
    */
   needsUpdate() {
     this.prop.needsUpdate = true;
+
+    if (this.config.headless) {
+      this.renderer?.requestRender();
+    }
   }
 
   /**
@@ -437,9 +472,22 @@ export class Viewer extends EventEmitter {
    * @fires PSV.size-updated
    */
   autoSize() {
-    if (this.container.clientWidth !== this.prop.size.width || this.container.clientHeight !== this.prop.size.height) {
-      this.prop.size.width = Math.round(this.container.clientWidth);
-      this.prop.size.height = Math.round(this.container.clientHeight);
+    if (!this.config.headless) {
+      this.__setSize(this.container.clientWidth, this.container.clientHeight);
+    }
+  }
+
+  /**
+   * @summary Applies a new size in pixels
+   * @param {number} width
+   * @param {number} height
+   * @fires PSV.size-updated
+   * @private
+   */
+  __setSize(width, height) {
+    if (width !== this.prop.size.width || height !== this.prop.size.height) {
+      this.prop.size.width = Math.round(width);
+      this.prop.size.height = Math.round(height);
       this.prop.aspect = this.prop.size.width / this.prop.size.height;
       this.prop.hFov = this.dataHelper.vFovToHFov(this.prop.vFov);
 
@@ -473,6 +521,10 @@ export class Viewer extends EventEmitter {
     if (options.transition === undefined || options.transition === true) {
       options.transition = DEFAULT_TRANSITION;
     }
+    // the transitions are not rendered in headless mode
+    if (this.config.headless) {
+      options.transition = false;
+    }
     if (options.showLoader === undefined) {
       options.showLoader = true;
     }
@@ -500,7 +552,7 @@ export class Viewer extends EventEmitter {
     this.config.description = options.description;
 
     const done = (err) => {
-      this.loader.hide();
+      this.loader?.hide();
 
       this.prop.loadingPromise = null;
 
@@ -508,22 +560,27 @@ export class Viewer extends EventEmitter {
         return false;
       }
       else if (err) {
-        this.navbar.setCaption('');
+        this.navbar?.setCaption('');
         this.showError(this.config.lang.loadError);
         console.error(err);
         throw err;
       }
       else {
         this.resetIdleTimer();
-        this.setOverlay(options.overlay, options.overlayOpacity);
-        this.navbar.setCaption(this.config.caption);
+        if (!options.keepOverlays) {
+          this.clearOverlays();
+        }
+        if ('overlay' in options) {
+          this.setOverlay(options.overlay, options.overlayOpacity);
+        }
+        this.navbar?.setCaption(this.config.caption);
         return true;
       }
     };
 
-    this.navbar.setCaption(`<em>${this.config.loadingTxt || ''}</em>`);
+    this.navbar?.setCaption(`<em>${this.config.loadingTxt || ''}</em>`);
     if (options.showLoader || !this.prop.ready) {
-      this.loader.show();
+      this.loader?.show();
     }
 
     const loadingPromise = this.adapter.loadTexture(this.config.panorama, options.panoData)
@@ -556,7 +613,7 @@ export class Viewer extends EventEmitter {
     else {
       this.prop.loadingPromise = loadingPromise
         .then((textureData) => {
-          this.loader.hide();
+          this.loader?.hide();
 
           this.prop.transitionAnimation = this.renderer.transition(textureData, options);
           return this.prop.transitionAnimation;
@@ -575,41 +632,162 @@ export class Viewer extends EventEmitter {
 
   /**
    * @summary Loads a new overlay
+   * @description Replaces the overlay identified by {@link PSV.constants.DEFAULT_OVERLAY_ID}, other overlays are kept.
    * @param {*} path - URL of the new overlay file
    * @param {number} [opacity=1]
    * @returns {Promise}
    */
   setOverlay(path, opacity = 1) {
     if (!path) {
-      if (this.adapter.constructor.supportsOverlay) {
-        this.renderer.setOverlay(null, 0);
-      }
-
+      this.removeOverlay(DEFAULT_OVERLAY_ID);
       return Promise.resolve();
     }
     else {
-      if (!this.adapter.constructor.supportsOverlay) {
-        return Promise.reject(new PSVError(`${this.adapter.constructor.id} adapter does not supports overlay`));
-      }
+      return this.addOverlay({ id: DEFAULT_OVERLAY_ID, path: path, opacity: opacity });
+    }
+  }
 
-      return this.adapter.loadTexture(path, (image) => {
-        const p = this.prop.panoData;
-        const r = image.width / p.croppedWidth;
-        return {
-          fullWidth    : r * p.fullWidth,
-          fullHeight   : r * p.fullHeight,
-          croppedWidth : r * p.croppedWidth,
-          croppedHeight: r * p.croppedHeight,
-          croppedX     : r * p.croppedX,
-          croppedY     : r * p.croppedY,
-        };
-      }, false)
-        .then((textureData) => {
-          this.renderer.setOverlay(textureData, opacity);
+  /**
+   * @summary Adds a new overlay above the others, or replaces an existing overlay with the same id
+   * @param {PSV.OverlayConfig} config
+   * @returns {Promise}
+   * @fires PSV.overlays-updated
+   */
+  addOverlay(config) {
+    if (!this.adapter.constructor.supportsOverlay) {
+      return Promise.reject(new PSVError(`${this.adapter.constructor.id} adapter does not supports overlay`));
+    }
+    if (!config.id || !config.path) {
+      return Promise.reject(new PSVError('Missing overlay id or path'));
+    }
+
+    const blendMode = config.blendMode || 'normal';
+    if (!Object.prototype.hasOwnProperty.call(AbstractAdapter.OVERLAY_BLEND_MODES, blendMode)) {
+      return Promise.reject(new PSVError(`Unknown overlay blend mode "${blendMode}"`));
+    }
+
+    return this.adapter.loadTexture(config.path, (image) => {
+      const p = this.prop.panoData;
+      const r = image.width / p.croppedWidth;
+      return {
+        fullWidth    : r * p.fullWidth,
+        fullHeight   : r * p.fullHeight,
+        croppedWidth : r * p.croppedWidth,
+        croppedHeight: r * p.croppedHeight,
+        croppedX     : r * p.croppedX,
+        croppedY     : r * p.croppedY,
+      };
+    }, false)
+      .then((textureData) => {
+        const overlays = this.renderer.overlays;
+        if (overlays.length >= AbstractAdapter.MAX_OVERLAYS && !overlays.some(o => o.id === config.id)) {
+          this.adapter.disposeTexture(textureData);
+          throw new PSVError(`Cannot display more than ${AbstractAdapter.MAX_OVERLAYS} overlays`);
+        }
+
+        this.renderer.setOverlay({
+          id         : config.id,
+          path       : config.path,
+          opacity    : MathUtils.clamp(isNil(config.opacity) ? 1 : config.opacity, 0, 1),
+          blendMode  : blendMode,
+          clip       : config.clip || null,
+          textureData: textureData,
         });
+
+        this.trigger(EVENTS.OVERLAYS_UPDATED, this.getOverlays());
+      });
+  }
+
+  /**
+   * @summary Removes an overlay
+   * @param {string} id
+   * @fires PSV.overlays-updated
+   */
+  removeOverlay(id) {
+    if (this.renderer.overlays.some(o => o.id === id)) {
+      this.renderer.removeOverlay(id);
+      this.trigger(EVENTS.OVERLAYS_UPDATED, this.getOverlays());
     }
   }
 
+  /**
+   * @summary Removes all overlays
+   * @fires PSV.overlays-updated
+   */
+  clearOverlays() {
+    if (this.renderer.overlays.length) {
+      this.renderer.overlays
+        .map(overlay => overlay.id)
+        .forEach(id => this.renderer.removeOverlay(id));
+      this.trigger(EVENTS.OVERLAYS_UPDATED, this.getOverlays());
+    }
+  }
+
+  /**
+   * @summary Returns the overlays, from bottom to top
+   * @returns {PSV.OverlayConfig[]}
+   */
+  getOverlays() {
+    return this.renderer.overlays.map(({ id, path, opacity, blendMode, clip }) => ({ id, path, opacity, blendMode, clip }));
+  }
+
+  /**
+   * @summary Changes the opacity of an overlay
+   * @param {string} id
+   * @param {number} opacity
+   * @throws {PSV.PSVError} when the overlay does not exist
+   * @fires PSV.overlays-updated
+   */
+  setOverlayOpacity(id, opacity) {
+    this.__getOverlay(id).opacity = MathUtils.clamp(opacity, 0, 1);
+    this.renderer.updateOverlays();
+    this.trigger(EVENTS.OVERLAYS_UPDATED, this.getOverlays());
+  }
+
+  /**
+   * @summary Changes the blend mode of an overlay
+   * @param {string} id
+   * @param {'normal'|'multiply'|'screen'} blendMode
+   * @throws {PSV.PSVError} when the overlay does not exist or the blend mode is unknown
+   * @fires PSV.overlays-updated
+   */
+  setOverlayBlendMode(id, blendMode) {
+    if (!Object.prototype.hasOwnProperty.call(AbstractAdapter.OVERLAY_BLEND_MODES, blendMode)) {
+      throw new PSVError(`Unknown overlay blend mode "${blendMode}"`);
+    }
+
+    this.__getOverlay(id).blendMode = blendMode;
+    this.renderer.updateOverlays();
+    this.trigger(EVENTS.OVERLAYS_UPDATED, this.getOverlays());
+  }
+
+  /**
+   * @summary Changes the part of the viewer where an overlay is visible
+   * @param {string} id
+   * @param {PSV.OverlayClip} [clip] - the whole viewer if not defined
+   * @throws {PSV.PSVError} when the overlay does not exist
+   * @fires PSV.overlays-updated
+   */
+  setOverlayClip(id, clip) {
+    this.__getOverlay(id).clip = clip || null;
+    this.renderer.updateOverlays();
+    this.trigger(EVENTS.OVERLAYS_UPDATED, this.getOverlays());
+  }
+
+  /**
+   * @summary Changes the order of the overlays
+   * @param {string[]} ids - from bottom to top, the overlays not listed are moved below the others
+   * @throws {PSV.PSVError} when an overlay does not exist
+   * @fires PSV.overlays-updated
+   */
+  setOverlaysOrder(ids) {
+    ids.forEach(id => this.__getOverlay(id));
+
+    this.renderer.overlays.sort((a, b) => ids.indexOf(a.id) - ids.indexOf(b.id));
+    this.renderer.updateOverlays();
+    this.trigger(EVENTS.OVERLAYS_UPDATED, this.getOverlays());
+  }
+
   /**
    * @summary Update options
    * @param {PSV.Options} options
@@ -651,7 +829,7 @@ export class Viewer extends EventEmitter {
 
         case 'caption':
         case 'description':
-          this.navbar.setCaption(this.config.caption);
+          this.navbar?.setCaption(this.config.caption);
           break;
 
         case 'size':
@@ -664,7 +842,7 @@ export class Viewer extends EventEmitter {
 
         case 'navbar':
         case 'lang':
-          this.navbar.setButtons(this.config.navbar);
+          this.navbar?.setButtons(this.config.navbar);
           break;
 
         case 'moveSpeed':
@@ -679,7 +857,9 @@ export class Viewer extends EventEmitter {
           break;
 
         case 'canvasBackground':
-          this.renderer.canvasContainer.style.background = this.config.canvasBackground;
+          if (this.renderer.canvasContainer) {
+            this.renderer.canvasContainer.style.background = this.config.canvasBackground;
+          }
           break;
 
         case 'autorotateIdle':
@@ -792,7 +972,7 @@ export class Viewer extends EventEmitter {
    * @param {string} message
    */
   showError(message) {
-    this.overlay.show({
+    this.overlay?.show({
       id         : IDS.ERROR,
       image      : errorIcon,
       text       : message,
@@ -804,7 +984,7 @@ export class Viewer extends EventEmitter {
    * @summary Hides the error message
    */
   hideError() {
-    this.overlay.hide(IDS.ERROR);
+    this.overlay?.hide(IDS.ERROR);
   }
 
   /**
@@ -863,8 +1043,8 @@ export class Viewer extends EventEmitter {
       }
     }
 
-    // if no animation needed
-    if (!duration) {
+    // if no animation needed, the animations are applied immediately in headless mode
+    if (!duration || this.config.headless) {
       if (positionProvided) {
         this.rotate(options);
       }
@@ -897,6 +1077,65 @@ export class Viewer extends EventEmitter {
     return this.prop.animationPromise;
   }
 
+  /**
+   * @summary Moves the view along a smooth path through several waypoints
+   * @description The path starts at the current position and goes through all the waypoints with a Catmull-Rom spline.
+   * The returned animation can be paused, resumed and seeked.
+   * @param {PSV.PathWaypoint[]} waypoints
+   * @returns {PSV.utils.Animation}
+   * @fires PSV.path-progress
+   * @throws {PSV.PSVError} when no waypoint is provided or in headless mode
+   */
+  animatePath(waypoints) {
+    // the animations require requestAnimationFrame
+    if (this.config.headless) {
+      throw new PSVError('animatePath is not supported in headless mode.');
+    }
+    if (!waypoints?.length) {
+      throw new PSVError('animatePath requires at least one waypoint.');
+    }
+
+    this.__stopAll();
+
+    const path = createSplinePath(
+      {
+        ...this.getPosition(),
+        zoom: this.getZoomLevel(),
+      },
+      waypoints.map(waypoint => ({
+        ...waypoint,
+        ...(isExtendedPosition(waypoint)
+          ? this.change(CHANGE_EVENTS.GET_ANIMATE_POSITION, this.dataHelper.cleanPosition(waypoint))
+          : null),
+        duration: firstNonNull(waypoint.duration, 2000),
+      }))
+    );
+
+    const animation = new Animation({
+      properties: {
+        time: { start: 0, end: path.duration },
+      },
+      duration  : path.duration,
+      onTick    : ({ time }, progress) => {
+        const value = getSplinePathValue(path, time);
+        this.rotate({ longitude: value.longitude, latitude: value.latitude });
+        this.zoom(value.zoom);
+        this.trigger(EVENTS.PATH_PROGRESS, progress, value.waypoint);
+      },
+    });
+
+    this.prop.animationPromise = animation;
+
+    animation.then(() => {
+      if (this.prop.animationPromise === animation) {
+        this.prop.animationPromise = null;
+        this.resetIdleTimer();
+      }
+    });
+
+    return animation;
+  }
+
   /**
    * @summary Stops the ongoing animation
    * @description The return value is a Promise because the is no guaranty the animation can be stopped synchronously.
@@ -942,6 +1181,15 @@ export class Viewer extends EventEmitter {
    * @param {PSV.CssSize} size
    */
   resize(size) {
+    // there is no container in headless mode, only sizes in pixels are supported
+    if (this.config.headless) {
+      this.__setSize(
+        parseFloat(size?.width) || this.prop.size.width,
+        parseFloat(size?.height) || this.prop.size.height
+      );
+      return;
+    }
+
     ['width', 'height'].forEach((dim) => {
       if (size && size[dim]) {
         if (/^[0-9.]+$/.test(size[dim])) {
@@ -954,6 +1202,71 @@ export class Viewer extends EventEmitter {
     this.autoSize();
   }
 
+  /**
+   * @summary Renders the current view or the whole panorama to an image
+   * @description The rendering uses the current zoom level, projection and overlays. A custom resolution
+   * keeps the vertical field of view of the viewer.
+   * @param {PSV.SnapshotOptions} [options]
+   * @returns {Promise<Blob|string|PSV.SnapshotPixels>}
+   * @throws {PSV.PSVError} when the panorama is not loaded or the size is invalid
+   */
+  snapshot(options = {}) {
+    if (!this.prop.ready) {
+      return Promise.reject(new PSVError('The panorama is not loaded.'));
+    }
+
+    const format = options.format || 'image/jpeg';
+    const quality = firstNonNull(options.quality, 0.92);
+
+    let pixels;
+    try {
+      if (options.equirectangular) {
+        const width = options.width || Math.min(this.prop.panoData?.fullWidth || 4096, this.system.maxTextureWidth);
+        pixels = this.renderer.renderEquirectangular(width);
+      }
+      else {
+        const viewWidth = Math.round(this.prop.size.width * this.system.pixelRatio);
+        const viewHeight = Math.round(this.prop.size.height * this.system.pixelRatio);
+        const width = options.width || (options.height ? Math.round(options.height * viewWidth / viewHeight) : viewWidth);
+        const height = options.height || Math.round(width * viewHeight / viewWidth);
+        pixels = this.renderer.renderView(width, height);
+      }
+    }
+    catch (e) {
+      return Promise.reject(e);
+    }
+
+    // no canvas needed, for environments without DOM
+    if (options.output === 'pixels') {
+      return Promise.resolve(pixels);
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = pixels.width;
+    canvas.height = pixels.height;
+    canvas.getContext('2d').putImageData(new ImageData(pixels.data, pixels.width, pixels.height), 0, 0);
+
+    const markers = options.includeMarkers && !options.equirectangular ? this.getPlugin('markers') : null;
+
+    return (markers ? markers.drawSnapshot(canvas) : Promise.resolve())
+      .then(() => {
+        if (options.output === 'dataUrl') {
+          return canvas.toDataURL(format, quality);
+        }
+
+        return new Promise((resolve, reject) => {
+          canvas.toBlob((blob) => {
+            if (blob) {
+              resolve(blob);
+            }
+            else {
+              reject(new PSVError(`Unable to export the snapshot as ${format}.`));
+            }
+          }, format, quality);
+        });
+      });
+  }
+
   /**
    * @summary Enters the fullscreen mode
    * @fires PSV.fullscreen-updated
@@ -962,7 +1275,8 @@ export class Viewer extends EventEmitter {
     if (SYSTEM.fullscreenEvent) {
       requestFullscreen(this.container);
     }
-    else {
+    // there is no container in headless mode
+    else if (!this.config.headless) {
       this.container.classList.add('psv-container--fullscreen');
       this.autoSize();
       this.eventsHandler.__fullscreenToggled(true);
@@ -1003,18 +1317,19 @@ export class Viewer extends EventEmitter {
    * @summary Enables the keyboard controls (done automatically when entering fullscreen)
    */
   startKeyboardControl() {
-    this.eventsHandler.enableKeyboard();
+    this.eventsHandler?.enableKeyboard();
   }
 
   /**
    * @summary Disables the keyboard controls (done automatically when exiting fullscreen)
    */
   stopKeyboardControl() {
-    this.eventsHandler.disableKeyboard();
+    this.eventsHandler?.disableKeyboard();
   }
 
   /**
    * @summary Subscribes to events on objects in the scene
+   * @description The instances of an `InstancedMesh` are considered as different objects, the `instanceId` is provided in the event detail.
    * @param {string} userDataKey - only objects with the following `userData` will be emitted
    * @param {EventListener} listener - must implement `handleEvent`
    * @return {function} call to stop the subscription
@@ -1028,6 +1343,21 @@ export class Viewer extends EventEmitter {
     };
   }
 
+  /**
+   * @summary Returns an overlay
+   * @param {string} id
+   * @returns {PSV.OverlayLayer}
+   * @throws {PSV.PSVError} when the overlay does not exist
+   * @private
+   */
+  __getOverlay(id) {
+    const overlay = this.renderer.overlays.find(o => o.id === id);
+    if (!overlay) {
+      throw new PSVError(`Unknown overlay "${id}"`);
+    }
+    return overlay;
+  }
+
   /**
    * @summary Stops all current animations
    * @returns {Promise}
@@ -0,0 +1,171 @@
+import assert from 'assert';
+
+import { SYSTEM } from './data/system';
+import { PROJECTIONS } from './utils/projections';
+import { Viewer } from './Viewer';
+
+const PARAMETERS = {
+  VERSION                 : 'WebGL 1.0',
+  SHADING_LANGUAGE_VERSION: 'WebGL GLSL ES 1.0',
+  VIEWPORT                : [0, 0, 0, 0],
+  SCISSOR_BOX             : [0, 0, 0, 0],
+};
+
+/**
+ * The WebGL constants are their own names and the other methods do nothing
+ */
+function mockWebGL(target) {
+  return new Proxy(target, {
+    get: (obj, name) => {
+      if (name in obj) {
+        return obj[name];
+      }
+      if (/^[A-Z0-9_]+$/.test(name)) {
+        return name;
+      }
+      return () => ({});
+    },
+  });
+}
+
+/**
+ * Minimal WebGL context, not a plain object to not be cloned by the configuration
+ */
+class WebGLContextMock {
+
+  constructor(canvas) {
+    this.canvas = canvas;
+    return mockWebGL(this);
+  }
+
+  getContextAttributes() {
+    return {};
+  }
+
+  getExtension() {
+    return mockWebGL({});
+  }
+
+  getParameter(name) {
+    return name in PARAMETERS ? PARAMETERS[name] : 4096;
+  }
+
+  getShaderPrecisionFormat() {
+    return { precision: 23, rangeMin: 127, rangeMax: 127 };
+  }
+
+  getShaderParameter() {
+    return true;
+  }
+
+  getProgramParameter(program, name) {
+    return name.startsWith('ACTIVE_') ? 0 : true;
+  }
+
+  getProgramInfoLog() {
+    return '';
+  }
+
+  getShaderInfoLog() {
+    return '';
+  }
+
+  checkFramebufferStatus() {
+    return 'FRAMEBUFFER_COMPLETE';
+  }
+
+}
+
+describe('Viewer:headless', () => {
+  // three.js reads the user agent, not defined before Node.js 21
+  const hasNavigator = typeof navigator !== 'undefined';
+
+  before(() => {
+    if (!hasNavigator) {
+      global.navigator = { userAgent: 'node' };
+    }
+  });
+
+  after(() => {
+    if (!hasNavigator) {
+      delete global.navigator;
+    }
+  });
+
+  let viewer;
+
+  beforeEach(() => {
+    const canvas = {
+      width              : 0,
+      height             : 0,
+      style              : {},
+      addEventListener   : () => null,
+      removeEventListener: () => null,
+    };
+
+    viewer = new Viewer({
+      headless  : {
+        canvas   : canvas,
+        context  : new WebGLContextMock(canvas),
+        loadImage: () => Promise.resolve({ width: 64, height: 32 }),
+      },
+      size      : { width: 200, height: 100 },
+      panorama  : 'panorama.jpg',
+      useXmpData: false,
+    });
+
+    return new Promise(resolve => viewer.once('ready', resolve));
+  });
+
+  afterEach(() => {
+    viewer.destroy();
+  });
+
+  it('should read the capabilities from its context', () => {
+    assert.strictEqual(viewer.system.maxTextureWidth, 4096);
+    assert.strictEqual(viewer.system.pixelRatio, 1);
+    assert.strictEqual(SYSTEM.loaded, false);
+  });
+
+  it('should render after a change', () => {
+    const rendered = new Promise(resolve => viewer.once('render', resolve));
+
+    viewer.rotate({ longitude: 1, latitude: 0 });
+
+    return rendered;
+  });
+
+  it('should apply the animations immediately', () => {
+    viewer.animate({ longitude: 2, latitude: 0.5, zoom: 80, speed: '2rpm' });
+
+    assert.deepStrictEqual(viewer.getPosition(), { longitude: 2, latitude: 0.5 });
+    assert.strictEqual(viewer.getZoomLevel(), 80);
+  });
+
+  it('should reject the animated paths', () => {
+    assert.throws(() => viewer.animatePath([{ longitude: 1, latitude: 0 }]), /headless/);
+  });
+
+  it('should clip the overlays from the camera of the viewer with a projection', () => {
+    const rendered = new Promise(resolve => viewer.once('render', resolve));
+
+    viewer.setOption('projection', 'fisheye');
+    viewer.rotate({ longitude: 1, latitude: 0.5 });
+
+    return rendered.then(() => {
+      const { uniforms } = viewer.renderer.mesh.material;
+      assert.strictEqual(uniforms.clipProjection.value, PROJECTIONS.fisheye);
+      assert.ok(uniforms.clipScale.value.equals(viewer.renderer.projectionPass.material.uniforms.scale.value));
+      assert.ok(uniforms.clipViewMatrix.value.equals(viewer.renderer.camera.matrixWorldInverse));
+    });
+  });
+
+  it('should take a snapshot', () => {
+    return viewer.snapshot({ output: 'pixels' })
+      .then((pixels) => {
+        assert.strictEqual(pixels.width, 200);
+        assert.strictEqual(pixels.height, 100);
+        assert.strictEqual(pixels.data.length, 200 * 100 * 4);
+      });
+  });
+});
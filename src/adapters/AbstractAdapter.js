@@ -1,5 +1,27 @@
-import { ShaderMaterial, Texture } from 'three';
+import { Matrix4, ShaderMaterial, Texture, Vector2, Vector4 } from 'three';
+import { DEFAULT_OVERLAY_ID } from '../data/constants';
 import { PSVError } from '../PSVError';
+import { logWarn } from '../utils';
+import { PROJECT_DIRECTION_SHADER, PROJECTIONS } from '../utils/projections';
+
+/**
+ * @summary Texture of the unused overlays
+ * @type {external:THREE.Texture}
+ * @private
+ */
+const EMPTY_TEXTURE = new Texture();
+
+/**
+ * @summary Camera of the viewer, the uniforms are shared by all the overlay materials
+ * @type {Object}
+ * @private
+ */
+const CLIP_CAMERA = {
+  viewMatrix      : { value: new Matrix4() },
+  projectionMatrix: { value: new Matrix4() },
+  projection      : { value: PROJECTIONS.rectilinear },
+  scale           : { value: new Vector2(1, 1) },
+};
 
 /**
  * @namespace PSV.adapters
@@ -30,7 +52,7 @@ export class AbstractAdapter {
   static supportsDownload = false;
 
   /**
-   * @summary Indicated if the adapter can display an additional transparent image above the panorama
+   * @summary Indicated if the adapter can display additional transparent images above the panorama
    * @type {boolean}
    */
   static supportsOverlay = false;
@@ -126,63 +148,265 @@ export class AbstractAdapter {
 
   /**
    * @abstract
-   * @summary Applies the overlay to the mesh
+   * @summary Applies the overlays to the mesh
+   * @param {external:THREE.Mesh} mesh
+   * @param {PSV.OverlayLayer[]} overlays - from bottom to top
+   */
+  setOverlays(mesh, overlays) { // eslint-disable-line no-unused-vars
+    throw new PSVError('setOverlays not implemented');
+  }
+
+  /**
+   * @summary Applies a single overlay to the mesh
+   * @deprecated implement {@link setOverlays} instead, adapters which only implement this method still receive the top overlay
    * @param {external:THREE.Mesh} mesh
    * @param {PSV.TextureData} textureData
    * @param {number} opacity
    */
-  setOverlay(mesh, textureData, opacity) { // eslint-disable-line no-unused-vars
-    throw new PSVError('setOverlay not implemented');
+  setOverlay(mesh, textureData, opacity) {
+    logWarn('AbstractAdapter.setOverlay is deprecated, use setOverlays');
+
+    this.setOverlays(mesh, !textureData ? [] : [{
+      id         : DEFAULT_OVERLAY_ID,
+      path       : null,
+      opacity    : opacity,
+      blendMode  : 'normal',
+      clip       : null,
+      textureData: textureData,
+    }]);
   }
 
   /**
    * @internal
    */
   static OVERLAY_UNIFORMS = {
-    panorama      : 'panorama',
-    overlay       : 'overlay',
-    globalOpacity : 'globalOpacity',
-    overlayOpacity: 'overlayOpacity',
+    panorama            : 'panorama',
+    panoramaUv          : 'panoramaUv',
+    globalOpacity       : 'globalOpacity',
+    overlays            : 'overlays',
+    overlaysOpacity     : 'overlaysOpacity',
+    overlaysBlendMode   : 'overlaysBlendMode',
+    overlaysClip        : 'overlaysClip',
+    clipViewMatrix      : 'clipViewMatrix',
+    clipProjectionMatrix: 'clipProjectionMatrix',
+    clipProjection      : 'clipProjection',
+    clipScale           : 'clipScale',
   };
 
   /**
+   * @summary Maximum number of overlays displayed at the same time
+   * @type {number}
+   * @internal
+   */
+  static MAX_OVERLAYS = 4;
+
+  /**
+   * @summary Blend modes of the overlays, as used by the shader
+   * @type {Object<string, number>}
+   * @internal
+   */
+  static OVERLAY_BLEND_MODES = {
+    normal  : 0,
+    multiply: 1,
+    screen  : 2,
+  };
+
+  /**
+   * @summary Number of columns and rows of eyes in each stereoscopic layout
+   * @type {Object<string, {cols: number, rows: number}>}
+   * @internal
+   */
+  static STEREO_LAYOUTS = {
+    'top-bottom': { cols: 1, rows: 2 },
+    'left-right': { cols: 2, rows: 1 },
+  };
+
+  /**
+   * @summary Returns the number of columns and rows of eyes in a stereoscopic layout
+   * @param {string} [layout]
+   * @returns {{cols: number, rows: number}}
+   * @throws {PSV.PSVError} if the layout is unknown
+   * @internal
+   */
+  static getStereoGrid(layout) {
+    if (!layout) {
+      return { cols: 1, rows: 1 };
+    }
+    if (!AbstractAdapter.STEREO_LAYOUTS[layout]) {
+      throw new PSVError(`Unknown stereo layout "${layout}"`);
+    }
+    return AbstractAdapter.STEREO_LAYOUTS[layout];
+  }
+
+  /**
+   * @summary Calls a function before each render of the mesh with the part of the texture seen by the current eye
+   * @description The left eye is on the top or on the left of the texture, it is also used outside of the stereo view.
+   * The right eye is rendered by the camera of {@link external:THREE.StereoCamera} which enables the layer 2.
+   * @param {external:THREE.Mesh} mesh
+   * @param {string} layout
+   * @param {function(external:THREE.Vector4)} apply - receives the offset (xy) and the repeat (zw) of the UVs
+   * @internal
+   */
+  static bindStereoLayout(mesh, layout, apply) {
+    const { cols, rows } = AbstractAdapter.getStereoGrid(layout);
+    const transform = new Vector4();
+
+    mesh.onBeforeRender = (renderer, scene, camera) => {
+      const rightEye = camera.layers.isEnabled(2) && !camera.layers.isEnabled(1);
+      transform.set(
+        rightEye && cols === 2 ? 0.5 : 0,
+        !rightEye && rows === 2 ? 0.5 : 0,
+        1 / cols,
+        1 / rows
+      );
+      apply(transform);
+    };
+  }
+
+  /**
+   * @summary Creates the material of the panorama, which displays the overlays
+   * @description A custom vertex shader must set the varyings `vUv` and `vWorldPosition`.
+   * @param {Object} [options]
+   * @param {Object} [options.additionalUniforms]
+   * @param {string} [options.overrideVertexShader]
+   * @returns {external:THREE.ShaderMaterial}
    * @internal
    */
   static createOverlayMaterial({ additionalUniforms, overrideVertexShader } = {}) {
-    return new ShaderMaterial({
+    const U = AbstractAdapter.OVERLAY_UNIFORMS;
+    const layers = Array.from({ length: AbstractAdapter.MAX_OVERLAYS }, (_, i) => i);
+
+    const material = new ShaderMaterial({
       uniforms: {
         ...additionalUniforms,
-        [AbstractAdapter.OVERLAY_UNIFORMS.panorama]      : { value: new Texture() },
-        [AbstractAdapter.OVERLAY_UNIFORMS.overlay]       : { value: new Texture() },
-        [AbstractAdapter.OVERLAY_UNIFORMS.globalOpacity] : { value: 1.0 },
-        [AbstractAdapter.OVERLAY_UNIFORMS.overlayOpacity]: { value: 1.0 },
+        [U.panorama]            : { value: new Texture() },
+        [U.panoramaUv]          : { value: new Vector4(0, 0, 1, 1) },
+        [U.globalOpacity]       : { value: 1.0 },
+        [U.overlays]            : { value: layers.map(() => EMPTY_TEXTURE) },
+        [U.overlaysOpacity]     : { value: layers.map(() => 0.0) },
+        [U.overlaysBlendMode]   : { value: layers.map(() => AbstractAdapter.OVERLAY_BLEND_MODES.normal) },
+        [U.overlaysClip]        : { value: layers.map(() => new Vector4(0, 0, 1, 1)) },
+        [U.clipViewMatrix]      : CLIP_CAMERA.viewMatrix,
+        [U.clipProjectionMatrix]: CLIP_CAMERA.projectionMatrix,
+        [U.clipProjection]      : CLIP_CAMERA.projection,
+        [U.clipScale]           : CLIP_CAMERA.scale,
       },
 
       vertexShader: overrideVertexShader || `
 varying vec2 vUv;
+varying vec3 vWorldPosition;
 
 void main() {
   vUv = uv;
+  vWorldPosition = ( modelMatrix * vec4( position, 1.0 ) ).xyz;
   gl_Position = projectionMatrix *  modelViewMatrix * vec4( position, 1.0 );
 }`,
 
       fragmentShader: `
-uniform sampler2D ${AbstractAdapter.OVERLAY_UNIFORMS.panorama};
-uniform sampler2D ${AbstractAdapter.OVERLAY_UNIFORMS.overlay};
-uniform float ${AbstractAdapter.OVERLAY_UNIFORMS.globalOpacity};
-uniform float ${AbstractAdapter.OVERLAY_UNIFORMS.overlayOpacity};
+uniform sampler2D ${U.panorama};
+uniform vec4 ${U.panoramaUv};
+uniform float ${U.globalOpacity};
+uniform sampler2D ${U.overlays}[${layers.length}];
+uniform float ${U.overlaysOpacity}[${layers.length}];
+uniform int ${U.overlaysBlendMode}[${layers.length}];
+uniform vec4 ${U.overlaysClip}[${layers.length}];
+uniform mat4 ${U.clipViewMatrix};
+uniform mat4 ${U.clipProjectionMatrix};
+uniform int ${U.clipProjection};
+uniform vec2 ${U.clipScale};
 
 varying vec2 vUv;
+varying vec3 vWorldPosition;
+${PROJECT_DIRECTION_SHADER}
+
+// 1.0 if the fragment is in the rectangle (x, y, width, height) of the viewer, from the top left corner
+// the position is computed from the camera of the viewer, the scene may be rendered in the cubemap of the projection pass
+float inClip( vec4 clip ) {
+  if ( clip.x <= 0.0 && clip.y <= 0.0 && clip.x + clip.z >= 1.0 && clip.y + clip.w >= 1.0 ) {
+    return 1.0;
+  }
+
+  vec4 viewPosition = ${U.clipViewMatrix} * vec4( vWorldPosition, 1.0 );
+  vec2 screen;
+  if ( ${U.clipProjection} == ${PROJECTIONS.rectilinear} ) {
+    vec4 clipPosition = ${U.clipProjectionMatrix} * viewPosition;
+    screen = clipPosition.w > 0.0 ? clipPosition.xy / clipPosition.w : vec2( 1e9 );
+  } else {
+    screen = projectDirection( ${U.clipProjection}, normalize( viewPosition.xyz ) ) / ${U.clipScale};
+  }
+  screen = vec2( screen.x + 1.0, 1.0 - screen.y ) / 2.0;
+
+  return step( clip.x, screen.x ) * step( screen.x, clip.x + clip.z )
+    * step( clip.y, screen.y ) * step( screen.y, clip.y + clip.w );
+}
+
+vec3 blendOverlay( vec3 base, vec4 overlay, float opacity, int mode ) {
+  vec3 blended = overlay.rgb;
+  if ( mode == ${AbstractAdapter.OVERLAY_BLEND_MODES.multiply} ) {
+    blended = base * overlay.rgb;
+  } else if ( mode == ${AbstractAdapter.OVERLAY_BLEND_MODES.screen} ) {
+    blended = 1.0 - ( 1.0 - base ) * ( 1.0 - overlay.rgb );
+  }
+  return mix( base, blended, overlay.a * opacity );
+}
 
 void main() {
-  vec4 tColor1 = texture2D( ${AbstractAdapter.OVERLAY_UNIFORMS.panorama}, vUv );
-  vec4 tColor2 = texture2D( ${AbstractAdapter.OVERLAY_UNIFORMS.overlay}, vUv );
-  gl_FragColor = vec4(
-    mix( tColor1.rgb, tColor2.rgb, tColor2.a * ${AbstractAdapter.OVERLAY_UNIFORMS.overlayOpacity} ),
-    ${AbstractAdapter.OVERLAY_UNIFORMS.globalOpacity}
-  );
+  vec3 color = texture2D( ${U.panorama}, ${U.panoramaUv}.xy + vUv * ${U.panoramaUv}.zw ).rgb;
+${layers.map(i => `
+  color = blendOverlay(
+    color,
+    texture2D( ${U.overlays}[${i}], vUv ),
+    ${U.overlaysOpacity}[${i}] * inClip( ${U.overlaysClip}[${i}] ),
+    ${U.overlaysBlendMode}[${i}]
+  );`).join('')}
+  gl_FragColor = vec4( color, ${U.globalOpacity} );
 }`,
     });
+
+    return material;
+  }
+
+  /**
+   * @summary Defines the camera of the viewer, used to compute the clip rectangles of the overlays
+   * @param {external:THREE.PerspectiveCamera} camera
+   * @param {string} projection
+   * @param {external:THREE.Vector2} [scale] - half size of the projection plane, not used by the rectilinear projection
+   * @internal
+   */
+  static setOverlayClipCamera(camera, projection, scale) {
+    CLIP_CAMERA.viewMatrix.value.copy(camera.matrixWorldInverse);
+    CLIP_CAMERA.projectionMatrix.value.copy(camera.projectionMatrix);
+    CLIP_CAMERA.projection.value = PROJECTIONS[projection];
+    if (scale) {
+      CLIP_CAMERA.scale.value.copy(scale);
+    }
+  }
+
+  /**
+   * @summary Applies the overlays to a material created by {@link createOverlayMaterial}
+   * @description The textures are not disposed, this is handled by the renderer.
+   * @param {external:THREE.ShaderMaterial} material
+   * @param {PSV.OverlayLayer[]} overlays - from bottom to top
+   * @param {function(PSV.TextureData): external:THREE.Texture} [getTexture] - extracts the texture applied to this material
+   * @internal
+   */
+  static setOverlayUniforms(material, overlays, getTexture = textureData => textureData.texture) {
+    const U = AbstractAdapter.OVERLAY_UNIFORMS;
+
+    for (let i = 0; i < AbstractAdapter.MAX_OVERLAYS; i++) {
+      const overlay = overlays[i];
+      material.uniforms[U.overlays].value[i] = overlay ? getTexture(overlay.textureData) : EMPTY_TEXTURE;
+      material.uniforms[U.overlaysOpacity].value[i] = overlay ? overlay.opacity : 0;
+      material.uniforms[U.overlaysBlendMode].value[i] = AbstractAdapter.OVERLAY_BLEND_MODES[overlay?.blendMode || 'normal'];
+
+      const clip = overlay?.clip;
+      material.uniforms[U.overlaysClip].value[i].set(
+        clip ? clip.x : 0,
+        clip ? clip.y : 0,
+        clip ? clip.width : 1,
+        clip ? clip.height : 1
+      );
+    }
   }
 
 }
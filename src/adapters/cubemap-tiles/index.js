@@ -1,9 +1,8 @@
 import {
   BoxGeometry,
-  Frustum,
-  ImageLoader,
+  BufferAttribute,
+  BufferGeometry,
   MathUtils,
-  Matrix4,
   Mesh,
   MeshBasicMaterial,
   Vector2,
@@ -13,7 +12,8 @@ import { CONSTANTS, PSVError, utils } from '../..';
 import { CUBE_HASHMAP, CubemapAdapter } from '../cubemap';
 import { Queue } from '../shared/Queue';
 import { Task } from '../shared/Task';
-import { buildErrorMaterial, createBaseTexture } from '../shared/tiles-utils';
+import { TileCache } from '../shared/TileCache';
+import { buildErrorMaterial, createBaseTexture, cropTileOverlap, loadTileImage, loadTileSource } from '../shared/tiles-utils';
 
 if (!CubemapAdapter) {
   throw new PSVError('CubemapAdapter is missing, please load cubemap.js before cubemap-tiles.js');
@@ -27,16 +27,35 @@ if (!CubemapAdapter) {
  * @param {'left'|'front'|'right'|'back'|'top'|'bottom'} face
  * @param {int} col
  * @param {int} row
+ * @param {int} level - index of the level in `levels` (always `0` if `levels` is not defined)
  * @returns {string}
  */
 
+/**
+ * @typedef {Object} PSV.adapters.CubemapTilesAdapter.Level
+ * @summary Configuration of a level of a multi-resolution cubemap
+ * @property {int} faceSize - size of a face at this level
+ * @property {int} nbTiles - number of tiles on a side of a face
+ * @property {number[]} [zoomRange] - range of zoom levels (0-100) where this level is displayed, defaults to an even distribution
+ */
+
 /**
  * @typedef {Object} PSV.adapters.CubemapTilesAdapter.Panorama
  * @summary Configuration of a tiled cubemap
  * @property {PSV.adapters.CubemapAdapter.Cubemap} [baseUrl] - low resolution panorama loaded before tiles
- * @property {int} faceSize - size of a face
- * @property {int} nbTiles - number of tiles on a side of a face
- * @property {PSV.adapters.CubemapTilesAdapter.TileUrl} tileUrl - function to build a tile url
+ * @property {int} [faceSize] - size of a face, ignored if `levels` is defined
+ * @property {int} [nbTiles] - number of tiles on a side of a face, ignored if `levels` is defined
+ * @property {PSV.adapters.CubemapTilesAdapter.Level[]} [levels] - multiple resolutions of the cubemap, ordered by increasing face size
+ * @property {PSV.adapters.CubemapTilesAdapter.TileUrl} [tileUrl] - function to build a tile url, required if `tileSource` is not defined
+ * @property {PSV.adapters.TileSourceConfig} [tileSource] - reads `levels` and `tileUrl` from a Deep Zoom, IIIF or Krpano descriptor
+ */
+
+/**
+ * @typedef {Object} PSV.adapters.CubemapTilesAdapter.TilesConfig
+ * @private
+ * @property {PSV.adapters.CubemapTilesAdapter.Level[]} levels
+ * @property {PSV.adapters.CubemapTilesAdapter.TileUrl} tileUrl
+ * @property {int} [overlap=0] - number of pixels each tile shares with its neighbours
  */
 
 /**
@@ -44,6 +63,8 @@ if (!CubemapAdapter) {
  * @property {boolean} [flipTopBottom=false] - set to true if the top and bottom faces are not correctly oriented
  * @property {boolean} [showErrorTile=true] - shows a warning sign on tiles that cannot be loaded
  * @property {boolean} [baseBlur=true] - applies a blur to the low resolution panorama
+ * @property {int} [cacheMaxTiles] - maximum number of tiles kept in memory, unlimited if not defined
+ * @property {int} [cacheMaxBytes=268435456] - maximum estimated GPU memory used by the tiles (256 MB)
  */
 
 /**
@@ -52,26 +73,77 @@ if (!CubemapAdapter) {
  * @property {int} face
  * @property {int} col
  * @property {int} row
+ * @property {int} level
  * @property {float} angle
  */
 
+/**
+ * @typedef {Object} PSV.adapters.CubemapTilesAdapter.LevelConfig
+ * @private
+ * @property {int} index - index of the level
+ * @property {int} faceSize
+ * @property {int} nbTiles
+ * @property {number[]} zoomRange
+ * @property {int} tileSize - size in pixels of a tile
+ * @property {int} facesByTile - number of mesh faces by tile
+ */
+
+/**
+ * @typedef {Object} PSV.adapters.CubemapTilesAdapter.TileFace
+ * @private
+ * @property {int} index - index of the mesh face (also index of the material)
+ * @property {int} firstVertex
+ * @property {float} top
+ * @property {float} bottom
+ * @property {float} left
+ * @property {float} right
+ */
+
 
 const CUBE_SEGMENTS = 16;
 const NB_VERTICES_BY_FACE = 6;
 const NB_VERTICES_BY_PLANE = NB_VERTICES_BY_FACE * CUBE_SEGMENTS * CUBE_SEGMENTS;
 const NB_VERTICES = 6 * NB_VERTICES_BY_PLANE;
 const NB_GROUPS_BY_FACE = CUBE_SEGMENTS * CUBE_SEGMENTS;
+const TILE_FADE_DURATION = 300;
 
 const ATTR_UV = 'uv';
 const ATTR_ORIGINAL_UV = 'originaluv';
 const ATTR_POSITION = 'position';
 
 function tileId(tile) {
-  return `${tile.face}:${tile.col}x${tile.row}`;
+  return `${tile.face}:${tile.col}x${tile.row}x${tile.level}`;
+}
+
+/**
+ * @summary Returns the levels of a panorama, single level panoramas are converted to one level
+ * @param {PSV.adapters.CubemapTilesAdapter.Panorama} panorama
+ * @returns {PSV.adapters.CubemapTilesAdapter.Level[]}
+ */
+function getLevels(panorama) {
+  if (panorama.levels) {
+    return panorama.levels;
+  }
+  else {
+    return [{ faceSize: panorama.faceSize, nbTiles: panorama.nbTiles }];
+  }
+}
+
+/**
+ * @summary Sets the uvs of a mesh face
+ * @param {external:THREE.BufferAttribute} uvs
+ * @param {int} firstVertex
+ * @param {PSV.adapters.CubemapTilesAdapter.TileFace} face
+ */
+function setFaceUvs(uvs, firstVertex, { top, bottom, left, right }) {
+  uvs.setXY(firstVertex, left, top);
+  uvs.setXY(firstVertex + 1, left, bottom);
+  uvs.setXY(firstVertex + 2, right, top);
+  uvs.setXY(firstVertex + 3, left, bottom);
+  uvs.setXY(firstVertex + 4, right, bottom);
+  uvs.setXY(firstVertex + 5, right, top);
 }
 
-const frustum = new Frustum();
-const projScreenMatrix = new Matrix4();
 const vertexPosition = new Vector3();
 
 /**
@@ -100,6 +172,8 @@ export class CubemapTilesAdapter extends CubemapAdapter {
       flipTopBottom: false,
       showErrorTile: true,
       baseBlur     : true,
+      cacheMaxTiles: null,
+      cacheMaxBytes: 256 * 1024 * 1024,
       ...options,
     };
 
@@ -109,37 +183,46 @@ export class CubemapTilesAdapter extends CubemapAdapter {
      */
     this.queue = new Queue();
 
+    /**
+     * @summary Tiles configuration of panoramas using a tile source
+     * @member {WeakMap<PSV.adapters.CubemapTilesAdapter.Panorama, PSV.adapters.CubemapTilesAdapter.TilesConfig>}
+     * @private
+     */
+    this.tileSources = new WeakMap();
+
+    /**
+     * @member {PSV.adapters.TileCache}
+     * @private
+     */
+    this.cache = new TileCache(this.config.cacheMaxTiles, this.config.cacheMaxBytes);
+
     /**
      * @type {Object}
-     * @property {int} tileSize - size in pixels of a tile
-     * @property {int} facesByTile - number of mesh faces by tile
+     * @property {PSV.adapters.CubemapTilesAdapter.LevelConfig[]} levels - configuration of each level
+     * @property {int[]} facesLevel - level displayed by each mesh face (-1 for the base texture)
      * @property {Record<string, boolean>} tiles - loaded tiles
+     * @property {Map<string, PSV.adapters.CubemapTilesAdapter.Tile>} visibleTiles - tiles of the current level in the viewport
+     * @property {external:THREE.Mesh} mesh
      * @property {external:THREE.BoxGeometry} geom
-     * @property {external:THREE.MeshBasicMaterial[]} materials
+     * @property {external:THREE.MeshBasicMaterial[]} materials - material of each mesh face
+     * @property {external:THREE.MeshBasicMaterial[]} baseMaterials - material of each cube face
      * @property {external:THREE.MeshBasicMaterial} errorMaterial
+     * @property {Set<PSV.utils.Animation>} fadeAnimations - ongoing fade-in of tiles
      * @private
      */
     this.prop = {
-      tileSize     : 0,
-      facesByTile  : 0,
-      tiles        : {},
-      geom         : null,
-      materials    : [],
-      errorMaterial: null,
+      levels        : [],
+      facesLevel    : [],
+      tiles         : {},
+      visibleTiles  : new Map(),
+      mesh          : null,
+      geom          : null,
+      materials     : [],
+      baseMaterials : [],
+      errorMaterial : null,
+      fadeAnimations: new Set(),
     };
 
-    /**
-     * @member {external:THREE.ImageLoader}
-     * @private
-     */
-    this.loader = new ImageLoader();
-    if (this.psv.config.withCredentials) {
-      this.loader.setWithCredentials(true);
-    }
-    if (this.psv.config.requestHeaders && typeof this.psv.config.requestHeaders === 'object') {
-      this.loader.setRequestHeader(this.psv.config.requestHeaders);
-    }
-
     this.psv.on(CONSTANTS.EVENTS.POSITION_UPDATED, this);
     this.psv.on(CONSTANTS.EVENTS.ZOOM_UPDATED, this);
   }
@@ -157,7 +240,9 @@ export class CubemapTilesAdapter extends CubemapAdapter {
     this.prop.errorMaterial?.dispose();
 
     delete this.queue;
-    delete this.loader;
+    delete this.cache;
+    delete this.tileSources;
+    delete this.prop.mesh;
     delete this.prop.geom;
     delete this.prop.errorMaterial;
 
@@ -184,7 +269,14 @@ export class CubemapTilesAdapter extends CubemapAdapter {
    */
   __cleanup() {
     this.queue.clear();
+    this.cache.clear();
     this.prop.tiles = {};
+    this.prop.facesLevel = [];
+    this.prop.visibleTiles.clear();
+    this.prop.baseMaterials = [];
+
+    this.prop.fadeAnimations.forEach(animation => animation.cancel());
+    this.prop.fadeAnimations.clear();
 
     this.prop.materials.forEach((mat) => {
       mat?.map?.dispose();
@@ -213,14 +305,40 @@ export class CubemapTilesAdapter extends CubemapAdapter {
    * @returns {Promise.<PSV.TextureData>}
    */
   loadTexture(panorama) {
-    if (typeof panorama !== 'object' || !panorama.faceSize || !panorama.nbTiles || !panorama.tileUrl) {
+    if (typeof panorama !== 'object' || (!panorama.tileUrl && !panorama.tileSource)) {
       return Promise.reject(new PSVError('Invalid panorama configuration, are you using the right adapter?'));
     }
-    if (panorama.nbTiles > CUBE_SEGMENTS) {
-      return Promise.reject(new PSVError(`Panorama nbTiles must not be greater than ${CUBE_SEGMENTS}.`));
+    if (panorama.tileSource && !this.tileSources.has(panorama)) {
+      return loadTileSource(this.psv, panorama.tileSource, 'front')
+        .then((source) => {
+          this.tileSources.set(panorama, this.__convertTileSource(source));
+          return this.loadTexture(panorama);
+        });
+    }
+    if (panorama.levels && (!Array.isArray(panorama.levels) || !panorama.levels.length)) {
+      return Promise.reject(new PSVError('Panorama levels must be a non empty array.'));
     }
-    if (!MathUtils.isPowerOfTwo(panorama.nbTiles)) {
-      return Promise.reject(new PSVError('Panorama nbTiles must be power of 2.'));
+
+    const levels = this.__getTilesConfig(panorama).levels;
+
+    for (let i = 0; i < levels.length; i++) {
+      const level = levels[i];
+
+      if (!level.faceSize || !level.nbTiles) {
+        return Promise.reject(new PSVError('Invalid panorama configuration, are you using the right adapter?'));
+      }
+      if (level.nbTiles > CUBE_SEGMENTS) {
+        return Promise.reject(new PSVError(`Panorama nbTiles must not be greater than ${CUBE_SEGMENTS}.`));
+      }
+      if (!MathUtils.isPowerOfTwo(level.nbTiles)) {
+        return Promise.reject(new PSVError('Panorama nbTiles must be power of 2.'));
+      }
+      if (level.zoomRange && (!Array.isArray(level.zoomRange) || level.zoomRange.length !== 2 || level.zoomRange[0] > level.zoomRange[1])) {
+        return Promise.reject(new PSVError('Panorama level zoomRange must be an array of two ordered zoom levels.'));
+      }
+      if (i > 0 && level.faceSize < levels[i - 1].faceSize) {
+        return Promise.reject(new PSVError('Panorama levels must be ordered by increasing faceSize.'));
+      }
     }
 
     if (panorama.baseUrl) {
@@ -235,6 +353,48 @@ export class CubemapTilesAdapter extends CubemapAdapter {
     }
   }
 
+  /**
+   * @summary Returns the levels and the tiles url of a panorama
+   * @param {PSV.adapters.CubemapTilesAdapter.Panorama} panorama
+   * @returns {PSV.adapters.CubemapTilesAdapter.TilesConfig}
+   * @private
+   */
+  __getTilesConfig(panorama) {
+    return this.tileSources.get(panorama) || {
+      levels : getLevels(panorama),
+      tileUrl: panorama.tileUrl,
+    };
+  }
+
+  /**
+   * @summary Keeps the levels of a tile source which can be displayed by the adapter
+   * @param {PSV.adapters.TileSource} source
+   * @returns {PSV.adapters.CubemapTilesAdapter.TilesConfig}
+   * @throws {PSV.PSVError} when no level is compatible
+   * @private
+   */
+  __convertTileSource(source) {
+    const levels = source.levels
+      .map(level => ({
+        ...level,
+        nbTiles: Math.ceil(level.width / level.tileWidth),
+      }))
+      .filter(level => level.width === level.height
+        && level.tileWidth === level.tileHeight
+        && (level.nbTiles === 1 || level.width % level.tileWidth === 0)
+        && MathUtils.isPowerOfTwo(level.nbTiles) && level.nbTiles <= CUBE_SEGMENTS);
+
+    if (!levels.length) {
+      throw new PSVError('The tile source does not provide any level compatible with CubemapTilesAdapter.');
+    }
+
+    return {
+      levels : levels.map(level => ({ faceSize: level.width, nbTiles: level.nbTiles })),
+      tileUrl: (face, col, row, level) => levels[level].tileUrl(col, row, face),
+      overlap: source.overlap,
+    };
+  }
+
   /**
    * @override
    */
@@ -270,11 +430,21 @@ export class CubemapTilesAdapter extends CubemapAdapter {
     this.__setTexture(mesh, texture);
 
     this.prop.materials = mesh.material;
+    this.prop.baseMaterials = [0, 1, 2, 3, 4, 5].map(i => mesh.material[i * NB_GROUPS_BY_FACE]);
+    this.prop.mesh = mesh;
     this.prop.geom = mesh.geometry;
     this.prop.geom.setAttribute(ATTR_UV, this.prop.geom.getAttribute(ATTR_ORIGINAL_UV).clone());
 
-    this.prop.tileSize = panorama.faceSize / panorama.nbTiles;
-    this.prop.facesByTile = CUBE_SEGMENTS / panorama.nbTiles;
+    const levels = this.__getTilesConfig(panorama).levels;
+    this.prop.levels = levels.map((level, i) => ({
+      index      : i,
+      faceSize   : level.faceSize,
+      nbTiles    : level.nbTiles,
+      zoomRange  : level.zoomRange || [i * 100 / levels.length, (i + 1) * 100 / levels.length],
+      tileSize   : level.faceSize / level.nbTiles,
+      facesByTile: CUBE_SEGMENTS / level.nbTiles,
+    }));
+    this.prop.facesLevel = new Array(6 * NB_GROUPS_BY_FACE).fill(-1);
 
     // this.psv.renderer.scene.add(createWireFrame(this.prop.geom));
 
@@ -324,18 +494,17 @@ export class CubemapTilesAdapter extends CubemapAdapter {
       return;
     }
 
-    const camera = this.psv.renderer.camera;
-    camera.updateMatrixWorld();
-    projScreenMatrix.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
-    frustum.setFromProjectionMatrix(projScreenMatrix);
+    this.psv.renderer.camera.updateMatrixWorld();
 
-    const panorama = this.psv.config.panorama;
+    const level = this.__getLevel();
     const verticesPosition = this.prop.geom.getAttribute(ATTR_POSITION);
+    const visibleTiles = new Map();
     const tilesToLoad = [];
+    const { hits, misses } = this.cache;
 
     for (let face = 0; face < 6; face++) {
-      for (let col = 0; col < panorama.nbTiles; col++) {
-        for (let row = 0; row < panorama.nbTiles; row++) {
+      for (let col = 0; col < level.nbTiles; col++) {
+        for (let row = 0; row < level.nbTiles; row++) {
           // for each tile, find the vertices corresponding to the four corners
           // if at least one vertex is visible, the tile must be loaded
           // for larger tiles we also test the four edges centers and the tile center
@@ -343,35 +512,35 @@ export class CubemapTilesAdapter extends CubemapAdapter {
 
           // top-left
           const v0 = face * NB_VERTICES_BY_PLANE
-            + row * this.prop.facesByTile * CUBE_SEGMENTS * NB_VERTICES_BY_FACE
-            + col * this.prop.facesByTile * NB_VERTICES_BY_FACE;
+            + row * level.facesByTile * CUBE_SEGMENTS * NB_VERTICES_BY_FACE
+            + col * level.facesByTile * NB_VERTICES_BY_FACE;
 
           // bottom-left
-          const v1 = v0 + CUBE_SEGMENTS * NB_VERTICES_BY_FACE * (this.prop.facesByTile - 1) + 1;
+          const v1 = v0 + CUBE_SEGMENTS * NB_VERTICES_BY_FACE * (level.facesByTile - 1) + 1;
 
           // bottom-right
-          const v2 = v1 + this.prop.facesByTile * NB_VERTICES_BY_FACE - 3;
+          const v2 = v1 + level.facesByTile * NB_VERTICES_BY_FACE - 3;
 
           // top-right
-          const v3 = v0 + this.prop.facesByTile * NB_VERTICES_BY_FACE - 1;
+          const v3 = v0 + level.facesByTile * NB_VERTICES_BY_FACE - 1;
 
           verticesIndex.push(v0, v1, v2, v3);
 
-          if (this.prop.facesByTile >= CUBE_SEGMENTS / 2) {
+          if (level.facesByTile >= CUBE_SEGMENTS / 2) {
             // top-center
-            const v4 = v0 + this.prop.facesByTile / 2 * NB_VERTICES_BY_FACE - 1;
+            const v4 = v0 + level.facesByTile / 2 * NB_VERTICES_BY_FACE - 1;
 
             // bottom-center
-            const v5 = v1 + this.prop.facesByTile / 2 * NB_VERTICES_BY_FACE - 3;
+            const v5 = v1 + level.facesByTile / 2 * NB_VERTICES_BY_FACE - 3;
 
             // left-center
-            const v6 = v0 + CUBE_SEGMENTS * NB_VERTICES_BY_FACE * (this.prop.facesByTile / 2 - 1) + 1;
+            const v6 = v0 + CUBE_SEGMENTS * NB_VERTICES_BY_FACE * (level.facesByTile / 2 - 1) + 1;
 
             // right-center
-            const v7 = v6 + this.prop.facesByTile * NB_VERTICES_BY_FACE - 3;
+            const v7 = v6 + level.facesByTile * NB_VERTICES_BY_FACE - 3;
 
             // center-center
-            const v8 = v6 + this.prop.facesByTile / 2 * NB_VERTICES_BY_FACE;
+            const v8 = v6 + level.facesByTile / 2 * NB_VERTICES_BY_FACE;
 
             verticesIndex.push(v4, v5, v6, v7, v8);
           }
@@ -393,18 +562,82 @@ export class CubemapTilesAdapter extends CubemapAdapter {
               verticesPosition.getZ(vertexIdx)
             );
             vertexPosition.applyEuler(this.psv.renderer.meshContainer.rotation);
-            return frustum.containsPoint(vertexPosition);
+            return this.psv.dataHelper.isPointVisible(vertexPosition);
           });
 
           if (vertexVisible) {
             const angle = vertexPosition.angleTo(this.psv.prop.direction);
-            tilesToLoad.push({ face, col, row, angle });
+            const tile = { face: face, col: col, row: row, level: level.index, angle: angle };
+            const id = tileId(tile);
+            const covered = this.__isTileCovered(face, col, row, level);
+
+            const cachedMaterial = covered ? undefined : this.cache.get(id);
+
+            if (!this.prop.visibleTiles.has(id)) {
+              if (covered || cachedMaterial) {
+                this.cache.hit();
+              }
+              else {
+                this.cache.miss();
+              }
+            }
+
+            visibleTiles.set(id, tile);
+            if (cachedMaterial) {
+              // the tile is still in cache but some faces were restored to the base texture
+              this.__swapMaterial(tile, cachedMaterial, false);
+              this.psv.needsUpdate();
+            }
+            else if (!covered) {
+              tilesToLoad.push(tile);
+            }
           }
         }
       }
     }
 
+    this.prop.visibleTiles = visibleTiles;
+    this.cache.touch(this.__getVisibleMaterials());
+
     this.__loadTiles(tilesToLoad);
+
+    if (this.cache.hits !== hits || this.cache.misses !== misses) {
+      this.__triggerCacheUpdated();
+    }
+  }
+
+  /**
+   * @summary Returns the level matching the current zoom level
+   * @returns {PSV.adapters.CubemapTilesAdapter.LevelConfig}
+   * @private
+   */
+  __getLevel() {
+    const levels = this.prop.levels;
+    const zoomLevel = this.psv.getZoomLevel();
+
+    return levels.find(level => zoomLevel >= level.zoomRange[0] && zoomLevel <= level.zoomRange[1])
+      || levels[levels.length - 1];
+  }
+
+  /**
+   * @summary Checks if all the faces of a tile already display the same or a higher level
+   * @param {int} face
+   * @param {int} col
+   * @param {int} row
+   * @param {PSV.adapters.CubemapTilesAdapter.LevelConfig} level
+   * @returns {boolean}
+   * @private
+   */
+  __isTileCovered(face, col, row, level) {
+    for (let c = 0; c < level.facesByTile; c++) {
+      for (let r = 0; r < level.facesByTile; r++) {
+        const faceIdx = face * NB_GROUPS_BY_FACE + (row * level.facesByTile + r) * CUBE_SEGMENTS + col * level.facesByTile + c;
+        if (this.prop.facesLevel[faceIdx] < level.index) {
+          return false;
+        }
+      }
+    }
+    return true;
   }
 
   /**
@@ -427,6 +660,11 @@ export class CubemapTilesAdapter extends CubemapAdapter {
       }
     });
 
+    // abort the loading of tiles which left the viewport, they will be loaded again when visible
+    this.queue.cancelDisabledTasks().forEach((id) => {
+      delete this.prop.tiles[id];
+    });
+
     this.queue.start();
   }
 
@@ -439,86 +677,322 @@ export class CubemapTilesAdapter extends CubemapAdapter {
    */
   __loadTile(tile, task) {
     const panorama = this.psv.config.panorama;
+    const level = this.prop.levels[tile.level];
 
     let { col, row } = tile;
     if (this.config.flipTopBottom && (tile.face === 2 || tile.face === 3)) {
-      col = panorama.nbTiles - col - 1;
-      row = panorama.nbTiles - row - 1;
+      col = level.nbTiles - col - 1;
+      row = level.nbTiles - row - 1;
     }
-    const url = panorama.tileUrl(CUBE_HASHMAP[tile.face], col, row);
+    const tilesConfig = this.__getTilesConfig(panorama);
+    const url = tilesConfig.tileUrl(CUBE_HASHMAP[tile.face], col, row, tile.level);
 
-    if (this.psv.config.requestHeaders && typeof this.psv.config.requestHeaders === 'function') {
-      this.loader.setRequestHeader(this.psv.config.requestHeaders(url));
-    }
-
-    return new Promise((resolve, reject) => {
-      this.loader.load(url, resolve, undefined, reject);
-    })
+    return loadTileImage(this.psv, url, task)
       .then((image) => {
         if (!task.isCancelled()) {
-          const material = new MeshBasicMaterial({ map: utils.createTexture(image) });
-          this.__swapMaterial(tile.face, tile.col, tile.row, material);
-          this.psv.needsUpdate();
+          const texture = utils.createTexture(image);
+          cropTileOverlap(texture, tilesConfig.overlap, col, row, level.nbTiles, level.nbTiles);
+
+          const material = new MeshBasicMaterial({ map: texture });
+          this.__fadeInTile(tile, material);
         }
       })
       .catch(() => {
         if (!task.isCancelled() && this.config.showErrorTile) {
           if (!this.prop.errorMaterial) {
-            this.prop.errorMaterial = buildErrorMaterial(this.prop.tileSize, this.prop.tileSize);
+            this.prop.errorMaterial = buildErrorMaterial(level.tileSize, level.tileSize);
           }
-          this.__swapMaterial(tile.face, tile.col, tile.row, this.prop.errorMaterial);
+          this.__swapMaterial(tile, this.prop.errorMaterial, true);
           this.psv.needsUpdate();
         }
       });
   }
 
+  /**
+   * @summary Progressively displays a loaded tile above the currently displayed texture
+   * @description A temporary mesh made of the faces of the tile is faded in,
+   * then the material is transferred to the main mesh. There is no fade in headless mode.
+   * @param {PSV.adapters.CubemapTilesAdapter.Tile} tile
+   * @param {external:THREE.MeshBasicMaterial} material
+   * @private
+   */
+  __fadeInTile(tile, material) {
+    const faces = this.__getTileFaces(tile, false);
+
+    if (!faces.length) {
+      material.map.dispose();
+      material.dispose();
+      return;
+    }
+
+    // the animations require requestAnimationFrame
+    if (this.psv.config.headless) {
+      this.__swapMaterial(tile, material, false);
+      this.__cacheTile(tile, material);
+      this.psv.needsUpdate();
+      return;
+    }
+
+    const verticesPosition = this.prop.geom.getAttribute(ATTR_POSITION);
+    const positions = new BufferAttribute(new Float32Array(faces.length * NB_VERTICES_BY_FACE * 3), 3);
+    const uvs = new BufferAttribute(new Float32Array(faces.length * NB_VERTICES_BY_FACE * 2), 2);
+
+    faces.forEach((face, i) => {
+      for (let v = 0; v < NB_VERTICES_BY_FACE; v++) {
+        positions.setXYZ(
+          i * NB_VERTICES_BY_FACE + v,
+          verticesPosition.getX(face.firstVertex + v),
+          verticesPosition.getY(face.firstVertex + v),
+          verticesPosition.getZ(face.firstVertex + v)
+        );
+      }
+      setFaceUvs(uvs, i * NB_VERTICES_BY_FACE, face);
+    });
+
+    const geometry = new BufferGeometry();
+    geometry.setAttribute(ATTR_POSITION, positions);
+    geometry.setAttribute(ATTR_UV, uvs);
+
+    material.transparent = true;
+    material.opacity = 0;
+
+    const parent = this.prop.mesh;
+    const fadeMesh = new Mesh(geometry, material);
+    parent.add(fadeMesh);
+
+    const animation = new utils.Animation({
+      properties: {
+        opacity: { start: 0, end: 1 },
+      },
+      duration  : TILE_FADE_DURATION,
+      onTick    : (properties) => {
+        material.opacity = properties.opacity;
+        this.psv.needsUpdate();
+      },
+    });
+
+    this.prop.fadeAnimations.add(animation);
+
+    animation.then((completed) => {
+      parent.remove(fadeMesh);
+      geometry.dispose();
+
+      if (completed) {
+        this.prop.fadeAnimations.delete(animation);
+
+        material.opacity = 1;
+        material.transparent = false;
+        this.__swapMaterial(tile, material, false);
+        this.__cacheTile(tile, material);
+        this.psv.needsUpdate();
+      }
+      else {
+        material.map.dispose();
+        material.dispose();
+      }
+    });
+  }
+
+  /**
+   * @summary Returns the faces of the mesh covered by a tile
+   * @description Faces already displaying a higher level are excluded,
+   * for the error material only faces without any loaded tile are returned.
+   * @param {PSV.adapters.CubemapTilesAdapter.Tile} tile
+   * @param {boolean} isError
+   * @returns {PSV.adapters.CubemapTilesAdapter.TileFace[]}
+   * @private
+   */
+  __getTileFaces(tile, isError) {
+    const level = this.prop.levels[tile.level];
+    const faces = [];
+
+    for (let c = 0; c < level.facesByTile; c++) {
+      for (let r = 0; r < level.facesByTile; r++) {
+        // position of the face (two triangles of the same square)
+        const faceCol = tile.col * level.facesByTile + c;
+        const faceRow = tile.row * level.facesByTile + r;
+        const index = tile.face * NB_GROUPS_BY_FACE + faceRow * CUBE_SEGMENTS + faceCol;
+
+        // keep the best level available
+        const keepFace = isError
+          ? this.prop.facesLevel[index] !== -1
+          : this.prop.facesLevel[index] >= tile.level;
+
+        if (!keepFace) {
+          // first vertex for this face (6 vertices in total)
+          const firstVertex = NB_VERTICES_BY_PLANE * tile.face + 6 * (CUBE_SEGMENTS * faceRow + faceCol);
+
+          // define new uvs
+          let top = 1 - r / level.facesByTile;
+          let bottom = 1 - (r + 1) / level.facesByTile;
+          let left = c / level.facesByTile;
+          let right = (c + 1) / level.facesByTile;
+
+          if (this.config.flipTopBottom && (tile.face === 2 || tile.face === 3)) {
+            top = 1 - top;
+            bottom = 1 - bottom;
+            left = 1 - left;
+            right = 1 - right;
+          }
+
+          faces.push({ index, firstVertex, top, bottom, left, right });
+        }
+      }
+    }
+
+    return faces;
+  }
+
   /**
    * @summary Applies a new texture to the faces
-   * @param {int} face
-   * @param {int} col
-   * @param {int} row
+   * @param {PSV.adapters.CubemapTilesAdapter.Tile} tile
    * @param {external:THREE.MeshBasicMaterial} material
+   * @param {boolean} isError
    * @private
    */
-  __swapMaterial(face, col, row, material) {
+  __swapMaterial(tile, material, isError) {
     const uvs = this.prop.geom.getAttribute(ATTR_UV);
+    const replacedMaterials = new Set();
 
-    for (let c = 0; c < this.prop.facesByTile; c++) {
-      for (let r = 0; r < this.prop.facesByTile; r++) {
-        // position of the face (two triangles of the same square)
-        const faceCol = col * this.prop.facesByTile + c;
-        const faceRow = row * this.prop.facesByTile + r;
-
-        // first vertex for this face (6 vertices in total)
-        const firstVertex = NB_VERTICES_BY_PLANE * face + 6 * (CUBE_SEGMENTS * faceRow + faceCol);
-
-        // swap material
-        const matIndex = this.prop.geom.groups.find(g => g.start === firstVertex).materialIndex;
-        this.prop.materials[matIndex] = material;
-
-        // define new uvs
-        let top = 1 - r / this.prop.facesByTile;
-        let bottom = 1 - (r + 1) / this.prop.facesByTile;
-        let left = c / this.prop.facesByTile;
-        let right = (c + 1) / this.prop.facesByTile;
-
-        if (this.config.flipTopBottom && (face === 2 || face === 3)) {
-          top = 1 - top;
-          bottom = 1 - bottom;
-          left = 1 - left;
-          right = 1 - right;
+    this.__getTileFaces(tile, isError).forEach((face) => {
+      // swap material
+      const matIndex = this.prop.geom.groups.find(g => g.start === face.firstVertex).materialIndex;
+      if (this.prop.facesLevel[face.index] !== -1) {
+        replacedMaterials.add(this.prop.materials[matIndex]);
+      }
+      this.prop.materials[matIndex] = material;
+      if (!isError) {
+        this.prop.facesLevel[face.index] = tile.level;
+      }
+
+      setFaceUvs(uvs, face.firstVertex, face);
+    });
+
+    uvs.needsUpdate = true;
+
+    // dispose tiles of lower levels which are not displayed anymore
+    replacedMaterials.forEach((mat) => {
+      if (!this.prop.materials.includes(mat)) {
+        const id = this.cache.deleteMaterial(mat);
+        if (id) {
+          delete this.prop.tiles[id];
         }
+        mat.map?.dispose();
+        mat.dispose();
+      }
+    });
+  }
+
+  /**
+   * @summary Returns the index of the mesh faces covered by a tile (also index of the materials)
+   * @param {PSV.adapters.CubemapTilesAdapter.Tile} tile
+   * @returns {int[]}
+   * @private
+   */
+  __getTileFacesIndex(tile) {
+    const level = this.prop.levels[tile.level];
+    const faces = [];
 
-        uvs.setXY(firstVertex, left, top);
-        uvs.setXY(firstVertex + 1, left, bottom);
-        uvs.setXY(firstVertex + 2, right, top);
-        uvs.setXY(firstVertex + 3, left, bottom);
-        uvs.setXY(firstVertex + 4, right, bottom);
-        uvs.setXY(firstVertex + 5, right, top);
+    for (let c = 0; c < level.facesByTile; c++) {
+      for (let r = 0; r < level.facesByTile; r++) {
+        faces.push(tile.face * NB_GROUPS_BY_FACE + (tile.row * level.facesByTile + r) * CUBE_SEGMENTS + tile.col * level.facesByTile + c);
       }
     }
 
+    return faces;
+  }
+
+  /**
+   * @summary Returns the materials displayed in the viewport
+   * @returns {Set<external:THREE.MeshBasicMaterial>}
+   * @private
+   */
+  __getVisibleMaterials() {
+    const materials = new Set();
+
+    this.prop.visibleTiles.forEach((tile) => {
+      this.__getTileFacesIndex(tile).forEach((index) => {
+        materials.add(this.prop.materials[index]);
+      });
+    });
+
+    return materials;
+  }
+
+  /**
+   * @summary Adds a loaded tile to the cache and evicts tiles if the budget is exceeded
+   * @param {PSV.adapters.CubemapTilesAdapter.Tile} tile
+   * @param {external:THREE.MeshBasicMaterial} material
+   * @private
+   */
+  __cacheTile(tile, material) {
+    if (!this.prop.materials.includes(material)) {
+      // all faces already display a higher level
+      material.map.dispose();
+      material.dispose();
+      return;
+    }
+
+    // center of the tile, between the top-left and bottom-right vertices
+    const level = this.prop.levels[tile.level];
+    const verticesPosition = this.prop.geom.getAttribute(ATTR_POSITION);
+    const v0 = tile.face * NB_VERTICES_BY_PLANE
+      + tile.row * level.facesByTile * CUBE_SEGMENTS * NB_VERTICES_BY_FACE
+      + tile.col * level.facesByTile * NB_VERTICES_BY_FACE;
+    const v2 = v0 + CUBE_SEGMENTS * NB_VERTICES_BY_FACE * (level.facesByTile - 1) + level.facesByTile * NB_VERTICES_BY_FACE - 2;
+
+    const position = new Vector3()
+      .fromBufferAttribute(verticesPosition, v0)
+      .add(vertexPosition.fromBufferAttribute(verticesPosition, v2))
+      .divideScalar(2);
+
+    this.cache.add(tileId(tile), tile, material, position);
+
+    this.cache.evict(
+      this.psv.prop.direction,
+      this.psv.renderer.meshContainer.rotation,
+      this.__getVisibleMaterials(),
+      (evictedMaterial, evictedTile) => this.__restoreBaseTexture(evictedTile, evictedMaterial)
+    );
+
+    this.__triggerCacheUpdated();
+  }
+
+  /**
+   * @summary Displays the base texture on the faces of an evicted tile and disposes its material
+   * @param {PSV.adapters.CubemapTilesAdapter.Tile} tile
+   * @param {external:THREE.MeshBasicMaterial} material
+   * @private
+   */
+  __restoreBaseTexture(tile, material) {
+    const uvs = this.prop.geom.getAttribute(ATTR_UV);
+    const originalUvs = this.prop.geom.getAttribute(ATTR_ORIGINAL_UV);
+
+    this.__getTileFacesIndex(tile).forEach((index) => {
+      if (this.prop.materials[index] === material) {
+        this.prop.materials[index] = this.prop.baseMaterials[tile.face];
+        this.prop.facesLevel[index] = -1;
+
+        const group = this.prop.geom.groups[index];
+        for (let v = group.start; v < group.start + group.count; v++) {
+          uvs.setXY(v, originalUvs.getX(v), originalUvs.getY(v));
+        }
+      }
+    });
+
     uvs.needsUpdate = true;
+
+    delete this.prop.tiles[tileId(tile)];
+
+    material.map.dispose();
+    material.dispose();
+  }
+
+  /**
+   * @private
+   */
+  __triggerCacheUpdated() {
+    this.psv.trigger(CONSTANTS.EVENTS.TILES_CACHE_STATS, this.cache.getStats());
   }
 
   /**
@@ -533,7 +1007,7 @@ export class CubemapTilesAdapter extends CubemapAdapter {
       utils.logWarn('Invalid base image, the width should equals the height');
     }
 
-    return createBaseTexture(img, this.config.baseBlur, w => w);
+    return createBaseTexture(img, this.config.baseBlur, w => w, this.psv.system);
   }
 
 }
@@ -1,6 +1,7 @@
-import { BoxGeometry, Mesh, ShaderMaterial, Vector2 } from 'three';
-import { CONSTANTS } from '../..';
+import { BoxGeometry, Mesh, ShaderMaterial, Vector2, Vector4 } from 'three';
+import { AbstractAdapter, CONSTANTS, PSVError } from '../..';
 import { AbstractVideoAdapter } from '../shared/AbstractVideoAdapter';
+import { getFaceCells, getFaceLayout, getFaceUvs } from '../shared/cubemap-layout';
 
 /**
  * @typedef {Object} PSV.adapters.CubemapVideoAdapter.Video
@@ -13,6 +14,9 @@ import { AbstractVideoAdapter } from '../shared/AbstractVideoAdapter';
  * @property {boolean} [autoplay=false] - automatically start the video
  * @property {boolean} [muted=autoplay] - initially mute the video
  * @property {number} [equiangular=true] - if the video is an equiangular cubemap (EAC)
+ * @property {PSV.adapters.CubemapFaceLayout} [faceLayout] - position of the faces in the video,
+ *   without `padding` one pixel is ignored at the top and the bottom of each face
+ * @property {'top-bottom'|'left-right'} [stereoLayout] - layout of stereoscopic videos, the left eye is displayed outside of the stereo view
  */
 
 
@@ -32,8 +36,31 @@ export class CubemapVideoAdapter extends AbstractVideoAdapter {
   constructor(psv, options) {
     super(psv, {
       equiangular: true,
+      faceLayout : null,
       ...options,
     });
+
+    /**
+     * @member {PSV.adapters.CubemapFaceLayout}
+     * @private
+     */
+    this.faceLayout = null;
+    try {
+      this.faceLayout = getFaceLayout(this.config.faceLayout);
+    }
+    catch (e) {
+      throw new PSVError(`CubemapVideoAdapter: ${e.message}`);
+    }
+
+    /**
+     * @summary Number of pixels ignored on each side of the faces, horizontally and vertically
+     * @description Without explicit `padding`, only one pixel is ignored at the top and the bottom of each face
+     * @member {external:THREE.Vector2}
+     * @private
+     */
+    this.padding = typeof this.config.faceLayout?.padding === 'number'
+      ? new Vector2(this.faceLayout.padding, this.faceLayout.padding)
+      : new Vector2(0, 1);
   }
 
   /**
@@ -58,89 +85,20 @@ export class CubemapVideoAdapter extends AbstractVideoAdapter {
 
     const uvs = geometry.getAttribute('uv');
 
-    /*
-      Structure of a frame
-
-      1 +---------+---------+---------+
-        |         |         |         |
-        |  Left   |  Front  |  Right  |
-        |         |         |         |
-    1/2 +---------+---------+---------+
-        |         |         |         |
-        | Bottom  |  Back   |   Top   |
-        |         |         |         |
-      0 +---------+---------+---------+
-        0        1/3       2/3        1
-
-       Bottom, Back and Top are rotated 90° clockwise
-     */
-
-    // columns
-    const a = 0;
-    const b = 1 / 3;
-    const c = 2 / 3;
-    const d = 1;
-
-    // lines
-    const A = 1;
-    const B = 1 / 2;
-    const C = 0;
-
-    // left
-    uvs.setXY(0, a, A);
-    uvs.setXY(1, a, B);
-    uvs.setXY(2, b, A);
-    uvs.setXY(3, a, B);
-    uvs.setXY(4, b, B);
-    uvs.setXY(5, b, A);
-
-    // right
-    uvs.setXY(6, c, A);
-    uvs.setXY(7, c, B);
-    uvs.setXY(8, d, A);
-    uvs.setXY(9, c, B);
-    uvs.setXY(10, d, B);
-    uvs.setXY(11, d, A);
-
-    // top
-    uvs.setXY(12, d, B);
-    uvs.setXY(13, c, B);
-    uvs.setXY(14, d, C);
-    uvs.setXY(15, c, B);
-    uvs.setXY(16, c, C);
-    uvs.setXY(17, d, C);
-
-    // bottom
-    uvs.setXY(18, b, B);
-    uvs.setXY(19, a, B);
-    uvs.setXY(20, b, C);
-    uvs.setXY(21, a, B);
-    uvs.setXY(22, a, C);
-    uvs.setXY(23, b, C);
-
-    // back
-    uvs.setXY(24, c, B);
-    uvs.setXY(25, b, B);
-    uvs.setXY(26, c, C);
-    uvs.setXY(27, b, B);
-    uvs.setXY(28, b, C);
-    uvs.setXY(29, c, C);
-
-    // front
-    uvs.setXY(30, b, A);
-    uvs.setXY(31, b, B);
-    uvs.setXY(32, c, A);
-    uvs.setXY(33, b, B);
-    uvs.setXY(34, c, B);
-    uvs.setXY(35, c, A);
+    getFaceCells(this.faceLayout).forEach((cell, i) => {
+      getFaceUvs(this.faceLayout, cell).forEach(([u, v], j) => {
+        uvs.setXY(i * 6 + j, u, v);
+      });
+    });
 
     // shamelessly copied from https://github.com/videojs/videojs-vr
     const material = new ShaderMaterial({
       uniforms      : {
-        mapped     : { value: null },
-        contCorrect: { value: 1 },
-        faceWH     : { value: new Vector2(1 / 3, 1 / 2) },
-        vidWH      : { value: new Vector2(1, 1) },
+        mapped  : { value: null },
+        padding : { value: this.padding },
+        faceWH  : { value: new Vector2(1 / this.faceLayout.cols, 1 / this.faceLayout.rows) },
+        vidWH   : { value: new Vector2(1, 1) },
+        stereoUv: { value: new Vector4(0, 0, 1, 1) },
       },
       vertexShader  : `
 varying vec2 vUv;
@@ -153,21 +111,30 @@ varying vec2 vUv;
 uniform sampler2D mapped;
 uniform vec2 faceWH;
 uniform vec2 vidWH;
-uniform float contCorrect;
+uniform vec2 padding;
+uniform vec4 stereoUv;
 
 const float PI = 3.1415926535897932384626433832795;
 
 void main() {
-  vec2 corner = vUv - mod(vUv, faceWH) + vec2(0, contCorrect / vidWH.y);
-  vec2 faceWHadj = faceWH - vec2(0, contCorrect * 2. / vidWH.y);
+  vec2 corner = vUv - mod(vUv, faceWH) + padding / vidWH;
+  vec2 faceWHadj = faceWH - padding * 2. / vidWH;
   vec2 p = (vUv - corner) / faceWHadj - .5;
   vec2 q = ${this.config.equiangular ? '2. / PI * atan(2. * p) + .5' : 'p + .5'};
   vec2 eUv = corner + q * faceWHadj;
-  gl_FragColor = texture2D(mapped, eUv);
+  gl_FragColor = texture2D(mapped, stereoUv.xy + eUv * stereoUv.zw);
 }`,
     });
 
-    return new Mesh(geometry, material);
+    const mesh = new Mesh(geometry, material);
+
+    if (this.config.stereoLayout) {
+      AbstractAdapter.bindStereoLayout(mesh, this.config.stereoLayout, (transform) => {
+        material.uniforms.stereoUv.value.copy(transform);
+      });
+    }
+
+    return mesh;
   }
 
   /**
@@ -178,7 +145,10 @@ void main() {
 
     mesh.material.uniforms.mapped.value?.dispose();
     mesh.material.uniforms.mapped.value = texture;
-    mesh.material.uniforms.vidWH.value.set(texture.image.videoWidth, texture.image.videoHeight);
+    mesh.material.uniforms.vidWH.value.set(
+      texture.image.videoWidth / this.stereoGrid.cols,
+      texture.image.videoHeight / this.stereoGrid.rows
+    );
 
     this.__switchVideo(textureData.texture);
   }
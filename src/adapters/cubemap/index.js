@@ -1,5 +1,6 @@
 import { BoxGeometry, Mesh, Texture } from 'three';
-import { AbstractAdapter, CONSTANTS, PSVError, SYSTEM, utils } from '../..';
+import { AbstractAdapter, CONSTANTS, PSVError, utils } from '../..';
+import { getFaceCells, getFaceLayout } from '../shared/cubemap-layout';
 
 
 /**
@@ -16,6 +17,8 @@ import { AbstractAdapter, CONSTANTS, PSVError, SYSTEM, utils } from '../..';
 /**
  * @typedef {Object} PSV.adapters.CubemapAdapter.Options
  * @property {boolean} [flipTopBottom=false] - set to true if the top and bottom faces are not correctly oriented
+ * @property {'top-bottom'|'left-right'} [stereoLayout] - layout of stereoscopic faces, the left eye is displayed outside of the stereo view
+ * @property {PSV.adapters.CubemapFaceLayout} [faceLayout] - position of the faces when the cubemap is a single image
  */
 
 
@@ -49,8 +52,28 @@ export class CubemapAdapter extends AbstractAdapter {
      */
     this.config = {
       flipTopBottom: false,
+      stereoLayout : null,
+      faceLayout   : null,
       ...options,
     };
+
+    /**
+     * @member {PSV.adapters.CubemapFaceLayout}
+     * @private
+     */
+    this.faceLayout = null;
+    try {
+      this.faceLayout = getFaceLayout(this.config.faceLayout);
+    }
+    catch (e) {
+      throw new PSVError(`CubemapAdapter: ${e.message}`);
+    }
+
+    /**
+     * @member {{cols: number, rows: number}}
+     * @private
+     */
+    this.stereoGrid = AbstractAdapter.getStereoGrid(this.config.stereoLayout);
   }
 
   /**
@@ -69,13 +92,17 @@ export class CubemapAdapter extends AbstractAdapter {
 
   /**
    * @override
-   * @param {string[] | PSV.adapters.CubemapAdapter.Cubemap} panorama
+   * @param {string | string[] | PSV.adapters.CubemapAdapter.Cubemap} panorama - a single image uses the `faceLayout` option
    * @returns {Promise.<PSV.TextureData>}
    */
   loadTexture(panorama) {
     const cleanPanorama = [];
 
-    if (Array.isArray(panorama)) {
+    if (typeof panorama === 'string') {
+      return this.psv.textureLoader.loadImage(panorama, p => this.psv.loader?.setProgress(p))
+        .then(img => ({ panorama: panorama, texture: this.__splitCubemapImage(img) }));
+    }
+    else if (Array.isArray(panorama)) {
       if (panorama.length !== 6) {
         return Promise.reject(new PSVError('Must provide exactly 6 image paths when using cubemap.'));
       }
@@ -110,7 +137,7 @@ export class CubemapAdapter extends AbstractAdapter {
       promises.push(
         this.psv.textureLoader.loadImage(cleanPanorama[i], (p) => {
           progress[i] = p;
-          this.psv.loader.setProgress(utils.sum(progress) / 6);
+          this.psv.loader?.setProgress(utils.sum(progress) / 6);
         })
           .then(img => this.__createCubemapTexture(img))
       );
@@ -127,13 +154,13 @@ export class CubemapAdapter extends AbstractAdapter {
    * @private
    */
   __createCubemapTexture(img) {
-    if (img.width !== img.height) {
+    if (img.width / this.stereoGrid.cols !== img.height / this.stereoGrid.rows) {
       utils.logWarn('Invalid base image, the width equal the height');
     }
 
     // resize image
-    if (img.width > SYSTEM.maxTextureWidth) {
-      const ratio = SYSTEM.getMaxCanvasWidth() / img.width;
+    if (img.width > this.psv.system.maxTextureWidth) {
+      const ratio = this.psv.system.getMaxCanvasWidth() / img.width;
 
       const buffer = document.createElement('canvas');
       buffer.width = img.width * ratio;
@@ -148,6 +175,54 @@ export class CubemapAdapter extends AbstractAdapter {
     return utils.createTexture(img);
   }
 
+  /**
+   * @summary Extracts the six faces of a single image, according to the `faceLayout` option
+   * @description Faces are rotated back to their natural orientation. For stereoscopic images, each eye
+   * contains the whole layout and the eyes of each face are kept side by side.
+   * @param {HTMLImageElement} img
+   * @returns {external:THREE.Texture[]}
+   * @private
+   */
+  __splitCubemapImage(img) {
+    const { cols, rows, padding } = this.faceLayout;
+    const stereo = this.stereoGrid;
+
+    const eyeWidth = img.width / stereo.cols;
+    const eyeHeight = img.height / stereo.rows;
+    const cellWidth = eyeWidth / cols;
+    const cellHeight = eyeHeight / rows;
+
+    if (cellWidth !== cellHeight) {
+      utils.logWarn('Invalid cubemap image, the faces must be square');
+    }
+
+    const faceSize = Math.min(cellWidth - 2 * padding, this.psv.system.maxTextureWidth / stereo.cols);
+
+    return getFaceCells(this.faceLayout).map((cell) => {
+      const buffer = document.createElement('canvas');
+      buffer.width = faceSize * stereo.cols;
+      buffer.height = faceSize * stereo.rows;
+
+      const ctx = buffer.getContext('2d');
+
+      for (let eyeCol = 0; eyeCol < stereo.cols; eyeCol++) {
+        for (let eyeRow = 0; eyeRow < stereo.rows; eyeRow++) {
+          ctx.save();
+          ctx.translate((eyeCol + 0.5) * faceSize, (eyeRow + 0.5) * faceSize);
+          ctx.rotate(-cell.rotation * Math.PI / 2);
+          ctx.drawImage(img,
+            eyeCol * eyeWidth + cell.col * cellWidth + padding, eyeRow * eyeHeight + cell.row * cellHeight + padding,
+            cellWidth - 2 * padding, cellHeight - 2 * padding,
+            -faceSize / 2, -faceSize / 2,
+            faceSize, faceSize);
+          ctx.restore();
+        }
+      }
+
+      return utils.createTexture(buffer);
+    });
+  }
+
   /**
    * @override
    */
@@ -166,10 +241,12 @@ export class CubemapAdapter extends AbstractAdapter {
 uniform float rotation;
 
 varying vec2 vUv;
+varying vec3 vWorldPosition;
 
 const float mid = 0.5;
 
 void main() {
+  vWorldPosition = ( modelMatrix * vec4( position, 1.0 ) ).xyz;
   if (rotation == 0.0) {
     vUv = uv;
   } else {
@@ -183,7 +260,17 @@ void main() {
       }));
     }
 
-    return new Mesh(geometry, materials);
+    const mesh = new Mesh(geometry, materials);
+
+    if (this.config.stereoLayout) {
+      AbstractAdapter.bindStereoLayout(mesh, this.config.stereoLayout, (transform) => {
+        materials.forEach((material) => {
+          material.uniforms[AbstractAdapter.OVERLAY_UNIFORMS.panoramaUv].value.copy(transform);
+        });
+      });
+    }
+
+    return mesh;
   }
 
   /**
@@ -199,22 +286,14 @@ void main() {
 
       this.__setUniform(mesh, i, AbstractAdapter.OVERLAY_UNIFORMS.panorama, texture[i]);
     }
-
-    this.setOverlay(mesh, null);
   }
 
   /**
    * @override
    */
-  setOverlay(mesh, textureData, opacity) {
+  setOverlays(mesh, overlays) {
     for (let i = 0; i < 6; i++) {
-      this.__setUniform(mesh, i, AbstractAdapter.OVERLAY_UNIFORMS.overlayOpacity, opacity);
-      if (!textureData) {
-        this.__setUniform(mesh, i, AbstractAdapter.OVERLAY_UNIFORMS.overlay, new Texture());
-      }
-      else {
-        this.__setUniform(mesh, i, AbstractAdapter.OVERLAY_UNIFORMS.overlay, textureData.texture[i]);
-      }
+      AbstractAdapter.setOverlayUniforms(mesh.material[i], overlays, textureData => textureData.texture[i]);
     }
   }
 
@@ -0,0 +1,165 @@
+import { CylinderGeometry, MathUtils } from 'three';
+import { CONSTANTS, EquirectangularAdapter, PSVError, utils } from '../..';
+
+
+/**
+ * @typedef {Object} PSV.adapters.CylindricalAdapter.Options
+ * @property {number} [resolution=64] - number of faces of the cylinder geometry, higher values may decrease performances
+ * @property {number} [hFov=360] - horizontal field of view of the panorama in degrees
+ * @property {number} [vFov] - vertical field of view of the panorama in degrees, computed from the size of the image by default
+ * @property {'top-bottom'|'left-right'} [stereoLayout] - layout of stereoscopic panoramas
+ */
+
+
+/**
+ * @summary Adapter for cylindrical panoramas, as produced by the panorama mode of phones
+ * @description The panorama is described by an equivalent cropped equirectangular `panoData`,
+ * which allows the {@link PSV.plugins.VisibleRangePlugin} to compute the visible latitudes.
+ * @memberof PSV.adapters
+ * @extends PSV.adapters.EquirectangularAdapter
+ */
+export class CylindricalAdapter extends EquirectangularAdapter {
+
+  static id = 'cylindrical';
+
+  /**
+   * @param {PSV.Viewer} psv
+   * @param {PSV.adapters.CylindricalAdapter.Options} options
+   */
+  constructor(psv, options) {
+    super(psv, {
+      hFov: 360,
+      vFov: null,
+      ...options,
+    });
+
+    if (this.config.hFov <= 0 || this.config.hFov > 360) {
+      throw new PSVError('CylindricalAdapter hFov must be between 0 and 360 degrees');
+    }
+    if (this.config.vFov !== null && (this.config.vFov <= 0 || this.config.vFov >= 180)) {
+      throw new PSVError('CylindricalAdapter vFov must be between 0 and 180 degrees');
+    }
+  }
+
+  /**
+   * @override
+   * @param {string} panorama
+   * @param {PSV.PanoData | PSV.PanoDataProvider} [newPanoData]
+   * @returns {Promise.<PSV.TextureData>}
+   */
+  loadTexture(panorama, newPanoData) {
+    if (typeof panorama !== 'string') {
+      return Promise.reject(new PSVError('Invalid panorama url, are you using the right adapter?'));
+    }
+
+    return this.psv.textureLoader.loadImage(panorama, p => this.psv.loader?.setProgress(p))
+      .then((img) => {
+        if (typeof newPanoData === 'function') {
+          newPanoData = newPanoData(img);
+        }
+
+        // the panoData describes the image of one eye
+        const width = img.width / this.stereoGrid.cols;
+        const height = img.height / this.stereoGrid.rows;
+
+        const hFov = MathUtils.degToRad(this.config.hFov);
+        // with square pixels the radius of the cylinder is width / hFov
+        const vFov = this.config.vFov
+          ? MathUtils.degToRad(this.config.vFov)
+          : 2 * Math.atan(height * hFov / width / 2);
+
+        const fullWidth = width * 2 * Math.PI / hFov;
+        const fullHeight = fullWidth / 2;
+        const croppedHeight = fullHeight * vFov / Math.PI;
+
+        const panoData = {
+          fullWidth    : fullWidth,
+          fullHeight   : fullHeight,
+          croppedWidth : width,
+          croppedHeight: croppedHeight,
+          croppedX     : (fullWidth - width) / 2,
+          croppedY     : (fullHeight - croppedHeight) / 2,
+          poseHeading  : utils.firstNonNull(newPanoData?.poseHeading, 0),
+          posePitch    : utils.firstNonNull(newPanoData?.posePitch, 0),
+          poseRoll     : utils.firstNonNull(newPanoData?.poseRoll, 0),
+        };
+
+        const texture = this.__createCylindricalTexture(img);
+
+        return { panorama, texture, panoData };
+      });
+  }
+
+  /**
+   * @summary Creates the texture, reduced if too large for the GPU
+   * @param {HTMLImageElement} img
+   * @returns {external:THREE.Texture}
+   * @private
+   */
+  __createCylindricalTexture(img) {
+    if (img.width > this.psv.system.maxTextureWidth) {
+      const ratio = this.psv.system.getMaxCanvasWidth() / img.width;
+
+      const buffer = document.createElement('canvas');
+      buffer.width = img.width * ratio;
+      buffer.height = img.height * ratio;
+
+      const ctx = buffer.getContext('2d');
+      ctx.drawImage(img, 0, 0, buffer.width, buffer.height);
+
+      return utils.createTexture(buffer);
+    }
+
+    return utils.createTexture(img);
+  }
+
+  /**
+   * @override
+   */
+  createMesh(scale = 1) {
+    const mesh = super.createMesh(scale);
+
+    // the actual size of the cylinder is known with the texture
+    mesh.geometry.dispose();
+    mesh.geometry = this.__createGeometry(scale, 2 * Math.PI, Math.PI / 2);
+
+    return mesh;
+  }
+
+  /**
+   * @override
+   */
+  setTexture(mesh, textureData) {
+    const { panoData } = textureData;
+    const { parameters } = mesh.geometry;
+
+    const scale = Math.hypot(parameters.radiusTop, parameters.height / 2) / CONSTANTS.SPHERE_RADIUS;
+    const hFov = panoData.croppedWidth / panoData.fullWidth * 2 * Math.PI;
+    const vFov = panoData.croppedHeight / panoData.fullHeight * Math.PI;
+
+    mesh.geometry.dispose();
+    mesh.geometry = this.__createGeometry(scale, hFov, vFov);
+
+    super.setTexture(mesh, textureData);
+  }
+
+  /**
+   * @summary Creates an open cylinder centered on longitude=0
+   * @description The edges of the cylinder are placed on the sphere of radius `SPHERE_RADIUS * scale`
+   * to stay in the range of the camera.
+   * @param {number} scale
+   * @param {number} hFov - horizontal field of view in radians
+   * @param {number} vFov - vertical field of view in radians
+   * @returns {external:THREE.CylinderGeometry}
+   * @private
+   */
+  __createGeometry(scale, hFov, vFov) {
+    const radius = CONSTANTS.SPHERE_RADIUS * scale * Math.cos(vFov / 2);
+    const height = 2 * CONSTANTS.SPHERE_RADIUS * scale * Math.sin(vFov / 2);
+    const segments = Math.max(1, Math.round(this.SPHERE_SEGMENTS * hFov / (2 * Math.PI)));
+
+    return new CylinderGeometry(radius, radius, height, segments, 1, true, -hFov / 2, hFov)
+      .scale(-1, 1, 1);
+  }
+
+}
@@ -0,0 +1,78 @@
+import { AbstractVideoAdapter } from '../shared/AbstractVideoAdapter';
+import { createDualFisheyeMesh, getDualFisheyeConfig, setDualFisheyeTexture } from '../shared/dual-fisheye-utils';
+
+/**
+ * @typedef {Object} PSV.adapters.DualFisheyeVideoAdapter.Video
+ * @summary Object defining a video
+ * @property {string} source
+ */
+
+/**
+ * @typedef {PSV.adapters.DualFisheyeOptions} PSV.adapters.DualFisheyeVideoAdapter.Options
+ * @property {boolean} [autoplay=false] - automatically start the video
+ * @property {boolean} [muted=autoplay] - initially mute the video
+ */
+
+
+/**
+ * @summary Adapter for dual fisheye videos, as produced by consumer 360 cameras
+ * @memberof PSV.adapters
+ * @extends PSV.adapters.AbstractAdapter
+ */
+export class DualFisheyeVideoAdapter extends AbstractVideoAdapter {
+
+  static id = 'dual-fisheye-video';
+
+  /**
+   * @param {PSV.Viewer} psv
+   * @param {PSV.adapters.DualFisheyeVideoAdapter.Options} options
+   */
+  constructor(psv, options) {
+    super(psv, getDualFisheyeConfig('DualFisheyeVideoAdapter', options));
+  }
+
+  /**
+   * @override
+   * @param {PSV.adapters.DualFisheyeVideoAdapter.Video} panorama
+   * @returns {Promise.<PSV.TextureData>}
+   */
+  loadTexture(panorama) {
+    return super.loadTexture(panorama)
+      .then(({ texture }) => {
+        const video = texture.image;
+        // the panorama is described as the equivalent equirectangular video
+        const panoData = {
+          fullWidth    : video.videoWidth,
+          fullHeight   : video.videoWidth / 2,
+          croppedWidth : video.videoWidth,
+          croppedHeight: video.videoWidth / 2,
+          croppedX     : 0,
+          croppedY     : 0,
+          poseHeading  : 0,
+          posePitch    : 0,
+          poseRoll     : 0,
+        };
+
+        return { panorama, texture, panoData };
+      });
+  }
+
+  /**
+   * @override
+   */
+  createMesh(scale = 1) {
+    return createDualFisheyeMesh(this.config, scale);
+  }
+
+  /**
+   * @override
+   */
+  setTexture(mesh, textureData) {
+    const { texture } = textureData;
+
+    setDualFisheyeTexture(mesh, texture, texture.image.videoWidth, texture.image.videoHeight);
+
+    this.__switchVideo(texture);
+  }
+
+}
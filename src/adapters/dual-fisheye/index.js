@@ -0,0 +1,114 @@
+import { AbstractAdapter, PSVError, utils } from '../..';
+import { createDualFisheyeMesh, createDualFisheyeTexture, getDualFisheyeConfig, setDualFisheyeTexture } from '../shared/dual-fisheye-utils';
+
+
+/**
+ * @typedef {PSV.adapters.DualFisheyeOptions} PSV.adapters.DualFisheyeAdapter.Options
+ */
+
+
+/**
+ * @summary Adapter for dual fisheye panoramas, as produced by consumer 360 cameras
+ * @memberof PSV.adapters
+ * @extends PSV.adapters.AbstractAdapter
+ */
+export class DualFisheyeAdapter extends AbstractAdapter {
+
+  static id = 'dual-fisheye';
+  static supportsDownload = true;
+
+  /**
+   * @param {PSV.Viewer} psv
+   * @param {PSV.adapters.DualFisheyeAdapter.Options} options
+   */
+  constructor(psv, options) {
+    super(psv);
+
+    /**
+     * @member {PSV.adapters.DualFisheyeAdapter.Options}
+     * @private
+     */
+    this.config = getDualFisheyeConfig('DualFisheyeAdapter', options);
+  }
+
+  /**
+   * @override
+   */
+  supportsTransition() {
+    return true;
+  }
+
+  /**
+   * @override
+   */
+  supportsPreload() {
+    return true;
+  }
+
+  /**
+   * @override
+   * @param {string} panorama
+   * @param {PSV.PanoData | PSV.PanoDataProvider} [newPanoData]
+   * @returns {Promise.<PSV.TextureData>}
+   */
+  loadTexture(panorama, newPanoData) {
+    if (typeof panorama !== 'string') {
+      return Promise.reject(new PSVError('Invalid panorama url, are you using the right adapter?'));
+    }
+
+    return this.psv.textureLoader.loadImage(panorama, p => this.psv.loader?.setProgress(p))
+      .then((img) => {
+        if (typeof newPanoData === 'function') {
+          newPanoData = newPanoData(img);
+        }
+
+        // the panorama is described as the equivalent equirectangular image
+        const panoData = {
+          fullWidth    : img.width,
+          fullHeight   : img.width / 2,
+          croppedWidth : img.width,
+          croppedHeight: img.width / 2,
+          croppedX     : 0,
+          croppedY     : 0,
+          poseHeading  : utils.firstNonNull(newPanoData?.poseHeading, 0),
+          posePitch    : utils.firstNonNull(newPanoData?.posePitch, 0),
+          poseRoll     : utils.firstNonNull(newPanoData?.poseRoll, 0),
+        };
+
+        const texture = createDualFisheyeTexture(img, this.psv.system);
+
+        return { panorama, texture, panoData };
+      });
+  }
+
+  /**
+   * @override
+   */
+  createMesh(scale = 1) {
+    return createDualFisheyeMesh(this.config, scale);
+  }
+
+  /**
+   * @override
+   */
+  setTexture(mesh, textureData) {
+    const { image } = textureData.texture;
+    setDualFisheyeTexture(mesh, textureData.texture, image.width, image.height);
+  }
+
+  /**
+   * @override
+   */
+  setTextureOpacity(mesh, opacity) {
+    mesh.material.uniforms.globalOpacity.value = opacity;
+    mesh.material.transparent = opacity < 1;
+  }
+
+  /**
+   * @override
+   */
+  disposeTexture(textureData) {
+    textureData.texture?.dispose();
+  }
+
+}
@@ -1,8 +1,9 @@
-import { Frustum, ImageLoader, MathUtils, Matrix4, Mesh, MeshBasicMaterial, SphereGeometry, Vector3 } from 'three';
+import { MathUtils, Mesh, MeshBasicMaterial, SphereGeometry, Vector3 } from 'three';
 import { CONSTANTS, EquirectangularAdapter, PSVError, utils } from '../..';
 import { Queue } from '../shared/Queue';
 import { Task } from '../shared/Task';
-import { buildErrorMaterial, createBaseTexture } from '../shared/tiles-utils';
+import { TileCache } from '../shared/TileCache';
+import { buildErrorMaterial, createBaseTexture, cropTileOverlap, loadTileImage, loadTileSource } from '../shared/tiles-utils';
 
 
 /**
@@ -11,18 +12,38 @@ import { buildErrorMaterial, createBaseTexture } from '../shared/tiles-utils';
  * @memberOf PSV.adapters.EquirectangularTilesAdapter
  * @param {int} col
  * @param {int} row
+ * @param {int} level - index of the level in `levels` (always `0` if `levels` is not defined)
  * @returns {string}
  */
 
+/**
+ * @typedef {Object} PSV.adapters.EquirectangularTilesAdapter.Level
+ * @summary Configuration of a level of a multi-resolution panorama
+ * @property {int} width - complete panorama width at this level (height is always width/2)
+ * @property {int} cols - number of vertical tiles
+ * @property {int} rows - number of horizontal tiles
+ */
+
 /**
  * @typedef {Object} PSV.adapters.EquirectangularTilesAdapter.Panorama
  * @summary Configuration of a tiled panorama
  * @property {string} [baseUrl] - low resolution panorama loaded before tiles
  * @property {PSV.PanoData | PSV.PanoDataProvider} [basePanoData] - panoData configuration associated to low resolution panorama loaded before tiles
- * @property {int} width - complete panorama width (height is always width/2)
- * @property {int} cols - number of vertical tiles
- * @property {int} rows - number of horizontal tiles
- * @property {PSV.adapters.EquirectangularTilesAdapter.TileUrl} tileUrl - function to build a tile url
+ * @property {int} [width] - complete panorama width (height is always width/2), ignored if `levels` is defined
+ * @property {int} [cols] - number of vertical tiles, ignored if `levels` is defined
+ * @property {int} [rows] - number of horizontal tiles, ignored if `levels` is defined
+ * @property {PSV.adapters.EquirectangularTilesAdapter.Level[]} [levels] - multiple resolutions of the panorama, ordered by increasing width
+ * @property {PSV.adapters.EquirectangularTilesAdapter.TileUrl} [tileUrl] - function to build a tile url, required if `tileSource` is not defined
+ * @property {PSV.adapters.TileSourceConfig} [tileSource] - reads `levels` and `tileUrl` from a Deep Zoom, IIIF or Krpano descriptor
+ */
+
+/**
+ * @typedef {Object} PSV.adapters.EquirectangularTilesAdapter.TilesConfig
+ * @private
+ * @property {string} [baseUrl]
+ * @property {PSV.adapters.EquirectangularTilesAdapter.Level[]} levels
+ * @property {PSV.adapters.EquirectangularTilesAdapter.TileUrl} tileUrl
+ * @property {int} [overlap=0] - number of pixels each tile shares with its neighbours
  */
 
 /**
@@ -30,6 +51,8 @@ import { buildErrorMaterial, createBaseTexture } from '../shared/tiles-utils';
  * @property {number} [resolution=64] - number of faces of the sphere geometry, higher values may decrease performances
  * @property {boolean} [showErrorTile=true] - shows a warning sign on tiles that cannot be loaded
  * @property {boolean} [baseBlur=true] - applies a blur to the low resolution panorama
+ * @property {int} [cacheMaxTiles] - maximum number of tiles kept in memory, unlimited if not defined
+ * @property {int} [cacheMaxBytes=268435456] - maximum estimated GPU memory used by the tiles (256 MB)
  */
 
 /**
@@ -37,9 +60,23 @@ import { buildErrorMaterial, createBaseTexture } from '../shared/tiles-utils';
  * @private
  * @property {int} col
  * @property {int} row
+ * @property {int} level
  * @property {float} angle
  */
 
+/**
+ * @typedef {Object} PSV.adapters.EquirectangularTilesAdapter.LevelConfig
+ * @private
+ * @property {int} index - index of the level
+ * @property {int} width
+ * @property {int} cols
+ * @property {int} rows
+ * @property {int} colSize - size in pixels of a column
+ * @property {int} rowSize - size in pixels of a row
+ * @property {int} facesByCol - number of mesh faces by column
+ * @property {int} facesByRow - number of mesh faces by row
+ */
+
 /* the faces of the top and bottom rows are made of a single triangle (3 vertices)
  * all other faces are made of two triangles (6 vertices)
  * bellow is the indexing of each face vertices
@@ -77,11 +114,23 @@ const ATTR_ORIGINAL_UV = 'originaluv';
 const ATTR_POSITION = 'position';
 
 function tileId(tile) {
-  return `${tile.col}x${tile.row}`;
+  return `${tile.col}x${tile.row}x${tile.level}`;
+}
+
+/**
+ * @summary Returns the levels of a panorama, single level panoramas are converted to one level
+ * @param {PSV.adapters.EquirectangularTilesAdapter.Panorama} panorama
+ * @returns {PSV.adapters.EquirectangularTilesAdapter.Level[]}
+ */
+function getLevels(panorama) {
+  if (panorama.levels) {
+    return panorama.levels;
+  }
+  else {
+    return [{ width: panorama.width, cols: panorama.cols, rows: panorama.rows }];
+  }
 }
 
-const frustum = new Frustum();
-const projScreenMatrix = new Matrix4();
 const vertexPosition = new Vector3();
 
 
@@ -113,6 +162,8 @@ export class EquirectangularTilesAdapter extends EquirectangularAdapter {
       resolution   : 64,
       showErrorTile: true,
       baseBlur     : true,
+      cacheMaxTiles: null,
+      cacheMaxBytes: 256 * 1024 * 1024,
       ...options,
     };
 
@@ -134,41 +185,42 @@ export class EquirectangularTilesAdapter extends EquirectangularAdapter {
      */
     this.queue = new Queue();
 
+    /**
+     * @summary Tiles configuration of panoramas using a tile source
+     * @member {WeakMap<PSV.adapters.EquirectangularTilesAdapter.Panorama, PSV.adapters.EquirectangularTilesAdapter.TilesConfig>}
+     * @private
+     */
+    this.tileSources = new WeakMap();
+
+    /**
+     * @member {PSV.adapters.TileCache}
+     * @private
+     */
+    this.cache = new TileCache(this.config.cacheMaxTiles, this.config.cacheMaxBytes);
+
     /**
      * @type {Object}
-     * @property {int} colSize - size in pixels of a column
-     * @property {int} rowSize - size in pixels of a row
-     * @property {int} facesByCol - number of mesh faces by column
-     * @property {int} facesByRow - number of mesh faces by row
+     * @property {PSV.adapters.EquirectangularTilesAdapter.LevelConfig[]} levels - configuration of each level
+     * @property {int[]} facesLevel - level displayed by each mesh face (-1 for the base texture)
      * @property {Record<string, boolean>} tiles - loaded tiles
+     * @property {Map<string, PSV.adapters.EquirectangularTilesAdapter.Tile>} visibleTiles - tiles of the current level in the viewport
      * @property {external:THREE.SphereGeometry} geom
-     * @property {external:THREE.MeshBasicMaterial[]} materials
+     * @property {external:THREE.MeshBasicMaterial[]} materials - material of each mesh face
+     * @property {external:THREE.MeshBasicMaterial} baseMaterial
      * @property {external:THREE.MeshBasicMaterial} errorMaterial
      * @private
      */
     this.prop = {
-      colSize      : 0,
-      rowSize      : 0,
-      facesByCol   : 0,
-      facesByRow   : 0,
+      levels       : [],
+      facesLevel   : [],
       tiles        : {},
+      visibleTiles : new Map(),
       geom         : null,
       materials    : [],
+      baseMaterial : null,
       errorMaterial: null,
     };
 
-    /**
-     * @member {external:THREE.ImageLoader}
-     * @private
-     */
-    this.loader = new ImageLoader();
-    if (this.psv.config.withCredentials) {
-      this.loader.setWithCredentials(true);
-    }
-    if (this.psv.config.requestHeaders && typeof this.psv.config.requestHeaders === 'object') {
-      this.loader.setRequestHeader(this.psv.config.requestHeaders);
-    }
-
     this.psv.on(CONSTANTS.EVENTS.POSITION_UPDATED, this);
     this.psv.on(CONSTANTS.EVENTS.ZOOM_UPDATED, this);
   }
@@ -186,8 +238,10 @@ export class EquirectangularTilesAdapter extends EquirectangularAdapter {
     this.prop.errorMaterial?.dispose();
 
     delete this.queue;
-    delete this.loader;
+    delete this.cache;
+    delete this.tileSources;
     delete this.prop.geom;
+    delete this.prop.baseMaterial;
     delete this.prop.errorMaterial;
 
     super.destroy();
@@ -213,7 +267,10 @@ export class EquirectangularTilesAdapter extends EquirectangularAdapter {
    */
   __cleanup() {
     this.queue.clear();
+    this.cache.clear();
     this.prop.tiles = {};
+    this.prop.facesLevel = [];
+    this.prop.visibleTiles.clear();
 
     this.prop.materials.forEach((mat) => {
       mat?.map?.dispose();
@@ -226,14 +283,14 @@ export class EquirectangularTilesAdapter extends EquirectangularAdapter {
    * @override
    */
   supportsTransition(panorama) {
-    return !!panorama.baseUrl;
+    return !!this.__getTilesConfig(panorama).baseUrl;
   }
 
   /**
    * @override
    */
   supportsPreload(panorama) {
-    return !!panorama.baseUrl;
+    return !!this.__getTilesConfig(panorama).baseUrl;
   }
 
   /**
@@ -242,24 +299,49 @@ export class EquirectangularTilesAdapter extends EquirectangularAdapter {
    * @returns {Promise.<PSV.TextureData>}
    */
   loadTexture(panorama) {
-    if (typeof panorama !== 'object' || !panorama.width || !panorama.cols || !panorama.rows || !panorama.tileUrl) {
+    if (typeof panorama !== 'object' || (!panorama.tileUrl && !panorama.tileSource)) {
       return Promise.reject(new PSVError('Invalid panorama configuration, are you using the right adapter?'));
     }
-    if (panorama.cols > this.SPHERE_SEGMENTS) {
-      return Promise.reject(new PSVError(`Panorama cols must not be greater than ${this.SPHERE_SEGMENTS}.`));
+    if (panorama.tileSource && !this.tileSources.has(panorama)) {
+      return loadTileSource(this.psv, panorama.tileSource)
+        .then((source) => {
+          this.tileSources.set(panorama, this.__convertTileSource(panorama, source));
+          return this.loadTexture(panorama);
+        });
     }
-    if (panorama.rows > this.SPHERE_HORIZONTAL_SEGMENTS) {
-      return Promise.reject(new PSVError(`Panorama rows must not be greater than ${this.SPHERE_HORIZONTAL_SEGMENTS}.`));
+    if (panorama.levels && (!Array.isArray(panorama.levels) || !panorama.levels.length)) {
+      return Promise.reject(new PSVError('Panorama levels must be a non empty array.'));
     }
-    if (!MathUtils.isPowerOfTwo(panorama.cols) || !MathUtils.isPowerOfTwo(panorama.rows)) {
-      return Promise.reject(new PSVError('Panorama cols and rows must be powers of 2.'));
+
+    const { levels, baseUrl } = this.__getTilesConfig(panorama);
+
+    for (let i = 0; i < levels.length; i++) {
+      const level = levels[i];
+
+      if (!level.width || !level.cols || !level.rows) {
+        return Promise.reject(new PSVError('Invalid panorama configuration, are you using the right adapter?'));
+      }
+      if (level.cols > this.SPHERE_SEGMENTS) {
+        return Promise.reject(new PSVError(`Panorama cols must not be greater than ${this.SPHERE_SEGMENTS}.`));
+      }
+      if (level.rows > this.SPHERE_HORIZONTAL_SEGMENTS) {
+        return Promise.reject(new PSVError(`Panorama rows must not be greater than ${this.SPHERE_HORIZONTAL_SEGMENTS}.`));
+      }
+      if (!MathUtils.isPowerOfTwo(level.cols) || !MathUtils.isPowerOfTwo(level.rows)) {
+        return Promise.reject(new PSVError('Panorama cols and rows must be powers of 2.'));
+      }
+      if (i > 0 && level.width < levels[i - 1].width) {
+        return Promise.reject(new PSVError('Panorama levels must be ordered by increasing width.'));
+      }
     }
 
+    const width = levels[levels.length - 1].width;
+
     const panoData = {
-      fullWidth    : panorama.width,
-      fullHeight   : panorama.width / 2,
-      croppedWidth : panorama.width,
-      croppedHeight: panorama.width / 2,
+      fullWidth    : width,
+      fullHeight   : width / 2,
+      croppedWidth : width,
+      croppedHeight: width / 2,
       croppedX     : 0,
       croppedY     : 0,
       poseHeading  : 0,
@@ -267,8 +349,8 @@ export class EquirectangularTilesAdapter extends EquirectangularAdapter {
       poseRoll     : 0,
     };
 
-    if (panorama.baseUrl) {
-      return super.loadTexture(panorama.baseUrl, panorama.basePanoData)
+    if (baseUrl) {
+      return super.loadTexture(baseUrl, panorama.basePanoData)
         .then(textureData => ({
           panorama: panorama,
           texture : textureData.texture,
@@ -280,6 +362,53 @@ export class EquirectangularTilesAdapter extends EquirectangularAdapter {
     }
   }
 
+  /**
+   * @summary Returns the levels and the tiles url of a panorama
+   * @param {PSV.adapters.EquirectangularTilesAdapter.Panorama} panorama
+   * @returns {PSV.adapters.EquirectangularTilesAdapter.TilesConfig}
+   * @private
+   */
+  __getTilesConfig(panorama) {
+    return this.tileSources.get(panorama) || {
+      baseUrl: panorama.baseUrl,
+      levels : getLevels(panorama),
+      tileUrl: panorama.tileUrl,
+    };
+  }
+
+  /**
+   * @summary Keeps the levels of a tile source which can be displayed by the adapter
+   * @param {PSV.adapters.EquirectangularTilesAdapter.Panorama} panorama
+   * @param {PSV.adapters.TileSource} source
+   * @returns {PSV.adapters.EquirectangularTilesAdapter.TilesConfig}
+   * @throws {PSV.PSVError} when no level is compatible
+   * @private
+   */
+  __convertTileSource(panorama, source) {
+    const levels = source.levels
+      .map(level => ({
+        ...level,
+        cols: Math.ceil(level.width / level.tileWidth),
+        rows: Math.ceil(level.height / level.tileHeight),
+      }))
+      .filter(level => level.width === level.height * 2
+        && (level.cols === 1 || level.width % level.tileWidth === 0)
+        && (level.rows === 1 || level.height % level.tileHeight === 0)
+        && MathUtils.isPowerOfTwo(level.cols) && level.cols <= this.SPHERE_SEGMENTS
+        && MathUtils.isPowerOfTwo(level.rows) && level.rows <= this.SPHERE_HORIZONTAL_SEGMENTS);
+
+    if (!levels.length) {
+      throw new PSVError('The tile source does not provide any level compatible with EquirectangularTilesAdapter.');
+    }
+
+    return {
+      baseUrl: panorama.baseUrl || source.preview,
+      levels : levels.map(level => ({ width: level.width, cols: level.cols, rows: level.rows })),
+      tileUrl: (col, row, level) => levels[level].tileUrl(col, row),
+      overlap: source.overlap,
+    };
+  }
+
   /**
    * @override
    */
@@ -330,13 +459,21 @@ export class EquirectangularTilesAdapter extends EquirectangularAdapter {
     this.__setTexture(mesh, texture);
 
     this.prop.materials = mesh.material;
+    this.prop.baseMaterial = mesh.material[0];
     this.prop.geom = mesh.geometry;
     this.prop.geom.setAttribute(ATTR_UV, this.prop.geom.getAttribute(ATTR_ORIGINAL_UV).clone());
 
-    this.prop.colSize = panorama.width / panorama.cols;
-    this.prop.rowSize = panorama.width / 2 / panorama.rows;
-    this.prop.facesByCol = this.SPHERE_SEGMENTS / panorama.cols;
-    this.prop.facesByRow = this.SPHERE_HORIZONTAL_SEGMENTS / panorama.rows;
+    this.prop.levels = this.__getTilesConfig(panorama).levels.map((level, i) => ({
+      index     : i,
+      width     : level.width,
+      cols      : level.cols,
+      rows      : level.rows,
+      colSize   : level.width / level.cols,
+      rowSize   : level.width / 2 / level.rows,
+      facesByCol: this.SPHERE_SEGMENTS / level.cols,
+      facesByRow: this.SPHERE_HORIZONTAL_SEGMENTS / level.rows,
+    }));
+    this.prop.facesLevel = new Array(this.NB_GROUPS).fill(-1);
 
     // this.psv.renderer.scene.add(createWireFrame(this.prop.geom));
 
@@ -378,17 +515,16 @@ export class EquirectangularTilesAdapter extends EquirectangularAdapter {
       return;
     }
 
-    const camera = this.psv.renderer.camera;
-    camera.updateMatrixWorld();
-    projScreenMatrix.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
-    frustum.setFromProjectionMatrix(projScreenMatrix);
+    this.psv.renderer.camera.updateMatrixWorld();
 
-    const panorama = this.psv.config.panorama;
+    const level = this.__getLevel();
     const verticesPosition = this.prop.geom.getAttribute(ATTR_POSITION);
+    const visibleTiles = new Map();
     const tilesToLoad = [];
+    const { hits, misses } = this.cache;
 
-    for (let col = 0; col < panorama.cols; col++) {
-      for (let row = 0; row < panorama.rows; row++) {
+    for (let col = 0; col < level.cols; col++) {
+      for (let row = 0; row < level.rows; row++) {
         // for each tile, find the vertices corresponding to the four corners (three for first and last rows)
         // if at least one vertex is visible, the tile must be loaded
         // for larger tiles we also test the four edges centers and the tile center
@@ -397,72 +533,72 @@ export class EquirectangularTilesAdapter extends EquirectangularAdapter {
 
         if (row === 0) {
           // bottom-left
-          const v0 = this.prop.facesByRow === 1
-            ? col * this.prop.facesByCol * this.NB_VERTICES_BY_SMALL_FACE + 1
+          const v0 = level.facesByRow === 1
+            ? col * level.facesByCol * this.NB_VERTICES_BY_SMALL_FACE + 1
             : this.SPHERE_SEGMENTS * this.NB_VERTICES_BY_SMALL_FACE
-            + (this.prop.facesByRow - 2) * this.SPHERE_SEGMENTS * this.NB_VERTICES_BY_FACE
-            + col * this.prop.facesByCol * this.NB_VERTICES_BY_FACE + 4;
+            + (level.facesByRow - 2) * this.SPHERE_SEGMENTS * this.NB_VERTICES_BY_FACE
+            + col * level.facesByCol * this.NB_VERTICES_BY_FACE + 4;
 
           // bottom-right
-          const v1 = this.prop.facesByRow === 1
-            ? v0 + (this.prop.facesByCol - 1) * this.NB_VERTICES_BY_SMALL_FACE + 1
-            : v0 + (this.prop.facesByCol - 1) * this.NB_VERTICES_BY_FACE + 1;
+          const v1 = level.facesByRow === 1
+            ? v0 + (level.facesByCol - 1) * this.NB_VERTICES_BY_SMALL_FACE + 1
+            : v0 + (level.facesByCol - 1) * this.NB_VERTICES_BY_FACE + 1;
 
           // top (all vertices are equal)
           const v2 = 0;
 
           verticesIndex.push(v0, v1, v2);
 
-          if (this.prop.facesByCol >= this.SPHERE_SEGMENTS / 8) {
+          if (level.facesByCol >= this.SPHERE_SEGMENTS / 8) {
             // bottom-center
-            const v4 = v0 + this.prop.facesByCol / 2 * this.NB_VERTICES_BY_FACE;
+            const v4 = v0 + level.facesByCol / 2 * this.NB_VERTICES_BY_FACE;
 
             verticesIndex.push(v4);
           }
 
-          if (this.prop.facesByRow >= this.SPHERE_HORIZONTAL_SEGMENTS / 4) {
+          if (level.facesByRow >= this.SPHERE_HORIZONTAL_SEGMENTS / 4) {
             // left-center
-            const v6 = v0 - this.prop.facesByRow / 2 * this.SPHERE_SEGMENTS * this.NB_VERTICES_BY_FACE;
+            const v6 = v0 - level.facesByRow / 2 * this.SPHERE_SEGMENTS * this.NB_VERTICES_BY_FACE;
 
             // right-center
-            const v7 = v1 - this.prop.facesByRow / 2 * this.SPHERE_SEGMENTS * this.NB_VERTICES_BY_FACE;
+            const v7 = v1 - level.facesByRow / 2 * this.SPHERE_SEGMENTS * this.NB_VERTICES_BY_FACE;
 
             verticesIndex.push(v6, v7);
           }
         }
-        else if (row === panorama.rows - 1) {
+        else if (row === level.rows - 1) {
           // top-left
-          const v0 = this.prop.facesByRow === 1
+          const v0 = level.facesByRow === 1
             ? -this.SPHERE_SEGMENTS * this.NB_VERTICES_BY_SMALL_FACE
-            + row * this.prop.facesByRow * this.SPHERE_SEGMENTS * this.NB_VERTICES_BY_FACE
-            + col * this.prop.facesByCol * this.NB_VERTICES_BY_SMALL_FACE + 1
+            + row * level.facesByRow * this.SPHERE_SEGMENTS * this.NB_VERTICES_BY_FACE
+            + col * level.facesByCol * this.NB_VERTICES_BY_SMALL_FACE + 1
             : -this.SPHERE_SEGMENTS * this.NB_VERTICES_BY_SMALL_FACE
-            + row * this.prop.facesByRow * this.SPHERE_SEGMENTS * this.NB_VERTICES_BY_FACE
-            + col * this.prop.facesByCol * this.NB_VERTICES_BY_FACE + 1;
+            + row * level.facesByRow * this.SPHERE_SEGMENTS * this.NB_VERTICES_BY_FACE
+            + col * level.facesByCol * this.NB_VERTICES_BY_FACE + 1;
 
           // top-right
-          const v1 = this.prop.facesByRow === 1
-            ? v0 + (this.prop.facesByCol - 1) * this.NB_VERTICES_BY_SMALL_FACE - 1
-            : v0 + (this.prop.facesByCol - 1) * this.NB_VERTICES_BY_FACE - 1;
+          const v1 = level.facesByRow === 1
+            ? v0 + (level.facesByCol - 1) * this.NB_VERTICES_BY_SMALL_FACE - 1
+            : v0 + (level.facesByCol - 1) * this.NB_VERTICES_BY_FACE - 1;
 
           // bottom (all vertices are equal)
           const v2 = this.NB_VERTICES - 1;
 
           verticesIndex.push(v0, v1, v2);
 
-          if (this.prop.facesByCol >= this.SPHERE_SEGMENTS / 8) {
+          if (level.facesByCol >= this.SPHERE_SEGMENTS / 8) {
             // top-center
-            const v4 = v0 + this.prop.facesByCol / 2 * this.NB_VERTICES_BY_FACE;
+            const v4 = v0 + level.facesByCol / 2 * this.NB_VERTICES_BY_FACE;
 
             verticesIndex.push(v4);
           }
 
-          if (this.prop.facesByRow >= this.SPHERE_HORIZONTAL_SEGMENTS / 4) {
+          if (level.facesByRow >= this.SPHERE_HORIZONTAL_SEGMENTS / 4) {
             // left-center
-            const v6 = v0 + this.prop.facesByRow / 2 * this.SPHERE_SEGMENTS * this.NB_VERTICES_BY_FACE;
+            const v6 = v0 + level.facesByRow / 2 * this.SPHERE_SEGMENTS * this.NB_VERTICES_BY_FACE;
 
             // right-center
-            const v7 = v1 + this.prop.facesByRow / 2 * this.SPHERE_SEGMENTS * this.NB_VERTICES_BY_FACE;
+            const v7 = v1 + level.facesByRow / 2 * this.SPHERE_SEGMENTS * this.NB_VERTICES_BY_FACE;
 
             verticesIndex.push(v6, v7);
           }
@@ -470,42 +606,42 @@ export class EquirectangularTilesAdapter extends EquirectangularAdapter {
         else {
           // top-left
           const v0 = -this.SPHERE_SEGMENTS * this.NB_VERTICES_BY_SMALL_FACE
-            + row * this.prop.facesByRow * this.SPHERE_SEGMENTS * this.NB_VERTICES_BY_FACE
-            + col * this.prop.facesByCol * this.NB_VERTICES_BY_FACE + 1;
+            + row * level.facesByRow * this.SPHERE_SEGMENTS * this.NB_VERTICES_BY_FACE
+            + col * level.facesByCol * this.NB_VERTICES_BY_FACE + 1;
 
           // bottom-left
-          const v1 = v0 + (this.prop.facesByRow - 1) * this.SPHERE_SEGMENTS * this.NB_VERTICES_BY_FACE + 3;
+          const v1 = v0 + (level.facesByRow - 1) * this.SPHERE_SEGMENTS * this.NB_VERTICES_BY_FACE + 3;
 
           // bottom-right
-          const v2 = v1 + (this.prop.facesByCol - 1) * this.NB_VERTICES_BY_FACE + 1;
+          const v2 = v1 + (level.facesByCol - 1) * this.NB_VERTICES_BY_FACE + 1;
 
           // top-right
-          const v3 = v0 + (this.prop.facesByCol - 1) * this.NB_VERTICES_BY_FACE - 1;
+          const v3 = v0 + (level.facesByCol - 1) * this.NB_VERTICES_BY_FACE - 1;
 
           verticesIndex.push(v0, v1, v2, v3);
 
-          if (this.prop.facesByCol >= this.SPHERE_SEGMENTS / 8) {
+          if (level.facesByCol >= this.SPHERE_SEGMENTS / 8) {
             // top-center
-            const v4 = v0 + this.prop.facesByCol / 2 * this.NB_VERTICES_BY_FACE;
+            const v4 = v0 + level.facesByCol / 2 * this.NB_VERTICES_BY_FACE;
 
             // bottom-center
-            const v5 = v1 + this.prop.facesByCol / 2 * this.NB_VERTICES_BY_FACE;
+            const v5 = v1 + level.facesByCol / 2 * this.NB_VERTICES_BY_FACE;
 
             verticesIndex.push(v4, v5);
           }
 
-          if (this.prop.facesByRow >= this.SPHERE_HORIZONTAL_SEGMENTS / 4) {
+          if (level.facesByRow >= this.SPHERE_HORIZONTAL_SEGMENTS / 4) {
             // left-center
-            const v6 = v0 + this.prop.facesByRow / 2 * this.SPHERE_SEGMENTS * this.NB_VERTICES_BY_FACE;
+            const v6 = v0 + level.facesByRow / 2 * this.SPHERE_SEGMENTS * this.NB_VERTICES_BY_FACE;
 
             // right-center
-            const v7 = v3 + this.prop.facesByRow / 2 * this.SPHERE_SEGMENTS * this.NB_VERTICES_BY_FACE;
+            const v7 = v3 + level.facesByRow / 2 * this.SPHERE_SEGMENTS * this.NB_VERTICES_BY_FACE;
 
             verticesIndex.push(v6, v7);
 
-            if (this.prop.facesByCol >= this.SPHERE_SEGMENTS / 8) {
+            if (level.facesByCol >= this.SPHERE_SEGMENTS / 8) {
               // center-center
-              const v8 = v6 + this.prop.facesByCol / 2 * this.NB_VERTICES_BY_FACE;
+              const v8 = v6 + level.facesByCol / 2 * this.NB_VERTICES_BY_FACE;
 
               verticesIndex.push(v8);
             }
@@ -529,20 +665,90 @@ export class EquirectangularTilesAdapter extends EquirectangularAdapter {
             verticesPosition.getZ(vertexIdx)
           );
           vertexPosition.applyEuler(this.psv.renderer.meshContainer.rotation);
-          return frustum.containsPoint(vertexPosition);
+          return this.psv.dataHelper.isPointVisible(vertexPosition);
         });
 
         if (vertexVisible) {
           let angle = vertexPosition.angleTo(this.psv.prop.direction);
-          if (row === 0 || row === panorama.rows - 1) {
+          if (row === 0 || row === level.rows - 1) {
             angle *= 2; // lower priority to top and bottom tiles
           }
-          tilesToLoad.push({ col, row, angle });
+
+          const tile = { col: col, row: row, level: level.index, angle: angle };
+          const id = tileId(tile);
+          const covered = this.__isTileCovered(col, row, level);
+
+          const cachedMaterial = covered ? undefined : this.cache.get(id);
+
+          if (!this.prop.visibleTiles.has(id)) {
+            if (covered || cachedMaterial) {
+              this.cache.hit();
+            }
+            else {
+              this.cache.miss();
+            }
+          }
+
+          visibleTiles.set(id, tile);
+          if (cachedMaterial) {
+            // the tile is still in cache but some faces were restored to the base texture
+            this.__swapMaterial(tile, cachedMaterial, false);
+            this.psv.needsUpdate();
+          }
+          else if (!covered) {
+            tilesToLoad.push(tile);
+          }
         }
       }
     }
 
+    this.prop.visibleTiles = visibleTiles;
+    this.cache.touch(this.__getVisibleMaterials());
+
     this.__loadTiles(tilesToLoad);
+
+    if (this.cache.hits !== hits || this.cache.misses !== misses) {
+      this.__triggerCacheUpdated();
+    }
+  }
+
+  /**
+   * @summary Returns the level matching the current FOV and the canvas pixel density
+   * @description The lowest level providing at least one texture pixel by screen pixel is chosen,
+   * or the highest level if none is precise enough
+   * @returns {PSV.adapters.EquirectangularTilesAdapter.LevelConfig}
+   * @private
+   */
+  __getLevel() {
+    const levels = this.prop.levels;
+
+    if (levels.length === 1 || !this.psv.prop.hFov) {
+      return levels[levels.length - 1];
+    }
+
+    const requiredWidth = this.psv.prop.size.width * this.psv.system.pixelRatio * 360 / this.psv.prop.hFov;
+
+    return levels.find(level => level.width >= requiredWidth) || levels[levels.length - 1];
+  }
+
+  /**
+   * @summary Checks if all the faces of a tile already display the same or a higher level
+   * @param {int} col
+   * @param {int} row
+   * @param {PSV.adapters.EquirectangularTilesAdapter.LevelConfig} level
+   * @returns {boolean}
+   * @private
+   */
+  __isTileCovered(col, row, level) {
+    for (let c = 0; c < level.facesByCol; c++) {
+      for (let r = 0; r < level.facesByRow; r++) {
+        const faceIdx = (row * level.facesByRow + r) * this.SPHERE_SEGMENTS + col * level.facesByCol + c;
+        if (this.prop.facesLevel[faceIdx] < level.index) {
+          return false;
+        }
+      }
+    }
+    return true;
   }
 
   /**
@@ -565,6 +771,11 @@ export class EquirectangularTilesAdapter extends EquirectangularAdapter {
       }
     });
 
+    // abort the loading of tiles which left the viewport, they will be loaded again when visible
+    this.queue.cancelDisabledTasks().forEach((id) => {
+      delete this.prop.tiles[id];
+    });
+
     this.queue.start();
   }
 
@@ -577,28 +788,29 @@ export class EquirectangularTilesAdapter extends EquirectangularAdapter {
    */
   __loadTile(tile, task) {
     const panorama = this.psv.config.panorama;
-    const url = panorama.tileUrl(tile.col, tile.row);
+    const tilesConfig = this.__getTilesConfig(panorama);
+    const url = tilesConfig.tileUrl(tile.col, tile.row, tile.level);
 
-    if (this.psv.config.requestHeaders && typeof this.psv.config.requestHeaders === 'function') {
-      this.loader.setRequestHeader(this.psv.config.requestHeaders(url));
-    }
-
-    return new Promise((resolve, reject) => {
-      this.loader.load(url, resolve, undefined, reject);
-    })
+    return loadTileImage(this.psv, url, task)
       .then((image) => {
         if (!task.isCancelled()) {
-          const material = new MeshBasicMaterial({ map: utils.createTexture(image) });
-          this.__swapMaterial(tile.col, tile.row, material);
+          const level = this.prop.levels[tile.level];
+          const texture = utils.createTexture(image);
+          cropTileOverlap(texture, tilesConfig.overlap, tile.col, tile.row, level.cols, level.rows);
+
+          const material = new MeshBasicMaterial({ map: texture });
+          this.__swapMaterial(tile, material, false);
+          this.__cacheTile(tile, material);
           this.psv.needsUpdate();
         }
       })
       .catch(() => {
         if (!task.isCancelled() && this.config.showErrorTile) {
           if (!this.prop.errorMaterial) {
-            this.prop.errorMaterial = buildErrorMaterial(this.prop.colSize, this.prop.rowSize);
+            const level = this.prop.levels[tile.level];
+            this.prop.errorMaterial = buildErrorMaterial(level.colSize, level.rowSize);
           }
-          this.__swapMaterial(tile.col, tile.row, this.prop.errorMaterial);
+          this.__swapMaterial(tile, this.prop.errorMaterial, true);
           this.psv.needsUpdate();
         }
       });
@@ -606,70 +818,205 @@ export class EquirectangularTilesAdapter extends EquirectangularAdapter {
 
   /**
    * @summary Applies a new texture to the faces
-   * @param {int} col
-   * @param {int} row
+   * @description Faces already displaying a higher level are not modified,
+   * the error material is only applied on faces without any loaded tile.
+   * @param {PSV.adapters.EquirectangularTilesAdapter.Tile} tile
    * @param {external:THREE.MeshBasicMaterial} material
+   * @param {boolean} isError
    * @private
    */
-  __swapMaterial(col, row, material) {
+  __swapMaterial(tile, material, isError) {
     const uvs = this.prop.geom.getAttribute(ATTR_UV);
+    const level = this.prop.levels[tile.level];
+    const replacedMaterials = new Set();
 
-    for (let c = 0; c < this.prop.facesByCol; c++) {
-      for (let r = 0; r < this.prop.facesByRow; r++) {
+    for (let c = 0; c < level.facesByCol; c++) {
+      for (let r = 0; r < level.facesByRow; r++) {
         // position of the face (two triangles of the same square)
-        const faceCol = col * this.prop.facesByCol + c;
-        const faceRow = row * this.prop.facesByRow + r;
+        const faceCol = tile.col * level.facesByCol + c;
+        const faceRow = tile.row * level.facesByRow + r;
+        const faceIdx = faceRow * this.SPHERE_SEGMENTS + faceCol;
         const isFirstRow = faceRow === 0;
         const isLastRow = faceRow === (this.SPHERE_HORIZONTAL_SEGMENTS - 1);
 
-        // first vertex for this face (3 or 6 vertices in total)
-        let firstVertex;
-        if (isFirstRow) {
-          firstVertex = faceCol * this.NB_VERTICES_BY_SMALL_FACE;
-        }
-        else if (isLastRow) {
-          firstVertex = this.NB_VERTICES
-            - this.SPHERE_SEGMENTS * this.NB_VERTICES_BY_SMALL_FACE
-            + faceCol * this.NB_VERTICES_BY_SMALL_FACE;
-        }
-        else {
-          firstVertex = this.SPHERE_SEGMENTS * this.NB_VERTICES_BY_SMALL_FACE
-            + (faceRow - 1) * this.SPHERE_SEGMENTS * this.NB_VERTICES_BY_FACE
-            + faceCol * this.NB_VERTICES_BY_FACE;
-        }
+        // keep the best level available
+        const keepFace = isError
+          ? this.prop.facesLevel[faceIdx] !== -1
+          : this.prop.facesLevel[faceIdx] >= tile.level;
+
+        if (!keepFace) {
+          // first vertex for this face (3 or 6 vertices in total)
+          let firstVertex;
+          if (isFirstRow) {
+            firstVertex = faceCol * this.NB_VERTICES_BY_SMALL_FACE;
+          }
+          else if (isLastRow) {
+            firstVertex = this.NB_VERTICES
+              - this.SPHERE_SEGMENTS * this.NB_VERTICES_BY_SMALL_FACE
+              + faceCol * this.NB_VERTICES_BY_SMALL_FACE;
+          }
+          else {
+            firstVertex = this.SPHERE_SEGMENTS * this.NB_VERTICES_BY_SMALL_FACE
+              + (faceRow - 1) * this.SPHERE_SEGMENTS * this.NB_VERTICES_BY_FACE
+              + faceCol * this.NB_VERTICES_BY_FACE;
+          }
 
-        // swap material
-        const matIndex = this.prop.geom.groups.find(g => g.start === firstVertex).materialIndex;
-        this.prop.materials[matIndex] = material;
+          // swap material
+          const matIndex = this.prop.geom.groups.find(g => g.start === firstVertex).materialIndex;
+          if (this.prop.facesLevel[faceIdx] !== -1) {
+            replacedMaterials.add(this.prop.materials[matIndex]);
+          }
+          this.prop.materials[matIndex] = material;
+          if (!isError) {
+            this.prop.facesLevel[faceIdx] = tile.level;
+          }
 
-        // define new uvs
-        const top = 1 - r / this.prop.facesByRow;
-        const bottom = 1 - (r + 1) / this.prop.facesByRow;
-        const left = c / this.prop.facesByCol;
-        const right = (c + 1) / this.prop.facesByCol;
+          // define new uvs
+          const top = 1 - r / level.facesByRow;
+          const bottom = 1 - (r + 1) / level.facesByRow;
+          const left = c / level.facesByCol;
+          const right = (c + 1) / level.facesByCol;
 
-        if (isFirstRow) {
-          uvs.setXY(firstVertex, (left + right) / 2, top);
-          uvs.setXY(firstVertex + 1, left, bottom);
-          uvs.setXY(firstVertex + 2, right, bottom);
-        }
-        else if (isLastRow) {
-          uvs.setXY(firstVertex, right, top);
-          uvs.setXY(firstVertex + 1, left, top);
-          uvs.setXY(firstVertex + 2, (left + right) / 2, bottom);
+          if (isFirstRow) {
+            uvs.setXY(firstVertex, (left + right) / 2, top);
+            uvs.setXY(firstVertex + 1, left, bottom);
+            uvs.setXY(firstVertex + 2, right, bottom);
+          }
+          else if (isLastRow) {
+            uvs.setXY(firstVertex, right, top);
+            uvs.setXY(firstVertex + 1, left, top);
+            uvs.setXY(firstVertex + 2, (left + right) / 2, bottom);
+          }
+          else {
+            uvs.setXY(firstVertex, right, top);
+            uvs.setXY(firstVertex + 1, left, top);
+            uvs.setXY(firstVertex + 2, right, bottom);
+            uvs.setXY(firstVertex + 3, left, top);
+            uvs.setXY(firstVertex + 4, left, bottom);
+            uvs.setXY(firstVertex + 5, right, bottom);
+          }
         }
-        else {
-          uvs.setXY(firstVertex, right, top);
-          uvs.setXY(firstVertex + 1, left, top);
-          uvs.setXY(firstVertex + 2, right, bottom);
-          uvs.setXY(firstVertex + 3, left, top);
-          uvs.setXY(firstVertex + 4, left, bottom);
-          uvs.setXY(firstVertex + 5, right, bottom);
+      }
+    }
+
+    uvs.needsUpdate = true;
+
+    // dispose tiles of lower levels which are not displayed anymore
+    replacedMaterials.forEach((mat) => {
+      if (!this.prop.materials.includes(mat)) {
+        const id = this.cache.deleteMaterial(mat);
+        if (id) {
+          delete this.prop.tiles[id];
         }
+        mat.map?.dispose();
+        mat.dispose();
+      }
+    });
+  }
+
+  /**
+   * @summary Returns the index of the mesh faces covered by a tile (also index of the materials)
+   * @param {PSV.adapters.EquirectangularTilesAdapter.Tile} tile
+   * @returns {int[]}
+   * @private
+   */
+  __getTileFacesIndex(tile) {
+    const level = this.prop.levels[tile.level];
+    const faces = [];
+
+    for (let c = 0; c < level.facesByCol; c++) {
+      for (let r = 0; r < level.facesByRow; r++) {
+        faces.push((tile.row * level.facesByRow + r) * this.SPHERE_SEGMENTS + tile.col * level.facesByCol + c);
       }
     }
 
+    return faces;
+  }
+
+  /**
+   * @summary Returns the materials displayed in the viewport
+   * @returns {Set<external:THREE.MeshBasicMaterial>}
+   * @private
+   */
+  __getVisibleMaterials() {
+    const materials = new Set();
+
+    this.prop.visibleTiles.forEach((tile) => {
+      this.__getTileFacesIndex(tile).forEach((faceIdx) => {
+        materials.add(this.prop.materials[faceIdx]);
+      });
+    });
+
+    return materials;
+  }
+
+  /**
+   * @summary Adds a loaded tile to the cache and evicts tiles if the budget is exceeded
+   * @param {PSV.adapters.EquirectangularTilesAdapter.Tile} tile
+   * @param {external:THREE.MeshBasicMaterial} material
+   * @private
+   */
+  __cacheTile(tile, material) {
+    if (!this.prop.materials.includes(material)) {
+      // all faces already display a higher level
+      material.map.dispose();
+      material.dispose();
+      return;
+    }
+
+    const level = this.prop.levels[tile.level];
+    const position = this.psv.dataHelper.sphericalCoordsToVector3({
+      longitude: (tile.col + 0.5) / level.cols * 2 * Math.PI - Math.PI,
+      latitude : Math.PI / 2 - (tile.row + 0.5) / level.rows * Math.PI,
+    });
+
+    this.cache.add(tileId(tile), tile, material, position);
+
+    this.cache.evict(
+      this.psv.prop.direction,
+      this.psv.renderer.meshContainer.rotation,
+      this.__getVisibleMaterials(),
+      (evictedMaterial, evictedTile) => this.__restoreBaseTexture(evictedTile, evictedMaterial)
+    );
+
+    this.__triggerCacheUpdated();
+  }
+
+  /**
+   * @summary Displays the base texture on the faces of an evicted tile and disposes its material
+   * @param {PSV.adapters.EquirectangularTilesAdapter.Tile} tile
+   * @param {external:THREE.MeshBasicMaterial} material
+   * @private
+   */
+  __restoreBaseTexture(tile, material) {
+    const uvs = this.prop.geom.getAttribute(ATTR_UV);
+    const originalUvs = this.prop.geom.getAttribute(ATTR_ORIGINAL_UV);
+
+    this.__getTileFacesIndex(tile).forEach((faceIdx) => {
+      if (this.prop.materials[faceIdx] === material) {
+        this.prop.materials[faceIdx] = this.prop.baseMaterial;
+        this.prop.facesLevel[faceIdx] = -1;
+
+        const group = this.prop.geom.groups[faceIdx];
+        for (let v = group.start; v < group.start + group.count; v++) {
+          uvs.setXY(v, originalUvs.getX(v), originalUvs.getY(v));
+        }
+      }
+    });
+
     uvs.needsUpdate = true;
+
+    delete this.prop.tiles[tileId(tile)];
+
+    material.map.dispose();
+    material.dispose();
+  }
+
+  /**
+   * @private
+   */
+  __triggerCacheUpdated() {
+    this.psv.trigger(CONSTANTS.EVENTS.TILES_CACHE_STATS, this.cache.getStats());
   }
 
   /**
@@ -683,7 +1030,7 @@ export class EquirectangularTilesAdapter extends EquirectangularAdapter {
       utils.logWarn('Invalid base image, the width should be twice the height');
     }
 
-    return createBaseTexture(img, this.config.baseBlur, w => w / 2);
+    return createBaseTexture(img, this.config.baseBlur, w => w / 2, this.psv.system);
   }
 
 }
@@ -1,5 +1,5 @@
 import { MathUtils, Mesh, MeshBasicMaterial, SphereGeometry } from 'three';
-import { CONSTANTS, PSVError } from '../..';
+import { AbstractAdapter, CONSTANTS, PSVError } from '../..';
 import { AbstractVideoAdapter } from '../shared/AbstractVideoAdapter';
 
 /**
@@ -13,6 +13,7 @@ import { AbstractVideoAdapter } from '../shared/AbstractVideoAdapter';
  * @property {boolean} [autoplay=false] - automatically start the video
  * @property {boolean} [muted=autoplay] - initially mute the video
  * @property {number} [resolution=64] - number of faces of the sphere geometry, higher values may decrease performances
+ * @property {'top-bottom'|'left-right'} [stereoLayout] - layout of stereoscopic videos, the left eye is displayed outside of the stereo view
  */
 
 
@@ -52,11 +53,14 @@ export class EquirectangularVideoAdapter extends AbstractVideoAdapter {
     return super.loadTexture(panorama)
       .then(({ texture }) => {
         const video = texture.image;
+        // the panoData describes the image of one eye
+        const width = video.videoWidth / this.stereoGrid.cols;
+        const height = video.videoHeight / this.stereoGrid.rows;
         const panoData = {
-          fullWidth    : video.videoWidth,
-          fullHeight   : video.videoHeight,
-          croppedWidth : video.videoWidth,
-          croppedHeight: video.videoHeight,
+          fullWidth    : width,
+          fullHeight   : height,
+          croppedWidth : width,
+          croppedHeight: height,
           croppedX     : 0,
           croppedY     : 0,
           poseHeading  : 0,
@@ -82,7 +86,16 @@ export class EquirectangularVideoAdapter extends AbstractVideoAdapter {
 
     const material = new MeshBasicMaterial();
 
-    return new Mesh(geometry, material);
+    const mesh = new Mesh(geometry, material);
+
+    if (this.config.stereoLayout) {
+      AbstractAdapter.bindStereoLayout(mesh, this.config.stereoLayout, (transform) => {
+        material.map?.offset.set(transform.x, transform.y);
+        material.map?.repeat.set(transform.z, transform.w);
+      });
+    }
+
+    return mesh;
   }
 
   /**
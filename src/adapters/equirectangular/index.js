@@ -1,6 +1,5 @@
 import { MathUtils, Mesh, SphereGeometry, Texture } from 'three';
 import { SPHERE_RADIUS } from '../../data/constants';
-import { SYSTEM } from '../../data/system';
 import { PSVError } from '../../PSVError';
 import { createTexture, firstNonNull, getXMPValue, logWarn } from '../../utils';
 import { AbstractAdapter } from '../AbstractAdapter';
@@ -9,6 +8,7 @@ import { AbstractAdapter } from '../AbstractAdapter';
 /**
  * @typedef {Object} PSV.adapters.EquirectangularAdapter.Options
  * @property {number} [resolution=64] - number of faces of the sphere geometry, higher values may decrease performances
+ * @property {'top-bottom'|'left-right'} [stereoLayout] - layout of stereoscopic panoramas, the left eye is displayed outside of the stereo view
  */
 
 
@@ -35,7 +35,8 @@ export class EquirectangularAdapter extends AbstractAdapter {
      * @private
      */
     this.config = {
-      resolution: 64,
+      resolution  : 64,
+      stereoLayout: null,
       ...options,
     };
 
@@ -43,6 +44,12 @@ export class EquirectangularAdapter extends AbstractAdapter {
       throw new PSVError('EquirectangularAdapter resolution must be power of two');
     }
 
+    /**
+     * @member {{cols: number, rows: number}}
+     * @private
+     */
+    this.stereoGrid = AbstractAdapter.getStereoGrid(this.config.stereoLayout);
+
     this.SPHERE_SEGMENTS = this.config.resolution;
     this.SPHERE_HORIZONTAL_SEGMENTS = this.SPHERE_SEGMENTS / 2;
   }
@@ -78,9 +85,9 @@ export class EquirectangularAdapter extends AbstractAdapter {
 
     return (
       useXmpPanoData
-        ? this.__loadXMP(panorama, p => this.psv.loader.setProgress(p))
+        ? this.__loadXMP(panorama, p => this.psv.loader?.setProgress(p))
           .then(xmpPanoData => this.psv.textureLoader.loadImage(panorama).then(img => ({ img, xmpPanoData })))
-        : this.psv.textureLoader.loadImage(panorama, p => this.psv.loader.setProgress(p))
+        : this.psv.textureLoader.loadImage(panorama, p => this.psv.loader?.setProgress(p))
           .then(img => ({ img: img, xmpPanoData: null }))
     )
       .then(({ img, xmpPanoData }) => {
@@ -88,11 +95,15 @@ export class EquirectangularAdapter extends AbstractAdapter {
           newPanoData = newPanoData(img);
         }
 
+        // the panoData describes the image of one eye
+        const width = img.width / this.stereoGrid.cols;
+        const height = img.height / this.stereoGrid.rows;
+
         const panoData = {
-          fullWidth    : firstNonNull(newPanoData?.fullWidth, xmpPanoData?.fullWidth, img.width),
-          fullHeight   : firstNonNull(newPanoData?.fullHeight, xmpPanoData?.fullHeight, img.height),
-          croppedWidth : firstNonNull(newPanoData?.croppedWidth, xmpPanoData?.croppedWidth, img.width),
-          croppedHeight: firstNonNull(newPanoData?.croppedHeight, xmpPanoData?.croppedHeight, img.height),
+          fullWidth    : firstNonNull(newPanoData?.fullWidth, xmpPanoData?.fullWidth, width),
+          fullHeight   : firstNonNull(newPanoData?.fullHeight, xmpPanoData?.fullHeight, height),
+          croppedWidth : firstNonNull(newPanoData?.croppedWidth, xmpPanoData?.croppedWidth, width),
+          croppedHeight: firstNonNull(newPanoData?.croppedHeight, xmpPanoData?.croppedHeight, height),
           croppedX     : firstNonNull(newPanoData?.croppedX, xmpPanoData?.croppedX, 0),
           croppedY     : firstNonNull(newPanoData?.croppedY, xmpPanoData?.croppedY, 0),
           poseHeading  : firstNonNull(newPanoData?.poseHeading, xmpPanoData?.poseHeading, 0),
@@ -100,9 +111,9 @@ export class EquirectangularAdapter extends AbstractAdapter {
           poseRoll     : firstNonNull(newPanoData?.poseRoll, xmpPanoData?.poseRoll, 0),
         };
 
-        if (panoData.croppedWidth !== img.width || panoData.croppedHeight !== img.height) {
+        if (panoData.croppedWidth !== width || panoData.croppedHeight !== height) {
           logWarn(`Invalid panoData, croppedWidth and/or croppedHeight is not coherent with loaded image.
-    panoData: ${panoData.croppedWidth}x${panoData.croppedHeight}, image: ${img.width}x${img.height}`);
+    panoData: ${panoData.croppedWidth}x${panoData.croppedHeight}, image: ${width}x${height}`);
         }
         if ((newPanoData || xmpPanoData) && panoData.fullWidth !== panoData.fullHeight * 2) {
           logWarn('Invalid panoData, fullWidth should be twice fullHeight');
@@ -165,18 +176,21 @@ export class EquirectangularAdapter extends AbstractAdapter {
 
   /**
    * @summary Creates the final texture from image and panorama data
+   * @description For stereoscopic panoramas, the image of each eye is processed separately.
    * @param {Image} img
    * @param {PSV.PanoData} panoData
    * @returns {external:THREE.Texture}
    * @private
    */
   __createEquirectangularTexture(img, panoData) {
+    const { cols, rows } = this.stereoGrid;
+
     // resize image / fill cropped parts with black
-    if (panoData.fullWidth > SYSTEM.maxTextureWidth
+    if (panoData.fullWidth * cols > this.psv.system.maxTextureWidth
       || panoData.croppedWidth !== panoData.fullWidth
       || panoData.croppedHeight !== panoData.fullHeight
     ) {
-      const ratio = SYSTEM.getMaxCanvasWidth() / panoData.fullWidth;
+      const ratio = this.psv.system.getMaxCanvasWidth() / (panoData.fullWidth * cols);
 
       const resizedPanoData = { ...panoData };
       if (ratio < 1) {
@@ -189,13 +203,21 @@ export class EquirectangularAdapter extends AbstractAdapter {
       }
 
       const buffer = document.createElement('canvas');
-      buffer.width = resizedPanoData.fullWidth;
-      buffer.height = resizedPanoData.fullHeight;
+      buffer.width = resizedPanoData.fullWidth * cols;
+      buffer.height = resizedPanoData.fullHeight * rows;
 
       const ctx = buffer.getContext('2d');
-      ctx.drawImage(img,
-        resizedPanoData.croppedX, resizedPanoData.croppedY,
-        resizedPanoData.croppedWidth, resizedPanoData.croppedHeight);
+      const eyeWidth = img.width / cols;
+      const eyeHeight = img.height / rows;
+      for (let col = 0; col < cols; col++) {
+        for (let row = 0; row < rows; row++) {
+          ctx.drawImage(img,
+            col * eyeWidth, row * eyeHeight,
+            eyeWidth, eyeHeight,
+            col * resizedPanoData.fullWidth + resizedPanoData.croppedX, row * resizedPanoData.fullHeight + resizedPanoData.croppedY,
+            resizedPanoData.croppedWidth, resizedPanoData.croppedHeight);
+        }
+      }
 
       return createTexture(buffer);
     }
@@ -218,7 +240,15 @@ export class EquirectangularAdapter extends AbstractAdapter {
 
     const material = AbstractAdapter.createOverlayMaterial();
 
-    return new Mesh(geometry, material);
+    const mesh = new Mesh(geometry, material);
+
+    if (this.config.stereoLayout) {
+      AbstractAdapter.bindStereoLayout(mesh, this.config.stereoLayout, (transform) => {
+        material.uniforms[AbstractAdapter.OVERLAY_UNIFORMS.panoramaUv].value.copy(transform);
+      });
+    }
+
+    return mesh;
   }
 
   /**
@@ -226,20 +256,13 @@ export class EquirectangularAdapter extends AbstractAdapter {
    */
   setTexture(mesh, textureData) {
     this.__setUniform(mesh, AbstractAdapter.OVERLAY_UNIFORMS.panorama, textureData.texture);
-    this.setOverlay(mesh, null);
   }
 
   /**
    * @override
    */
-  setOverlay(mesh, textureData, opacity) {
-    this.__setUniform(mesh, AbstractAdapter.OVERLAY_UNIFORMS.overlayOpacity, opacity);
-    if (!textureData) {
-      this.__setUniform(mesh, AbstractAdapter.OVERLAY_UNIFORMS.overlay, new Texture());
-    }
-    else {
-      this.__setUniform(mesh, AbstractAdapter.OVERLAY_UNIFORMS.overlay, textureData.texture);
-    }
+  setOverlays(mesh, overlays) {
+    AbstractAdapter.setOverlayUniforms(mesh.material, overlays);
   }
 
   /**
@@ -1,5 +1,21 @@
 import { Euler, MathUtils, Matrix4, Mesh, PlaneBufferGeometry, ShaderMaterial, Texture } from 'three';
-import { CONSTANTS, DEFAULTS, EquirectangularAdapter } from '../..';
+import { CONSTANTS, DEFAULTS, EquirectangularAdapter, PSVError, utils } from '../..';
+
+
+/**
+ * @typedef {Object} PSV.adapters.LittlePlanetAdapter.Options
+ * @property {boolean|PSV.adapters.LittlePlanetAdapter.TransitionOptions} [flyIn=false] - animates to the normal spherical view
+ *   once the panorama is loaded
+ */
+
+/**
+ * @typedef {Object} PSV.adapters.LittlePlanetAdapter.TransitionOptions
+ * @property {number|string} [longitude] - final longitude, current one by default
+ * @property {number|string} [latitude] - final latitude, 0 for the spherical view and -PI/2 for the little planet by default
+ * @property {number} [zoom] - final zoom level, current one by default
+ * @property {number} [duration=1500] - duration of the animation in milliseconds
+ * @property {string} [easing='inOutSine'] - name of one of the easings of {@link PSV.utils.Animation}
+ */
 
 
 DEFAULTS.defaultLat = -Math.PI / 2;
@@ -9,6 +25,8 @@ const euler = new Euler();
 
 /**
  * @summary Adapter for equirectangular panoramas displayed with little planet effect
+ * @description The projection can be animated to and from a normal spherical view,
+ * in which case the view matches the one of the camera and is compatible with other plugins.
  * @memberof PSV.adapters
  * @extends PSV.adapters.AbstractAdapter
  */
@@ -19,15 +37,50 @@ export class LittlePlanetAdapter extends EquirectangularAdapter {
 
   /**
    * @param {PSV.Viewer} psv
+   * @param {PSV.adapters.LittlePlanetAdapter.Options} options
    */
-  constructor(psv) {
-    super(psv);
+  constructor(psv, options) {
+    super(psv, {
+      flyIn: false,
+      ...options,
+    });
+
+    /**
+     * @member {Object}
+     * @property {number} projection - 1 for the stereographic projection, 0 for the rectilinear projection
+     * @property {PSV.utils.Animation} animation - current transition
+     * @private
+     */
+    this.prop = {
+      projection: 1,
+      animation : null,
+    };
 
     this.psv.prop.littlePlanet = true;
 
     this.psv.on(CONSTANTS.EVENTS.SIZE_UPDATED, this);
     this.psv.on(CONSTANTS.EVENTS.ZOOM_UPDATED, this);
     this.psv.on(CONSTANTS.EVENTS.POSITION_UPDATED, this);
+
+    // the animations require requestAnimationFrame
+    if (this.config.flyIn && !this.psv.config.headless) {
+      this.psv.once(CONSTANTS.EVENTS.READY, () => {
+        this.toSphere(this.config.flyIn === true ? {} : this.config.flyIn);
+      });
+    }
+  }
+
+  /**
+   * @override
+   */
+  destroy() {
+    this.prop.animation?.cancel();
+
+    this.psv.off(CONSTANTS.EVENTS.SIZE_UPDATED, this);
+    this.psv.off(CONSTANTS.EVENTS.ZOOM_UPDATED, this);
+    this.psv.off(CONSTANTS.EVENTS.POSITION_UPDATED, this);
+
+    super.destroy();
   }
 
   /**
@@ -63,6 +116,97 @@ export class LittlePlanetAdapter extends EquirectangularAdapter {
     /* eslint-enable */
   }
 
+  /**
+   * @summary Checks if the little planet projection is displayed, this is also true during transitions
+   * @returns {boolean}
+   */
+  isLittlePlanet() {
+    return this.psv.prop.littlePlanet;
+  }
+
+  /**
+   * @summary Animates the projection to the normal spherical view
+   * @param {PSV.adapters.LittlePlanetAdapter.TransitionOptions} [options]
+   * @returns {PSV.utils.Animation}
+   */
+  toSphere(options = {}) {
+    return this.__animateProjection(0, {
+      latitude: 0,
+      ...options,
+    });
+  }
+
+  /**
+   * @summary Animates the projection to the little planet view
+   * @param {PSV.adapters.LittlePlanetAdapter.TransitionOptions} [options]
+   * @returns {PSV.utils.Animation}
+   */
+  toLittlePlanet(options = {}) {
+    return this.__animateProjection(1, {
+      latitude: -Math.PI / 2,
+      ...options,
+    });
+  }
+
+  /**
+   * @summary Interpolates the projection, the position and the zoom level
+   * @param {number} projection - target projection
+   * @param {PSV.adapters.LittlePlanetAdapter.TransitionOptions} options
+   * @returns {PSV.utils.Animation}
+   * @throws {PSV.PSVError} in headless mode
+   * @private
+   */
+  __animateProjection(projection, options) {
+    if (this.psv.config.headless) {
+      throw new PSVError('LittlePlanetAdapter transitions are not supported in headless mode.');
+    }
+
+    this.prop.animation?.cancel();
+    this.psv.stopAnimation();
+
+    const currentPosition = this.psv.getPosition();
+    const longitude = utils.parseAngle(utils.firstNonNull(options.longitude, currentPosition.longitude));
+    const latitude = utils.parseAngle(options.latitude, true);
+
+    // in little planet mode the latitude is between 0 and 2*PI
+    const startLatitude = currentPosition.latitude > Math.PI ? currentPosition.latitude - 2 * Math.PI : currentPosition.latitude;
+
+    // the latitude is not restricted to [-PI/2, PI/2] during the transition
+    this.psv.prop.littlePlanet = true;
+
+    this.prop.animation = new utils.Animation({
+      properties: {
+        projection: { start: this.prop.projection, end: projection },
+        longitude : {
+          start: currentPosition.longitude,
+          end  : currentPosition.longitude + utils.getShortestArc(currentPosition.longitude, longitude),
+        },
+        latitude  : { start: startLatitude, end: latitude },
+        zoom      : { start: this.psv.getZoomLevel(), end: utils.firstNonNull(options.zoom, this.psv.getZoomLevel()) },
+      },
+      duration  : utils.firstNonNull(options.duration, 1500),
+      easing    : options.easing || 'inOutSine',
+      onTick    : (properties) => {
+        this.prop.projection = properties.projection;
+        this.uniforms.projection.value = properties.projection;
+
+        this.psv.rotate(properties);
+        this.psv.zoom(properties.zoom);
+        this.__setZoom();
+        this.psv.needsUpdate();
+      },
+    });
+
+    this.prop.animation.then((completed) => {
+      if (completed) {
+        this.prop.animation = null;
+        this.psv.prop.littlePlanet = projection === 1;
+      }
+    });
+
+    return this.prop.animation;
+  }
+
   /**
    * @param {PSV.Size} size
    * @private
@@ -76,7 +220,16 @@ export class LittlePlanetAdapter extends EquirectangularAdapter {
    */
   __setZoom() {
     // mapping values are empirical
-    this.uniforms.zoom.value = Math.max(0.1, MathUtils.mapLinear(this.psv.prop.vFov, 90, 30, 50, 2));
+    const littlePlanetZoom = Math.max(0.1, MathUtils.mapLinear(this.psv.prop.vFov, 90, 30, 50, 2));
+
+    // half of the vertical angle of view, interpolated between the two projections
+    const angle = MathUtils.lerp(
+      MathUtils.degToRad(this.psv.prop.vFov) / 2,
+      2 * Math.atan(littlePlanetZoom / 10),
+      this.prop.projection
+    );
+
+    this.uniforms.zoom.value = 10 * Math.sin(angle) / Math.max(0.01, Math.cos(angle) + this.prop.projection);
   }
 
   /**
@@ -108,6 +261,7 @@ export class LittlePlanetAdapter extends EquirectangularAdapter {
         resolution: { value: 2.0 },
         transform : { value: new Matrix4() },
         zoom      : { value: 10.0 },
+        projection: { value: this.prop.projection },
         opacity   : { value: 1.0 },
       },
 
@@ -124,6 +278,7 @@ uniform sampler2D panorama;
 uniform float resolution;
 uniform mat4 transform;
 uniform float zoom;
+uniform float projection;
 uniform float opacity;
 
 varying vec2 vUv;
@@ -134,8 +289,12 @@ void main() {
   vec2 position = -1.0 + 2.0 * vUv;
   position *= vec2( zoom * resolution, zoom * 0.5 );
 
-  float x2y2 = position.x * position.x + position.y * position.y;
-  vec3 sphere_pnt = vec3( 2. * position, x2y2 - 1. ) / ( x2y2 + 1. );
+  // perspective projection from the point (0, 0, projection) of the sphere to the plane z = projection - 1
+  // 1 is the stereographic projection and 0 the rectilinear projection
+  vec3 direction = vec3( position, -1.0 );
+  float d2 = dot( direction, direction );
+  float t = ( projection + sqrt( projection * projection - d2 * ( projection * projection - 1.0 ) ) ) / d2;
+  vec3 sphere_pnt = vec3( 0.0, 0.0, projection ) + t * direction;
   sphere_pnt = vec3( transform * vec4( sphere_pnt, 1.0 ) );
 
   vec2 sampleUV = vec2(
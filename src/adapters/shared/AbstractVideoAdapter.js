@@ -1,18 +1,66 @@
 import { VideoTexture } from 'three';
 import { AbstractAdapter, CONSTANTS, PSVError } from '../..';
+import { VideoLadder } from './VideoLadder';
 
 /**
  * @typedef {Object} PSV.adapters.AbstractVideoAdapter.Video
  * @summary Object defining a video
- * @property {string} source
+ * @property {string} [source] - URL of the video, or of the HLS/DASH manifest when using `streaming`
+ * @property {PSV.adapters.AbstractVideoAdapter.VideoSource[]} [sources] - multiple qualities of the video (bitrate ladder)
+ */
+
+/**
+ * @typedef {Object} PSV.adapters.AbstractVideoAdapter.VideoSource
+ * @summary Quality of a video
+ * @property {string} [id] - defaults to the index in the list
+ * @property {string} [label] - defaults to the bitrate
+ * @property {string} source - URL of the video file
+ * @property {number} bitrate - bitrate of the video file in bits per second
+ */
+
+/**
+ * @typedef {Object} PSV.adapters.AbstractVideoAdapter.VideoQuality
+ * @summary Quality available in a stream
+ * @property {string} id
+ * @property {string} label
+ * @property {number} [bitrate]
+ */
+
+/**
+ * @typedef {Object} PSV.adapters.AbstractVideoAdapter.Stream
+ * @summary Streaming layer attached to a video element, able to switch between qualities
+ * @property {function(): PSV.adapters.AbstractVideoAdapter.VideoQuality[]} getLevels - returns the available qualities
+ * @property {function(): string} getLevel - returns the id of the quality currently played
+ * @property {function(): boolean} isAuto - returns whether the quality is automatically selected
+ * @property {function(string)} setLevel - selects a quality by its id, or `'auto'`
+ * @property {function()} destroy - detaches the stream from the video element
+ */
+
+/**
+ * @callback StreamingFactory
+ * @summary Function called to attach a streaming library (hls.js, dash.js, ...) to a video element
+ * @memberOf PSV.adapters.AbstractVideoAdapter
+ * @param {HTMLVideoElement} video
+ * @param {PSV.adapters.AbstractVideoAdapter.Video} panorama
+ * @param {function} onChange - must be called when the available or current qualities change
+ * @returns {PSV.adapters.AbstractVideoAdapter.Stream}
  */
 
 /**
  * @typedef {Object} PSV.adapters.AbstractVideoAdapter.Options
  * @property {boolean} [autoplay=false] - automatically start the video
  * @property {boolean} [muted=autoplay] - initially mute the video
+ * @property {PSV.adapters.AbstractVideoAdapter.StreamingFactory} [streaming] - plugs a streaming library for adaptive videos
+ * @property {'top-bottom'|'left-right'} [stereoLayout] - layout of stereoscopic videos, the left eye is displayed outside of the stereo view
  */
 
+/**
+ * @summary DOM event dispatched on the video element when the qualities change, listened by the VideoPlugin
+ * @type {string}
+ * @constant
+ */
+export const QUALITY_CHANGE_EVENT = 'qualitychange';
+
 /**
  * @summary Base video adapters class
  * @memberof PSV.adapters
@@ -29,17 +77,37 @@ export class AbstractVideoAdapter extends AbstractAdapter {
      * @private
      */
     this.config = {
-      autoplay: false,
-      muted   : options?.autoplay ?? false,
+      autoplay    : false,
+      muted       : options?.autoplay ?? false,
+      stereoLayout: null,
       ...options,
     };
 
+    /**
+     * @member {{cols: number, rows: number}}
+     * @private
+     */
+    this.stereoGrid = AbstractAdapter.getStereoGrid(this.config.stereoLayout);
+
     /**
      * @member {HTMLVideoElement}
      * @private
      */
     this.video = null;
 
+    /**
+     * @member {PSV.adapters.AbstractVideoAdapter.Stream}
+     * @private
+     */
+    this.stream = null;
+
+    /**
+     * @summary Streams attached to each video element
+     * @member {WeakMap<HTMLVideoElement, PSV.adapters.AbstractVideoAdapter.Stream>}
+     * @private
+     */
+    this.streams = new WeakMap();
+
     this.psv.on(CONSTANTS.EVENTS.BEFORE_RENDER, this);
   }
 
@@ -75,15 +143,25 @@ export class AbstractVideoAdapter extends AbstractAdapter {
    * @returns {Promise.<PSV.TextureData>}
    */
   loadTexture(panorama) {
-    if (typeof panorama !== 'object' || !panorama.source) {
+    if (typeof panorama !== 'object' || (!panorama.source && !panorama.sources?.length)) {
       return Promise.reject(new PSVError('Invalid panorama configuration, are you using the right adapter?'));
     }
+    if (panorama.sources && !panorama.sources.every(source => source.source && source.bitrate)) {
+      return Promise.reject(new PSVError('Each video source must have a source and a bitrate.'));
+    }
 
     if (!this.psv.getPlugin('video')) {
       return Promise.reject(new PSVError('Video adapters require VideoPlugin to be loaded too.'));
     }
 
-    const video = this.__createVideo(panorama.source);
+    let video;
+    if (this.config.streaming || panorama.sources) {
+      video = this.__createVideo();
+      this.streams.set(video, this.__createStream(video, panorama));
+    }
+    else {
+      video = this.__createVideo(panorama.source);
+    }
 
     return this.__videoLoadPromise(video)
       .then(() => {
@@ -107,6 +185,7 @@ export class AbstractVideoAdapter extends AbstractAdapter {
 
     this.__removeVideo();
     this.video = texture.image;
+    this.stream = this.streams.get(this.video) || null;
 
     // keep current time when switching resolution
     if (this.video.duration === duration) {
@@ -129,28 +208,98 @@ export class AbstractVideoAdapter extends AbstractAdapter {
   disposeTexture(textureData) {
     if (textureData.texture) {
       const video = textureData.texture.image;
+      this.__destroyStream(video);
       video.pause();
       this.psv.container.removeChild(video);
     }
     textureData.texture?.dispose();
   }
 
+  /**
+   * @summary Returns the available qualities of the current video
+   * @returns {PSV.adapters.AbstractVideoAdapter.VideoQuality[]}
+   */
+  getQualities() {
+    return this.stream?.getLevels() ?? [];
+  }
+
+  /**
+   * @summary Returns the selected quality of the current video, `'auto'` for automatic selection
+   * @returns {string|null}
+   */
+  getQuality() {
+    if (!this.stream) {
+      return null;
+    }
+    return this.stream.isAuto() ? 'auto' : this.stream.getLevel();
+  }
+
+  /**
+   * @summary Returns the quality currently played, even in automatic selection
+   * @returns {string|null}
+   */
+  getCurrentQuality() {
+    return this.stream?.getLevel() ?? null;
+  }
+
+  /**
+   * @summary Changes the quality of the current video, the playback time is kept
+   * @param {string} id - id of a quality or `'auto'`
+   * @throws {PSV.PSVError} if the video has no qualities
+   */
+  setQuality(id) {
+    if (!this.stream) {
+      throw new PSVError('The current video does not have multiple qualities.');
+    }
+    this.stream.setLevel(id);
+  }
+
+  /**
+   * @summary Attaches the streaming layer to a video element
+   * @param {HTMLVideoElement} video
+   * @param {PSV.adapters.AbstractVideoAdapter.Video} panorama
+   * @returns {PSV.adapters.AbstractVideoAdapter.Stream}
+   * @private
+   */
+  __createStream(video, panorama) {
+    const onChange = () => video.dispatchEvent(new Event(QUALITY_CHANGE_EVENT));
+
+    if (this.config.streaming) {
+      return this.config.streaming(video, panorama, onChange);
+    }
+    else {
+      return new VideoLadder(video, panorama.sources, onChange);
+    }
+  }
+
+  /**
+   * @summary Detaches the streaming layer of a video element
+   * @param {HTMLVideoElement} video
+   * @private
+   */
+  __destroyStream(video) {
+    this.streams.get(video)?.destroy();
+    this.streams.delete(video);
+  }
+
   /**
    * @summary Removes the current video element
    * @private
    */
   __removeVideo() {
     if (this.video) {
+      this.__destroyStream(this.video);
       this.video.pause();
       this.psv.container.removeChild(this.video);
       delete this.video;
+      this.stream = null;
     }
   }
 
   /**
    * @summary Creates a new video element
    * @memberOf PSV.adapters
-   * @param {string} src
+   * @param {string} [src] - not defined when the source is managed by a stream
    * @return {HTMLVideoElement}
    * @private
    */
@@ -161,8 +310,10 @@ export class AbstractVideoAdapter extends AbstractAdapter {
     video.playsinline = true;
     video.style.display = 'none';
     video.muted = this.config.muted;
-    video.src = src;
     video.preload = 'metadata';
+    if (src) {
+      video.src = src;
+    }
 
     this.psv.container.appendChild(video);
 
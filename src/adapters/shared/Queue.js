@@ -31,7 +31,7 @@ export class Queue {
     if (task) {
       task.priority = priority;
       if (task.status === Task.STATUS.DISABLED) {
-        task.status = Task.STATUS.PENDING;
+        task.status = this.runningTasks[taskId] ? Task.STATUS.RUNNING : Task.STATUS.PENDING;
       }
     }
   }
@@ -42,6 +42,26 @@ export class Queue {
     });
   }
 
+  /**
+   * @summary Cancels the running tasks which are still disabled
+   * @returns {string[]} ids of the cancelled tasks
+   */
+  cancelDisabledTasks() {
+    const cancelledIds = Object.keys(this.runningTasks)
+      .filter(taskId => this.tasks[taskId].status === Task.STATUS.DISABLED);
+
+    cancelledIds.forEach((taskId) => {
+      this.tasks[taskId].cancel();
+      delete this.tasks[taskId];
+      delete this.runningTasks[taskId];
+    });
+
+    return cancelledIds;
+  }
+
+  /**
+   * @summary Starts the pending tasks with the lowest priority values (closest to the view center)
+   */
   start() {
     if (Object.keys(this.runningTasks).length >= this.concurency) {
       return;
@@ -24,20 +24,34 @@ export class Task {
     this.priority = priority;
     this.fn = fn;
     this.status = Task.STATUS.PENDING;
+
+    /**
+     * @summary Function called when the task is cancelled, used to abort the running operation
+     * @member {function}
+     */
+    this.onCancel = null;
   }
 
   start() {
     this.status = Task.STATUS.RUNNING;
     return this.fn(this)
       .then(() => {
-        this.status = Task.STATUS.DONE;
+        if (!this.isCancelled()) {
+          this.status = Task.STATUS.DONE;
+        }
       }, () => {
-        this.status = Task.STATUS.ERROR;
+        if (!this.isCancelled()) {
+          this.status = Task.STATUS.ERROR;
+        }
       });
   }
 
   cancel() {
     this.status = Task.STATUS.CANCELLED;
+    if (this.onCancel) {
+      this.onCancel();
+      this.onCancel = null;
+    }
   }
 
   isCancelled() {
@@ -0,0 +1,186 @@
+import { Vector3 } from 'three';
+
+/**
+ * @typedef {Object} PSV.adapters.TileCache.Entry
+ * @private
+ * @property {Object} tile
+ * @property {external:THREE.MeshBasicMaterial} material
+ * @property {int} bytes - estimated GPU memory used by the texture
+ * @property {external:THREE.Vector3} position - center of the tile on the mesh
+ * @property {int} lastUsed
+ */
+
+// tiles in the same angular sector are considered at the same distance and evicted by last usage
+const ANGLE_PRECISION = Math.PI / 18;
+
+const tilePosition = new Vector3();
+
+/**
+ * @summary Cache of loaded tiles with a memory budget
+ * @memberOf PSV.adapters
+ * @private
+ */
+export class TileCache {
+
+  /**
+   * @param {int} [maxTiles] - maximum number of tiles, unlimited if not defined
+   * @param {int} [maxBytes] - maximum GPU memory, unlimited if not defined
+   */
+  constructor(maxTiles, maxBytes) {
+    this.maxTiles = maxTiles || Infinity;
+    this.maxBytes = maxBytes || Infinity;
+
+    /**
+     * @member {Map<string, PSV.adapters.TileCache.Entry>}
+     */
+    this.entries = new Map();
+    this.bytes = 0;
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+    this.clock = 0;
+  }
+
+  /**
+   * @param {string} id
+   * @param {Object} tile
+   * @param {external:THREE.MeshBasicMaterial} material
+   * @param {external:THREE.Vector3} position
+   */
+  add(id, tile, material, position) {
+    const image = material.map.image;
+    const bytes = image ? image.width * image.height * 4 : 0;
+
+    this.entries.set(id, {
+      tile    : tile,
+      material: material,
+      bytes   : bytes,
+      position: position,
+      lastUsed: this.clock++,
+    });
+    this.bytes += bytes;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {external:THREE.MeshBasicMaterial | undefined}
+   */
+  get(id) {
+    return this.entries.get(id)?.material;
+  }
+
+  /**
+   * @param {string} id
+   */
+  delete(id) {
+    const entry = this.entries.get(id);
+    if (entry) {
+      this.bytes -= entry.bytes;
+      this.entries.delete(id);
+    }
+  }
+
+  /**
+   * @summary Removes the tile using a material
+   * @param {external:THREE.MeshBasicMaterial} material
+   * @returns {string | undefined} id of the removed tile
+   */
+  deleteMaterial(material) {
+    for (const [id, entry] of this.entries) {
+      if (entry.material === material) {
+        this.delete(id);
+        return id;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * @summary Marks materials as recently used
+   * @param {Set<external:THREE.MeshBasicMaterial>} materials
+   */
+  touch(materials) {
+    const clock = this.clock++;
+    this.entries.forEach((entry) => {
+      if (materials.has(entry.material)) {
+        entry.lastUsed = clock;
+      }
+    });
+  }
+
+  hit() {
+    this.hits++;
+  }
+
+  miss() {
+    this.misses++;
+  }
+
+  clear() {
+    this.entries.clear();
+    this.bytes = 0;
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isOverBudget() {
+    return this.entries.size > this.maxTiles || this.bytes > this.maxBytes;
+  }
+
+  /**
+   * @summary Removes tiles until the budget is respected, the tiles furthest from the camera direction are removed first,
+   * then the least recently used
+   * @param {external:THREE.Vector3} direction - camera direction
+   * @param {external:THREE.Euler} rotation - rotation of the mesh
+   * @param {Set<external:THREE.MeshBasicMaterial>} visibleMaterials - materials which cannot be removed
+   * @param {function(external:THREE.MeshBasicMaterial, Object)} onEvict - called for each removed tile, with its material
+   * @returns {int} number of removed tiles
+   */
+  evict(direction, rotation, visibleMaterials, onEvict) {
+    if (!this.isOverBudget()) {
+      return 0;
+    }
+
+    const candidates = [];
+    this.entries.forEach((entry, id) => {
+      if (!visibleMaterials.has(entry.material)) {
+        tilePosition.copy(entry.position).applyEuler(rotation);
+        candidates.push({
+          id   : id,
+          entry: entry,
+          angle: Math.round(tilePosition.angleTo(direction) / ANGLE_PRECISION),
+        });
+      }
+    });
+
+    candidates.sort((a, b) => (b.angle - a.angle) || (a.entry.lastUsed - b.entry.lastUsed));
+
+    let evicted = 0;
+    while (this.isOverBudget() && evicted < candidates.length) {
+      const { id, entry } = candidates[evicted++];
+      this.delete(id);
+      this.evictions++;
+      onEvict(entry.material, entry.tile);
+    }
+
+    return evicted;
+  }
+
+  /**
+   * @returns {PSV.TilesCacheStats}
+   */
+  getStats() {
+    return {
+      tiles    : this.entries.size,
+      bytes    : this.bytes,
+      hits     : this.hits,
+      misses   : this.misses,
+      evictions: this.evictions,
+    };
+  }
+
+}
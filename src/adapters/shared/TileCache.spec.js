@@ -0,0 +1,106 @@
+import assert from 'assert';
+import { Euler, Vector3 } from 'three';
+
+import { TileCache } from './TileCache';
+
+function material(size = 2) {
+  return { map: { image: { width: size, height: size } } };
+}
+
+describe('adapters:TileCache', () => {
+  const rotation = new Euler();
+  const direction = new Vector3(0, 0, 1);
+
+  it('should count the tiles and the bytes', () => {
+    const cache = new TileCache();
+    const mat1 = material(2);
+    const mat2 = material(4);
+
+    cache.add('a', {}, mat1, new Vector3());
+    cache.add('b', {}, mat2, new Vector3());
+
+    assert.strictEqual(cache.get('a'), mat1);
+    assert.deepStrictEqual(cache.getStats(), { tiles: 2, bytes: 80, hits: 0, misses: 0, evictions: 0 });
+
+    cache.delete('a');
+    assert.strictEqual(cache.get('a'), undefined);
+    assert.strictEqual(cache.bytes, 64);
+
+    assert.strictEqual(cache.deleteMaterial(mat2), 'b');
+    assert.strictEqual(cache.deleteMaterial(mat2), undefined);
+    assert.strictEqual(cache.bytes, 0);
+  });
+
+  it('should check the budget', () => {
+    const byTiles = new TileCache(1);
+    byTiles.add('a', {}, material(), new Vector3());
+    assert.strictEqual(byTiles.isOverBudget(), false);
+    byTiles.add('b', {}, material(), new Vector3());
+    assert.strictEqual(byTiles.isOverBudget(), true);
+
+    const byBytes = new TileCache(null, 20);
+    byBytes.add('a', {}, material(2), new Vector3());
+    assert.strictEqual(byBytes.isOverBudget(), false);
+    byBytes.add('b', {}, material(2), new Vector3());
+    assert.strictEqual(byBytes.isOverBudget(), true);
+  });
+
+  it('should evict the tiles furthest from the direction first', () => {
+    const cache = new TileCache(2);
+    const evicted = [];
+
+    cache.add('front', { id: 'front' }, material(), new Vector3(0, 0, 1));
+    cache.add('side', { id: 'side' }, material(), new Vector3(1, 0, 0));
+    cache.add('back', { id: 'back' }, material(), new Vector3(0, 0, -1));
+    cache.add('up', { id: 'up' }, material(), new Vector3(0, 1, 0));
+
+    const count = cache.evict(direction, rotation, new Set(), (mat, tile) => evicted.push(tile.id));
+
+    assert.strictEqual(count, 2);
+    assert.strictEqual(evicted[0], 'back');
+    assert.ok(['side', 'up'].includes(evicted[1]));
+    assert.strictEqual(cache.getStats().evictions, 2);
+    assert.ok(cache.get('front'));
+  });
+
+  it('should evict the least recently used tiles in the same sector', () => {
+    const cache = new TileCache(1);
+    const mat1 = material();
+    const mat2 = material();
+    const evicted = [];
+
+    cache.add('a', { id: 'a' }, mat1, new Vector3(1, 0, 0));
+    cache.add('b', { id: 'b' }, mat2, new Vector3(1, 0, 0));
+    cache.touch(new Set([mat1]));
+
+    cache.evict(direction, rotation, new Set(), (mat, tile) => evicted.push(tile.id));
+
+    assert.deepStrictEqual(evicted, ['b']);
+  });
+
+  it('should not evict the visible tiles', () => {
+    const cache = new TileCache(1);
+    const mat1 = material();
+    const mat2 = material();
+
+    cache.add('a', {}, mat1, new Vector3(0, 0, -1));
+    cache.add('b', {}, mat2, new Vector3(0, 0, -1));
+
+    const count = cache.evict(direction, rotation, new Set([mat1, mat2]), () => null);
+
+    assert.strictEqual(count, 0);
+    assert.strictEqual(cache.isOverBudget(), true);
+  });
+
+  it('should apply the rotation of the mesh', () => {
+    const cache = new TileCache(1);
+    const evicted = [];
+
+    cache.add('a', { id: 'a' }, material(), new Vector3(0, 0, 1));
+    cache.add('b', { id: 'b' }, material(), new Vector3(0, 0, -1));
+
+    cache.evict(direction, new Euler(0, Math.PI, 0), new Set(), (mat, tile) => evicted.push(tile.id));
+
+    assert.deepStrictEqual(evicted, ['a']);
+  });
+});
@@ -0,0 +1,246 @@
+import { PSVError } from '../..';
+
+/**
+ * @summary Minimum delay between two automatic switches (ms)
+ * @type {number}
+ * @private
+ */
+const AUTO_SWITCH_INTERVAL = 5000;
+
+/**
+ * @summary Part of the measured bandwidth used to choose a level
+ * @type {number}
+ * @private
+ */
+const BANDWIDTH_SAFETY = 0.8;
+
+/**
+ * @summary Bitrate ladder of progressive video files
+ * @description Implements {@link PSV.adapters.AbstractVideoAdapter.Stream} by changing the source of the video element.
+ * In automatic mode the bandwidth is estimated from the growth of the buffer.
+ * @memberOf PSV.adapters
+ * @private
+ */
+export class VideoLadder {
+
+  /**
+   * @param {HTMLVideoElement} video
+   * @param {PSV.adapters.AbstractVideoAdapter.VideoSource[]} sources
+   * @param {function} onChange
+   */
+  constructor(video, sources, onChange) {
+    this.video = video;
+    this.onChange = onChange;
+
+    this.levels = sources
+      .map((source, i) => ({
+        id     : source.id ?? `${i}`,
+        label  : source.label ?? `${Math.round(source.bitrate / 1000)} kbps`,
+        bitrate: source.bitrate,
+        source : source.source,
+      }))
+      .sort((a, b) => a.bitrate - b.bitrate);
+
+    this.auto = true;
+    this.current = null;
+    this.bandwidth = 0;
+    this.lastSwitch = 0;
+    this.lastMeasure = null;
+    // time and state to restore when the metadata of the new source are loaded
+    this.pendingRestore = null;
+
+    this.video.addEventListener('progress', this);
+    this.video.addEventListener('waiting', this);
+
+    this.__setSource(this.levels[0]);
+  }
+
+  destroy() {
+    this.video.removeEventListener('progress', this);
+    this.video.removeEventListener('waiting', this);
+    this.video.removeEventListener('loadedmetadata', this);
+
+    delete this.video;
+    delete this.onChange;
+  }
+
+  /**
+   * @private
+   */
+  handleEvent(e) {
+    /* eslint-disable */
+    switch (e.type) {
+      case 'progress':
+        this.__measureBandwidth();
+        this.__autoSwitch();
+        break;
+      case 'waiting':
+        this.__onStall();
+        break;
+      case 'loadedmetadata':
+        this.__restoreTime();
+        break;
+    }
+    /* eslint-enable */
+  }
+
+  /**
+   * @returns {PSV.adapters.AbstractVideoAdapter.VideoQuality[]}
+   */
+  getLevels() {
+    return this.levels.map(level => ({
+      id     : level.id,
+      label  : level.label,
+      bitrate: level.bitrate,
+    }));
+  }
+
+  /**
+   * @returns {string}
+   */
+  getLevel() {
+    return this.current.id;
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isAuto() {
+    return this.auto;
+  }
+
+  /**
+   * @param {string} id - id of a level or 'auto'
+   * @throws {PSV.PSVError} when the level does not exist
+   */
+  setLevel(id) {
+    if (id === 'auto') {
+      this.auto = true;
+      this.lastSwitch = 0;
+      this.__autoSwitch();
+      this.onChange();
+      return;
+    }
+
+    const level = this.levels.find(l => l.id === id);
+    if (!level) {
+      throw new PSVError(`Video quality ${id} unknown`);
+    }
+
+    this.auto = false;
+    if (!this.__setSource(level)) {
+      this.onChange();
+    }
+  }
+
+  /**
+   * @summary Changes the source of the video, keeping the current time and state
+   * @param {Object} level
+   * @returns {boolean} true if the source changed
+   * @private
+   */
+  __setSource(level) {
+    if (level === this.current) {
+      return false;
+    }
+
+    // the previous source may not be loaded yet, its time and state are kept
+    if (this.current && !this.pendingRestore) {
+      this.pendingRestore = {
+        currentTime: this.video.currentTime,
+        paused     : this.video.paused,
+      };
+      this.video.addEventListener('loadedmetadata', this);
+    }
+
+    this.current = level;
+    this.lastSwitch = Date.now();
+    this.lastMeasure = null;
+    this.video.src = level.source;
+
+    this.onChange();
+    return true;
+  }
+
+  /**
+   * @summary Applies the time and state of the video before the change of source
+   * @private
+   */
+  __restoreTime() {
+    const { currentTime, paused } = this.pendingRestore;
+
+    this.pendingRestore = null;
+    this.video.removeEventListener('loadedmetadata', this);
+
+    this.video.currentTime = currentTime;
+    if (!paused) {
+      this.video.play();
+    }
+  }
+
+  /**
+   * @summary Returns the end of the buffered range containing the current time
+   * @returns {number}
+   * @private
+   */
+  __getBufferEnd() {
+    const buffer = this.video.buffered;
+    for (let i = 0, l = buffer.length; i < l; i++) {
+      if (buffer.start(i) <= this.video.currentTime && buffer.end(i) >= this.video.currentTime) {
+        return buffer.end(i);
+      }
+    }
+    return this.video.currentTime;
+  }
+
+  /**
+   * @summary Estimates the bandwidth from the quantity of video buffered since the last measure
+   * @private
+   */
+  __measureBandwidth() {
+    const measure = {
+      time  : Date.now(),
+      buffer: this.__getBufferEnd(),
+    };
+
+    if (this.lastMeasure && measure.buffer > this.lastMeasure.buffer && measure.time > this.lastMeasure.time) {
+      const sample = (measure.buffer - this.lastMeasure.buffer) * this.current.bitrate
+        / ((measure.time - this.lastMeasure.time) / 1000);
+      this.bandwidth = this.bandwidth ? this.bandwidth * 0.7 + sample * 0.3 : sample;
+    }
+
+    this.lastMeasure = measure;
+  }
+
+  /**
+   * @summary Selects the best level for the estimated bandwidth
+   * @private
+   */
+  __autoSwitch() {
+    if (!this.auto || !this.bandwidth || Date.now() - this.lastSwitch < AUTO_SWITCH_INTERVAL) {
+      return;
+    }
+
+    const target = [...this.levels].reverse().find(level => level.bitrate <= this.bandwidth * BANDWIDTH_SAFETY)
+      || this.levels[0];
+
+    this.__setSource(target);
+  }
+
+  /**
+   * @summary Goes down one level when the playback stalls
+   * @private
+   */
+  __onStall() {
+    if (!this.auto || this.video.paused || Date.now() - this.lastSwitch < AUTO_SWITCH_INTERVAL) {
+      return;
+    }
+
+    const index = this.levels.indexOf(this.current);
+    if (index > 0) {
+      this.bandwidth = this.levels[index - 1].bitrate / BANDWIDTH_SAFETY;
+      this.__setSource(this.levels[index - 1]);
+    }
+  }
+
+}
@@ -0,0 +1,94 @@
+import assert from 'assert';
+
+import { VideoLadder } from './VideoLadder';
+
+/**
+ * Video element whose events are dispatched by a native EventTarget (a transpiled class cannot extend it)
+ */
+class VideoMock {
+
+  constructor() {
+    this.events = new EventTarget();
+    this.src = null;
+    this.currentTime = 0;
+    this.paused = true;
+  }
+
+  play() {
+    this.paused = false;
+  }
+
+  addEventListener(type, listener) {
+    this.events.addEventListener(type, listener);
+  }
+
+  removeEventListener(type, listener) {
+    this.events.removeEventListener(type, listener);
+  }
+
+  dispatchEvent(e) {
+    this.events.dispatchEvent(e);
+  }
+
+  /**
+   * A new source resets the element until its metadata are loaded
+   */
+  set src(src) {
+    this.source = src;
+    this.currentTime = 0;
+    this.paused = true;
+  }
+
+  get src() {
+    return this.source;
+  }
+
+}
+
+const SOURCES = [
+  { id: 'low', bitrate: 1000000, source: 'low.mp4' },
+  { id: 'medium', bitrate: 2000000, source: 'medium.mp4' },
+  { id: 'high', bitrate: 4000000, source: 'high.mp4' },
+];
+
+describe('adapters:VideoLadder', () => {
+  it('should keep the time and the state when switching', () => {
+    const video = new VideoMock();
+    const ladder = new VideoLadder(video, SOURCES, () => null);
+
+    video.currentTime = 12;
+    video.paused = false;
+
+    ladder.setLevel('high');
+    assert.strictEqual(video.src, 'high.mp4');
+
+    video.dispatchEvent(new Event('loadedmetadata'));
+    assert.strictEqual(video.currentTime, 12);
+    assert.strictEqual(video.paused, false);
+
+    ladder.destroy();
+  });
+
+  it('should keep the time of the first switch when switching again before loading', () => {
+    const video = new VideoMock();
+    const ladder = new VideoLadder(video, SOURCES, () => null);
+
+    video.currentTime = 12;
+    video.paused = false;
+
+    ladder.setLevel('high');
+    ladder.setLevel('medium');
+    assert.strictEqual(video.src, 'medium.mp4');
+
+    video.dispatchEvent(new Event('loadedmetadata'));
+    assert.strictEqual(video.currentTime, 12);
+    assert.strictEqual(video.paused, false);
+
+    // the next loading of the same source does not move the time
+    video.currentTime = 20;
+    video.dispatchEvent(new Event('loadedmetadata'));
+    assert.strictEqual(video.currentTime, 20);
+
+    ladder.destroy();
+  });
+});
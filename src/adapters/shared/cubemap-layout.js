@@ -0,0 +1,116 @@
+/**
+ * @typedef {Object} PSV.adapters.CubemapFaceLayout
+ * @summary Position of the six faces in a single image or video
+ * @property {int} [cols=3] - number of columns of faces
+ * @property {int} [rows=2] - number of rows of faces
+ * @property {Array<string|null>} [order] - name of the face in each cell, row by row from the top-left corner,
+ *   `null` for empty cells, default is `['left', 'front', 'right', 'bottom', 'back', 'top']`
+ * @property {Object<string, int>} [rotation] - clockwise rotation of the faces in the file, in degrees (multiple of 90),
+ *   default is `{ bottom: 90, back: 90, top: 90 }`
+ * @property {int} [padding=0] - number of pixels to ignore around each face
+ */
+
+/**
+ * @summary Faces of the cube, in the order of three.js
+ * @type {string[]}
+ * @private
+ */
+export const CUBE_FACES = ['left', 'right', 'top', 'bottom', 'back', 'front'];
+
+/**
+ * @summary Default layout, as used by Youtube
+ * @type {PSV.adapters.CubemapFaceLayout}
+ * @private
+ */
+export const DEFAULT_FACE_LAYOUT = {
+  cols    : 3,
+  rows    : 2,
+  order   : ['left', 'front', 'right', 'bottom', 'back', 'top'],
+  rotation: { bottom: 90, back: 90, top: 90 },
+  padding : 0,
+};
+
+/**
+ * @summary Merges a layout with the default one and checks it
+ * @memberOf PSV.adapters
+ * @param {PSV.adapters.CubemapFaceLayout} [layout]
+ * @returns {PSV.adapters.CubemapFaceLayout}
+ * @throws {Error} when the layout is invalid
+ * @private
+ */
+export function getFaceLayout(layout) {
+  const result = {
+    ...DEFAULT_FACE_LAYOUT,
+    ...layout,
+  };
+
+  // a custom order resets the default rotations
+  if (layout?.order && !layout.rotation) {
+    result.rotation = {};
+  }
+
+  if (result.order.length !== result.cols * result.rows) {
+    throw new Error(`Invalid face layout, ${result.cols}x${result.rows} cells expected in "order".`);
+  }
+
+  CUBE_FACES.forEach((face) => {
+    if (result.order.filter(f => f === face).length !== 1) {
+      throw new Error(`Invalid face layout, face "${face}" must appear exactly once in "order".`);
+    }
+  });
+
+  if (result.order.some(face => face !== null && !CUBE_FACES.includes(face))) {
+    throw new Error('Invalid face layout, unknown face in "order".');
+  }
+
+  Object.keys(result.rotation).forEach((face) => {
+    if (!CUBE_FACES.includes(face) || result.rotation[face] % 90 !== 0) {
+      throw new Error(`Invalid face layout, rotation of "${face}" must be a multiple of 90.`);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * @summary Returns the position of each face in the layout, in the order of three.js
+ * @memberOf PSV.adapters
+ * @param {PSV.adapters.CubemapFaceLayout} layout
+ * @returns {Array<{col: int, row: int, rotation: int}>} rotation is the number of clockwise quarter turns
+ * @private
+ */
+export function getFaceCells(layout) {
+  return CUBE_FACES.map((face) => {
+    const index = layout.order.indexOf(face);
+    return {
+      col     : index % layout.cols,
+      row     : Math.floor(index / layout.cols),
+      rotation: ((((layout.rotation[face] || 0) / 90) % 4) + 4) % 4,
+    };
+  });
+}
+
+/**
+ * @summary Computes the texture coordinates of a face of the non-indexed BoxGeometry
+ * @memberOf PSV.adapters
+ * @param {PSV.adapters.CubemapFaceLayout} layout
+ * @param {{col: int, row: int, rotation: int}} cell
+ * @returns {Array<number[]>} six pairs of UVs
+ * @private
+ */
+export function getFaceUvs(layout, cell) {
+  // original UVs of the two triangles of a face
+  const faceUvs = [[0, 1], [0, 0], [1, 1], [0, 0], [1, 0], [1, 1]];
+
+  return faceUvs.map(([u, v]) => {
+    // rotate clockwise
+    for (let i = 0; i < cell.rotation; i++) {
+      [u, v] = [v, 1 - u];
+    }
+
+    return [
+      (cell.col + u) / layout.cols,
+      1 - (cell.row + 1 - v) / layout.rows,
+    ];
+  });
+}
@@ -0,0 +1,83 @@
+import assert from 'assert';
+
+import { getFaceCells, getFaceLayout, getFaceUvs } from './cubemap-layout';
+
+function roundUvs(uvs) {
+  return uvs.map(uv => uv.map(x => Math.round(x * 1000) / 1000));
+}
+
+describe('adapters:cubemap-layout:getFaceLayout', () => {
+  it('should return the default layout', () => {
+    const layout = getFaceLayout();
+
+    assert.strictEqual(layout.cols, 3);
+    assert.strictEqual(layout.rows, 2);
+    assert.deepStrictEqual(layout.rotation, { bottom: 90, back: 90, top: 90 });
+  });
+
+  it('should reset rotations with a custom order', () => {
+    const layout = getFaceLayout({
+      cols : 6,
+      rows : 1,
+      order: ['right', 'left', 'top', 'bottom', 'front', 'back'],
+    });
+
+    assert.deepStrictEqual(layout.rotation, {});
+  });
+
+  it('should accept empty cells', () => {
+    assert.doesNotThrow(() => getFaceLayout({
+      cols : 4,
+      rows : 3,
+      order: [
+        null, 'top', null, null,
+        'left', 'front', 'right', 'back',
+        null, 'bottom', null, null,
+      ],
+    }));
+  });
+
+  it('should reject invalid layouts', () => {
+    assert.throws(() => getFaceLayout({ cols: 2 }), /cells expected/);
+    assert.throws(() => getFaceLayout({ order: ['left', 'left', 'right', 'bottom', 'back', 'top'] }), /"left" must appear exactly once/);
+    assert.throws(() => getFaceLayout({ rotation: { top: 45 } }), /multiple of 90/);
+  });
+});
+
+describe('adapters:cubemap-layout:getFaceUvs', () => {
+  it('should compute the default layout', () => {
+    const layout = getFaceLayout();
+    const uvs = getFaceCells(layout).map(cell => roundUvs(getFaceUvs(layout, cell)));
+
+    const a = 0;
+    const b = 0.333;
+    const c = 0.667;
+    const d = 1;
+    const A = 1;
+    const B = 0.5;
+    const C = 0;
+
+    assert.deepStrictEqual(uvs, [
+      [[a, A], [a, B], [b, A], [a, B], [b, B], [b, A]], // left
+      [[c, A], [c, B], [d, A], [c, B], [d, B], [d, A]], // right
+      [[d, B], [c, B], [d, C], [c, B], [c, C], [d, C]], // top
+      [[b, B], [a, B], [b, C], [a, B], [a, C], [b, C]], // bottom
+      [[c, B], [b, B], [c, C], [b, B], [b, C], [c, C]], // back
+      [[b, A], [b, B], [c, A], [b, B], [c, B], [c, A]], // front
+    ]);
+  });
+
+  it('should rotate faces', () => {
+    const layout = getFaceLayout({
+      cols    : 6,
+      rows    : 1,
+      order   : ['left', 'front', 'right', 'back', 'top', 'bottom'],
+      rotation: { top: 180, bottom: -90 },
+    });
+    const cells = getFaceCells(layout);
+
+    assert.deepStrictEqual(cells[2], { col: 4, row: 0, rotation: 2 });
+    assert.deepStrictEqual(cells[3], { col: 5, row: 0, rotation: 3 });
+    assert.deepStrictEqual(roundUvs(getFaceUvs(layout, cells[2])).slice(0, 3), [[0.833, 0], [0.833, 1], [0.667, 0]]);
+  });
+});
@@ -0,0 +1,173 @@
+import { MathUtils, Mesh, ShaderMaterial, SphereGeometry, Texture, Vector3 } from 'three';
+import { CONSTANTS, PSVError, utils } from '../..';
+
+/**
+ * @typedef {Object} PSV.adapters.DualFisheyeLens
+ * @summary Position of a fisheye circle in the image
+ * @property {number} x - horizontal position of the center, relative to the image width
+ * @property {number} y - vertical position of the center, relative to the image height
+ * @property {number} radius - radius of the circle, relative to the image width
+ */
+
+/**
+ * @typedef {Object} PSV.adapters.DualFisheyeOptions
+ * @property {number} [resolution=64] - number of faces of the sphere geometry, higher values may decrease performances
+ * @property {number} [fov=190] - field of view of each lens in degrees
+ * @property {number} [blendAngle=5] - width of the seam between the two lenses in degrees
+ * @property {PSV.adapters.DualFisheyeLens} [frontLens] - position of the front lens, in the left half of the image by default
+ * @property {PSV.adapters.DualFisheyeLens} [backLens] - position of the back lens, in the right half of the image by default
+ */
+
+/**
+ * @summary Default options of dual fisheye adapters
+ * @type {PSV.adapters.DualFisheyeOptions}
+ * @private
+ */
+export const DUAL_FISHEYE_DEFAULTS = {
+  resolution: 64,
+  fov       : 190,
+  blendAngle: 5,
+  frontLens : { x: 0.25, y: 0.5, radius: 0.25 },
+  backLens  : { x: 0.75, y: 0.5, radius: 0.25 },
+};
+
+/**
+ * @summary Merges and checks the options of a dual fisheye adapter
+ * @memberOf PSV.adapters
+ * @param {string} name - name of the adapter, for error messages
+ * @param {PSV.adapters.DualFisheyeOptions} options
+ * @returns {PSV.adapters.DualFisheyeOptions}
+ * @throws {PSV.PSVError} when the options are invalid
+ * @private
+ */
+export function getDualFisheyeConfig(name, options) {
+  const config = {
+    ...DUAL_FISHEYE_DEFAULTS,
+    ...options,
+    frontLens: { ...DUAL_FISHEYE_DEFAULTS.frontLens, ...options?.frontLens },
+    backLens : { ...DUAL_FISHEYE_DEFAULTS.backLens, ...options?.backLens },
+  };
+
+  if (!MathUtils.isPowerOfTwo(config.resolution)) {
+    throw new PSVError(`${name} resolution must be power of two`);
+  }
+  if (config.fov < 180 || config.fov > 360) {
+    throw new PSVError(`${name} fov must be between 180 and 360 degrees`);
+  }
+  if (config.blendAngle > config.fov - 180) {
+    utils.logWarn(`${name} blendAngle is larger than the overlap of the lenses, it will be reduced to ${config.fov - 180}`);
+    config.blendAngle = config.fov - 180;
+  }
+
+  return config;
+}
+
+/**
+ * @summary Creates a texture from a dual fisheye image, reduced if too large for the GPU
+ * @memberOf PSV.adapters
+ * @param {HTMLImageElement} img
+ * @param {PSV.SYSTEM} system - capabilities of the viewer
+ * @returns {external:THREE.Texture}
+ * @private
+ */
+export function createDualFisheyeTexture(img, system) {
+  if (img.width > system.maxTextureWidth) {
+    const ratio = system.getMaxCanvasWidth() / img.width;
+
+    const buffer = document.createElement('canvas');
+    buffer.width = img.width * ratio;
+    buffer.height = img.height * ratio;
+
+    const ctx = buffer.getContext('2d');
+    ctx.drawImage(img, 0, 0, buffer.width, buffer.height);
+
+    return utils.createTexture(buffer);
+  }
+
+  return utils.createTexture(img);
+}
+
+/**
+ * @summary Creates a sphere mesh projecting the two fisheye circles
+ * @description Each fragment is projected on both lenses with the equidistant fisheye model
+ * and the two colors are mixed around the seam.
+ * @memberOf PSV.adapters
+ * @param {PSV.adapters.DualFisheyeOptions} config
+ * @param {number} [scale=1]
+ * @returns {external:THREE.Mesh}
+ * @private
+ */
+export function createDualFisheyeMesh(config, scale = 1) {
+  // The front lens is placed at longitude=0
+  const geometry = new SphereGeometry(
+    CONSTANTS.SPHERE_RADIUS * scale,
+    config.resolution,
+    config.resolution / 2,
+    -Math.PI / 2
+  )
+    .scale(-1, 1, 1);
+
+  const lensUniform = lens => ({ value: new Vector3(lens.x, lens.y, lens.radius) });
+
+  const material = new ShaderMaterial({
+    uniforms      : {
+      panorama     : { value: new Texture() },
+      globalOpacity: { value: 1 },
+      ratio        : { value: 2 },
+      halfFov      : { value: MathUtils.degToRad(config.fov) / 2 },
+      blend        : { value: MathUtils.degToRad(config.blendAngle) / 2 },
+      frontLens    : lensUniform(config.frontLens),
+      backLens     : lensUniform(config.backLens),
+    },
+    vertexShader  : `
+varying vec3 vDirection;
+
+void main() {
+  vDirection = position;
+  gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.);
+}`,
+    fragmentShader: `
+uniform sampler2D panorama;
+uniform float globalOpacity;
+uniform float ratio;
+uniform float halfFov;
+uniform float blend;
+uniform vec3 frontLens;
+uniform vec3 backLens;
+
+varying vec3 vDirection;
+
+// dir is expressed in the lens space: x to the right of the image, y to the top, z along the optical axis
+vec2 lensUv(vec3 lens, vec3 dir) {
+  float theta = acos(clamp(dir.z, -1., 1.));
+  vec2 plane = length(dir.xy) > 0. ? normalize(dir.xy) : vec2(0.);
+  vec2 offset = plane * theta / halfFov * lens.z;
+  return vec2(lens.x + offset.x, 1. - lens.y + offset.y * ratio);
+}
+
+void main() {
+  vec3 dir = normalize(vDirection);
+  vec4 front = texture2D(panorama, lensUv(frontLens, vec3(-dir.x, dir.y, dir.z)));
+  vec4 back = texture2D(panorama, lensUv(backLens, vec3(dir.x, dir.y, -dir.z)));
+  float weight = blend > 0. ? smoothstep(-blend, blend, asin(dir.z)) : step(0., dir.z);
+  gl_FragColor = vec4(mix(back.rgb, front.rgb, weight), globalOpacity);
+}`,
+  });
+
+  return new Mesh(geometry, material);
+}
+
+/**
+ * @summary Applies a texture on a dual fisheye mesh
+ * @memberOf PSV.adapters
+ * @param {external:THREE.Mesh} mesh
+ * @param {external:THREE.Texture} texture
+ * @param {number} width - width of the image or video
+ * @param {number} height - height of the image or video
+ * @private
+ */
+export function setDualFisheyeTexture(mesh, texture, width, height) {
+  mesh.material.uniforms.panorama.value?.dispose();
+  mesh.material.uniforms.panorama.value = texture;
+  mesh.material.uniforms.ratio.value = width / height;
+}
@@ -0,0 +1,232 @@
+/**
+ * @typedef {Object} PSV.adapters.TileSourceConfig
+ * @summary Description of a tiled image provided by a standard tiles server
+ * @property {'dzi'|'iiif'|'krpano'} type
+ * @property {string} url - URL of the DZI file, of the IIIF `info.json` file or of the Krpano XML file,
+ *   for cubemaps the DZI and IIIF URLs must contain `%s` which is replaced by the name of the face
+ */
+
+/**
+ * @typedef {Object} PSV.adapters.TileSourceLevel
+ * @private
+ * @property {int} width - width of the image at this level
+ * @property {int} height - height of the image at this level
+ * @property {int} tileWidth
+ * @property {int} tileHeight
+ * @property {function(int, int, string=): string} tileUrl - build a tile url from its column, row and face
+ */
+
+/**
+ * @typedef {Object} PSV.adapters.TileSource
+ * @private
+ * @property {PSV.adapters.TileSourceLevel[]} levels - ordered by increasing width
+ * @property {string} [preview] - URL of a low resolution image
+ * @property {int} [overlap=0] - number of pixels each tile shares with its neighbours, on its inner borders
+ */
+
+const KRPANO_FACES = {
+  left  : 'l',
+  front : 'f',
+  right : 'r',
+  back  : 'b',
+  top   : 'u',
+  bottom: 'd',
+};
+
+/**
+ * @summary Returns the value of an XML attribute
+ * @param {string} xml
+ * @param {string} tag
+ * @param {string} attr
+ * @returns {string|null}
+ * @private
+ */
+function getXmlAttribute(xml, tag, attr) {
+  const result = xml.match(new RegExp(`<${tag}\\s[^>]*?\\b${attr}="([^"]*)"`, 'i'));
+  return result !== null ? result[1] : null;
+}
+
+/**
+ * @summary Replaces the face placeholder of an url
+ * @param {string} url
+ * @param {string} [face]
+ * @returns {string}
+ * @private
+ */
+export function replaceFace(url, face) {
+  return face ? url.replace('%s', face) : url;
+}
+
+/**
+ * @summary Resolves a path relative to the directory of another url
+ * @param {string} path
+ * @param {string} url
+ * @returns {string}
+ * @private
+ */
+function resolveUrl(path, url) {
+  path = path.replace(/^%(CURRENTXML|SWFPATH)%\//, '');
+  if (/^([a-z]+:)?\/\//i.test(path) || path.startsWith('/')) {
+    return path;
+  }
+  return url.substring(0, url.lastIndexOf('/') + 1) + path;
+}
+
+/**
+ * @summary Parses a Deep Zoom Image (DZI) descriptor
+ * @memberOf PSV.adapters
+ * @param {string} content - XML content
+ * @param {string} url - URL of the descriptor
+ * @returns {PSV.adapters.TileSource}
+ * @throws {Error} when the descriptor is invalid
+ * @private
+ */
+export function parseDzi(content, url) {
+  const tileSize = parseInt(getXmlAttribute(content, 'Image', 'TileSize'), 10);
+  const overlap = parseInt(getXmlAttribute(content, 'Image', 'Overlap'), 10) || 0;
+  const format = getXmlAttribute(content, 'Image', 'Format');
+  const width = parseInt(getXmlAttribute(content, 'Size', 'Width'), 10);
+  const height = parseInt(getXmlAttribute(content, 'Size', 'Height'), 10);
+
+  if (!tileSize || !format || !width || !height) {
+    throw new Error('Invalid Deep Zoom descriptor.');
+  }
+
+  const baseUrl = url.replace(/\.(dzi|xml)(\?.*)?$/i, '') + '_files/';
+  const maxLevel = Math.ceil(Math.log2(Math.max(width, height)));
+  const levels = [];
+
+  for (let level = 0; level <= maxLevel; level++) {
+    const scale = 2 ** (maxLevel - level);
+
+    levels.push({
+      width     : Math.ceil(width / scale),
+      height    : Math.ceil(height / scale),
+      tileWidth : tileSize,
+      tileHeight: tileSize,
+      tileUrl   : (col, row, face) => `${replaceFace(baseUrl, face)}${level}/${col}_${row}.${format}`,
+    });
+  }
+
+  return { levels, overlap };
+}
+
+/**
+ * @summary Parses a IIIF Image API `info.json` descriptor
+ * @memberOf PSV.adapters
+ * @param {string} content - JSON content
+ * @param {string} url - URL of the descriptor
+ * @returns {PSV.adapters.TileSource}
+ * @throws {Error} when the descriptor is invalid
+ * @private
+ */
+export function parseIiif(content, url) {
+  let info;
+  try {
+    info = JSON.parse(content);
+  }
+  catch (e) {
+    throw new Error('Invalid IIIF descriptor.');
+  }
+
+  const tiles = info.tiles?.[0];
+
+  if (!info.width || !info.height || !tiles?.width || !tiles.scaleFactors?.length) {
+    throw new Error('Invalid IIIF descriptor.');
+  }
+
+  // the id (@id in v2) is the base of the service, except for cubemaps where the URL is the template of the faces
+  const id = info['@id'] || info.id;
+  const baseUrl = id && !url.includes('%s')
+    ? id.replace(/\/$/, '')
+    : url.replace(/\/info\.json(\?.*)?$/i, '');
+  const tileWidth = tiles.width;
+  const tileHeight = tiles.height || tiles.width;
+
+  const levels = tiles.scaleFactors
+    .map(scale => ({
+      width     : Math.ceil(info.width / scale),
+      height    : Math.ceil(info.height / scale),
+      tileWidth : tileWidth,
+      tileHeight: tileHeight,
+      tileUrl   : (col, row, face) => {
+        const x = col * tileWidth * scale;
+        const y = row * tileHeight * scale;
+        const w = Math.min(tileWidth * scale, info.width - x);
+        const h = Math.min(tileHeight * scale, info.height - y);
+        return `${replaceFace(baseUrl, face)}/${x},${y},${w},${h}/${Math.ceil(w / scale)},/0/default.jpg`;
+      },
+    }))
+    .sort((a, b) => a.width - b.width);
+
+  return { levels };
+}
+
+/**
+ * @summary Parses a Krpano multires configuration
+ * @memberOf PSV.adapters
+ * @param {string} content - XML content
+ * @param {string} url - URL of the configuration
+ * @returns {PSV.adapters.TileSource}
+ * @throws {Error} when the configuration is invalid
+ * @private
+ */
+export function parseKrpano(content, url) {
+  const defaultTileSize = parseInt(getXmlAttribute(content, 'image', 'tilesize'), 10);
+  const preview = getXmlAttribute(content, 'preview', 'url');
+  const levels = [];
+
+  for (const result of content.matchAll(/<level\s([^>]*)>([\s\S]*?)<\/level>/gi)) {
+    const levelTag = `<level ${result[1]}>`;
+    const width = parseInt(getXmlAttribute(levelTag, 'level', 'tiledimagewidth'), 10);
+    const height = parseInt(getXmlAttribute(levelTag, 'level', 'tiledimageheight'), 10);
+    const tileSize = parseInt(getXmlAttribute(levelTag, 'level', 'tilesize'), 10) || defaultTileSize;
+    const path = getXmlAttribute(result[2], '(?:cube|sphere|cylinder)', 'url');
+
+    if (!width || !height || !tileSize || !path) {
+      throw new Error('Invalid Krpano configuration.');
+    }
+
+    const tileUrl = resolveUrl(path, url);
+
+    levels.push({
+      width     : width,
+      height    : height,
+      tileWidth : tileSize,
+      tileHeight: tileSize,
+      tileUrl   : (col, row, face) => tileUrl.replace(/%(0*)([svh])/g, (match, padding, placeholder) => {
+        switch (placeholder) {
+          case 's':
+            return KRPANO_FACES[face];
+          case 'v':
+            return `${row + 1}`.padStart(padding.length + 1, '0');
+          default:
+            return `${col + 1}`.padStart(padding.length + 1, '0');
+        }
+      }),
+    });
+  }
+
+  if (!levels.length) {
+    throw new Error('Invalid Krpano configuration, no multires level found.');
+  }
+
+  levels.sort((a, b) => a.width - b.width);
+
+  return {
+    levels : levels,
+    preview: preview ? resolveUrl(preview, url) : undefined,
+  };
+}
+
+/**
+ * @summary Parsers of each type of tile source
+ * @memberOf PSV.adapters
+ * @type {Record<string, function(string, string): PSV.adapters.TileSource>}
+ * @private
+ */
+export const TILE_SOURCE_PARSERS = {
+  dzi   : parseDzi,
+  iiif  : parseIiif,
+  krpano: parseKrpano,
+};
@@ -0,0 +1,157 @@
+import assert from 'assert';
+
+import { parseDzi, parseIiif, parseKrpano } from './tile-sources';
+
+const FIXTURES = {
+  'pano.dzi': `<?xml version="1.0" encoding="UTF-8"?>
+<Image xmlns="http://schemas.microsoft.com/deepzoom/2008"
+       Format="jpg"
+       Overlap="0"
+       TileSize="512">
+  <Size Width="8192" Height="4096"/>
+</Image>`,
+
+  'pano-overlap.dzi': `<?xml version="1.0" encoding="UTF-8"?>
+<Image xmlns="http://schemas.microsoft.com/deepzoom/2008" Format="png" Overlap="1" TileSize="512">
+  <Size Width="8192" Height="4096"/>
+</Image>`,
+
+  'info.json': `{
+  "@context": "http://iiif.io/api/image/2/context.json",
+  "@id": "https://iiif.example.com/pano",
+  "protocol": "http://iiif.io/api/image",
+  "width": 8192,
+  "height": 4096,
+  "tiles": [
+    { "width": 512, "scaleFactors": [1, 2, 4, 8, 16] }
+  ],
+  "profile": ["http://iiif.io/api/image/2/level1.json"]
+}`,
+
+  'krpano.xml': `<krpano>
+  <preview url="%CURRENTXML%/pano.tiles/preview.jpg" />
+  <image type="CUBE" multires="true" tilesize="512">
+    <level tiledimagewidth="4096" tiledimageheight="4096">
+      <cube url="pano.tiles/%s/l2/%0v/l2_%s_%0v_%0h.jpg" />
+    </level>
+    <level tiledimagewidth="2048" tiledimageheight="2048">
+      <cube url="pano.tiles/%s/l1/%0v/l1_%s_%0v_%0h.jpg" />
+    </level>
+    <level tiledimagewidth="1024" tiledimageheight="1024" tilesize="1024">
+      <cube url="https://cdn.example.com/pano.tiles/%s/l0/%v_%h.jpg" />
+    </level>
+  </image>
+</krpano>`,
+};
+
+describe('adapters:tile-sources:parseDzi', () => {
+  it('should compute all levels', () => {
+    const source = parseDzi(FIXTURES['pano.dzi'], 'https://example.com/pano.dzi');
+
+    assert.strictEqual(source.levels.length, 14);
+    assert.deepStrictEqual(
+      source.levels.slice(-3).map(({ width, height, tileWidth, tileHeight }) => ({ width, height, tileWidth, tileHeight })),
+      [
+        { width: 2048, height: 1024, tileWidth: 512, tileHeight: 512 },
+        { width: 4096, height: 2048, tileWidth: 512, tileHeight: 512 },
+        { width: 8192, height: 4096, tileWidth: 512, tileHeight: 512 },
+      ]
+    );
+  });
+
+  it('should build tiles url', () => {
+    const source = parseDzi(FIXTURES['pano.dzi'], 'https://example.com/pano.dzi');
+
+    assert.strictEqual(source.levels[13].tileUrl(3, 2), 'https://example.com/pano_files/13/3_2.jpg');
+    assert.strictEqual(source.levels[10].tileUrl(0, 1), 'https://example.com/pano_files/10/0_1.jpg');
+  });
+
+  it('should replace the face name', () => {
+    const source = parseDzi(FIXTURES['pano.dzi'], 'cube/%s.dzi');
+
+    assert.strictEqual(source.levels[13].tileUrl(0, 0, 'front'), 'cube/front_files/13/0_0.jpg');
+  });
+
+  it('should read the overlap', () => {
+    assert.strictEqual(parseDzi(FIXTURES['pano.dzi'], 'pano.dzi').overlap, 0);
+
+    const source = parseDzi(FIXTURES['pano-overlap.dzi'], 'pano.dzi');
+
+    assert.strictEqual(source.overlap, 1);
+    assert.strictEqual(source.levels[13].tileWidth, 512);
+    assert.strictEqual(source.levels[13].tileUrl(1, 0), 'pano_files/13/1_0.png');
+  });
+
+  it('should reject invalid descriptor', () => {
+    assert.throws(() => parseDzi('<Image TileSize="512"/>', 'pano.dzi'), /Invalid/);
+  });
+});
+
+describe('adapters:tile-sources:parseIiif', () => {
+  it('should compute levels from scale factors', () => {
+    const source = parseIiif(FIXTURES['info.json'], 'https://iiif.example.com/pano/info.json');
+
+    assert.deepStrictEqual(source.levels.map(level => level.width), [512, 1024, 2048, 4096, 8192]);
+    assert.deepStrictEqual(source.levels.map(level => level.height), [256, 512, 1024, 2048, 4096]);
+    assert.strictEqual(source.levels[0].tileHeight, 512);
+  });
+
+  it('should build tiles url', () => {
+    const source = parseIiif(FIXTURES['info.json'], 'https://iiif.example.com/pano/info.json');
+
+    assert.strictEqual(source.levels[4].tileUrl(1, 2), 'https://iiif.example.com/pano/512,1024,512,512/512,/0/default.jpg');
+    assert.strictEqual(source.levels[3].tileUrl(3, 1), 'https://iiif.example.com/pano/3072,1024,1024,1024/512,/0/default.jpg');
+    assert.strictEqual(source.levels[0].tileUrl(0, 0), 'https://iiif.example.com/pano/0,0,8192,4096/512,/0/default.jpg');
+  });
+
+  it('should use the id of the descriptor as base url', () => {
+    const v2 = parseIiif(FIXTURES['info.json'], 'https://cdn.example.com/descriptors/pano.json');
+    assert.strictEqual(v2.levels[0].tileUrl(0, 0), 'https://iiif.example.com/pano/0,0,8192,4096/512,/0/default.jpg');
+
+    const v3 = parseIiif(FIXTURES['info.json'].replace('"@id"', '"id"'), 'https://iiif.example.com/pano');
+    assert.strictEqual(v3.levels[0].tileUrl(0, 0), 'https://iiif.example.com/pano/0,0,8192,4096/512,/0/default.jpg');
+  });
+
+  it('should use the url of the descriptor for cubemaps', () => {
+    const source = parseIiif(FIXTURES['info.json'], 'https://iiif.example.com/cube-%s/info.json');
+
+    assert.strictEqual(source.levels[0].tileUrl(0, 0, 'left'), 'https://iiif.example.com/cube-left/0,0,8192,4096/512,/0/default.jpg');
+  });
+
+  it('should reject invalid descriptor', () => {
+    assert.throws(() => parseIiif('not json', 'info.json'), /Invalid/);
+    assert.throws(() => parseIiif('{"width": 100, "height": 50}', 'info.json'), /Invalid/);
+  });
+});
+
+describe('adapters:tile-sources:parseKrpano', () => {
+  it('should read and sort levels', () => {
+    const source = parseKrpano(FIXTURES['krpano.xml'], 'tours/pano.xml');
+
+    assert.deepStrictEqual(
+      source.levels.map(({ width, height, tileWidth }) => ({ width, height, tileWidth })),
+      [
+        { width: 1024, height: 1024, tileWidth: 1024 },
+        { width: 2048, height: 2048, tileWidth: 512 },
+        { width: 4096, height: 4096, tileWidth: 512 },
+      ]
+    );
+  });
+
+  it('should build tiles url', () => {
+    const source = parseKrpano(FIXTURES['krpano.xml'], 'tours/pano.xml');
+
+    assert.strictEqual(source.levels[2].tileUrl(4, 0, 'top'), 'tours/pano.tiles/u/l2/01/l2_u_01_05.jpg');
+    assert.strictEqual(source.levels[0].tileUrl(0, 0, 'left'), 'https://cdn.example.com/pano.tiles/l/l0/1_1.jpg');
+  });
+
+  it('should resolve the preview url', () => {
+    const source = parseKrpano(FIXTURES['krpano.xml'], 'tours/pano.xml');
+
+    assert.strictEqual(source.preview, 'tours/pano.tiles/preview.jpg');
+  });
+
+  it('should reject configuration without levels', () => {
+    assert.throws(() => parseKrpano('<krpano><image><sphere url="pano.jpg"/></image></krpano>', 'pano.xml'), /no multires level/);
+  });
+});
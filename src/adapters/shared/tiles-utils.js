@@ -1,5 +1,6 @@
 import { CanvasTexture, LineSegments, Mesh, MeshBasicMaterial, SphereGeometry, WireframeGeometry } from 'three';
-import { SYSTEM, utils } from '../..';
+import { PSVError, utils } from '../..';
+import { replaceFace, TILE_SOURCE_PARSERS } from './tile-sources';
 
 /**
  * @summary Generates an material for errored tiles
@@ -32,12 +33,13 @@ export function buildErrorMaterial(width, height) {
  * @param {HTMLImageElement} img
  * @param {boolean} blur
  * @param {function} getHeight
+ * @param {PSV.SYSTEM} system - capabilities of the viewer
  * @return {external:THREE.Texture}
  * @private
  */
-export function createBaseTexture(img, blur, getHeight) {
-  if (blur || img.width > SYSTEM.maxTextureWidth) {
-    const ratio = Math.min(1, SYSTEM.getMaxCanvasWidth() / img.width);
+export function createBaseTexture(img, blur, getHeight, system) {
+  if (blur || img.width > system.maxTextureWidth) {
+    const ratio = Math.min(1, system.getMaxCanvasWidth() / img.width);
 
     const buffer = document.createElement('canvas');
     buffer.width = img.width * ratio;
@@ -55,6 +57,124 @@ export function createBaseTexture(img, blur, getHeight) {
   return utils.createTexture(img);
 }
 
+/**
+ * @summary Crops the borders a tile shares with its neighbours
+ * @description Deep Zoom tiles with `Overlap` contain some pixels of the adjacent tiles on each inner border,
+ * the texture is offset to only display the area of the tile itself.
+ * @memberOf PSV.adapters
+ * @param {external:THREE.Texture} texture
+ * @param {int} overlap - size of the shared borders in pixels
+ * @param {int} col
+ * @param {int} row
+ * @param {int} cols - number of columns of the level
+ * @param {int} rows - number of rows of the level
+ * @private
+ */
+export function cropTileOverlap(texture, overlap, col, row, cols, rows) {
+  if (!overlap) {
+    return;
+  }
+
+  const { width, height } = texture.image;
+  const left = col > 0 ? overlap : 0;
+  const right = col < cols - 1 ? overlap : 0;
+  const top = row > 0 ? overlap : 0;
+  const bottom = row < rows - 1 ? overlap : 0;
+
+  // the texture is flipped, the vertical offset starts from the bottom of the image
+  texture.repeat.set((width - left - right) / width, (height - top - bottom) / height);
+  texture.offset.set(left / width, bottom / height);
+}
+
+/**
+ * @summary Loads the image of a tile, the request is aborted if the task is cancelled
+ * @description In headless mode the image is loaded by {@link PSV.HeadlessOptions} `loadImage` if provided, without abort
+ * @memberOf PSV.adapters
+ * @param {PSV.Viewer} psv
+ * @param {string} url
+ * @param {PSV.adapters.Task} task
+ * @return {Promise<HTMLImageElement>}
+ * @private
+ */
+export function loadTileImage(psv, url, task) {
+  if (psv.config.headless?.loadImage) {
+    return psv.config.headless.loadImage(url);
+  }
+
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open('GET', url, true);
+    xhr.responseType = 'blob';
+    xhr.withCredentials = !!psv.config.withCredentials;
+
+    let headers = psv.config.requestHeaders;
+    if (typeof headers === 'function') {
+      headers = headers(url);
+    }
+    if (headers && typeof headers === 'object') {
+      Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+    }
+
+    xhr.onload = () => {
+      if (xhr.status >= 200 && xhr.status < 300) {
+        resolve(xhr.response);
+      }
+      else {
+        reject(new Error(`Cannot load ${url}: ${xhr.status}`));
+      }
+    };
+    xhr.onerror = reject;
+    xhr.onabort = reject;
+
+    task.onCancel = () => xhr.abort();
+
+    xhr.send();
+  })
+    .then(blob => new Promise((resolve, reject) => {
+      const img = document.createElementNS('http://www.w3.org/1999/xhtml', 'img');
+      const src = URL.createObjectURL(blob);
+      img.onload = () => {
+        URL.revokeObjectURL(src);
+        resolve(img);
+      };
+      img.onerror = (err) => {
+        URL.revokeObjectURL(src);
+        reject(err);
+      };
+      img.src = src;
+    }));
+}
+
+/**
+ * @summary Loads and parses a tile source descriptor
+ * @memberOf PSV.adapters
+ * @param {PSV.Viewer} psv
+ * @param {PSV.adapters.TileSourceConfig} tileSource
+ * @param {string} [face] - face used to load the descriptor of a cubemap
+ * @returns {Promise<PSV.adapters.TileSource>}
+ * @throws {PSV.PSVError} when the descriptor is invalid
+ * @private
+ */
+export function loadTileSource(psv, tileSource, face) {
+  const parser = TILE_SOURCE_PARSERS[tileSource.type];
+  if (!parser || !tileSource.url) {
+    return Promise.reject(new PSVError('Invalid tile source, the type must be one of "dzi", "iiif" or "krpano".'));
+  }
+
+  const url = tileSource.type === 'krpano' ? tileSource.url : replaceFace(tileSource.url, face);
+
+  return psv.textureLoader.loadFile(url)
+    .then(blob => blob.text())
+    .then((content) => {
+      try {
+        return parser(content, tileSource.url);
+      }
+      catch (e) {
+        throw new PSVError(e.message);
+      }
+    });
+}
+
 /**
  * @summary Creates a wireframe geometry, for debug
  * @memberOf PSV.adapters
@@ -4,6 +4,7 @@ import { EquirectangularAdapter } from '../adapters/equirectangular';
 import { AbstractPlugin } from '../plugins/AbstractPlugin';
 import { PSVError } from '../PSVError';
 import { clone, deepmerge, each, isNil, logWarn, parseAngle, parseSpeed, pluginInterop } from '../utils';
+import { PROJECTIONS } from '../utils/projections';
 import { ACTIONS, KEY_CODES } from './constants';
 
 /**
@@ -26,6 +27,7 @@ export const DEFAULTS = {
   loadingTxt         : 'Loading...',
   size               : null,
   fisheye            : false,
+  projection         : 'rectilinear',
   minFov             : 30,
   maxFov             : 90,
   defaultZoomLvl     : 50,
@@ -49,6 +51,7 @@ export const DEFAULTS = {
   requestHeaders     : null,
   canvasBackground   : '#000',
   withCredentials    : false,
+  headless           : false,
   navbar             : [
     'autorotate',
     'zoom',
@@ -94,6 +97,7 @@ export const READONLY_OPTIONS = {
   container: 'Cannot change viewer container',
   adapter  : 'Cannot change adapter',
   plugins  : 'Cannot change plugins',
+  headless : 'Cannot change headless mode',
 };
 
 /**
@@ -112,12 +116,18 @@ export const DEPRECATED_OPTIONS = {
  * @private
  */
 export const CONFIG_PARSERS = {
-  container        : (container) => {
-    if (!container) {
+  container        : (container, config) => {
+    if (!container && !config.headless) {
       throw new PSVError('No value given for container.');
     }
     return container;
   },
+  headless         : (headless, config) => {
+    if (headless && !(parseFloat(config.size?.width) > 0 && parseFloat(config.size?.height) > 0)) {
+      throw new PSVError('Headless mode requires a size in pixels.');
+    }
+    return headless === true ? {} : headless;
+  },
   adapter          : (adapter) => {
     if (!adapter) {
       adapter = [EquirectangularAdapter];
@@ -219,6 +229,12 @@ export const CONFIG_PARSERS = {
     }
     return fisheye;
   },
+  projection       : (projection) => {
+    if (!(projection in PROJECTIONS)) {
+      throw new PSVError(`Unknown projection "${projection}"`);
+    }
+    return projection;
+  },
   plugins          : (plugins) => {
     return plugins
       .map((plugin) => {
@@ -82,6 +82,14 @@ export const VIEWER_DATA = 'photoSphereViewer';
  */
 export const MESH_USER_DATA = 'psvSphere';
 
+/**
+ * @summary Identifier of the overlay defined by the `overlay` option and {@link PSV.Viewer#setOverlay}
+ * @memberOf PSV.constants
+ * @type {string}
+ * @constant
+ */
+export const DEFAULT_OVERLAY_ID = 'default';
+
 /**
  * @summary Available actions
  * @memberOf PSV.constants
@@ -204,6 +212,13 @@ export const EVENTS = {
    * @param {string} [id]
    */
   OPEN_PANEL        : 'open-panel',
+  /**
+   * @event overlays-updated
+   * @memberof PSV
+   * @summary Triggered when an overlay is added, removed or changed
+   * @param {PSV.OverlayConfig[]} overlays
+   */
+  OVERLAYS_UPDATED  : 'overlays-updated',
   /**
    * @event panorama-loaded
    * @memberof PSV
@@ -211,6 +226,14 @@ export const EVENTS = {
    * @param {PSV.TextureData} textureData
    */
   PANORAMA_LOADED   : 'panorama-loaded',
+  /**
+   * @event path-progress
+   * @memberof PSV
+   * @summary Triggered on each frame of {@link PSV.Viewer#animatePath}
+   * @param {number} progress - from 0 to 1
+   * @param {int} waypoint - index of the last reached waypoint, -1 before the first one
+   */
+  PATH_PROGRESS     : 'path-progress',
   /**
    * @event position-updated
    * @memberof PSV
@@ -265,6 +288,13 @@ export const EVENTS = {
    * @summary Triggered when all current animations are stopped
    */
   STOP_ALL          : 'stop-all',
+  /**
+   * @event tiles-cache-stats
+   * @memberof PSV
+   * @summary Triggered when the tiles cache of a tiled adapter changes
+   * @param {PSV.TilesCacheStats} stats
+   */
+  TILES_CACHE_STATS : 'tiles-cache-stats',
   /**
    * @event zoom-updated
    * @memberof PSV
@@ -386,6 +416,7 @@ export const KEY_CODES = {
   ArrowRight: 'ArrowRight',
   ArrowDown : 'ArrowDown',
   Delete    : 'Delete',
+  Backspace : 'Backspace',
   Plus      : '+',
   Minus     : '-',
 };
@@ -44,6 +44,30 @@ SYSTEM.load = () => {
   }
 };
 
+/**
+ * @summary Returns the capabilities of a headless viewer, read from its own WebGL context
+ * @description The global {@link PSV.SYSTEM} is not modified, the detections requiring a browser window are skipped
+ * and the canvases are assumed to support the maximum texture size.
+ * @param {WebGLRenderingContext|WebGL2RenderingContext} ctx
+ * @returns {PSV.SYSTEM}
+ * @private
+ */
+export function getHeadlessSystem(ctx) {
+  const maxTextureWidth = getMaxTextureWidth(ctx);
+
+  return {
+    loaded           : true,
+    load             : () => null,
+    pixelRatio       : 1,
+    isWebGLSupported : ctx != null,
+    isTouchEnabled   : { initial: false, promise: Promise.resolve(false) },
+    maxTextureWidth  : maxTextureWidth,
+    mouseWheelEvent  : null,
+    fullscreenEvent  : null,
+    getMaxCanvasWidth: () => maxTextureWidth,
+  };
+}
+
 let maxCanvasWidth = null;
 SYSTEM.getMaxCanvasWidth = () => {
   if (maxCanvasWidth === null) {
@@ -54,11 +78,22 @@ SYSTEM.getMaxCanvasWidth = () => {
 
 /**
  * @summary Tries to return a canvas webgl context
+ * @param {HTMLCanvasElement|OffscreenCanvas} [canvas] - a new canvas is created by default
  * @returns {WebGLRenderingContext}
  * @private
  */
-function getWebGLCtx() {
-  const canvas = document.createElement('canvas');
+export function getWebGLCtx(canvas) {
+  if (!canvas) {
+    canvas = {};
+    if (typeof document !== 'undefined') {
+      canvas = document.createElement('canvas');
+    }
+    // workers do not have a document
+    else if (typeof OffscreenCanvas !== 'undefined') {
+      canvas = new OffscreenCanvas(1, 1);
+    }
+  }
+
   const names = ['webgl', 'experimental-webgl', 'moz-webgl', 'webkit-3d'];
   let context = null;
 
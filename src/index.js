@@ -87,6 +87,15 @@ export {
  * @property {number} [zoom] - new zoom level between 0 and 100
  */
 
+/**
+ * @typedef {PSV.ExtendedPosition} PSV.PathWaypoint
+ * @summary Waypoint of {@link PSV.Viewer#animatePath}, the position and the zoom are kept from the previous waypoint if missing
+ * @property {number} [zoom] - zoom level between 0 and 100
+ * @property {number} [duration=2000] - duration of the move from the previous waypoint, in milliseconds
+ * @property {string|Function} [easing='linear'] - easing of the move from the previous waypoint
+ * @property {number} [pause=0] - time spent on the waypoint, in milliseconds
+ */
+
 /**
  * @typedef {Object} PSV.PanoData
  * @summary Crop information of the panorama
@@ -121,6 +130,67 @@ export {
  * @property {PSV.PanoData | PSV.PanoDataProvider} [panoData] - new data used for this panorama
  * @property {*} [overlay] - new overlay to apply to the panorama
  * @property {number} [overlayOpacity] - new overlay opacity
+ * @property {boolean} [keepOverlays=false] - keep the overlays added with {@link PSV.Viewer#addOverlay} on the new panorama
+ */
+
+/**
+ * @typedef {Object} PSV.OverlayConfig
+ * @summary Configuration of an overlay added with {@link PSV.Viewer#addOverlay}
+ * @property {string} id - unique identifier of the overlay, an existing overlay with the same id is replaced
+ * @property {*} path - URL of the overlay file, same format as the panorama
+ * @property {number} [opacity=1]
+ * @property {'normal'|'multiply'|'screen'} [blendMode='normal']
+ * @property {PSV.OverlayClip} [clip] - part of the viewer where the overlay is visible, the whole viewer by default
+ */
+
+/**
+ * @typedef {Object} PSV.OverlayClip
+ * @summary Rectangle of the viewer, in ratio of its size, from the top left corner
+ * @property {number} x
+ * @property {number} y
+ * @property {number} width
+ * @property {number} height
+ */
+
+/**
+ * @typedef {Object} PSV.OverlayLayer
+ * @summary Overlay applied to the panorama
+ * @property {string} id
+ * @property {*} path
+ * @property {number} opacity
+ * @property {'normal'|'multiply'|'screen'} blendMode
+ * @property {PSV.OverlayClip} clip
+ * @property {PSV.TextureData} textureData
+ */
+
+/**
+ * @typedef {Object} PSV.SnapshotOptions
+ * @summary Options of {@link PSV.Viewer#snapshot}
+ * @property {int} [width] - width of the image in pixels, size of the canvas by default
+ * @property {int} [height] - height of the image in pixels, computed from the width by default
+ * @property {string} [format='image/jpeg'] - mime type of the image
+ * @property {number} [quality=0.92] - quality of lossy formats, between 0 and 1
+ * @property {boolean} [includeMarkers=false] - draws the visible HTML and SVG markers, requires the MarkersPlugin
+ * @property {boolean} [equirectangular=false] - renders the whole sphere with an equirectangular projection,
+ *   the height is half the width, markers are not included
+ * @property {'blob'|'dataUrl'|'pixels'} [output='blob'] - `pixels` does not require a DOM and ignores `includeMarkers`
+ */
+
+/**
+ * @typedef {Object} PSV.SnapshotPixels
+ * @summary Raw RGBA pixels of a snapshot, from the top left corner
+ * @property {int} width
+ * @property {int} height
+ * @property {Uint8ClampedArray} data
+ */
+
+/**
+ * @typedef {Object} PSV.HeadlessOptions
+ * @summary Rendering target of the headless mode, a new canvas is created by default
+ * @property {HTMLCanvasElement|OffscreenCanvas} [canvas]
+ * @property {WebGLRenderingContext|WebGL2RenderingContext} [context] - must belong to `canvas` if both are provided
+ * @property {function(string): Promise<HTMLImageElement|ImageBitmap|Object>} [loadImage] - loads the images where there is no DOM,
+ *           the result must be usable as the image of a THREE.Texture
  */
 
 /**
@@ -162,6 +232,16 @@ export {
  * @property {boolean} [tabbable=true]
  */
 
+/**
+ * @typedef {Object} PSV.TilesCacheStats
+ * @summary Statistics of the tiles cache of tiled adapters
+ * @property {int} tiles - number of tiles in the cache
+ * @property {int} bytes - estimated GPU memory used by the tiles
+ * @property {int} hits - number of tiles which became visible and were already loaded
+ * @property {int} misses - number of tiles which became visible and had to be loaded
+ * @property {int} evictions - number of tiles removed from the cache
+ */
+
 /**
  * @typedef {Object} PSV.Options
  * @summary Viewer options, see {@link https://photo-sphere-viewer.js.org/guide/config.html}
@@ -0,0 +1,72 @@
+import { AbstractButton } from '../..';
+import compare from './compare.svg';
+import { EVENTS } from './constants';
+
+/**
+ * @summary Navigation bar compare button class
+ * @extends PSV.buttons.AbstractButton
+ * @memberof PSV.buttons
+ */
+export class CompareButton extends AbstractButton {
+
+  static id = 'compare';
+  static icon = compare;
+
+  /**
+   * @param {PSV.components.Navbar} navbar
+   */
+  constructor(navbar) {
+    super(navbar, 'psv-button--hover-scale psv-compare-button', true);
+
+    /**
+     * @type {PSV.plugins.ComparePlugin}
+     * @private
+     * @readonly
+     */
+    this.plugin = this.psv.getPlugin('compare');
+
+    if (this.plugin) {
+      this.plugin.on(EVENTS.COMPARE_UPDATED, this);
+    }
+  }
+
+  /**
+   * @override
+   */
+  destroy() {
+    if (this.plugin) {
+      this.plugin.off(EVENTS.COMPARE_UPDATED, this);
+    }
+
+    delete this.plugin;
+
+    super.destroy();
+  }
+
+  /**
+   * @override
+   */
+  isSupported() {
+    return !!this.plugin && this.psv.adapter.constructor.supportsOverlay;
+  }
+
+  /**
+   * @summary Handles events
+   * @param {Event} e
+   * @private
+   */
+  handleEvent(e) {
+    if (e.type === EVENTS.COMPARE_UPDATED) {
+      this.toggleActive(e.args[0]);
+    }
+  }
+
+  /**
+   * @override
+   * @description Toggles the comparison
+   */
+  onClick() {
+    this.plugin.toggle();
+  }
+
+}
@@ -0,0 +1,119 @@
+import { AbstractComponent } from '../..';
+import compare from './compare.svg';
+
+/**
+ * @summary Vertical line separating the two panoramas
+ * @private
+ */
+export class CompareDivider extends AbstractComponent {
+
+  /**
+   * @param {PSV.plugins.ComparePlugin} plugin
+   */
+  constructor(plugin) {
+    super(plugin.psv, 'psv-compare-divider psv--capture-event');
+
+    /**
+     * @type {PSV.plugins.ComparePlugin}
+     * @private
+     * @readonly
+     */
+    this.plugin = plugin;
+
+    /**
+     * @summary Internal properties
+     * @member {Object}
+     * @private
+     * @property {boolean} dragging - the divider is being moved
+     */
+    this.prop = {
+      ...this.prop,
+      dragging: false,
+    };
+
+    /**
+     * @type {HTMLElement}
+     * @private
+     * @readonly
+     */
+    this.handle = document.createElement('div');
+    this.handle.className = 'psv-compare-divider__handle';
+    this.handle.innerHTML = compare;
+    this.container.appendChild(this.handle);
+
+    this.container.addEventListener('mousedown', this);
+    this.container.addEventListener('touchstart', this);
+    this.container.addEventListener('dblclick', this);
+    window.addEventListener('mousemove', this);
+    window.addEventListener('touchmove', this, { passive: false });
+    window.addEventListener('mouseup', this);
+    window.addEventListener('touchend', this);
+
+    this.hide();
+  }
+
+  /**
+   * @override
+   */
+  destroy() {
+    window.removeEventListener('mousemove', this);
+    window.removeEventListener('touchmove', this);
+    window.removeEventListener('mouseup', this);
+    window.removeEventListener('touchend', this);
+
+    delete this.plugin;
+    delete this.handle;
+
+    super.destroy();
+  }
+
+  /**
+   * @summary Handles events
+   * @param {Event} e
+   * @private
+   */
+  handleEvent(e) {
+    /* eslint-disable */
+    switch (e.type) {
+      // @formatter:off
+      case 'mousedown':
+      case 'touchstart':
+        this.prop.dragging = true;
+        e.preventDefault();
+        break;
+      case 'mousemove':
+      case 'touchmove':
+        if (this.prop.dragging) {
+          this.__move(e.changedTouches?.[0] || e);
+          e.preventDefault();
+        }
+        break;
+      case 'mouseup':
+      case 'touchend':
+        this.prop.dragging = false;
+        break;
+      case 'dblclick': this.plugin.swap(); break;
+      // @formatter:on
+    }
+    /* eslint-enable */
+  }
+
+  /**
+   * @summary Moves the divider
+   * @param {number} position - from 0 to 1
+   */
+  update(position) {
+    this.container.style.left = `${position * 100}%`;
+  }
+
+  /**
+   * @summary Updates the position of the plugin from the cursor
+   * @param {MouseEvent|Touch} evt
+   * @private
+   */
+  __move(evt) {
+    const rect = this.psv.container.getBoundingClientRect();
+    this.plugin.setPosition((evt.clientX - rect.left) / rect.width);
+  }
+
+}
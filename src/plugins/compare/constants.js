@@ -0,0 +1,31 @@
+/**
+ * @summary Available events
+ * @enum {string}
+ * @memberof PSV.plugins.ComparePlugin
+ * @constant
+ */
+export const EVENTS = {
+  /**
+   * @event compare-updated
+   * @memberof PSV.plugins.ComparePlugin
+   * @summary Triggered when the comparison is enabled/disabled
+   * @param {boolean} enabled
+   */
+  COMPARE_UPDATED: 'compare-updated',
+  /**
+   * @event divider-updated
+   * @memberof PSV.plugins.ComparePlugin
+   * @summary Triggered when the divider is moved or the sides are swapped
+   * @param {number} position
+   * @param {boolean} swapped
+   */
+  DIVIDER_UPDATED: 'divider-updated',
+};
+
+/**
+ * @summary Identifier of the overlay displaying the compared panorama
+ * @type {string}
+ * @constant
+ * @private
+ */
+export const OVERLAY_ID = 'compare';
@@ -0,0 +1,285 @@
+import { AbstractPlugin, CONSTANTS, DEFAULTS, PSVError, registerButton, utils } from '../..';
+import { CompareButton } from './CompareButton';
+import { CompareDivider } from './CompareDivider';
+import { EVENTS, OVERLAY_ID } from './constants';
+import './style.scss';
+
+
+/**
+ * @typedef {Object} PSV.plugins.ComparePlugin.Options
+ * @property {*} [panorama] - panorama compared to the main one, it must use the same projection
+ * @property {number} [position=0.5] - initial position of the divider, from 0 (left) to 1 (right)
+ * @property {boolean} [swapped=false] - displays the compared panorama on the left of the divider
+ * @property {string} [swapKey='s'] - keyboard key used to swap the panoramas, `null` to disable
+ */
+
+
+// add compare button
+DEFAULTS.lang[CompareButton.id] = 'Compare';
+registerButton(CompareButton, 'caption:right');
+
+
+export { EVENTS } from './constants';
+
+
+/**
+ * @summary Compares two panoramas on each side of a draggable divider
+ * @description The compared panorama is displayed as an overlay of the main one, both panoramas share the same camera.
+ * @extends PSV.plugins.AbstractPlugin
+ * @memberof PSV.plugins
+ */
+export class ComparePlugin extends AbstractPlugin {
+
+  static id = 'compare';
+
+  static EVENTS = EVENTS;
+
+  /**
+   * @param {PSV.Viewer} psv
+   * @param {PSV.plugins.ComparePlugin.Options} options
+   */
+  constructor(psv, options) {
+    super(psv);
+
+    /**
+     * @member {PSV.plugins.ComparePlugin.Options}
+     * @private
+     */
+    this.config = {
+      panorama: null,
+      position: 0.5,
+      swapped : false,
+      swapKey : 's',
+      ...options,
+    };
+
+    /**
+     * @member {Object}
+     * @property {*} panorama - the compared panorama
+     * @property {boolean} enabled - the compared panorama is displayed
+     * @property {number} position - position of the divider
+     * @property {boolean} swapped - the compared panorama is on the left
+     * @private
+     */
+    this.prop = {
+      panorama: null,
+      enabled : false,
+      position: utils.bound(this.config.position, 0, 1),
+      swapped : this.config.swapped,
+    };
+
+    /**
+     * @member {CompareDivider}
+     * @readonly
+     * @private
+     */
+    this.divider = new CompareDivider(this);
+    this.divider.update(this.prop.position);
+  }
+
+  /**
+   * @package
+   */
+  init() {
+    super.init();
+
+    this.psv.on(CONSTANTS.EVENTS.OVERLAYS_UPDATED, this);
+    this.psv.on(CONSTANTS.EVENTS.KEY_PRESS, this);
+
+    if (this.config.panorama) {
+      this.psv.once(CONSTANTS.EVENTS.READY, () => {
+        this.setPanorama(this.config.panorama).catch(err => this.__onLoadError(err));
+        delete this.config.panorama;
+      });
+    }
+  }
+
+  /**
+   * @package
+   */
+  destroy() {
+    this.psv.off(CONSTANTS.EVENTS.OVERLAYS_UPDATED, this);
+    this.psv.off(CONSTANTS.EVENTS.KEY_PRESS, this);
+
+    this.divider.destroy();
+
+    delete this.divider;
+
+    super.destroy();
+  }
+
+  /**
+   * @private
+   */
+  handleEvent(e) {
+    /* eslint-disable */
+    switch (e.type) {
+      case CONSTANTS.EVENTS.OVERLAYS_UPDATED:
+        // the overlay is removed when the main panorama changes
+        if (this.prop.enabled && !e.args[0].some(overlay => overlay.id === OVERLAY_ID)) {
+          this.__setEnabled(false);
+        }
+        break;
+      case CONSTANTS.EVENTS.KEY_PRESS:
+        if (this.prop.enabled && e.args[0] === this.config.swapKey) {
+          this.swap();
+          e.preventDefault();
+        }
+        break;
+    }
+    /* eslint-enable */
+  }
+
+  /**
+   * @summary Checks if the comparison is displayed
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.prop.enabled;
+  }
+
+  /**
+   * @summary Loads and displays the panorama compared to the main one
+   * @description The comparison is disabled when the main panorama changes, unless the `keepOverlays` option is used.
+   * @param {*} panorama
+   * @returns {Promise}
+   */
+  setPanorama(panorama) {
+    this.prop.panorama = panorama;
+    return this.start();
+  }
+
+  /**
+   * @summary Displays the compared panorama
+   * @returns {Promise} rejected when no panorama is configured
+   */
+  start() {
+    if (!this.prop.panorama) {
+      return Promise.reject(new PSVError('ComparePlugin: no panorama to compare'));
+    }
+
+    return this.psv.addOverlay({
+      id  : OVERLAY_ID,
+      path: this.prop.panorama,
+      clip: this.__getClip(),
+    })
+      .then(() => {
+        this.__setEnabled(true);
+      });
+  }
+
+  /**
+   * @summary Hides the compared panorama
+   */
+  stop() {
+    this.psv.removeOverlay(OVERLAY_ID);
+    this.__setEnabled(false);
+  }
+
+  /**
+   * @summary Displays or hides the compared panorama
+   */
+  toggle() {
+    if (this.prop.enabled) {
+      this.stop();
+    }
+    else if (this.prop.panorama) {
+      this.start().catch(err => this.__onLoadError(err));
+    }
+  }
+
+  /**
+   * @summary Moves the divider
+   * @param {number} position - from 0 (left) to 1 (right)
+   */
+  setPosition(position) {
+    this.prop.position = utils.bound(position, 0, 1);
+    this.__update();
+  }
+
+  /**
+   * @summary Returns the position of the divider
+   * @returns {number}
+   */
+  getPosition() {
+    return this.prop.position;
+  }
+
+  /**
+   * @summary Displays the compared panorama on the other side of the divider
+   */
+  swap() {
+    this.prop.swapped = !this.prop.swapped;
+    this.__update();
+  }
+
+  /**
+   * @summary Checks if the compared panorama is on the left of the divider
+   * @returns {boolean}
+   */
+  isSwapped() {
+    return this.prop.swapped;
+  }
+
+  /**
+   * @summary Returns the part of the viewer showing the compared panorama
+   * @returns {PSV.OverlayClip}
+   * @private
+   */
+  __getClip() {
+    return {
+      x     : this.prop.swapped ? 0 : this.prop.position,
+      y     : 0,
+      width : this.prop.swapped ? this.prop.position : 1 - this.prop.position,
+      height: 1,
+    };
+  }
+
+  /**
+   * @summary Applies the position of the divider
+   * @fires PSV.plugins.ComparePlugin.divider-updated
+   * @private
+   */
+  __update() {
+    this.divider.update(this.prop.position);
+
+    if (this.prop.enabled) {
+      this.psv.setOverlayClip(OVERLAY_ID, this.__getClip());
+    }
+
+    this.trigger(EVENTS.DIVIDER_UPDATED, this.prop.position, this.prop.swapped);
+  }
+
+  /**
+   * @param {boolean} enabled
+   * @fires PSV.plugins.ComparePlugin.compare-updated
+   * @private
+   */
+  __setEnabled(enabled) {
+    if (this.prop.enabled !== enabled) {
+      this.prop.enabled = enabled;
+
+      if (enabled) {
+        this.divider.show();
+      }
+      else {
+        this.divider.hide();
+      }
+
+      this.trigger(EVENTS.COMPARE_UPDATED, enabled);
+    }
+  }
+
+  /**
+   * @summary Reports the failure of a loading which promise is not returned to the user
+   * @param {Error} err
+   * @private
+   */
+  __onLoadError(err) {
+    if (!utils.isAbortError(err)) {
+      utils.logWarn(`ComparePlugin: ${err.message}`);
+      this.psv.showError(this.psv.config.lang.loadError);
+    }
+  }
+
+}
@@ -0,0 +1,88 @@
+import { AbstractButton, utils } from '../..';
+import back from './back.svg';
+import { EVENTS } from './constants';
+
+/**
+ * @summary Navigation bar history back button class
+ * @extends PSV.buttons.AbstractButton
+ * @memberof PSV.buttons
+ */
+export class HistoryBackButton extends AbstractButton {
+
+  static id = 'history-back';
+  static icon = back;
+
+  /**
+   * @param {PSV.components.Navbar} navbar
+   */
+  constructor(navbar) {
+    super(navbar, 'psv-button--hover-scale psv-history-back-button', true);
+
+    /**
+     * @type {PSV.plugins.HistoryPlugin}
+     * @private
+     * @readonly
+     */
+    this.plugin = this.psv.getPlugin('history');
+
+    if (this.plugin) {
+      this.plugin.on(EVENTS.HISTORY_UPDATED, this);
+    }
+
+    this.__refresh();
+  }
+
+  /**
+   * @override
+   */
+  destroy() {
+    if (this.plugin) {
+      this.plugin.off(EVENTS.HISTORY_UPDATED, this);
+    }
+
+    delete this.plugin;
+
+    super.destroy();
+  }
+
+  /**
+   * @override
+   */
+  isSupported() {
+    return !!this.plugin;
+  }
+
+  /**
+   * @summary Handles events
+   * @param {Event} e
+   * @private
+   */
+  handleEvent(e) {
+    if (e.type === EVENTS.HISTORY_UPDATED) {
+      this.__refresh();
+    }
+  }
+
+  /**
+   * @override
+   * @description Goes back to the previous viewpoint
+   */
+  onClick() {
+    this.plugin.back()
+      .catch(err => utils.logWarn(`HistoryPlugin: ${err.message}`));
+  }
+
+  /**
+   * @summary Disables the button when there is no back entry
+   * @private
+   */
+  __refresh() {
+    if (this.plugin?.canGoBack()) {
+      this.enable();
+    }
+    else {
+      this.disable();
+    }
+  }
+
+}
@@ -0,0 +1,88 @@
+import { AbstractButton, utils } from '../..';
+import { EVENTS } from './constants';
+import forward from './forward.svg';
+
+/**
+ * @summary Navigation bar history forward button class
+ * @extends PSV.buttons.AbstractButton
+ * @memberof PSV.buttons
+ */
+export class HistoryForwardButton extends AbstractButton {
+
+  static id = 'history-forward';
+  static icon = forward;
+
+  /**
+   * @param {PSV.components.Navbar} navbar
+   */
+  constructor(navbar) {
+    super(navbar, 'psv-button--hover-scale psv-history-forward-button', true);
+
+    /**
+     * @type {PSV.plugins.HistoryPlugin}
+     * @private
+     * @readonly
+     */
+    this.plugin = this.psv.getPlugin('history');
+
+    if (this.plugin) {
+      this.plugin.on(EVENTS.HISTORY_UPDATED, this);
+    }
+
+    this.__refresh();
+  }
+
+  /**
+   * @override
+   */
+  destroy() {
+    if (this.plugin) {
+      this.plugin.off(EVENTS.HISTORY_UPDATED, this);
+    }
+
+    delete this.plugin;
+
+    super.destroy();
+  }
+
+  /**
+   * @override
+   */
+  isSupported() {
+    return !!this.plugin;
+  }
+
+  /**
+   * @summary Handles events
+   * @param {Event} e
+   * @private
+   */
+  handleEvent(e) {
+    if (e.type === EVENTS.HISTORY_UPDATED) {
+      this.__refresh();
+    }
+  }
+
+  /**
+   * @override
+   * @description Goes forward to the next viewpoint
+   */
+  onClick() {
+    this.plugin.forward()
+      .catch(err => utils.logWarn(`HistoryPlugin: ${err.message}`));
+  }
+
+  /**
+   * @summary Disables the button when there is no forward entry
+   * @private
+   */
+  __refresh() {
+    if (this.plugin?.canGoForward()) {
+      this.enable();
+    }
+    else {
+      this.disable();
+    }
+  }
+
+}
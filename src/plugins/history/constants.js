@@ -0,0 +1,24 @@
+/**
+ * @summary Available events
+ * @enum {string}
+ * @memberof PSV.plugins.HistoryPlugin
+ * @constant
+ */
+export const EVENTS = {
+  /**
+   * @event history-updated
+   * @memberof PSV.plugins.HistoryPlugin
+   * @summary Triggered when an entry is added or when the current entry changes
+   * @param {int} index - index of the current entry
+   * @param {int} length - number of entries
+   */
+  HISTORY_UPDATED: 'history-updated',
+};
+
+/**
+ * @summary Property of `history.state` storing the identifier of the entry
+ * @type {string}
+ * @constant
+ * @private
+ */
+export const HISTORY_STATE_KEY = 'psvHistoryEntry';
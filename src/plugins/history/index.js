@@ -0,0 +1,386 @@
+import { AbstractPlugin, CONSTANTS, DEFAULTS, registerButton, utils } from '../..';
+import { EVENTS, HISTORY_STATE_KEY } from './constants';
+import { HistoryBackButton } from './HistoryBackButton';
+import { HistoryForwardButton } from './HistoryForwardButton';
+
+
+/**
+ * @typedef {Object} PSV.plugins.HistoryPlugin.Entry
+ * @summary Viewpoint stored in the history
+ * @property {int} id
+ * @property {*} panorama
+ * @property {PSV.Position} position
+ * @property {number} zoom
+ * @property {string} [node] - node of the VirtualTourPlugin
+ */
+
+/**
+ * @typedef {Object} PSV.plugins.HistoryPlugin.Options
+ * @property {int} [maxSize=50] - maximum number of entries
+ * @property {int} [delay=1000] - time without movement before the viewpoint is kept in the history, in milliseconds
+ * @property {string|number} [speed=1000] - speed of the animation to a viewpoint of the same panorama, see {@link PSV.Viewer#animate}
+ * @property {boolean} [browserHistory=false] - adds the entries to the history of the browser, the back and forward buttons of
+ *   the browser navigate between the viewpoints
+ */
+
+
+// add history buttons
+DEFAULTS.lang[HistoryBackButton.id] = 'Back';
+DEFAULTS.lang[HistoryForwardButton.id] = 'Forward';
+registerButton(HistoryBackButton, 'caption:left');
+registerButton(HistoryForwardButton, 'history-back:right');
+
+
+export { EVENTS } from './constants';
+
+
+/**
+ * @summary Keeps the history of the viewpoints to go back and forward
+ * @description A new viewpoint is added when the panorama changes or when the view moves after being still for some time.
+ * @extends PSV.plugins.AbstractPlugin
+ * @memberof PSV.plugins
+ */
+export class HistoryPlugin extends AbstractPlugin {
+
+  static id = 'history';
+
+  static EVENTS = EVENTS;
+
+  /**
+   * @param {PSV.Viewer} psv
+   * @param {PSV.plugins.HistoryPlugin.Options} options
+   */
+  constructor(psv, options) {
+    super(psv);
+
+    /**
+     * @member {PSV.plugins.HistoryPlugin.Options}
+     * @private
+     */
+    this.config = {
+      maxSize       : 50,
+      delay         : 1000,
+      speed         : 1000,
+      browserHistory: false,
+      ...options,
+    };
+
+    /**
+     * @member {Object}
+     * @property {int} index - index of the current entry
+     * @property {int} nextId - identifier of the next entry
+     * @property {boolean} committed - the current entry is kept, the next change creates a new entry
+     * @property {boolean} navigating - an entry is being applied
+     * @property {number} timeout - timeout of the commit of the current entry
+     * @property {string} node - current node of the virtual tour
+     * @private
+     */
+    this.prop = {
+      index     : -1,
+      nextId    : 0,
+      committed : false,
+      navigating: false,
+      timeout   : null,
+      node      : null,
+    };
+
+    /**
+     * @member {PSV.plugins.HistoryPlugin.Entry[]}
+     * @private
+     */
+    this.entries = [];
+
+    /**
+     * @type {PSV.plugins.VirtualTourPlugin}
+     * @readonly
+     * @private
+     */
+    this.tour = null;
+  }
+
+  /**
+   * @package
+   */
+  init() {
+    super.init();
+
+    this.tour = this.psv.getPlugin('virtual-tour');
+
+    this.psv.on(CONSTANTS.EVENTS.POSITION_UPDATED, this);
+    this.psv.on(CONSTANTS.EVENTS.ZOOM_UPDATED, this);
+    this.psv.on(CONSTANTS.EVENTS.PANORAMA_LOADED, this);
+    this.tour?.on('node-changed', this);
+
+    if (this.config.browserHistory) {
+      window.addEventListener('popstate', this);
+    }
+
+    // the initial viewpoint is kept immediately
+    this.psv.once(CONSTANTS.EVENTS.READY, () => this.__onViewChanged(true));
+  }
+
+  /**
+   * @package
+   */
+  destroy() {
+    this.psv.off(CONSTANTS.EVENTS.POSITION_UPDATED, this);
+    this.psv.off(CONSTANTS.EVENTS.ZOOM_UPDATED, this);
+    this.psv.off(CONSTANTS.EVENTS.PANORAMA_LOADED, this);
+    this.tour?.off('node-changed', this);
+    window.removeEventListener('popstate', this);
+
+    clearTimeout(this.prop.timeout);
+
+    delete this.tour;
+    delete this.entries;
+
+    super.destroy();
+  }
+
+  /**
+   * @private
+   */
+  handleEvent(e) {
+    /* eslint-disable */
+    switch (e.type) {
+      case CONSTANTS.EVENTS.POSITION_UPDATED:
+      case CONSTANTS.EVENTS.ZOOM_UPDATED:
+      case CONSTANTS.EVENTS.PANORAMA_LOADED:
+        this.__onViewChanged();
+        break;
+      case 'node-changed':
+        this.prop.node = e.args[0];
+        // the entry was created when the panorama of the node was loaded
+        if (!this.prop.navigating && this.entries[this.prop.index]) {
+          this.entries[this.prop.index].node = e.args[0];
+        }
+        break;
+      case 'popstate':
+        this.__onPopState(e.state)
+          .catch(err => utils.logWarn(`HistoryPlugin: ${err.message}`));
+        break;
+    }
+    /* eslint-enable */
+  }
+
+  /**
+   * @summary Returns the viewpoints of the history
+   * @returns {PSV.plugins.HistoryPlugin.Entry[]}
+   */
+  getEntries() {
+    return this.entries.slice();
+  }
+
+  /**
+   * @summary Returns the index of the current viewpoint
+   * @returns {int}
+   */
+  getIndex() {
+    return this.prop.index;
+  }
+
+  /**
+   * @summary Checks if there is a previous viewpoint
+   * @returns {boolean}
+   */
+  canGoBack() {
+    return this.prop.index > 0;
+  }
+
+  /**
+   * @summary Checks if there is a next viewpoint
+   * @returns {boolean}
+   */
+  canGoForward() {
+    return this.prop.index < this.entries.length - 1;
+  }
+
+  /**
+   * @summary Goes to the previous viewpoint
+   * @returns {Promise} resolves when the viewpoint is applied, immediately with `browserHistory`
+   */
+  back() {
+    if (!this.canGoBack()) {
+      return Promise.resolve();
+    }
+
+    // the "popstate" event applies the entry
+    if (this.config.browserHistory) {
+      window.history.back();
+      return Promise.resolve();
+    }
+    else {
+      return this.__goTo(this.prop.index - 1);
+    }
+  }
+
+  /**
+   * @summary Goes to the next viewpoint
+   * @returns {Promise} resolves when the viewpoint is applied, immediately with `browserHistory`
+   */
+  forward() {
+    if (!this.canGoForward()) {
+      return Promise.resolve();
+    }
+
+    // the "popstate" event applies the entry
+    if (this.config.browserHistory) {
+      window.history.forward();
+      return Promise.resolve();
+    }
+    else {
+      return this.__goTo(this.prop.index + 1);
+    }
+  }
+
+  /**
+   * @summary Removes all the viewpoints except the current one
+   * @fires PSV.plugins.HistoryPlugin.history-updated
+   */
+  clear() {
+    this.entries = this.entries.slice(this.prop.index, this.prop.index + 1);
+    this.prop.index = this.entries.length - 1;
+    this.trigger(EVENTS.HISTORY_UPDATED, this.prop.index, this.entries.length);
+  }
+
+  /**
+   * @summary Adds or updates the current entry when the view changes
+   * @param {boolean} [commit=false] - keeps the entry immediately
+   * @private
+   */
+  __onViewChanged(commit = false) {
+    if (!this.psv.prop.ready || this.prop.navigating) {
+      return;
+    }
+
+    const entry = {
+      id      : null,
+      panorama: this.psv.config.panorama,
+      position: this.psv.getPosition(),
+      zoom    : this.psv.getZoomLevel(),
+      node    : this.prop.node,
+    };
+
+    const current = this.entries[this.prop.index];
+
+    if (!current || this.prop.committed || !utils.deepEqual(current.panorama, entry.panorama)) {
+      this.__push(entry);
+    }
+    else {
+      entry.id = current.id;
+      this.entries[this.prop.index] = entry;
+    }
+
+    this.prop.committed = commit;
+
+    clearTimeout(this.prop.timeout);
+    if (!commit) {
+      this.prop.timeout = setTimeout(() => {
+        this.prop.committed = true;
+      }, this.config.delay);
+    }
+  }
+
+  /**
+   * @summary Adds a new entry after the current one and removes the next ones
+   * @param {PSV.plugins.HistoryPlugin.Entry} entry
+   * @fires PSV.plugins.HistoryPlugin.history-updated
+   * @private
+   */
+  __push(entry) {
+    entry.id = this.prop.nextId++;
+
+    this.entries.splice(this.prop.index + 1, this.entries.length, entry);
+    if (this.entries.length > this.config.maxSize) {
+      this.entries.shift();
+    }
+    this.prop.index = this.entries.length - 1;
+
+    if (this.config.browserHistory) {
+      const state = { ...window.history.state, [HISTORY_STATE_KEY]: entry.id };
+
+      // the first entry is the current page
+      if (this.entries.length === 1) {
+        window.history.replaceState(state, '');
+      }
+      else {
+        window.history.pushState(state, '');
+      }
+    }
+
+    this.trigger(EVENTS.HISTORY_UPDATED, this.prop.index, this.entries.length);
+  }
+
+  /**
+   * @summary Applies the entry of a browser history state
+   * @param {*} state
+   * @returns {Promise}
+   * @private
+   */
+  __onPopState(state) {
+    const index = this.entries.findIndex(entry => entry.id === state?.[HISTORY_STATE_KEY]);
+
+    if (index !== -1 && index !== this.prop.index) {
+      return this.__goTo(index);
+    }
+    else {
+      return Promise.resolve();
+    }
+  }
+
+  /**
+   * @summary Applies an entry of the history
+   * @param {int} index
+   * @returns {Promise}
+   * @fires PSV.plugins.HistoryPlugin.history-updated
+   * @private
+   */
+  __goTo(index) {
+    const entry = this.entries[index];
+
+    clearTimeout(this.prop.timeout);
+    this.prop.index = index;
+    this.prop.committed = true;
+    this.prop.navigating = true;
+
+    this.trigger(EVENTS.HISTORY_UPDATED, this.prop.index, this.entries.length);
+
+    let promise;
+    if (this.tour && entry.node && entry.node !== this.prop.node) {
+      promise = this.tour.setCurrentNode(entry.node)
+        .then((loaded) => {
+          if (loaded) {
+            this.psv.rotate(entry.position);
+            this.psv.zoom(entry.zoom);
+          }
+        });
+    }
+    else if (!utils.deepEqual(entry.panorama, this.psv.config.panorama)) {
+      promise = this.psv.setPanorama(entry.panorama, {
+        ...entry.position,
+        zoom: entry.zoom,
+      });
+    }
+    else {
+      promise = this.psv.animate({
+        ...entry.position,
+        zoom : entry.zoom,
+        speed: this.config.speed,
+      });
+    }
+
+    const done = () => {
+      if (this.prop.index === index) {
+        this.prop.navigating = false;
+      }
+    };
+
+    return promise.then(done, (err) => {
+      done();
+      if (!utils.isAbortError(err)) {
+        throw err;
+      }
+    });
+  }
+
+}
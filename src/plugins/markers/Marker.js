@@ -104,6 +104,7 @@ export class Marker {
      * @property {PSV.Point} anchor
      * @property {boolean} visible - actually visible in the view
      * @property {boolean} staticTooltip - the tooltip must always be shown
+     * @property {boolean} layerHidden - the layer of the marker is hidden
      * @property {PSV.Position} position - position in spherical coordinates
      * @property {PSV.Point} position2D - position in viewer coordinates
      * @property {external:THREE.Vector3[]} positions3D - positions in 3D space
@@ -116,6 +117,7 @@ export class Marker {
       anchor       : null,
       visible      : false,
       staticTooltip: false,
+      layerHidden  : false,
       position     : null,
       position2D   : null,
       positions3D  : null,
@@ -300,6 +302,14 @@ export class Marker {
     }
   }
 
+  /**
+   * @summary Returns a copy of the properties of the marker, can be used to create the marker again
+   * @returns {PSV.plugins.MarkersPlugin.Properties}
+   */
+  toJSON() {
+    return utils.clone(this.config);
+  }
+
   /**
    * @summary Display the tooltip of this marker
    * @param {{clientX: number, clientY: number}} [mousePosition]
@@ -687,7 +697,8 @@ export class Marker {
           Object.defineProperty(this.$el, 'visible', {
             enumerable: true,
             get       : function () {
-              return this.children[0].userData[MARKER_DATA].visible;
+              const marker = this.children[0].userData[MARKER_DATA];
+              return marker.visible && !marker.props.layerHidden;
             },
             set       : function (visible) {
               this.children[0].userData[MARKER_DATA].visible = visible;
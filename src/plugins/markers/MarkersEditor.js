@@ -0,0 +1,568 @@
+import { CONSTANTS, PSVError, utils } from '../..';
+import { EVENTS, SVG_NS } from './constants';
+
+/**
+ * @summary Types of marker which can be drawn
+ * @type {Object<string, string>}
+ * @constant
+ * @private
+ */
+const DRAWING_TYPES = {
+  polygon : 'polygonRad',
+  polyline: 'polylineRad',
+};
+
+/**
+ * @summary Property name added to the vertex handles
+ * @type {string}
+ * @constant
+ * @private
+ */
+const VERTEX_DATA = 'psvMarkersEditorVertex';
+
+/**
+ * @summary Edition of the markers with the mouse and the keyboard
+ * @description Image, HTML and SVG markers can be moved, the vertices of `polygonRad` and `polylineRad` markers can be moved,
+ * new polygons and polylines can be drawn.
+ * @private
+ */
+export class MarkersEditor {
+
+  /**
+   * @param {PSV.plugins.MarkersPlugin} plugin
+   */
+  constructor(plugin) {
+    /**
+     * @type {PSV.plugins.MarkersPlugin}
+     * @readonly
+     */
+    this.plugin = plugin;
+
+    /**
+     * @type {PSV.Viewer}
+     * @readonly
+     */
+    this.psv = plugin.psv;
+
+    /**
+     * @member {Object}
+     * @property {boolean} editing - the edit mode is enabled
+     * @property {PSV.plugins.MarkersPlugin.Marker} marker - marker being edited
+     * @property {Object} dragging - current move, with the vertex index (or -1) and the offset of the cursor
+     * @property {Object} drawing - current drawing, with the type, the properties and the vertices
+     */
+    this.prop = {
+      editing : false,
+      marker  : null,
+      dragging: null,
+      drawing : null,
+    };
+
+    /**
+     * @member {HTMLElement}
+     * @readonly
+     */
+    this.container = document.createElement('div');
+    this.container.className = 'psv-markers-editor';
+
+    /**
+     * @member {SVGElement}
+     * @readonly
+     */
+    this.svg = document.createElementNS(SVG_NS, 'svg');
+    this.svg.setAttribute('class', 'psv-markers-editor-drawing');
+    this.container.appendChild(this.svg);
+
+    /**
+     * @member {HTMLElement[]}
+     * @readonly
+     */
+    this.handles = [];
+
+    this.plugin.container.appendChild(this.container);
+  }
+
+  /**
+   * @summary Destroys the editor
+   */
+  destroy() {
+    this.stop();
+
+    this.plugin.container.removeChild(this.container);
+
+    delete this.plugin;
+    delete this.psv;
+    delete this.container;
+    delete this.svg;
+    delete this.handles;
+  }
+
+  /**
+   * @summary Handles events
+   * @param {Event} e
+   * @private
+   */
+  handleEvent(e) {
+    /* eslint-disable */
+    switch (e.type) {
+      // @formatter:off
+      case 'mousedown':
+      case 'touchstart':   this.__onMouseDown(e, e.changedTouches?.[0] || e); break;
+      case 'mousemove':
+      case 'touchmove':    this.__onMouseMove(e, e.changedTouches?.[0] || e); break;
+      case 'mouseup':
+      case 'touchend':     this.__onMouseUp(); break;
+      case 'keydown':      this.__onKeyDown(e); break;
+      case CONSTANTS.EVENTS.CLICK:        this.__onClick(e.args[0]); break;
+      case CONSTANTS.EVENTS.DOUBLE_CLICK: this.finishDrawing(); break;
+      // @formatter:on
+    }
+    /* eslint-enable */
+  }
+
+  /**
+   * @summary Checks if the edit mode is enabled
+   * @returns {boolean}
+   */
+  isEditing() {
+    return this.prop.editing;
+  }
+
+  /**
+   * @summary Enables the edit mode
+   */
+  start() {
+    if (this.prop.editing) {
+      return;
+    }
+
+    this.prop.editing = true;
+    this.plugin.container.classList.add('psv-markers--editing');
+
+    this.plugin.container.addEventListener('mousedown', this);
+    this.plugin.container.addEventListener('touchstart', this, { passive: false });
+    window.addEventListener('mousemove', this, { passive: false });
+    window.addEventListener('touchmove', this, { passive: false });
+    window.addEventListener('mouseup', this);
+    window.addEventListener('touchend', this);
+    window.addEventListener('keydown', this);
+    this.psv.on(CONSTANTS.EVENTS.CLICK, this);
+    this.psv.on(CONSTANTS.EVENTS.DOUBLE_CLICK, this);
+  }
+
+  /**
+   * @summary Disables the edit mode, the current drawing is cancelled
+   */
+  stop() {
+    if (!this.prop.editing) {
+      return;
+    }
+
+    this.cancelDrawing();
+    this.select(null);
+
+    this.prop.editing = false;
+    this.prop.dragging = null;
+    this.plugin.container.classList.remove('psv-markers--editing');
+
+    this.plugin.container.removeEventListener('mousedown', this);
+    this.plugin.container.removeEventListener('touchstart', this);
+    window.removeEventListener('mousemove', this);
+    window.removeEventListener('touchmove', this);
+    window.removeEventListener('mouseup', this);
+    window.removeEventListener('touchend', this);
+    window.removeEventListener('keydown', this);
+    this.psv.off(CONSTANTS.EVENTS.CLICK, this);
+    this.psv.off(CONSTANTS.EVENTS.DOUBLE_CLICK, this);
+  }
+
+  /**
+   * @summary Changes the marker being edited
+   * @param {PSV.plugins.MarkersPlugin.Marker} marker
+   */
+  select(marker) {
+    if (this.prop.marker && this.prop.marker.$el.classList) {
+      this.prop.marker.$el.classList.remove('psv-marker--editing');
+    }
+
+    this.prop.marker = marker;
+
+    this.__refreshSelection();
+    this.render();
+  }
+
+  /**
+   * @summary Removes the marker being edited
+   * @fires PSV.plugins.MarkersPlugin.marker-deleted
+   */
+  deleteSelected() {
+    const marker = this.prop.marker;
+
+    if (marker) {
+      const properties = marker.toJSON();
+
+      this.select(null);
+      this.plugin.removeMarker(marker);
+
+      this.plugin.trigger(EVENTS.MARKER_DELETED, properties);
+    }
+  }
+
+  /**
+   * @summary Starts drawing a new marker, each click adds a vertex
+   * @param {'polygon'|'polyline'} type
+   * @param {PSV.plugins.MarkersPlugin.Properties} [properties] - other properties of the new marker
+   * @throws {PSV.PSVError} when the type is unknown
+   */
+  startDrawing(type, properties = {}) {
+    if (!DRAWING_TYPES[type]) {
+      throw new PSVError(`cannot draw marker of type "${type}", either ${Object.keys(DRAWING_TYPES).join(', ')}`);
+    }
+
+    this.start();
+    this.cancelDrawing();
+    this.select(null);
+
+    this.prop.drawing = {
+      type      : DRAWING_TYPES[type],
+      properties: properties,
+      vertices  : [],
+    };
+
+    this.svg.appendChild(document.createElementNS(SVG_NS, type));
+    this.render();
+  }
+
+  /**
+   * @summary Creates the marker being drawn, if it has enough vertices
+   * @fires PSV.plugins.MarkersPlugin.marker-edited
+   */
+  finishDrawing() {
+    const drawing = this.prop.drawing;
+
+    if (!drawing || drawing.vertices.length < (drawing.type === DRAWING_TYPES.polygon ? 3 : 2)) {
+      return;
+    }
+
+    this.cancelDrawing();
+
+    const marker = this.plugin.addMarker({
+      ...drawing.properties,
+      id            : drawing.properties.id || this.__getNewId(drawing.type),
+      [drawing.type]: drawing.vertices,
+    });
+
+    this.select(marker);
+
+    this.plugin.trigger(EVENTS.MARKER_EDITED, marker, marker.toJSON());
+  }
+
+  /**
+   * @summary Cancels the current drawing
+   */
+  cancelDrawing() {
+    if (this.prop.drawing) {
+      this.prop.drawing = null;
+      this.svg.innerHTML = '';
+      this.render();
+    }
+  }
+
+  /**
+   * @summary Updates the position of the vertex handles and of the drawing
+   */
+  render() {
+    let vertices = [];
+    if (this.prop.drawing) {
+      vertices = this.prop.drawing.vertices;
+    }
+    else if (this.prop.marker?.isPolyRad()) {
+      vertices = this.prop.marker.props.def;
+    }
+
+    const positions = vertices.map(([longitude, latitude]) => {
+      const vector = this.psv.dataHelper.sphericalCoordsToVector3({ longitude, latitude });
+      return vector.dot(this.psv.prop.direction) > 0 ? this.psv.dataHelper.vector3ToViewerCoords(vector) : null;
+    });
+
+    while (this.handles.length < positions.length) {
+      const handle = document.createElement('div');
+      handle.className = 'psv-markers-editor-handle';
+      this.container.appendChild(handle);
+      this.handles.push(handle);
+    }
+    while (this.handles.length > positions.length) {
+      this.container.removeChild(this.handles.pop());
+    }
+
+    this.handles.forEach((handle, i) => {
+      handle[VERTEX_DATA] = i;
+      handle.style.display = positions[i] ? '' : 'none';
+      if (positions[i]) {
+        handle.style.transform = `translate3D(${positions[i].x}px, ${positions[i].y}px, 0px)`;
+      }
+    });
+
+    if (this.prop.drawing) {
+      this.svg.firstChild.setAttributeNS(null, 'points', positions
+        .filter(position => position)
+        .map(position => position.x + ',' + position.y)
+        .join(' '));
+    }
+  }
+
+  /**
+   * @summary Selects a marker and starts moving it or one of its vertices
+   * @param {MouseEvent|TouchEvent} e
+   * @param {MouseEvent|Touch} evt
+   * @private
+   */
+  __onMouseDown(e, evt) {
+    // the markers can be clicked while drawing
+    if (this.prop.drawing) {
+      return;
+    }
+
+    const point = this.__getViewerPoint(evt);
+    const handle = utils.getClosest(e.target, '.psv-markers-editor-handle');
+    // the markers rendered with WebGL are not targets of the event
+    const marker = handle ? this.prop.marker : this.plugin.getMarkerAt(e.target, point);
+
+    if (!marker) {
+      return;
+    }
+
+    // prevents the rotation of the viewer
+    e.stopPropagation();
+    e.preventDefault();
+
+    if (marker !== this.prop.marker) {
+      this.select(marker);
+    }
+
+    if (handle) {
+      this.prop.dragging = { vertex: handle[VERTEX_DATA], moved: false };
+    }
+    else if (marker.isNormal() || marker.isSvg()) {
+      const position2D = marker.props.position2D;
+
+      // offset between the cursor and the anchor of the marker
+      this.prop.dragging = {
+        vertex : -1,
+        moved  : false,
+        offsetX: point.x - position2D.x - marker.props.width * marker.props.anchor.x,
+        offsetY: point.y - position2D.y - marker.props.height * marker.props.anchor.y,
+      };
+    }
+  }
+
+  /**
+   * @summary Moves the marker or the vertex
+   * @param {MouseEvent|TouchEvent} e
+   * @param {MouseEvent|Touch} evt
+   * @private
+   */
+  __onMouseMove(e, evt) {
+    const dragging = this.prop.dragging;
+    const marker = this.prop.marker;
+
+    if (!dragging || !marker) {
+      return;
+    }
+
+    e.preventDefault();
+
+    const point = this.__getViewerPoint(evt);
+    let position;
+
+    if (dragging.vertex === -1) {
+      position = this.__getSphericalCoords({
+        x: point.x - dragging.offsetX,
+        y: point.y - dragging.offsetY,
+      });
+    }
+    else {
+      position = this.__getSphericalCoords(point);
+    }
+
+    if (!position) {
+      return;
+    }
+
+    dragging.moved = true;
+
+    this.__updateMarker(this.__getUpdatedProperties(marker, position, dragging.vertex), false);
+    this.plugin.renderMarkers();
+  }
+
+  /**
+   * @summary Ends the move
+   * @fires PSV.plugins.MarkersPlugin.marker-edited
+   * @private
+   */
+  __onMouseUp() {
+    const dragging = this.prop.dragging;
+    const marker = this.prop.marker;
+
+    this.prop.dragging = null;
+
+    if (dragging?.moved && marker) {
+      // renders the markers list and triggers "set-markers"
+      this.__updateMarker({ id: marker.id }, true);
+
+      this.plugin.trigger(EVENTS.MARKER_EDITED, marker, marker.toJSON());
+    }
+  }
+
+  /**
+   * @summary Adds a vertex to the drawing or unselects the current marker
+   * @param {PSV.ClickData} data
+   * @private
+   */
+  __onClick(data) {
+    if (data.rightclick) {
+      return;
+    }
+
+    if (this.prop.drawing) {
+      this.prop.drawing.vertices.push([data.longitude, data.latitude]);
+      this.render();
+    }
+    else {
+      this.select(null);
+    }
+  }
+
+  /**
+   * @summary Handles the keyboard shortcuts
+   * @param {KeyboardEvent} e
+   * @private
+   */
+  __onKeyDown(e) {
+    // do not interfere with the inputs of the page
+    if (e.target?.matches?.('input, textarea, select, [contenteditable]')) {
+      return;
+    }
+
+    let handled = true;
+
+    if (this.prop.drawing) {
+      /* eslint-disable */
+      switch (e.key) {
+        // @formatter:off
+        case CONSTANTS.KEY_CODES.Enter:     this.finishDrawing(); break;
+        case CONSTANTS.KEY_CODES.Escape:    this.cancelDrawing(); break;
+        case CONSTANTS.KEY_CODES.Backspace: this.prop.drawing.vertices.pop(); this.render(); break;
+        default: handled = false; break;
+        // @formatter:on
+      }
+      /* eslint-enable */
+    }
+    else if (this.prop.marker) {
+      /* eslint-disable */
+      switch (e.key) {
+        // @formatter:off
+        case CONSTANTS.KEY_CODES.Delete:
+        case CONSTANTS.KEY_CODES.Backspace: this.deleteSelected(); break;
+        case CONSTANTS.KEY_CODES.Escape:    this.select(null); break;
+        default: handled = false; break;
+        // @formatter:on
+      }
+      /* eslint-enable */
+    }
+    else {
+      handled = false;
+    }
+
+    if (handled) {
+      e.preventDefault();
+    }
+  }
+
+  /**
+   * @summary Computes the properties of a marker after a move
+   * @param {PSV.plugins.MarkersPlugin.Marker} marker
+   * @param {PSV.Position} position
+   * @param {int} vertex - index of the moved vertex, -1 to move the whole marker
+   * @returns {PSV.plugins.MarkersPlugin.Properties}
+   * @private
+   */
+  __getUpdatedProperties(marker, position, vertex) {
+    if (vertex !== -1) {
+      const vertices = marker.props.def.map(coord => coord.slice());
+      vertices[vertex] = [position.longitude, position.latitude];
+
+      return { id: marker.id, [marker.type]: vertices };
+    }
+    // keeps the same kind of coordinates
+    else if (!utils.isNil(marker.config.x) && !utils.isNil(marker.config.y)) {
+      return { id: marker.id, ...this.psv.dataHelper.sphericalCoordsToTextureCoords(position) };
+    }
+    else {
+      return { id: marker.id, ...position };
+    }
+  }
+
+  /**
+   * @summary Updates a marker and keeps it selected
+   * @param {PSV.plugins.MarkersPlugin.Properties} properties
+   * @param {boolean} render
+   * @private
+   */
+  __updateMarker(properties, render) {
+    this.plugin.updateMarker(properties, render);
+    this.__refreshSelection();
+    this.render();
+  }
+
+  /**
+   * @summary Applies the CSS class of the selected marker, the classes are reset when a marker is updated
+   * @private
+   */
+  __refreshSelection() {
+    if (this.prop.marker && this.prop.marker.$el.classList) {
+      this.prop.marker.$el.classList.add('psv-marker--editing');
+    }
+  }
+
+  /**
+   * @summary Returns the position of the cursor in the viewer
+   * @param {MouseEvent|Touch} evt
+   * @returns {PSV.Point}
+   * @private
+   */
+  __getViewerPoint(evt) {
+    const viewerPos = utils.getPosition(this.psv.container);
+
+    return {
+      x: evt.clientX - viewerPos.left,
+      y: evt.clientY - viewerPos.top,
+    };
+  }
+
+  /**
+   * @summary Returns the spherical coordinates of a point of the viewer
+   * @param {PSV.Point} point
+   * @returns {PSV.Position}
+   * @private
+   */
+  __getSphericalCoords(point) {
+    const vector = this.psv.dataHelper.viewerCoordsToVector3(point);
+    return vector ? this.psv.dataHelper.vector3ToSphericalCoords(vector) : null;
+  }
+
+  /**
+   * @summary Returns an unused identifier for a new marker
+   * @param {string} type
+   * @returns {string}
+   * @private
+   */
+  __getNewId(type) {
+    let i = 1;
+    while (this.plugin.markers[`${type}-${i}`]) {
+      i++;
+    }
+    return `${type}-${i}`;
+  }
+
+}
@@ -0,0 +1,301 @@
+import { InstancedMesh, MathUtils, Matrix4, MeshBasicMaterial, Object3D, PlaneGeometry, TextureLoader } from 'three';
+import { CONSTANTS, utils } from '../..';
+import { MARKER_DATA } from './constants';
+
+/**
+ * @summary Initial number of instances of a mesh, doubled when needed
+ * @type {number}
+ * @constant
+ * @private
+ */
+const INITIAL_CAPACITY = 16;
+
+const tempObject = new Object3D();
+const anchorMatrix = new Matrix4();
+
+/**
+ * @summary WebGL rendering of the image markers
+ * @description The markers sharing the same image are drawn as instances of a single mesh, facing the camera
+ * with a constant size in pixels. The `userData[MARKER_DATA]` of each mesh is the list of markers indexed by `instanceId`.
+ * @private
+ */
+export class MarkersSprites {
+
+  /**
+   * @param {PSV.plugins.MarkersPlugin} plugin
+   */
+  constructor(plugin) {
+    /**
+     * @type {PSV.plugins.MarkersPlugin}
+     * @readonly
+     */
+    this.plugin = plugin;
+
+    /**
+     * @type {PSV.Viewer}
+     * @readonly
+     */
+    this.psv = plugin.psv;
+
+    /**
+     * @member {Object}
+     * @property {PSV.plugins.MarkersPlugin.Marker[]} markers - markers to draw
+     * @property {boolean} dirty - the instances must be updated before the next render
+     */
+    this.prop = {
+      markers: [],
+      dirty  : false,
+    };
+
+    /**
+     * @summary Meshes by image URL
+     * @member {Object<string, external:THREE.InstancedMesh>}
+     * @readonly
+     */
+    this.meshes = {};
+
+    /**
+     * @member {external:THREE.PlaneGeometry}
+     * @readonly
+     */
+    this.geometry = new PlaneGeometry(1, 1);
+
+    /**
+     * @member {external:THREE.TextureLoader}
+     * @readonly
+     */
+    this.loader = new TextureLoader();
+    if (this.psv.config.withCredentials) {
+      this.loader.setWithCredentials(true);
+    }
+    if (this.psv.config.requestHeaders && typeof this.psv.config.requestHeaders === 'object') {
+      this.loader.setRequestHeader(this.psv.config.requestHeaders);
+    }
+
+    this.psv.on(CONSTANTS.EVENTS.BEFORE_RENDER, this);
+    this.psv.on(CONSTANTS.EVENTS.POSITION_UPDATED, this);
+    this.psv.on(CONSTANTS.EVENTS.ZOOM_UPDATED, this);
+    this.psv.on(CONSTANTS.EVENTS.SIZE_UPDATED, this);
+  }
+
+  /**
+   * @summary Destroys the meshes
+   */
+  destroy() {
+    this.psv.off(CONSTANTS.EVENTS.BEFORE_RENDER, this);
+    this.psv.off(CONSTANTS.EVENTS.POSITION_UPDATED, this);
+    this.psv.off(CONSTANTS.EVENTS.ZOOM_UPDATED, this);
+    this.psv.off(CONSTANTS.EVENTS.SIZE_UPDATED, this);
+
+    Object.keys(this.meshes).forEach(image => this.__removeMesh(image));
+    this.geometry.dispose();
+
+    delete this.plugin;
+    delete this.psv;
+    delete this.meshes;
+    delete this.geometry;
+    delete this.loader;
+  }
+
+  /**
+   * @summary Handles events
+   * @param {Event} e
+   * @private
+   */
+  handleEvent(e) {
+    /* eslint-disable */
+    switch (e.type) {
+      // @formatter:off
+      case CONSTANTS.EVENTS.BEFORE_RENDER: this.__update(); break;
+      // the scale of the markers can depend on the position
+      case CONSTANTS.EVENTS.POSITION_UPDATED:
+      case CONSTANTS.EVENTS.ZOOM_UPDATED:
+      case CONSTANTS.EVENTS.SIZE_UPDATED:  this.needsUpdate(); break;
+      // @formatter:on
+    }
+    /* eslint-enable */
+  }
+
+  /**
+   * @summary Checks if a marker is rendered by WebGL
+   * @param {PSV.plugins.MarkersPlugin.Marker} marker
+   * @returns {boolean}
+   */
+  handles(marker) {
+    return marker.isNormal() && !!marker.config.image;
+  }
+
+  /**
+   * @summary Updates the instances before the next render
+   */
+  needsUpdate() {
+    this.prop.dirty = true;
+  }
+
+  /**
+   * @summary Changes the markers to draw
+   * @description The instances are updated before the next render, which is requested if needed
+   * @param {PSV.plugins.MarkersPlugin.Marker[]} markers
+   */
+  setMarkers(markers) {
+    if (markers.length !== this.prop.markers.length || markers.some((marker, i) => marker !== this.prop.markers[i])) {
+      this.prop.markers = markers;
+      this.needsUpdate();
+    }
+  }
+
+  /**
+   * @summary Stops drawing a marker
+   * @param {PSV.plugins.MarkersPlugin.Marker} marker
+   */
+  removeMarker(marker) {
+    this.setMarkers(this.prop.markers.filter(m => m !== marker));
+  }
+
+  /**
+   * @summary Returns the marker at a position in the viewer
+   * @param {PSV.Point} viewerPoint
+   * @returns {PSV.plugins.MarkersPlugin.Marker}
+   */
+  getMarkerAt(viewerPoint) {
+    const intersection = this.psv.dataHelper.getIntersections(viewerPoint)
+      .find(i => i.object.isInstancedMesh && i.object.userData[MARKER_DATA]);
+
+    return intersection ? intersection.object.userData[MARKER_DATA][intersection.instanceId] : undefined;
+  }
+
+  /**
+   * @summary Updates the instances of each mesh if needed
+   * @private
+   */
+  __update() {
+    if (!this.prop.dirty) {
+      return;
+    }
+
+    this.prop.dirty = false;
+
+    const zoomLevel = this.psv.getZoomLevel();
+    const viewerPosition = this.psv.getPosition();
+    // size of a pixel on the sphere, in front of the camera
+    const pixelSize = 2 * CONSTANTS.SPHERE_RADIUS * Math.tan(MathUtils.degToRad(this.psv.prop.vFov) / 2) / this.psv.prop.size.height;
+
+    const groups = {};
+    this.prop.markers.forEach((marker) => {
+      (groups[marker.config.image] = groups[marker.config.image] || []).push(marker);
+    });
+
+    // the meshes of the images which are not used anymore are removed, the others are kept to not reload the textures
+    const images = new Set();
+    utils.each(this.plugin.markers, (marker) => {
+      if (this.handles(marker)) {
+        images.add(marker.config.image);
+      }
+    });
+
+    Object.keys(this.meshes)
+      .filter(image => !images.has(image))
+      .forEach(image => this.__removeMesh(image));
+
+    utils.each(this.meshes, (mesh, image) => {
+      if (!groups[image]) {
+        mesh.count = 0;
+        mesh.userData[MARKER_DATA] = [];
+      }
+    });
+
+    utils.each(groups, (markers, image) => {
+      const mesh = this.__getMesh(image, markers.length);
+
+      markers.forEach((marker, i) => {
+        const scale = marker.getScale(zoomLevel, viewerPosition) * pixelSize;
+
+        tempObject.position.copy(marker.props.positions3D[0]);
+        tempObject.lookAt(0, 0, 0);
+        tempObject.scale.set(marker.props.width * scale, marker.props.height * scale, 1);
+        tempObject.updateMatrix();
+
+        // move the plane so the anchor is on the position
+        tempObject.matrix.multiply(anchorMatrix.makeTranslation(
+          0.5 - marker.props.anchor.x,
+          marker.props.anchor.y - 0.5,
+          0
+        ));
+
+        mesh.setMatrixAt(i, tempObject.matrix);
+      });
+
+      mesh.count = markers.length;
+      mesh.instanceMatrix.needsUpdate = true;
+      mesh.userData[MARKER_DATA] = markers;
+    });
+
+    this.psv.needsUpdate();
+  }
+
+  /**
+   * @summary Returns the mesh of an image, with enough instances
+   * @param {string} image
+   * @param {number} count
+   * @returns {external:THREE.InstancedMesh}
+   * @private
+   */
+  __getMesh(image, count) {
+    let mesh = this.meshes[image];
+
+    if (!mesh || mesh.instanceMatrix.count < count) {
+      let capacity = mesh ? mesh.instanceMatrix.count : INITIAL_CAPACITY;
+      while (capacity < count) {
+        capacity *= 2;
+      }
+
+      let material;
+      if (mesh) {
+        material = mesh.material;
+        this.psv.renderer.scene.remove(mesh);
+        mesh.dispose();
+      }
+      else {
+        material = new MeshBasicMaterial({
+          transparent: true,
+          depthTest  : false,
+        });
+
+        if (this.psv.config.requestHeaders && typeof this.psv.config.requestHeaders === 'function') {
+          this.loader.setRequestHeader(this.psv.config.requestHeaders(image));
+        }
+        material.map = this.loader.load(image, (texture) => {
+          texture.anisotropy = 4;
+          this.psv.needsUpdate();
+        });
+      }
+
+      mesh = new InstancedMesh(this.geometry, material, capacity);
+      // the bounding sphere of the geometry does not contain the instances
+      mesh.frustumCulled = false;
+      mesh.userData = { [MARKER_DATA]: [] };
+
+      this.meshes[image] = mesh;
+      this.psv.renderer.scene.add(mesh);
+    }
+
+    return mesh;
+  }
+
+  /**
+   * @summary Removes and disposes the mesh of an image
+   * @param {string} image
+   * @private
+   */
+  __removeMesh(image) {
+    const mesh = this.meshes[image];
+
+    this.psv.renderer.scene.remove(mesh);
+    mesh.material.map?.dispose();
+    mesh.material.dispose();
+    mesh.dispose();
+
+    delete this.meshes[image];
+  }
+
+}
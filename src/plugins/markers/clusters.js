@@ -0,0 +1,57 @@
+/**
+ * @summary Groups the points closer than a distance, only the points with the same key are grouped
+ * @description The clusters are built greedily in the order of the points: each point not yet grouped
+ * collects the free points around it. A grid of the size of the distance limits the number of comparisons.
+ * @param {Array<{x: number, y: number, key: string}>} points - screen positions
+ * @param {number} distance - in pixels
+ * @returns {Array<{key: string, x: number, y: number, items: Object[]}>} clusters positioned at the center of their points,
+ *   including the clusters of a single point
+ * @private
+ */
+export function computeClusters(points, distance) {
+  const cells = new Map();
+  const getCellId = (key, col, row) => `${key}\u0000${col}:${row}`;
+
+  points.forEach((point, i) => {
+    const cellId = getCellId(point.key, Math.floor(point.x / distance), Math.floor(point.y / distance));
+    if (!cells.has(cellId)) {
+      cells.set(cellId, []);
+    }
+    cells.get(cellId).push(i);
+  });
+
+  const grouped = new Array(points.length).fill(false);
+  const clusters = [];
+
+  points.forEach((seed, i) => {
+    if (grouped[i]) {
+      return;
+    }
+
+    grouped[i] = true;
+
+    const items = [seed];
+    const col = Math.floor(seed.x / distance);
+    const row = Math.floor(seed.y / distance);
+
+    for (let dCol = -1; dCol <= 1; dCol++) {
+      for (let dRow = -1; dRow <= 1; dRow++) {
+        (cells.get(getCellId(seed.key, col + dCol, row + dRow)) || []).forEach((j) => {
+          if (!grouped[j] && Math.hypot(points[j].x - seed.x, points[j].y - seed.y) <= distance) {
+            grouped[j] = true;
+            items.push(points[j]);
+          }
+        });
+      }
+    }
+
+    clusters.push({
+      key  : seed.key,
+      x    : items.reduce((sum, item) => sum + item.x, 0) / items.length,
+      y    : items.reduce((sum, item) => sum + item.y, 0) / items.length,
+      items: items,
+    });
+  });
+
+  return clusters;
+}
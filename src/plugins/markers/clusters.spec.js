@@ -0,0 +1,51 @@
+import assert from 'assert';
+
+import { computeClusters } from './clusters';
+
+function ids(clusters) {
+  return clusters.map(cluster => cluster.items.map(item => item.id));
+}
+
+describe('plugins:markers:computeClusters', () => {
+  it('should group the close points', () => {
+    const clusters = computeClusters([
+      { id: 'a', x: 10, y: 10, key: '' },
+      { id: 'b', x: 30, y: 10, key: '' },
+      { id: 'c', x: 200, y: 200, key: '' },
+      { id: 'd', x: 10, y: 45, key: '' },
+    ], 50);
+
+    assert.deepStrictEqual(ids(clusters), [['a', 'b', 'd'], ['c']]);
+    assert.strictEqual(clusters[0].x, 50 / 3);
+    assert.strictEqual(clusters[0].y, 65 / 3);
+  });
+
+  it('should not group points of different keys', () => {
+    const clusters = computeClusters([
+      { id: 'a', x: 10, y: 10, key: 'cameras' },
+      { id: 'b', x: 12, y: 10, key: 'valves' },
+      { id: 'c', x: 14, y: 10, key: 'cameras' },
+    ], 50);
+
+    assert.deepStrictEqual(ids(clusters), [['a', 'c'], ['b']]);
+  });
+
+  it('should group points in neighbour cells', () => {
+    const clusters = computeClusters([
+      { id: 'a', x: 49, y: 49, key: '' },
+      { id: 'b', x: 51, y: 51, key: '' },
+      { id: 'c', x: 0, y: 50, key: '' },
+    ], 50);
+
+    assert.deepStrictEqual(ids(clusters), [['a', 'c', 'b']]);
+  });
+
+  it('should not group points further than the distance', () => {
+    const clusters = computeClusters([
+      { id: 'a', x: 0, y: 0, key: '' },
+      { id: 'b', x: 40, y: 40, key: '' },
+    ], 50);
+
+    assert.deepStrictEqual(ids(clusters), [['a'], ['b']]);
+  });
+});
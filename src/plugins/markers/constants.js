@@ -16,6 +16,14 @@ export const EVENTS = {
    * @param {boolean} visible
    */
   MARKER_VISIBILITY  : 'marker-visibility',
+  /**
+   * @event layer-visibility
+   * @memberof PSV.plugins.MarkersPlugin
+   * @summary Triggered when a layer is shown or hidden
+   * @param {string} layer
+   * @param {boolean} visible
+   */
+  LAYER_VISIBILITY   : 'layer-visibility',
   /**
    * @event goto-marker-done
    * @memberof PSV.plugins.MarkersPlugin
@@ -87,6 +95,21 @@ export const EVENTS = {
    * @summary Triggered when the markers are shown
    */
   SHOW_MARKERS       : 'show-markers',
+  /**
+   * @event marker-edited
+   * @memberof PSV.plugins.MarkersPlugin
+   * @summary Triggered when a marker is moved or drawn in the edit mode
+   * @param {PSV.plugins.MarkersPlugin.Marker} marker
+   * @param {PSV.plugins.MarkersPlugin.Properties} properties - updated properties of the marker
+   */
+  MARKER_EDITED      : 'marker-edited',
+  /**
+   * @event marker-deleted
+   * @memberof PSV.plugins.MarkersPlugin
+   * @summary Triggered when a marker is deleted in the edit mode
+   * @param {PSV.plugins.MarkersPlugin.Properties} properties - properties of the deleted marker
+   */
+  MARKER_DELETED     : 'marker-deleted',
 };
 
 /**
@@ -117,6 +140,34 @@ export const SVG_NS = 'http://www.w3.org/2000/svg';
  */
 export const MARKER_DATA = 'psvMarker';
 
+/**
+ * @summary Property name added to cluster elements
+ * @type {string}
+ * @constant
+ * @private
+ */
+export const CLUSTER_DATA = 'psvCluster';
+
+/**
+ * @summary Sort orders of the markers list
+ * @type {Object<string, string>}
+ * @constant
+ * @private
+ */
+export const MARKERS_LIST_SORT = {
+  default : 'default',
+  name    : 'name',
+  distance: 'distance',
+};
+
+/**
+ * @summary Property name added to the layer checkboxes of the markers list
+ * @type {string}
+ * @constant
+ * @private
+ */
+export const LAYER_DATA = 'psvMarkerLayer';
+
 /**
  * @summary Panel identifier for marker content
  * @type {string}
@@ -134,18 +185,53 @@ export const ID_PANEL_MARKER = 'marker';
 export const ID_PANEL_MARKERS_LIST = 'markersList';
 
 const MARKER_DATA_KEY = utils.dasherize(MARKER_DATA);
+const LAYER_DATA_KEY = utils.dasherize(LAYER_DATA);
+
+/**
+ * @summary Escapes the special characters of HTML, for texts and attributes
+ * @param {string} str
+ * @returns {string}
+ * @private
+ */
+function escapeHtml(str) {
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
 
 /**
  * @summary Markers list template
  * @param {PSV.plugins.MarkersPlugin.Marker[]} markers
  * @param {string} title
+ * @param {Array<{name: string, visible: boolean}>} layers
+ * @param {string} searchLabel
+ * @param {Array<{value: string, label: string, selected: boolean}>} sorts
  * @returns {string}
  * @constant
  * @private
  */
-export const MARKERS_LIST_TEMPLATE = (markers, title) => `
-<div class="psv-panel-menu psv-panel-menu--stripped">
+export const MARKERS_LIST_TEMPLATE = (markers, title, layers, searchLabel, sorts) => `
+<div class="psv-panel-menu psv-panel-menu--stripped psv-markers-list">
   <h1 class="psv-panel-menu-title">${icon} ${title}</h1>
+  <div class="psv-markers-list-toolbar">
+    <input type="search" class="psv-markers-list-search" placeholder="${searchLabel}" aria-label="${searchLabel}" tabindex="0"/>
+    <select class="psv-markers-list-sort">
+      ${sorts.map(sort => `<option value="${sort.value}" ${sort.selected ? 'selected' : ''}>${sort.label}</option>`).join('')}
+    </select>
+  </div>
+  ${layers.length ? `
+  <div class="psv-markers-list-layers">
+    ${layers.map(layer => `
+    <label class="psv-markers-list-layer">
+      <input type="checkbox" data-${LAYER_DATA_KEY}="${escapeHtml(layer.name)}" ${layer.visible ? 'checked' : ''}/>
+      ${escapeHtml(layer.name)}
+    </label>
+    `).join('')}
+  </div>
+  ` : ''}
   <ul class="psv-panel-menu-list">
     ${markers.map(marker => `
     <li data-${MARKER_DATA_KEY}="${marker.config.id}" class="psv-panel-menu-item" tabindex="0">
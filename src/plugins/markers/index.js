@@ -1,17 +1,24 @@
 import { Vector3 } from 'three';
 import { AbstractPlugin, CONSTANTS, DEFAULTS, PSVError, registerButton, utils } from '../..';
+import { computeClusters } from './clusters';
 import {
+  CLUSTER_DATA,
   EVENTS,
   ID_PANEL_MARKER,
   ID_PANEL_MARKERS_LIST,
+  LAYER_DATA,
   MARKER_DATA,
   MARKER_TOOLTIP_TRIGGER,
+  MARKERS_LIST_SORT,
   MARKERS_LIST_TEMPLATE,
   SVG_NS
 } from './constants';
+import { compareNames, matchSearch } from './list';
 import { Marker } from './Marker';
 import { MarkersButton } from './MarkersButton';
+import { MarkersEditor } from './MarkersEditor';
 import { MarkersListButton } from './MarkersListButton';
+import { MarkersSprites } from './MarkersSprites';
 import './style.scss';
 
 
@@ -19,6 +26,17 @@ import './style.scss';
  * @typedef {Object} PSV.plugins.MarkersPlugin.Options
  * @property {boolean} [clickEventOnMarker=false] If a `click` event is triggered on the viewer additionally to the `select-marker` event.
  * @property {PSV.plugins.MarkersPlugin.Properties[]} [markers]
+ * @property {boolean|PSV.plugins.MarkersPlugin.ClusteringOptions} [clustering=false] Groups the close image, HTML and SVG markers.
+ * @property {'dom'|'webgl'} [imageRenderer='dom'] Renders the image markers with DOM elements or with WebGL, in the three.js scene.
+ */
+
+/**
+ * @typedef {Object} PSV.plugins.MarkersPlugin.ClusteringOptions
+ * @summary Configuration of the clusters, the markers are grouped by their `cluster` property
+ * @property {number} [distance=50] - maximum distance between the markers of a cluster, in pixels
+ * @property {number} [maxZoom=100] - the markers are not grouped from this zoom level
+ * @property {number} [zoomStep=30] - zoom levels added when clicking on a cluster
+ * @property {string|number} [speed=1000] - speed of the animation when clicking on a cluster, see {@link PSV.Viewer#animate}
  */
 
 /**
@@ -32,6 +50,10 @@ import './style.scss';
 // add markers buttons
 DEFAULTS.lang[MarkersButton.id] = 'Markers';
 DEFAULTS.lang[MarkersListButton.id] = 'Markers list';
+DEFAULTS.lang.markersSearch = 'Search';
+DEFAULTS.lang.markersSortDefault = 'Default order';
+DEFAULTS.lang.markersSortName = 'Sort by name';
+DEFAULTS.lang.markersSortDistance = 'Sort by distance';
 registerButton(MarkersButton, 'caption:left');
 registerButton(MarkersListButton, 'caption:left');
 
@@ -68,13 +90,21 @@ export class MarkersPlugin extends AbstractPlugin {
      * @property {boolean} visible - Visibility of the component
      * @property {PSV.plugins.MarkersPlugin.Marker} currentMarker - Last selected marker
      * @property {PSV.plugins.MarkersPlugin.Marker} hoveringMarker - Marker under the cursor
+     * @property {Set<string>} hiddenLayers - Layers which are not displayed
+     * @property {string} listQuery - Search in the markers list
+     * @property {string} listSort - Sort order of the markers list
+     * @property {PSV.plugins.MarkersPlugin.Marker} highlightedMarker - Marker hovered in the markers list
      * @private
      */
     this.prop = {
-      visible       : true,
-      currentMarker : null,
-      hoveringMarker: null,
-      stopObserver  : null,
+      visible          : true,
+      currentMarker    : null,
+      hoveringMarker   : null,
+      hiddenLayers     : new Set(),
+      listQuery        : '',
+      listSort         : MARKERS_LIST_SORT.default,
+      highlightedMarker: null,
+      stopObserver     : null,
     };
 
     /**
@@ -82,9 +112,21 @@ export class MarkersPlugin extends AbstractPlugin {
      */
     this.config = {
       clickEventOnMarker: false,
+      clustering        : false,
+      imageRenderer     : 'dom',
       ...options,
     };
 
+    if (this.config.clustering) {
+      this.config.clustering = {
+        distance: 50,
+        maxZoom : 100,
+        zoomStep: 30,
+        speed   : 1000,
+        ...(this.config.clustering === true ? {} : this.config.clustering),
+      };
+    }
+
     if (options?.listButton === false || options?.hideButton === false) {
       utils.logWarn('MarkersPlugin: listButton and hideButton options are deprecated. '
         + 'Please define the global navbar options according to your needs.');
@@ -106,11 +148,33 @@ export class MarkersPlugin extends AbstractPlugin {
     this.svgContainer.setAttribute('class', 'psv-markers-svg-container');
     this.container.appendChild(this.svgContainer);
 
+    /**
+     * @summary Elements of the clusters, reused between renders
+     * @member {HTMLElement[]}
+     * @readonly
+     * @private
+     */
+    this.clusterElements = [];
+
     // Markers events via delegation
     this.container.addEventListener('mouseenter', this, true);
     this.container.addEventListener('mouseleave', this, true);
     this.container.addEventListener('mousemove', this, true);
     this.container.addEventListener('contextmenu', this);
+
+    /**
+     * @member {MarkersEditor}
+     * @readonly
+     * @private
+     */
+    this.editor = new MarkersEditor(this);
+
+    /**
+     * @member {MarkersSprites}
+     * @readonly
+     * @private
+     */
+    this.sprites = this.config.imageRenderer === 'webgl' ? new MarkersSprites(this) : null;
   }
 
   /**
@@ -126,6 +190,8 @@ export class MarkersPlugin extends AbstractPlugin {
     this.psv.on(CONSTANTS.EVENTS.DOUBLE_CLICK, this);
     this.psv.on(CONSTANTS.EVENTS.RENDER, this);
     this.psv.on(CONSTANTS.EVENTS.CONFIG_CHANGED, this);
+    this.psv.on(CONSTANTS.EVENTS.OPEN_PANEL, this);
+    this.psv.on(CONSTANTS.EVENTS.CLOSE_PANEL, this);
 
     this.psv.once(CONSTANTS.EVENTS.READY, () => {
       if (this.config.markers) {
@@ -143,13 +209,21 @@ export class MarkersPlugin extends AbstractPlugin {
 
     this.prop.stopObserver?.();
 
+    this.editor.destroy();
+    this.sprites?.destroy();
+
     this.psv.off(CONSTANTS.EVENTS.CLICK, this);
     this.psv.off(CONSTANTS.EVENTS.DOUBLE_CLICK, this);
     this.psv.off(CONSTANTS.EVENTS.RENDER, this);
     this.psv.off(CONSTANTS.EVENTS.CONFIG_CHANGED, this);
+    this.psv.off(CONSTANTS.EVENTS.OPEN_PANEL, this);
+    this.psv.off(CONSTANTS.EVENTS.CLOSE_PANEL, this);
 
     this.psv.container.removeChild(this.container);
 
+    delete this.editor;
+    delete this.sprites;
+    delete this.clusterElements;
     delete this.svgContainer;
     delete this.markers;
     delete this.container;
@@ -173,12 +247,23 @@ export class MarkersPlugin extends AbstractPlugin {
       case CONSTANTS.EVENTS.CLICK:        this.__onClick(e, e.args[0], false); break;
       case CONSTANTS.EVENTS.DOUBLE_CLICK: this.__onClick(e, e.args[0], true);  break;
       case CONSTANTS.EVENTS.RENDER:       this.renderMarkers();                        break;
-      case CONSTANTS.OBJECT_EVENTS.ENTER_OBJECT: this.__onMouseEnter(e.detail.originalEvent, e.detail.data); break;
-      case CONSTANTS.OBJECT_EVENTS.LEAVE_OBJECT: this.__onMouseLeave(e.detail.originalEvent, e.detail.data); break;
-      case CONSTANTS.OBJECT_EVENTS.HOVER_OBJECT: this.__onMouseMove(e.detail.originalEvent, e.detail.data);  break;
+      case CONSTANTS.OBJECT_EVENTS.ENTER_OBJECT: this.__onMouseEnter(e.detail.originalEvent, this.__getObjectMarker(e.detail)); break;
+      case CONSTANTS.OBJECT_EVENTS.LEAVE_OBJECT: this.__onMouseLeave(e.detail.originalEvent, this.__getObjectMarker(e.detail)); break;
+      case CONSTANTS.OBJECT_EVENTS.HOVER_OBJECT: this.__onMouseMove(e.detail.originalEvent, this.__getObjectMarker(e.detail));  break;
       case CONSTANTS.EVENTS.CONFIG_CHANGED:
         this.container.style.cursor = this.psv.config.mousemove ? 'move' : 'default';
         break;
+      // the list can be closed by the panel itself or replaced by another content
+      case CONSTANTS.EVENTS.OPEN_PANEL:
+        if (e.args[0] !== ID_PANEL_MARKERS_LIST) {
+          this.__highlightMarker(null);
+        }
+        break;
+      case CONSTANTS.EVENTS.CLOSE_PANEL:
+        if (e.args[0] === ID_PANEL_MARKERS_LIST) {
+          this.__highlightMarker(null);
+        }
+        break;
       // @formatter:on
     }
     /* eslint-enable */
@@ -273,7 +358,10 @@ export class MarkersPlugin extends AbstractPlugin {
     const marker = new Marker(properties, this.psv);
 
     if (marker.isNormal()) {
-      this.container.appendChild(marker.$el);
+      // images rendered with WebGL are not added to the DOM
+      if (!this.sprites?.handles(marker)) {
+        this.container.appendChild(marker.$el);
+      }
     }
     else if (marker.isPoly() || marker.isSvg()) {
       this.svgContainer.appendChild(marker.$el);
@@ -319,6 +407,20 @@ export class MarkersPlugin extends AbstractPlugin {
     return this.prop.currentMarker;
   }
 
+  /**
+   * @summary Selects a marker as if it was clicked by the user, opens its tooltip or panel
+   * @param {string} markerId
+   * @fires PSV.plugins.MarkersPlugin.select-marker
+   * @fires PSV.plugins.MarkersPlugin.unselect-marker
+   * @throws {PSV.PSVError} when the marker cannot be found
+   */
+  selectMarker(markerId) {
+    this.__selectMarker(this.getMarker(markerId), {
+      dblclick  : false,
+      rightclick: false,
+    });
+  }
+
   /**
    * @summary Updates the existing marker with the same id
    * @description Every property can be changed but you can't change its type (Eg: `image` to `html`).
@@ -338,6 +440,9 @@ export class MarkersPlugin extends AbstractPlugin {
       if (marker.is3d()) {
         this.psv.needsUpdate();
       }
+      else if (this.sprites?.handles(marker)) {
+        this.sprites.needsUpdate();
+      }
 
       this.trigger(EVENTS.SET_MARKERS, this.getMarkers());
     }
@@ -354,7 +459,12 @@ export class MarkersPlugin extends AbstractPlugin {
     const marker = this.getMarker(markerId);
 
     if (marker.isNormal()) {
-      this.container.removeChild(marker.$el);
+      if (this.sprites?.handles(marker)) {
+        this.sprites.removeMarker(marker);
+      }
+      else {
+        this.container.removeChild(marker.$el);
+      }
     }
     else if (marker.isPoly() || marker.isSvg()) {
       this.svgContainer.removeChild(marker.$el);
@@ -372,6 +482,14 @@ export class MarkersPlugin extends AbstractPlugin {
       this.prop.currentMarker = null;
     }
 
+    if (this.prop.highlightedMarker === marker) {
+      this.prop.highlightedMarker = null;
+    }
+
+    if (this.editor.prop.marker === marker) {
+      this.editor.select(null);
+    }
+
     marker.hideTooltip();
 
     marker.destroy();
@@ -436,6 +554,63 @@ export class MarkersPlugin extends AbstractPlugin {
     }
   }
 
+  /**
+   * @summary Returns the properties of all the markers, to be serialized with `JSON.stringify`
+   * @returns {PSV.plugins.MarkersPlugin.Properties[]}
+   */
+  getMarkersAsJSON() {
+    return this.getMarkers().map(marker => marker.toJSON());
+  }
+
+  /**
+   * @summary Enables the edit mode, the markers can be moved with the mouse and deleted with the keyboard
+   */
+  startEditing() {
+    this.editor.start();
+  }
+
+  /**
+   * @summary Disables the edit mode, the current drawing is cancelled
+   */
+  stopEditing() {
+    this.editor.stop();
+  }
+
+  /**
+   * @summary Checks if the edit mode is enabled
+   * @returns {boolean}
+   */
+  isEditing() {
+    return this.editor.isEditing();
+  }
+
+  /**
+   * @summary Starts drawing a new polygon or polyline, each click on the viewer adds a vertex
+   * @description The edit mode is enabled if needed. The drawing is ended with a double click or the Enter key,
+   * the marker is created with `polygonRad` or `polylineRad`.
+   * @param {'polygon'|'polyline'} type
+   * @param {PSV.plugins.MarkersPlugin.Properties} [properties] - other properties of the new marker, a unique `id` is generated if missing
+   * @throws {PSV.PSVError} when the type is unknown
+   */
+  startDrawing(type, properties) {
+    this.editor.startDrawing(type, properties);
+  }
+
+  /**
+   * @summary Ends the current drawing and creates the marker
+   * @fires PSV.plugins.MarkersPlugin.marker-edited
+   */
+  finishDrawing() {
+    this.editor.finishDrawing();
+  }
+
+  /**
+   * @summary Cancels the current drawing
+   */
+  cancelDrawing() {
+    this.editor.cancelDrawing();
+  }
+
   /**
    * @summary Rotate the view to face the marker
    * @param {string} markerId
@@ -507,6 +682,75 @@ export class MarkersPlugin extends AbstractPlugin {
     }
   }
 
+  /**
+   * @summary Returns the layers of the markers
+   * @returns {string[]}
+   */
+  getLayers() {
+    const layers = new Set();
+    utils.each(this.markers, (marker) => {
+      if (!utils.isNil(marker.config.layer)) {
+        layers.add(String(marker.config.layer));
+      }
+    });
+    return [...layers];
+  }
+
+  /**
+   * @summary Checks if the markers of a layer are displayed
+   * @param {string} layer
+   * @returns {boolean}
+   */
+  isLayerVisible(layer) {
+    return !this.prop.hiddenLayers.has(String(layer));
+  }
+
+  /**
+   * @summary Hides the markers of a layer
+   * @param {string} layer
+   */
+  hideLayer(layer) {
+    this.toggleLayer(layer, false);
+  }
+
+  /**
+   * @summary Shows the markers of a layer
+   * @param {string} layer
+   */
+  showLayer(layer) {
+    this.toggleLayer(layer, true);
+  }
+
+  /**
+   * @summary Toggles the markers of a layer
+   * @param {string} layer
+   * @param {boolean} [visible]
+   * @fires PSV.plugins.MarkersPlugin.layer-visibility
+   */
+  toggleLayer(layer, visible = null) {
+    // the names read from the list are strings
+    layer = String(layer);
+
+    const isVisible = visible === null ? !this.isLayerVisible(layer) : visible;
+
+    if (isVisible === this.isLayerVisible(layer)) {
+      return;
+    }
+
+    if (isVisible) {
+      this.prop.hiddenLayers.delete(layer);
+    }
+    else {
+      this.prop.hiddenLayers.add(layer);
+    }
+
+    this.renderMarkers();
+    this.__refreshUi();
+    this.psv.needsUpdate();
+
+    this.trigger(EVENTS.LAYER_VISIBILITY, layer, isVisible);
+  }
+
   /**
    * @summary Opens the panel with the content of the marker
    * @param {string} markerId
@@ -544,24 +788,41 @@ export class MarkersPlugin extends AbstractPlugin {
   showMarkersList() {
     let markers = [];
     utils.each(this.markers, (marker) => {
-      if (marker.visible && !marker.config.hideList) {
+      if (marker.visible && !marker.config.hideList && this.isLayerVisible(marker.config.layer)) {
         markers.push(marker);
       }
     });
 
     markers = this.change(EVENTS.RENDER_MARKERS_LIST, markers);
+    markers = this.__sortMarkersList(markers);
+
+    const lang = this.psv.config.lang;
+    const layers = this.getLayers().map(layer => ({ name: layer, visible: this.isLayerVisible(layer) }));
+    const sorts = [
+      { value: MARKERS_LIST_SORT.default, label: lang.markersSortDefault },
+      { value: MARKERS_LIST_SORT.name, label: lang.markersSortName },
+      { value: MARKERS_LIST_SORT.distance, label: lang.markersSortDistance },
+    ].map(sort => ({ ...sort, selected: sort.value === this.prop.listSort }));
+
+    // keep the focus in the toolbar when the list is rendered again
+    const focusedClass = ['psv-markers-list-search', 'psv-markers-list-sort']
+      .find(className => document.activeElement?.classList.contains(className));
 
     this.psv.panel.show({
       id          : ID_PANEL_MARKERS_LIST,
-      content     : MARKERS_LIST_TEMPLATE(markers, this.psv.config.lang[MarkersButton.id]),
+      content     : MARKERS_LIST_TEMPLATE(markers, lang[MarkersButton.id], layers, lang.markersSearch, sorts),
       noMargin    : true,
       clickHandler: (e) => {
-        const li = e.target ? utils.getClosest(e.target, 'li') : undefined;
-        const markerId = li ? li.dataset[MARKER_DATA] : undefined;
+        // clicking on the label also triggers a click on the checkbox
+        const layer = e.target?.dataset?.[LAYER_DATA];
+        if (!utils.isNil(layer)) {
+          this.toggleLayer(layer);
+          return;
+        }
 
-        if (markerId) {
-          const marker = this.getMarker(markerId);
+        const marker = this.__getListMarker(e.target);
 
+        if (marker) {
           this.trigger(EVENTS.SELECT_MARKER_LIST, marker);
 
           this.gotoMarker(marker, 1000);
@@ -569,25 +830,191 @@ export class MarkersPlugin extends AbstractPlugin {
         }
       },
     });
+
+    const list = this.psv.panel.content.querySelector('.psv-markers-list');
+    const search = list.querySelector('.psv-markers-list-search');
+    const sort = list.querySelector('.psv-markers-list-sort');
+
+    search.value = this.prop.listQuery;
+    this.__filterMarkersList(list);
+
+    search.addEventListener('input', () => this.__filterMarkersList(list));
+    sort.addEventListener('change', () => {
+      this.prop.listSort = sort.value;
+      this.showMarkersList();
+    });
+    list.addEventListener('keydown', e => this.__onMarkersListKeyDown(e, list));
+    list.addEventListener('mouseover', e => this.__highlightMarker(this.__getListMarker(e.target)));
+    list.addEventListener('focusin', e => this.__highlightMarker(this.__getListMarker(e.target)));
+    list.addEventListener('mouseleave', () => this.__highlightMarker(null));
+
+    if (focusedClass) {
+      const element = list.querySelector(`.${focusedClass}`);
+      element.focus();
+      if (element === search) {
+        search.setSelectionRange(search.value.length, search.value.length);
+      }
+    }
   }
 
   /**
    * @summary Closes side panel if it contains the list of markers
    */
   hideMarkersList() {
+    this.__highlightMarker(null);
     this.psv.panel.hide(ID_PANEL_MARKERS_LIST);
   }
 
+  /**
+   * @summary Sorts the markers of the list
+   * @param {PSV.plugins.MarkersPlugin.Marker[]} markers
+   * @returns {PSV.plugins.MarkersPlugin.Marker[]}
+   * @private
+   */
+  __sortMarkersList(markers) {
+    if (this.prop.listSort === MARKERS_LIST_SORT.name) {
+      // the content is parsed in a template to not load the images
+      const template = document.createElement('template');
+      const names = new Map(markers.map((marker) => {
+        template.innerHTML = marker.getListContent();
+        return [marker, template.content.textContent.trim()];
+      }));
+
+      return [...markers].sort((a, b) => compareNames(names.get(a), names.get(b)));
+    }
+    else if (this.prop.listSort === MARKERS_LIST_SORT.distance) {
+      const position = this.psv.getPosition();
+      const distances = new Map(markers.map(marker => [marker, utils.greatArcDistance(
+        [position.longitude, position.latitude],
+        [marker.props.position.longitude, marker.props.position.latitude]
+      )]));
+
+      return [...markers].sort((a, b) => distances.get(a) - distances.get(b));
+    }
+    else {
+      return markers;
+    }
+  }
+
+  /**
+   * @summary Hides the items of the markers list which do not match the search
+   * @param {HTMLElement} list
+   * @private
+   */
+  __filterMarkersList(list) {
+    this.prop.listQuery = list.querySelector('.psv-markers-list-search').value;
+
+    list.querySelectorAll('.psv-panel-menu-item').forEach((item) => {
+      item.hidden = !matchSearch(item.textContent, this.prop.listQuery);
+    });
+  }
+
+  /**
+   * @summary Handles the keyboard navigation in the markers list
+   * @param {KeyboardEvent} e
+   * @param {HTMLElement} list
+   * @private
+   */
+  __onMarkersListKeyDown(e, list) {
+    const search = list.querySelector('.psv-markers-list-search');
+    const items = [...list.querySelectorAll('.psv-panel-menu-item:not([hidden])')];
+    const index = items.indexOf(e.target);
+
+    // the keys typed in the toolbar must not control the viewer
+    if (utils.hasParent(e.target, list.querySelector('.psv-markers-list-toolbar'))) {
+      e.stopPropagation();
+    }
+
+    if (e.target !== search && index === -1) {
+      return;
+    }
+
+    switch (e.key) {
+      case CONSTANTS.KEY_CODES.ArrowDown:
+        items[index + 1]?.focus();
+        break;
+
+      case CONSTANTS.KEY_CODES.ArrowUp:
+        if (index > 0) {
+          items[index - 1].focus();
+        }
+        else {
+          search.focus();
+        }
+        break;
+
+      case CONSTANTS.KEY_CODES.Enter:
+        // selects the first result
+        if (e.target === search) {
+          items[0]?.click();
+        }
+        return;
+
+      case CONSTANTS.KEY_CODES.Escape:
+        if (e.target !== search || !search.value) {
+          return;
+        }
+        search.value = '';
+        this.__filterMarkersList(list);
+        break;
+
+      default:
+        return;
+    }
+
+    e.preventDefault();
+    e.stopPropagation();
+  }
+
+  /**
+   * @summary Returns the marker of an item of the markers list
+   * @param {EventTarget} target
+   * @returns {PSV.plugins.MarkersPlugin.Marker}
+   * @private
+   */
+  __getListMarker(target) {
+    const item = target ? utils.getClosest(target, '.psv-panel-menu-item') : undefined;
+    const markerId = item ? item.dataset[MARKER_DATA] : undefined;
+    return markerId ? this.markers[markerId] : undefined;
+  }
+
+  /**
+   * @summary Highlights the marker hovered or focused in the markers list
+   * @description Only the markers rendered in the DOM can be highlighted.
+   * @param {PSV.plugins.MarkersPlugin.Marker} [marker]
+   * @private
+   */
+  __highlightMarker(marker) {
+    const previous = this.prop.highlightedMarker;
+
+    if (previous === marker) {
+      return;
+    }
+
+    if (previous && !previous.is3d() && !this.sprites?.handles(previous)) {
+      previous.$el.classList.remove('psv-marker--highlighted');
+    }
+
+    this.prop.highlightedMarker = marker || null;
+
+    if (marker && !marker.is3d() && !this.sprites?.handles(marker)) {
+      marker.$el.classList.add('psv-marker--highlighted');
+    }
+  }
+
   /**
    * @summary Updates the visibility and the position of all markers
    */
   renderMarkers() {
     const zoomLevel = this.psv.getZoomLevel();
     const viewerPosition = this.psv.getPosition();
+    const states = [];
 
     utils.each(this.markers, (marker) => {
-      let isVisible = this.prop.visible && marker.visible;
-      let visibilityChanged = false;
+      // also used by the 3D markers
+      marker.props.layerHidden = !utils.isNil(marker.config.layer) && !this.isLayerVisible(marker.config.layer);
+
+      let isVisible = this.prop.visible && marker.visible && !marker.props.layerHidden;
       let position = null;
 
       if (isVisible && marker.is3d()) {
@@ -624,17 +1051,31 @@ export class MarkersPlugin extends AbstractPlugin {
             const y = position.y + marker.props.width * marker.props.anchor.y * (1 - scale);
             marker.$el.setAttributeNS(null, 'transform', `translate(${x}, ${y}) scale(${scale}, ${scale})`);
           }
-          else {
+          else if (!this.sprites?.handles(marker)) {
             marker.$el.style.transform = `translate3D(${position.x}px, ${position.y}px, 0px) scale(${scale}, ${scale})`;
           }
         }
       }
 
-      visibilityChanged = marker.props.visible !== isVisible;
+      states.push({ marker: marker, visible: isVisible, position: position });
+    });
+
+    const clusteredMarkers = this.__renderClusters(states, zoomLevel);
+    const sprites = [];
+
+    states.forEach(({ marker, visible, position }) => {
+      // markers grouped in a cluster are hidden
+      const isVisible = visible && !clusteredMarkers.has(marker);
+      const visibilityChanged = marker.props.visible !== isVisible;
       marker.props.visible = isVisible;
       marker.props.position2D = isVisible ? position : null;
 
-      if (!marker.is3d()) {
+      if (this.sprites?.handles(marker)) {
+        if (isVisible) {
+          sprites.push(marker);
+        }
+      }
+      else if (!marker.is3d()) {
         utils.toggleClass(marker.$el, 'psv-marker--visible', isVisible);
       }
 
@@ -655,6 +1096,169 @@ export class MarkersPlugin extends AbstractPlugin {
         this.trigger(EVENTS.MARKER_VISIBILITY, marker, isVisible);
       }
     });
+
+    this.sprites?.setMarkers(sprites);
+
+    if (this.editor.isEditing()) {
+      this.editor.render();
+    }
+  }
+
+  /**
+   * @summary Groups the close markers and displays the clusters
+   * @param {Array<{marker: PSV.plugins.MarkersPlugin.Marker, visible: boolean, position: PSV.Point}>} states
+   * @param {number} zoomLevel
+   * @returns {Set<PSV.plugins.MarkersPlugin.Marker>} markers grouped in a cluster
+   * @private
+   */
+  __renderClusters(states, zoomLevel) {
+    const clusteredMarkers = new Set();
+    let clusters = [];
+
+    if (this.config.clustering && zoomLevel < this.config.clustering.maxZoom) {
+      const points = states
+        .filter(({ marker, visible }) => visible && marker.config.cluster !== false && (marker.isNormal() || marker.isSvg()))
+        .map(({ marker, position }) => ({
+          x     : position.x + marker.props.width * marker.props.anchor.x,
+          y     : position.y + marker.props.height * marker.props.anchor.y,
+          key   : utils.isNil(marker.config.cluster) ? '' : `${marker.config.cluster}`,
+          marker: marker,
+        }));
+
+      clusters = computeClusters(points, this.config.clustering.distance).filter(cluster => cluster.items.length > 1);
+    }
+
+    while (this.clusterElements.length < clusters.length) {
+      const element = document.createElement('div');
+      element.className = 'psv-marker-cluster';
+      this.container.appendChild(element);
+      this.clusterElements.push(element);
+    }
+
+    this.clusterElements.forEach((element, i) => {
+      const cluster = clusters[i];
+
+      if (cluster) {
+        const markers = cluster.items.map(item => item.marker);
+        markers.forEach(marker => clusteredMarkers.add(marker));
+
+        element[CLUSTER_DATA] = markers;
+        element.textContent = markers.length;
+        element.dataset.cluster = cluster.key;
+        element.style.transform = `translate3D(${cluster.x}px, ${cluster.y}px, 0px) translate(-50%, -50%)`;
+        element.classList.add('psv-marker-cluster--visible');
+      }
+      else {
+        element[CLUSTER_DATA] = null;
+        element.classList.remove('psv-marker-cluster--visible');
+      }
+    });
+
+    return clusteredMarkers;
+  }
+
+  /**
+   * @summary Moves the view to the center of a cluster and zooms in
+   * @param {PSV.plugins.MarkersPlugin.Marker[]} markers
+   * @returns {PSV.Animation}
+   * @private
+   */
+  __gotoCluster(markers) {
+    const center = new Vector3();
+    markers.forEach(marker => center.add(marker.props.positions3D[0]));
+
+    return this.psv.animate({
+      ...this.psv.dataHelper.vector3ToSphericalCoords(center),
+      zoom : Math.min(100, this.psv.getZoomLevel() + this.config.clustering.zoomStep),
+      speed: this.config.clustering.speed,
+    });
+  }
+
+  /**
+   * @summary Draws the visible markers on a snapshot of the viewer
+   * @description SVG markers are drawn with their attributes, HTML markers with their inline style,
+   * images markers are loaded again from their URL unless they are rendered with WebGL.
+   * @param {HTMLCanvasElement} canvas - rendering of the current view, with the same vertical field of view
+   * @returns {Promise}
+   * @package
+   */
+  drawSnapshot(canvas) {
+    const size = this.psv.prop.size;
+    const zoomLevel = this.psv.getZoomLevel();
+    const viewerPosition = this.psv.getPosition();
+
+    // the markers grouped in a cluster are not visible, the image markers rendered by WebGL are already in the snapshot
+    const visibleMarkers = this.prop.visible
+      ? Object.values(this.markers).filter(m => m.props.visible && !m.is3d() && !this.sprites?.handles(m))
+      : [];
+    const layers = [];
+
+    // SVG markers share the same container
+    if (visibleMarkers.some(m => m.isSvg() || m.isPoly())) {
+      const svg = this.svgContainer.cloneNode(true);
+      svg.setAttribute('xmlns', SVG_NS);
+      svg.setAttribute('width', size.width);
+      svg.setAttribute('height', size.height);
+      svg.querySelectorAll('.psv-marker:not(.psv-marker--visible)').forEach(el => el.remove());
+
+      layers.push(this.__loadSnapshotLayer(new XMLSerializer().serializeToString(svg), 0, 0, size.width, size.height));
+    }
+
+    visibleMarkers
+      .filter(m => m.isNormal())
+      .forEach((marker) => {
+        const scale = marker.getScale(zoomLevel, viewerPosition);
+        const width = marker.props.width * scale;
+        const height = marker.props.height * scale;
+        const x = marker.props.position2D.x + marker.props.width * marker.props.anchor.x * (1 - scale);
+        const y = marker.props.position2D.y + marker.props.height * marker.props.anchor.y * (1 - scale);
+
+        if (marker.config.image) {
+          layers.push(this.psv.textureLoader.loadImage(marker.config.image)
+            .then(img => ({ img, x, y, width, height })));
+        }
+        else {
+          const el = marker.$el.cloneNode(true);
+          el.style.transform = '';
+          el.style.position = 'static';
+
+          const svg = `<svg xmlns="${SVG_NS}" width="${marker.props.width}" height="${marker.props.height}">`
+            + `<foreignObject width="100%" height="100%">${new XMLSerializer().serializeToString(el)}</foreignObject>`
+            + '</svg>';
+
+          layers.push(this.__loadSnapshotLayer(svg, x, y, width, height));
+        }
+      });
+
+    return Promise.all(layers)
+      .then((images) => {
+        const ratio = canvas.height / size.height;
+        const ctx = canvas.getContext('2d');
+
+        ctx.save();
+        ctx.setTransform(ratio, 0, 0, ratio, (canvas.width - size.width * ratio) / 2, 0);
+        images.forEach(({ img, x, y, width, height }) => ctx.drawImage(img, x, y, width, height));
+        ctx.restore();
+      });
+  }
+
+  /**
+   * @summary Loads a SVG document as an image
+   * @param {string} svg
+   * @param {number} x
+   * @param {number} y
+   * @param {number} width
+   * @param {number} height
+   * @returns {Promise<{img: HTMLImageElement, x: number, y: number, width: number, height: number}>}
+   * @private
+   */
+  __loadSnapshotLayer(svg, x, y, width, height) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve({ img, x, y, width, height });
+      img.onerror = reject;
+      img.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg);
+    });
   }
 
   /**
@@ -807,6 +1411,17 @@ export class MarkersPlugin extends AbstractPlugin {
     return H.applyAxisAngle(a, 0.01).multiplyScalar(CONSTANTS.SPHERE_RADIUS);
   }
 
+  /**
+   * @summary Returns the marker under a point of the viewer, rendered in the DOM or with WebGL
+   * @param {EventTarget} target - target of the event
+   * @param {PSV.Point} viewerPoint - position of the event in the viewer
+   * @returns {PSV.plugins.MarkersPlugin.Marker}
+   * @package
+   */
+  getMarkerAt(target, viewerPoint) {
+    return this.__getTargetMarker(target, true) || this.sprites?.getMarkerAt(viewerPoint);
+  }
+
   /**
    * @summary Returns the marker associated to an event target
    * @param {EventTarget} target
@@ -819,6 +1434,17 @@ export class MarkersPlugin extends AbstractPlugin {
     return target2 ? target2[MARKER_DATA] : undefined;
   }
 
+  /**
+   * @summary Returns the marker associated to an object of the scene
+   * @description The markers rendered with WebGL are instances of a mesh, its user data is the list of markers.
+   * @param {{data: *, instanceId: number}} detail - detail of an object event
+   * @returns {PSV.plugins.MarkersPlugin.Marker}
+   * @private
+   */
+  __getObjectMarker({ data, instanceId }) {
+    return utils.isNil(instanceId) ? data : data[instanceId];
+  }
+
   /**
    * @summary Checks if an event target is in the tooltip
    * @param {EventTarget} target
@@ -920,12 +1546,51 @@ export class MarkersPlugin extends AbstractPlugin {
    * @private
    */
   __onClick(e, data, dblclick) {
-    let marker = data.objects.find(o => o.userData[MARKER_DATA])?.userData[MARKER_DATA];
+    // the clicks are handled by the editor
+    if (this.editor.isEditing()) {
+      return;
+    }
+
+    const cluster = data.target ? utils.getClosest(data.target, '.psv-marker-cluster') : undefined;
+    if (cluster?.[CLUSTER_DATA]) {
+      e.stopPropagation();
+      if (!dblclick) {
+        this.__gotoCluster(cluster[CLUSTER_DATA]);
+      }
+      return;
+    }
+
+    let marker = data.objects.find(o => o.userData[MARKER_DATA] && !o.isInstancedMesh)?.userData[MARKER_DATA];
 
     if (!marker) {
-      marker = this.__getTargetMarker(data.target, true);
+      marker = this.getMarkerAt(data.target, { x: data.viewerX, y: data.viewerY });
+    }
+
+    if (marker) {
+      if (this.config.clickEventOnMarker) {
+        // add the marker to event data
+        data.marker = marker;
+      }
+      else {
+        e.stopPropagation();
+      }
     }
 
+    this.__selectMarker(marker, {
+      dblclick  : dblclick,
+      rightclick: data.rightclick,
+    });
+  }
+
+  /**
+   * @summary Changes the selected marker and opens its tooltip or panel
+   * @param {PSV.plugins.MarkersPlugin.Marker} [marker] - unselects the current marker if empty
+   * @param {PSV.plugins.MarkersPlugin.SelectMarkerData} data
+   * @fires PSV.plugins.MarkersPlugin.select-marker
+   * @fires PSV.plugins.MarkersPlugin.unselect-marker
+   * @private
+   */
+  __selectMarker(marker, data) {
     if (this.prop.currentMarker && this.prop.currentMarker !== marker) {
       this.trigger(EVENTS.UNSELECT_MARKER, this.prop.currentMarker);
 
@@ -941,18 +1606,7 @@ export class MarkersPlugin extends AbstractPlugin {
     if (marker) {
       this.prop.currentMarker = marker;
 
-      this.trigger(EVENTS.SELECT_MARKER, marker, {
-        dblclick  : dblclick,
-        rightclick: data.rightclick,
-      });
-
-      if (this.config.clickEventOnMarker) {
-        // add the marker to event data
-        data.marker = marker;
-      }
-      else {
-        e.stopPropagation();
-      }
+      this.trigger(EVENTS.SELECT_MARKER, marker, data);
 
       // the marker could have been deleted in an event handler
       if (this.markers[marker.id]) {
@@ -1005,11 +1659,11 @@ export class MarkersPlugin extends AbstractPlugin {
   }
 
   /**
-   * @summary Adds or remove the objects observer if there are 3D markers
+   * @summary Adds or remove the objects observer if there are 3D markers or markers rendered with WebGL
    * @private
    */
   __checkObjectsObserver() {
-    const has3d = Object.values(this.markers).some(marker => marker.is3d());
+    const has3d = Object.values(this.markers).some(marker => marker.is3d() || this.sprites?.handles(marker));
 
     if (!has3d && this.prop.stopObserver) {
       this.prop.stopObserver();
@@ -0,0 +1,36 @@
+/**
+ * @summary Lowercases a text and removes its diacritics
+ * @param {string} text
+ * @returns {string}
+ * @private
+ */
+export function normalizeText(text) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * @summary Checks if a text contains all the words of a search query, ignoring case and diacritics
+ * @param {string} text
+ * @param {string} query
+ * @returns {boolean}
+ * @private
+ */
+export function matchSearch(text, query) {
+  const normalizedText = normalizeText(text);
+
+  return normalizeText(query)
+    .split(/\s+/)
+    .filter(word => !!word)
+    .every(word => normalizedText.includes(word));
+}
+
+/**
+ * @summary Compares two names for sorting, ignoring case and with numbers in natural order
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ * @private
+ */
+export function compareNames(a, b) {
+  return a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+}
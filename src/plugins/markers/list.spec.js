@@ -0,0 +1,26 @@
+import assert from 'assert';
+
+import { compareNames, matchSearch } from './list';
+
+describe('plugins:markers:matchSearch', () => {
+  it('should match everything with an empty query', () => {
+    assert.strictEqual(matchSearch('Fuse box', ''), true);
+    assert.strictEqual(matchSearch('Fuse box', '   '), true);
+  });
+
+  it('should ignore case and diacritics', () => {
+    assert.strictEqual(matchSearch('Électricité', 'electric'), true);
+    assert.strictEqual(matchSearch('Fuse box', 'FUSE'), true);
+  });
+
+  it('should match all the words in any order', () => {
+    assert.strictEqual(matchSearch('Fuse box - kitchen', 'kitchen fuse'), true);
+    assert.strictEqual(matchSearch('Fuse box - kitchen', 'kitchen valve'), false);
+  });
+});
+
+describe('plugins:markers:compareNames', () => {
+  it('should sort the numbers in natural order', () => {
+    assert.deepStrictEqual(['Marker 10', 'marker 2', 'Marker 1'].sort(compareNames), ['Marker 1', 'marker 2', 'Marker 10']);
+  });
+});
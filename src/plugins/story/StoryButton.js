@@ -0,0 +1,79 @@
+import { AbstractButton } from '../..';
+import { EVENTS } from './constants';
+import story from './story.svg';
+
+/**
+ * @summary Navigation bar story button class
+ * @extends PSV.buttons.AbstractButton
+ * @memberof PSV.buttons
+ */
+export class StoryButton extends AbstractButton {
+
+  static id = 'story';
+  static icon = story;
+
+  /**
+   * @param {PSV.components.Navbar} navbar
+   */
+  constructor(navbar) {
+    super(navbar, 'psv-button--hover-scale psv-story-button', true);
+
+    /**
+     * @type {PSV.plugins.StoryPlugin}
+     * @private
+     * @readonly
+     */
+    this.plugin = this.psv.getPlugin('story');
+
+    if (this.plugin) {
+      this.plugin.on(EVENTS.STEP_CHANGED, this);
+      this.plugin.on(EVENTS.STORY_STOPPED, this);
+    }
+  }
+
+  /**
+   * @override
+   */
+  destroy() {
+    if (this.plugin) {
+      this.plugin.off(EVENTS.STEP_CHANGED, this);
+      this.plugin.off(EVENTS.STORY_STOPPED, this);
+    }
+
+    delete this.plugin;
+
+    super.destroy();
+  }
+
+  /**
+   * @override
+   */
+  isSupported() {
+    return !!this.plugin && this.plugin.getSteps().length > 0;
+  }
+
+  /**
+   * @summary Handles events
+   * @param {Event} e
+   * @private
+   */
+  handleEvent(e) {
+    /* eslint-disable */
+    switch (e.type) {
+      // @formatter:off
+      case EVENTS.STEP_CHANGED:  this.toggleActive(true); break;
+      case EVENTS.STORY_STOPPED: this.toggleActive(false); break;
+      // @formatter:on
+    }
+    /* eslint-enable */
+  }
+
+  /**
+   * @override
+   * @description Starts or stops the story
+   */
+  onClick() {
+    this.plugin.toggle();
+  }
+
+}
@@ -0,0 +1,76 @@
+import { utils } from '../..';
+
+/**
+ * @summary Available events
+ * @enum {string}
+ * @memberof PSV.plugins.StoryPlugin
+ * @constant
+ */
+export const EVENTS = {
+  /**
+   * @event step-changed
+   * @memberof PSV.plugins.StoryPlugin
+   * @summary Triggered when a step is displayed
+   * @param {int} index
+   * @param {PSV.plugins.StoryPlugin.Step} step
+   */
+  STEP_CHANGED : 'step-changed',
+  /**
+   * @event story-stopped
+   * @memberof PSV.plugins.StoryPlugin
+   * @summary Triggered when the story is stopped
+   */
+  STORY_STOPPED: 'story-stopped',
+};
+
+/**
+ * @summary Panel and notification identifier of the steps
+ * @type {string}
+ * @constant
+ * @private
+ */
+export const ID_STORY = 'story';
+
+/**
+ * @summary Property name added to the controls of the steps
+ * @type {string}
+ * @constant
+ * @private
+ */
+export const ACTION_DATA = 'psvStoryAction';
+
+const ACTION_DATA_KEY = utils.dasherize(ACTION_DATA);
+
+/**
+ * @summary Step card template
+ * @param {PSV.plugins.StoryPlugin.Step} step
+ * @param {int} index
+ * @param {int} count
+ * @param {boolean} loop
+ * @param {Object} lang
+ * @param {boolean} controls
+ * @returns {string}
+ * @constant
+ * @private
+ */
+export const STEP_TEMPLATE = (step, index, count, loop, lang, controls) => `
+<div class="psv-story-step">
+  <div class="psv-story-step-counter">${index + 1} / ${count}</div>
+  ${step.title ? `<h2 class="psv-story-step-title">${step.title}</h2>` : ''}
+  ${step.content ? `<div class="psv-story-step-content">${step.content}</div>` : ''}
+  ${controls ? `
+  <div class="psv-story-step-controls">
+    ${loop || index > 0 ? `
+    <span class="psv-story-step-button" data-${ACTION_DATA_KEY}="previous" tabindex="0">${lang.storyPrevious}</span>
+    ` : `
+    <span class="psv-story-step-button psv-story-step-button--disabled">${lang.storyPrevious}</span>
+    `}
+    ${loop || index < count - 1 ? `
+    <span class="psv-story-step-button" data-${ACTION_DATA_KEY}="next" tabindex="0">${lang.storyNext}</span>
+    ` : `
+    <span class="psv-story-step-button" data-${ACTION_DATA_KEY}="stop" tabindex="0">${lang.storyEnd}</span>
+    `}
+  </div>
+  ` : ''}
+</div>
+`;
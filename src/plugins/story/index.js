@@ -0,0 +1,504 @@
+import { AbstractPlugin, CONSTANTS, DEFAULTS, PSVError, registerButton, utils } from '../..';
+import { ACTION_DATA, EVENTS, ID_STORY, STEP_TEMPLATE } from './constants';
+import { StoryButton } from './StoryButton';
+import './style.scss';
+
+
+/**
+ * @typedef {Object} PSV.plugins.StoryPlugin.Step
+ * @summary Step of the story
+ * @property {string} [title] - title of the card
+ * @property {string} [content] - HTML content of the card
+ * @property {*} [panorama] - panorama to load, the current panorama is kept if not defined
+ * @property {PSV.PanoramaOptions} [panoramaOptions] - options of {@link PSV.Viewer#setPanorama}
+ * @property {PSV.ExtendedPosition} [position] - position to move to
+ * @property {number} [zoom] - zoom level to go to
+ * @property {string} [marker] - marker of the MarkersPlugin to highlight, the view is moved to the marker if there is no position
+ * @property {string|number} [speed] - speed of the animation, overrides the global option
+ * @property {int} [duration] - time before going to the next step when the autoplay is enabled, overrides the global option
+ */
+
+/**
+ * @typedef {Object} PSV.plugins.StoryPlugin.Options
+ * @property {PSV.plugins.StoryPlugin.Step[]} [steps] - initial steps
+ * @property {'panel'|'notification'} [display='panel'] - how the cards are displayed, only the panel has previous/next controls
+ * @property {boolean} [autostart=false] - starts the story when the viewer is ready
+ * @property {boolean} [autoplay=false] - goes automatically to the next step
+ * @property {int} [delay=5000] - time before going to the next step when the autoplay is enabled, after the end of the animation
+ * @property {boolean} [loop=false] - goes back to the first step after the last one
+ * @property {string|number} [speed='2rpm'] - speed of the animations, see {@link PSV.Viewer#animate}
+ */
+
+
+// add story button
+DEFAULTS.lang[StoryButton.id] = 'Story';
+DEFAULTS.lang.storyPrevious = 'Previous';
+DEFAULTS.lang.storyNext = 'Next';
+DEFAULTS.lang.storyEnd = 'End';
+registerButton(StoryButton, 'caption:left');
+
+
+export { EVENTS } from './constants';
+
+
+/**
+ * @summary Guided tour made of steps moving the view and displaying a text card
+ * @extends PSV.plugins.AbstractPlugin
+ * @memberof PSV.plugins
+ */
+export class StoryPlugin extends AbstractPlugin {
+
+  static id = 'story';
+
+  static EVENTS = EVENTS;
+
+  /**
+   * @param {PSV.Viewer} psv
+   * @param {PSV.plugins.StoryPlugin.Options} options
+   */
+  constructor(psv, options) {
+    super(psv);
+
+    /**
+     * @member {PSV.plugins.StoryPlugin.Options}
+     * @private
+     */
+    this.config = {
+      display  : 'panel',
+      autostart: false,
+      autoplay : false,
+      delay    : 5000,
+      loop     : false,
+      speed    : '2rpm',
+      ...options,
+      steps    : [],
+    };
+
+    /**
+     * @member {Object}
+     * @property {int} index - index of the current step
+     * @property {int} stepId - incremented each time a step is displayed, to ignore the end of previous animations
+     * @property {boolean} running - the story is displayed
+     * @property {boolean} autoplay - the autoplay is enabled
+     * @property {number} timeout - timeout of the next step
+     * @property {string} marker - highlighted marker
+     * @private
+     */
+    this.prop = {
+      index   : -1,
+      stepId  : 0,
+      running : false,
+      autoplay: this.config.autoplay,
+      timeout : null,
+      marker  : null,
+    };
+
+    /**
+     * @type {PSV.plugins.MarkersPlugin}
+     * @readonly
+     * @private
+     */
+    this.markers = null;
+
+    if (options?.steps) {
+      this.setSteps(options.steps);
+    }
+  }
+
+  /**
+   * @package
+   */
+  init() {
+    super.init();
+
+    this.markers = this.psv.getPlugin('markers');
+
+    this.psv.on(CONSTANTS.EVENTS.CLOSE_PANEL, this);
+    this.psv.on(CONSTANTS.EVENTS.HIDE_NOTIFICATION, this);
+
+    if (this.config.autostart) {
+      this.psv.once(CONSTANTS.EVENTS.READY, () => {
+        if (this.config.steps.length) {
+          this.start()
+            .catch(err => this.__onStepError(err));
+        }
+      });
+    }
+  }
+
+  /**
+   * @package
+   */
+  destroy() {
+    this.psv.off(CONSTANTS.EVENTS.CLOSE_PANEL, this);
+    this.psv.off(CONSTANTS.EVENTS.HIDE_NOTIFICATION, this);
+
+    clearTimeout(this.prop.timeout);
+
+    delete this.markers;
+
+    super.destroy();
+  }
+
+  /**
+   * @private
+   */
+  handleEvent(e) {
+    /* eslint-disable */
+    switch (e.type) {
+      case CONSTANTS.EVENTS.CLOSE_PANEL:
+      case CONSTANTS.EVENTS.HIDE_NOTIFICATION:
+        // the card was closed by the user
+        if (this.prop.running && e.args[0] === ID_STORY) {
+          this.stop();
+        }
+        break;
+    }
+    /* eslint-enable */
+  }
+
+  /**
+   * @summary Returns the steps of the story
+   * @returns {PSV.plugins.StoryPlugin.Step[]}
+   */
+  getSteps() {
+    return this.config.steps.slice();
+  }
+
+  /**
+   * @summary Changes the steps of the story, the current story is stopped
+   * @param {PSV.plugins.StoryPlugin.Step[]} steps
+   * @throws {PSV.PSVError} when the configuration is incorrect
+   */
+  setSteps(steps) {
+    if (!Array.isArray(steps)) {
+      throw new PSVError('Story steps must be an array');
+    }
+
+    if (this.prop.running) {
+      this.stop();
+    }
+
+    this.config.steps = steps.slice();
+
+    const button = this.psv.navbar?.getButton(StoryButton.id, false);
+    if (this.config.steps.length > 0) {
+      button?.show();
+    }
+    else {
+      button?.hide();
+    }
+  }
+
+  /**
+   * @summary Returns the index of the current step, -1 if the story is stopped
+   * @returns {int}
+   */
+  getCurrentStep() {
+    return this.prop.index;
+  }
+
+  /**
+   * @summary Checks if the story is displayed
+   * @returns {boolean}
+   */
+  isRunning() {
+    return this.prop.running;
+  }
+
+  /**
+   * @summary Starts the story
+   * @param {int} [index=0] - first step
+   * @returns {Promise} resolved when the view reached the step
+   */
+  start(index = 0) {
+    return this.goToStep(index);
+  }
+
+  /**
+   * @summary Stops the story and hides the card
+   * @fires PSV.plugins.StoryPlugin.story-stopped
+   */
+  stop() {
+    if (!this.prop.running) {
+      return;
+    }
+
+    clearTimeout(this.prop.timeout);
+    this.__unhighlightMarker();
+
+    this.prop.running = false;
+    this.prop.index = -1;
+    this.prop.stepId++;
+
+    if (this.config.display === 'notification') {
+      this.psv.notification.hide(ID_STORY);
+    }
+    else {
+      this.psv.panel.hide(ID_STORY);
+    }
+
+    this.trigger(EVENTS.STORY_STOPPED);
+  }
+
+  /**
+   * @summary Starts or stops the story, nothing happens without steps
+   */
+  toggle() {
+    if (this.prop.running) {
+      this.stop();
+    }
+    else if (this.config.steps.length > 0) {
+      this.start()
+        .catch(err => this.__onStepError(err));
+    }
+  }
+
+  /**
+   * @summary Goes to the next step, or to the first one if looping
+   * @returns {Promise} resolved when the view reached the step
+   */
+  next() {
+    if (!this.prop.running) {
+      return this.start();
+    }
+    if (this.prop.index < this.config.steps.length - 1) {
+      return this.goToStep(this.prop.index + 1);
+    }
+    if (this.config.loop) {
+      return this.goToStep(0);
+    }
+    return Promise.resolve();
+  }
+
+  /**
+   * @summary Goes to the previous step, or to the last one if looping
+   * @returns {Promise} resolved when the view reached the step
+   */
+  previous() {
+    if (!this.prop.running) {
+      return this.start();
+    }
+    if (this.prop.index > 0) {
+      return this.goToStep(this.prop.index - 1);
+    }
+    if (this.config.loop) {
+      return this.goToStep(this.config.steps.length - 1);
+    }
+    return Promise.resolve();
+  }
+
+  /**
+   * @summary Displays a step, the story is started if needed
+   * @param {int} index
+   * @returns {Promise} resolved when the view reached the step, rejected with a {@link PSV.PSVError} when the step does not exist
+   * @fires PSV.plugins.StoryPlugin.step-changed
+   */
+  goToStep(index) {
+    const step = this.config.steps[index];
+
+    if (!step) {
+      return Promise.reject(new PSVError(`Story step ${index} does not exist`));
+    }
+
+    clearTimeout(this.prop.timeout);
+    this.__unhighlightMarker();
+
+    const stepId = ++this.prop.stepId;
+    this.prop.running = true;
+    this.prop.index = index;
+
+    this.__showCard(step, index);
+
+    this.trigger(EVENTS.STEP_CHANGED, index, step);
+
+    return this.__applyStep(step)
+      .then(() => {
+        if (this.prop.stepId === stepId) {
+          this.__highlightMarker(step);
+          this.__scheduleNext();
+        }
+      }, (err) => {
+        if (!utils.isAbortError(err)) {
+          throw err;
+        }
+      });
+  }
+
+  /**
+   * @summary Enables or disables the automatic change of step
+   * @param {boolean} [enabled]
+   */
+  toggleAutoplay(enabled = !this.prop.autoplay) {
+    this.prop.autoplay = enabled;
+
+    clearTimeout(this.prop.timeout);
+    if (this.prop.running) {
+      this.__scheduleNext();
+    }
+  }
+
+  /**
+   * @summary Checks if the automatic change of step is enabled
+   * @returns {boolean}
+   */
+  isAutoplayEnabled() {
+    return this.prop.autoplay;
+  }
+
+  /**
+   * @summary Displays the card of a step
+   * @param {PSV.plugins.StoryPlugin.Step} step
+   * @param {int} index
+   * @private
+   */
+  __showCard(step, index) {
+    const count = this.config.steps.length;
+
+    if (this.config.display === 'notification') {
+      this.psv.notification.show({
+        id     : ID_STORY,
+        content: STEP_TEMPLATE(step, index, count, this.config.loop, this.psv.config.lang, false),
+      });
+    }
+    else {
+      this.psv.panel.show({
+        id          : ID_STORY,
+        content     : STEP_TEMPLATE(step, index, count, this.config.loop, this.psv.config.lang, true),
+        clickHandler: (e) => {
+          const button = e.target ? utils.getClosest(e.target, '.psv-story-step-button') : undefined;
+          const action = button ? button.dataset[ACTION_DATA] : undefined;
+
+          /* eslint-disable */
+          switch (action) {
+            // @formatter:off
+            case 'previous': this.previous().catch(err => this.__onStepError(err)); break;
+            case 'next':     this.next().catch(err => this.__onStepError(err)); break;
+            case 'stop':     this.stop(); break;
+            // @formatter:on
+          }
+          /* eslint-enable */
+        },
+      });
+    }
+  }
+
+  /**
+   * @summary Moves the view and loads the panorama of a step
+   * @param {PSV.plugins.StoryPlugin.Step} step
+   * @returns {Promise}
+   * @private
+   */
+  __applyStep(step) {
+    const speed = utils.firstNonNull(step.speed, this.config.speed);
+    const positionProvided = utils.isExtendedPosition(step.position);
+
+    const options = positionProvided ? { ...step.position } : {};
+    if (!utils.isNil(step.zoom)) {
+      options.zoom = step.zoom;
+    }
+
+    // the position and the zoom are applied when the panorama is loaded
+    const panoramaChanged = !utils.isNil(step.panorama) && !utils.deepEqual(step.panorama, this.psv.config.panorama);
+    const loadingPromise = panoramaChanged
+      ? this.psv.setPanorama(step.panorama, { ...step.panoramaOptions, ...options })
+      : Promise.resolve(true);
+
+    return loadingPromise.then((loaded) => {
+      if (!loaded) {
+        return false;
+      }
+
+      const marker = !positionProvided && step.marker ? this.__getMarker(step.marker) : null;
+
+      if (marker) {
+        return this.markers.gotoMarker(marker.id, speed)
+          .then(() => (!panoramaChanged && 'zoom' in options ? this.psv.animate({ zoom: options.zoom, speed: speed }) : true));
+      }
+      else if (!panoramaChanged && (positionProvided || 'zoom' in options)) {
+        return this.psv.animate({ ...options, speed });
+      }
+      else {
+        return true;
+      }
+    });
+  }
+
+  /**
+   * @summary Goes to the next step after the delay if the autoplay is enabled
+   * @private
+   */
+  __scheduleNext() {
+    if (!this.prop.autoplay || (!this.config.loop && this.prop.index === this.config.steps.length - 1)) {
+      return;
+    }
+
+    const step = this.config.steps[this.prop.index];
+
+    this.prop.timeout = setTimeout(() => {
+      this.next()
+        .catch(err => this.__onStepError(err));
+    }, utils.firstNonNull(step.duration, this.config.delay));
+  }
+
+  /**
+   * @summary Logs the error of a step started by the plugin itself
+   * @param {Error} err
+   * @private
+   */
+  __onStepError(err) {
+    utils.logWarn(`StoryPlugin: ${err.message}`);
+  }
+
+  /**
+   * @summary Shows the tooltip of the marker of a step
+   * @param {PSV.plugins.StoryPlugin.Step} step
+   * @private
+   */
+  __highlightMarker(step) {
+    const marker = step.marker ? this.__getMarker(step.marker) : null;
+
+    if (marker) {
+      this.markers.showMarkerTooltip(marker.id);
+      this.prop.marker = marker.id;
+    }
+  }
+
+  /**
+   * @summary Hides the tooltip of the highlighted marker
+   * @private
+   */
+  __unhighlightMarker() {
+    if (this.prop.marker) {
+      try {
+        this.markers.hideMarkerTooltip(this.prop.marker);
+      }
+      catch (e) {
+        // the marker was removed with the previous panorama
+      }
+      this.prop.marker = null;
+    }
+  }
+
+  /**
+   * @summary Returns a marker of the MarkersPlugin
+   * @param {string} markerId
+   * @returns {PSV.plugins.MarkersPlugin.Marker}
+   * @private
+   */
+  __getMarker(markerId) {
+    if (!this.markers) {
+      utils.logWarn('StoryPlugin: the MarkersPlugin is required to highlight markers');
+      return null;
+    }
+
+    try {
+      return this.markers.getMarker(markerId);
+    }
+    catch (e) {
+      utils.logWarn(`StoryPlugin: marker "${markerId}" not found`);
+      return null;
+    }
+  }
+
+}
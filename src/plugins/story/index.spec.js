@@ -0,0 +1,15 @@
+import assert from 'assert';
+
+import { StoryPlugin } from './index';
+
+describe('plugins:story', () => {
+  it('should reject the steps which do not exist', () => {
+    const plugin = new StoryPlugin({}, { steps: [] });
+
+    return plugin.next()
+      .then(() => assert.fail('the promise must be rejected'), (err) => {
+        assert.match(err.message, /step 0 does not exist/);
+        assert.strictEqual(plugin.isRunning(), false);
+      });
+  });
+});
@@ -0,0 +1,15 @@
+/**
+ * @summary Available events
+ * @enum {string}
+ * @memberof PSV.plugins.UrlStatePlugin
+ * @constant
+ */
+export const EVENTS = {
+  /**
+   * @event state-updated
+   * @memberof PSV.plugins.UrlStatePlugin
+   * @summary Triggered when the view state changes, after the URL is updated
+   * @param {PSV.plugins.UrlStatePlugin.State} state
+   */
+  STATE_UPDATED: 'state-updated',
+};
@@ -0,0 +1,325 @@
+import { AbstractPlugin, CONSTANTS, utils } from '../..';
+import { EVENTS } from './constants';
+import { DEFAULT_PARAMS, parseState, serializeState } from './params';
+
+
+/**
+ * @typedef {Object} PSV.plugins.UrlStatePlugin.State
+ * @summary Serializable state of the view
+ * @property {number} [longitude]
+ * @property {number} [latitude]
+ * @property {number} [zoom]
+ * @property {string} [node] - current node of the VirtualTourPlugin
+ * @property {string} [marker] - selected marker of the MarkersPlugin
+ */
+
+/**
+ * @typedef {Object} PSV.plugins.UrlStatePlugin.Params
+ * @summary Names of the URL parameters, `null` to not save a value
+ * @property {string} [longitude='lon'] - in degrees
+ * @property {string} [latitude='lat'] - in degrees
+ * @property {string} [zoom='zoom']
+ * @property {string} [node='node']
+ * @property {string} [marker='marker']
+ */
+
+/**
+ * @typedef {Object} PSV.plugins.UrlStatePlugin.Options
+ * @property {'hash'|'query'} [mode='hash'] - part of the URL storing the state
+ * @property {PSV.plugins.UrlStatePlugin.Params} [params]
+ * @property {int} [precision=2] - number of decimals of the angles and the zoom level
+ * @property {int} [delay=500] - minimum delay between two updates of the URL, in milliseconds
+ * @property {boolean} [restore=true] - applies the state of the URL when the viewer is ready
+ */
+
+
+export { EVENTS } from './constants';
+
+
+/**
+ * @summary Synchronizes the position, zoom, virtual tour node and selected marker with the URL
+ * @extends PSV.plugins.AbstractPlugin
+ * @memberof PSV.plugins
+ */
+export class UrlStatePlugin extends AbstractPlugin {
+
+  static id = 'url-state';
+
+  static EVENTS = EVENTS;
+
+  /**
+   * @param {PSV.Viewer} psv
+   * @param {PSV.plugins.UrlStatePlugin.Options} options
+   */
+  constructor(psv, options) {
+    super(psv);
+
+    /**
+     * @member {PSV.plugins.UrlStatePlugin.Options}
+     * @private
+     */
+    this.config = {
+      mode     : 'hash',
+      precision: 2,
+      delay    : 500,
+      restore  : true,
+      ...options,
+      params   : {
+        ...DEFAULT_PARAMS,
+        ...options?.params,
+      },
+    };
+
+    /**
+     * @member {Object}
+     * @property {string} node - current node of the virtual tour
+     * @property {string} marker - selected marker
+     * @property {number} timeout - timeout of the next URL update
+     * @property {boolean} restoring - the state of the URL is being applied
+     * @private
+     */
+    this.prop = {
+      node     : null,
+      marker   : null,
+      timeout  : null,
+      restoring: false,
+    };
+
+    /**
+     * @type {PSV.plugins.VirtualTourPlugin}
+     * @readonly
+     * @private
+     */
+    this.tour = null;
+
+    /**
+     * @type {PSV.plugins.MarkersPlugin}
+     * @readonly
+     * @private
+     */
+    this.markers = null;
+  }
+
+  /**
+   * @package
+   */
+  init() {
+    super.init();
+
+    this.tour = this.psv.getPlugin('virtual-tour');
+    this.markers = this.psv.getPlugin('markers');
+
+    this.psv.on(CONSTANTS.EVENTS.POSITION_UPDATED, this);
+    this.psv.on(CONSTANTS.EVENTS.ZOOM_UPDATED, this);
+    this.tour?.on('node-changed', this);
+    this.markers?.on('select-marker', this);
+    this.markers?.on('unselect-marker', this);
+    window.addEventListener(this.config.mode === 'query' ? 'popstate' : 'hashchange', this);
+
+    if (this.config.restore) {
+      const state = this.getUrlState();
+      this.psv.once(CONSTANTS.EVENTS.READY, () => this.__restoreState(state));
+    }
+  }
+
+  /**
+   * @package
+   */
+  destroy() {
+    this.psv.off(CONSTANTS.EVENTS.POSITION_UPDATED, this);
+    this.psv.off(CONSTANTS.EVENTS.ZOOM_UPDATED, this);
+    this.tour?.off('node-changed', this);
+    this.markers?.off('select-marker', this);
+    this.markers?.off('unselect-marker', this);
+    window.removeEventListener(this.config.mode === 'query' ? 'popstate' : 'hashchange', this);
+
+    clearTimeout(this.prop.timeout);
+
+    delete this.tour;
+    delete this.markers;
+
+    super.destroy();
+  }
+
+  /**
+   * @private
+   */
+  handleEvent(e) {
+    /* eslint-disable */
+    switch (e.type) {
+      case CONSTANTS.EVENTS.POSITION_UPDATED:
+      case CONSTANTS.EVENTS.ZOOM_UPDATED:
+        this.__scheduleUpdate();
+        break;
+      case 'node-changed':
+        this.prop.node = e.args[0];
+        this.__scheduleUpdate();
+        break;
+      case 'select-marker':
+        this.prop.marker = e.args[0].id;
+        this.__scheduleUpdate();
+        break;
+      case 'unselect-marker':
+        if (this.prop.marker === e.args[0].id) {
+          this.prop.marker = null;
+          this.__scheduleUpdate();
+        }
+        break;
+      case 'hashchange':
+      case 'popstate':
+        this.__restoreState(this.getUrlState());
+        break;
+    }
+    /* eslint-enable */
+  }
+
+  /**
+   * @summary Returns the current state of the view
+   * @returns {PSV.plugins.UrlStatePlugin.State}
+   */
+  getState() {
+    return {
+      ...this.psv.getPosition(),
+      zoom  : this.psv.getZoomLevel(),
+      node  : this.prop.node,
+      marker: this.prop.marker,
+    };
+  }
+
+  /**
+   * @summary Returns the state stored in the current URL
+   * @returns {PSV.plugins.UrlStatePlugin.State} only the values present in the URL
+   */
+  getUrlState() {
+    return parseState(this.__getSearch(window.location), this.config.params);
+  }
+
+  /**
+   * @summary Returns the current URL updated with the current state, for sharing
+   * @returns {string}
+   */
+  getUrl() {
+    const url = new URL(window.location.href);
+    const search = serializeState(this.__getSearch(url), this.getState(), this.config.params, this.config.precision);
+
+    if (this.config.mode === 'query') {
+      url.search = search;
+    }
+    else {
+      url.hash = search;
+    }
+
+    return url.toString();
+  }
+
+  /**
+   * @summary Applies a state, the virtual tour node is loaded first
+   * @param {PSV.plugins.UrlStatePlugin.State} state - missing values are not changed
+   * @returns {Promise}
+   */
+  setState(state) {
+    this.prop.restoring = true;
+
+    const nodePromise = state.node && this.tour ? this.tour.setCurrentNode(state.node) : Promise.resolve(true);
+
+    return nodePromise
+      .then((loaded) => {
+        if (loaded === false) {
+          return;
+        }
+
+        let marker = null;
+        if (state.marker && this.markers) {
+          try {
+            marker = this.markers.getMarker(state.marker);
+          }
+          catch (e) {
+            utils.logWarn(`UrlStatePlugin: marker "${state.marker}" not found`);
+          }
+        }
+
+        if (!utils.isNil(state.longitude) || !utils.isNil(state.latitude)) {
+          const position = this.psv.getPosition();
+          this.psv.rotate({
+            longitude: utils.firstNonNull(state.longitude, position.longitude),
+            latitude : utils.firstNonNull(state.latitude, position.latitude),
+          });
+        }
+        else if (marker) {
+          this.psv.rotate(marker.props.position);
+        }
+
+        if (!utils.isNil(state.zoom)) {
+          this.psv.zoom(state.zoom);
+        }
+
+        if (marker) {
+          this.markers.selectMarker(marker.id);
+        }
+      })
+      .then(() => {
+        this.prop.restoring = false;
+      }, (err) => {
+        this.prop.restoring = false;
+        if (!utils.isAbortError(err)) {
+          throw err;
+        }
+      });
+  }
+
+  /**
+   * @summary Applies a state read from the URL, the loading errors are only logged
+   * @param {PSV.plugins.UrlStatePlugin.State} state
+   * @private
+   */
+  __restoreState(state) {
+    this.setState(state)
+      .catch(err => utils.logWarn(`UrlStatePlugin: cannot restore the state, ${err.message}`));
+  }
+
+  /**
+   * @summary Returns the part of the URL storing the state
+   * @param {Location|URL} location
+   * @returns {string}
+   * @private
+   */
+  __getSearch(location) {
+    return (this.config.mode === 'query' ? location.search : location.hash).slice(1);
+  }
+
+  /**
+   * @summary Updates the URL after a delay
+   * @private
+   */
+  __scheduleUpdate() {
+    if (!this.prop.timeout) {
+      this.prop.timeout = setTimeout(() => {
+        this.prop.timeout = null;
+
+        // wait the end of the restoration to not lose the values not applied yet
+        if (this.prop.restoring) {
+          this.__scheduleUpdate();
+          return;
+        }
+
+        this.__update();
+      }, this.config.delay);
+    }
+  }
+
+  /**
+   * @summary Writes the current state in the URL, without adding an history entry
+   * @fires PSV.plugins.UrlStatePlugin.state-updated
+   * @private
+   */
+  __update() {
+    const url = this.getUrl();
+
+    if (url !== window.location.href) {
+      window.history.replaceState(window.history.state, '', url);
+    }
+
+    this.trigger(EVENTS.STATE_UPDATED, this.getState());
+  }
+
+}
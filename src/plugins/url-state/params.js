@@ -0,0 +1,77 @@
+import { MathUtils } from 'three';
+
+/**
+ * @summary Default names of the URL parameters
+ * @type {PSV.plugins.UrlStatePlugin.Params}
+ * @constant
+ * @private
+ */
+export const DEFAULT_PARAMS = {
+  longitude: 'lon',
+  latitude : 'lat',
+  zoom     : 'zoom',
+  node     : 'node',
+  marker   : 'marker',
+};
+
+/**
+ * @summary Reads the view state from an URL query string or hash
+ * @param {string} search - without the leading "?" or "#"
+ * @param {PSV.plugins.UrlStatePlugin.Params} params
+ * @returns {PSV.plugins.UrlStatePlugin.State} only the values present in the URL
+ * @private
+ */
+export function parseState(search, params) {
+  const values = new URLSearchParams(search);
+  const state = {};
+
+  ['longitude', 'latitude', 'zoom'].forEach((key) => {
+    const value = params[key] ? parseFloat(values.get(params[key])) : NaN;
+    if (!isNaN(value)) {
+      state[key] = key === 'zoom' ? MathUtils.clamp(value, 0, 100) : MathUtils.degToRad(value);
+    }
+  });
+
+  ['node', 'marker'].forEach((key) => {
+    const value = params[key] ? values.get(params[key]) : null;
+    if (value) {
+      state[key] = value;
+    }
+  });
+
+  return state;
+}
+
+/**
+ * @summary Writes the view state in an URL query string or hash, other parameters are kept
+ * @param {string} search - without the leading "?" or "#"
+ * @param {PSV.plugins.UrlStatePlugin.State} state
+ * @param {PSV.plugins.UrlStatePlugin.Params} params
+ * @param {int} precision - number of decimals of the angles (in degrees) and the zoom level
+ * @returns {string}
+ * @private
+ */
+export function serializeState(search, state, params, precision) {
+  const values = new URLSearchParams(search);
+
+  Object.keys(DEFAULT_PARAMS).forEach((key) => {
+    if (!params[key]) {
+      return;
+    }
+
+    let value = state[key];
+    if (typeof value === 'number') {
+      value = key === 'zoom' ? value : MathUtils.radToDeg(value);
+      value = parseFloat(value.toFixed(precision));
+    }
+
+    if (value === null || value === undefined || value === '') {
+      values.delete(params[key]);
+    }
+    else {
+      values.set(params[key], value);
+    }
+  });
+
+  return values.toString();
+}
@@ -0,0 +1,62 @@
+import assert from 'assert';
+
+import { DEFAULT_PARAMS, parseState, serializeState } from './params';
+
+function round(x) {
+  return Math.round(x * 10000) / 10000;
+}
+
+describe('plugins:url-state:parseState', () => {
+  it('should read the state', () => {
+    const state = parseState('lon=90&lat=-45&zoom=30&node=node-1&marker=marker-1', DEFAULT_PARAMS);
+
+    assert.deepStrictEqual({ ...state, longitude: round(state.longitude), latitude: round(state.latitude) }, {
+      longitude: round(Math.PI / 2),
+      latitude : round(-Math.PI / 4),
+      zoom     : 30,
+      node     : 'node-1',
+      marker   : 'marker-1',
+    });
+  });
+
+  it('should ignore missing and invalid values', () => {
+    assert.deepStrictEqual(parseState('lon=abc&zoom=&other=1', DEFAULT_PARAMS), {});
+  });
+
+  it('should clamp the zoom level', () => {
+    assert.deepStrictEqual(parseState('zoom=150', DEFAULT_PARAMS), { zoom: 100 });
+  });
+
+  it('should use custom and disabled params', () => {
+    const params = { ...DEFAULT_PARAMS, zoom: 'z', node: null };
+    assert.deepStrictEqual(parseState('z=20&zoom=50&node=node-1', params), { zoom: 20 });
+  });
+});
+
+describe('plugins:url-state:serializeState', () => {
+  it('should write the state', () => {
+    const search = serializeState('', {
+      longitude: Math.PI / 3,
+      latitude : 0.1,
+      zoom     : 42.123,
+      node     : 'node 1',
+      marker   : null,
+    }, DEFAULT_PARAMS, 2);
+
+    assert.strictEqual(search, 'lon=60&lat=5.73&zoom=42.12&node=node+1');
+  });
+
+  it('should keep other params and remove empty values', () => {
+    const search = serializeState('foo=bar&marker=marker-1&lon=10', { longitude: 0, marker: null }, DEFAULT_PARAMS, 0);
+
+    assert.strictEqual(search, 'foo=bar&lon=0');
+  });
+
+  it('should be the inverse of parseState', () => {
+    const params = { ...DEFAULT_PARAMS, longitude: 'x', latitude: 'y' };
+    const state = { longitude: 1.5, latitude: -0.5, zoom: 75, node: 'a', marker: 'b' };
+    const result = parseState(serializeState('', state, params, 6), params);
+
+    assert.deepStrictEqual({ ...result, longitude: round(result.longitude), latitude: round(result.latitude) }, state);
+  });
+});
@@ -4,32 +4,48 @@ export const EVENTS = {
    * @memberof PSV.plugins.VideoPlugin
    * @summary Triggered when the video starts playing
    */
-  PLAY         : 'play',
+  PLAY          : 'play',
   /**
    * @event pause
    * @memberof PSV.plugins.VideoPlugin
    * @summary Triggered when the video is paused
    */
-  PAUSE        : 'pause',
+  PAUSE         : 'pause',
   /**
    * @event volume-change
    * @memberof PSV.plugins.VideoPlugin
    * @summary Triggered when the video volume changes
    * @param {number} volume
    */
-  VOLUME_CHANGE: 'volume-change',
+  VOLUME_CHANGE : 'volume-change',
   /**
    * @event progress
    * @memberof PSV.plugins.VideoPlugin
    * @summary Triggered when the video play progression changes
    * @param {{time: number, duration: number, progress: number}} data
    */
-  PROGRESS     : 'progress',
+  PROGRESS      : 'progress',
   /**
    * @event buffer
    * @memberof PSV.plugins.VideoPlugin
    * @summary Triggered when the video buffer changes
    * @param {number} maxBuffer
    */
-  BUFFER       : 'buffer',
+  BUFFER        : 'buffer',
+  /**
+   * @event quality-change
+   * @memberof PSV.plugins.VideoPlugin
+   * @summary Triggered when the selected or the played quality of the video changes
+   * @param {string} quality - selected quality, `'auto'` for automatic selection
+   * @param {string} currentQuality - quality currently played
+   */
+  QUALITY_CHANGE: 'quality-change',
 };
+
+/**
+ * @summary DOM event dispatched on the video element by the video adapters when the qualities change
+ * @type {string}
+ * @constant
+ * @private
+ */
+export const VIDEO_QUALITY_CHANGE_EVENT = 'qualitychange';
@@ -1,6 +1,6 @@
 import { SplineCurve, Vector2 } from 'three';
 import { AbstractPlugin, CONSTANTS, DEFAULTS, PSVError, registerButton, utils } from '../..';
-import { EVENTS } from './constants';
+import { EVENTS, VIDEO_QUALITY_CHANGE_EVENT } from './constants';
 import { PauseOverlay } from './PauseOverlay';
 import { PlayPauseButton } from './PlayPauseButton';
 import { ProgressBar } from './ProgressBar';
@@ -30,6 +30,10 @@ registerButton(PlayPauseButton);
 registerButton(VolumeButton);
 registerButton(TimeCaption);
 DEFAULTS.navbar.unshift(PlayPauseButton.groupId);
+DEFAULTS.lang.videoQuality = 'Video quality';
+DEFAULTS.lang.videoQualityAuto = 'Auto';
+
+const QUALITY_SETTING_ID = 'video-quality';
 
 
 export { EVENTS } from './constants';
@@ -95,6 +99,12 @@ export class VideoPlugin extends AbstractPlugin {
      * @private
      */
     this.markers = null;
+
+    /**
+     * @type {PSV.plugins.SettingsPlugin}
+     * @private
+     */
+    this.settings = null;
   }
 
   /**
@@ -104,6 +114,7 @@ export class VideoPlugin extends AbstractPlugin {
     super.init();
 
     this.markers = this.psv.getPlugin('markers');
+    this.settings = this.psv.getPlugin('settings');
 
     if (this.config.keypoints) {
       this.setKeypoints(this.config.keypoints);
@@ -125,6 +136,8 @@ export class VideoPlugin extends AbstractPlugin {
     this.psv.off(CONSTANTS.EVENTS.PANORAMA_LOADED, this);
     this.psv.off(CONSTANTS.EVENTS.KEY_PRESS, this);
 
+    this.settings?.removeSetting(QUALITY_SETTING_ID);
+
     delete this.autorotate;
     delete this.progressbar;
     delete this.overlay;
@@ -147,6 +160,7 @@ export class VideoPlugin extends AbstractPlugin {
         break;
       case CONSTANTS.EVENTS.PANORAMA_LOADED:
         this.__bindVideo(e.args[0]);
+        this.__updateQualitySetting();
         this.progressbar?.show();
         break;
       case CONSTANTS.EVENTS.KEY_PRESS:
@@ -156,6 +170,10 @@ export class VideoPlugin extends AbstractPlugin {
       case 'pause':        this.trigger(EVENTS.PAUSE); break;
       case 'progress':     this.trigger(EVENTS.BUFFER, this.getBufferProgress()); break;
       case 'volumechange': this.trigger(EVENTS.VOLUME_CHANGE, this.getVolume()); break;
+      case VIDEO_QUALITY_CHANGE_EVENT:
+        this.settings?.updateButton();
+        this.trigger(EVENTS.QUALITY_CHANGE, this.getQuality(), this.getCurrentQuality());
+        break;
       case 'timeupdate':
         this.trigger(EVENTS.PROGRESS, {
           time    : this.getTime(),
@@ -179,6 +197,37 @@ export class VideoPlugin extends AbstractPlugin {
     this.video.addEventListener('progress', this);
     this.video.addEventListener('volumechange', this);
     this.video.addEventListener('timeupdate', this);
+    this.video.addEventListener(VIDEO_QUALITY_CHANGE_EVENT, this);
+  }
+
+  /**
+   * @summary Adds the quality selection to the settings menu if the video has multiple qualities
+   * @private
+   */
+  __updateQualitySetting() {
+    if (!this.settings) {
+      return;
+    }
+
+    this.settings.removeSetting(QUALITY_SETTING_ID);
+
+    if (this.getQualities().length > 1) {
+      this.settings.addSetting({
+        id     : QUALITY_SETTING_ID,
+        type   : 'options',
+        label  : this.psv.config.lang.videoQuality,
+        current: () => this.getQuality(),
+        options: () => [
+          { id: 'auto', label: this.psv.config.lang.videoQualityAuto },
+          ...this.getQualities().map(quality => ({ id: quality.id, label: quality.label })),
+        ],
+        apply  : (id) => {
+          if (id === 'auto' || this.getQualities().some(quality => quality.id === id)) {
+            this.setQuality(id);
+          }
+        },
+      });
+    }
   }
 
   /**
@@ -307,6 +356,39 @@ export class VideoPlugin extends AbstractPlugin {
     }
   }
 
+  /**
+   * @summary Returns the available qualities of the video
+   * @returns {PSV.adapters.AbstractVideoAdapter.VideoQuality[]}
+   */
+  getQualities() {
+    return this.psv.adapter.getQualities();
+  }
+
+  /**
+   * @summary Returns the selected quality of the video, `'auto'` for automatic selection
+   * @returns {string|null}
+   */
+  getQuality() {
+    return this.psv.adapter.getQuality();
+  }
+
+  /**
+   * @summary Returns the quality currently played, even in automatic selection
+   * @returns {string|null}
+   */
+  getCurrentQuality() {
+    return this.psv.adapter.getCurrentQuality();
+  }
+
+  /**
+   * @summary Changes the quality of the video, the playback time is kept
+   * @param {string} id - id of a quality or `'auto'`
+   * @throws {PSV.PSVError} if the video has no qualities
+   */
+  setQuality(id) {
+    this.psv.adapter.setQuality(id);
+  }
+
   getBufferProgress() {
     if (this.video) {
       let maxBuffer = 0;
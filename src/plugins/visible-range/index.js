@@ -13,6 +13,8 @@ const EPS = 0.000001;
 
 /**
  * @summary Locks visible longitude and/or latitude
+ * @description With the cylindrical adapter the latitude range is automatically defined from the panorama,
+ * unless `latitudeRange` is configured or `setLatitudeRange` is called.
  * @extends PSV.plugins.AbstractPlugin
  * @memberof PSV.plugins
  */
@@ -37,6 +39,13 @@ export class VisibleRangePlugin extends AbstractPlugin {
       usePanoData   : false,
       ...options,
     };
+
+    /**
+     * @summary Automatically use the latitude range of cylindrical panoramas
+     * @member {boolean}
+     * @private
+     */
+    this.autoLatitudeRange = !this.config.latitudeRange;
   }
 
   /**
@@ -51,7 +60,7 @@ export class VisibleRangePlugin extends AbstractPlugin {
     this.psv.on(CONSTANTS.CHANGE_EVENTS.GET_ANIMATE_POSITION, this);
     this.psv.on(CONSTANTS.CHANGE_EVENTS.GET_ROTATE_POSITION, this);
 
-    this.setLatitudeRange(this.config.latitudeRange);
+    this.__setLatitudeRange(this.config.latitudeRange);
     this.setLongitudeRange(this.config.longitudeRange);
   }
 
@@ -102,6 +111,9 @@ export class VisibleRangePlugin extends AbstractPlugin {
         if (this.config.usePanoData) {
           this.setRangesFromPanoData();
         }
+        else if (this.autoLatitudeRange && this.psv.adapter.constructor.id === 'cylindrical') {
+          this.__setLatitudeRange(this.getPanoLatitudeRange());
+        }
         break;
 
       case CONSTANTS.EVENTS.ZOOM_UPDATED:
@@ -120,9 +132,20 @@ export class VisibleRangePlugin extends AbstractPlugin {
 
   /**
    * @summary Changes the latitude range
+   * @description The range is not automatically defined from cylindrical panoramas anymore.
    * @param {double[]|string[]} range - latitude range as two angles
    */
   setLatitudeRange(range) {
+    this.autoLatitudeRange = false;
+    this.__setLatitudeRange(range);
+  }
+
+  /**
+   * @summary Changes the latitude range without disabling the automatic range
+   * @param {double[]|string[]} range
+   * @private
+   */
+  __setLatitudeRange(range) {
     // latitude range must have two values
     if (range && range.length !== 2) {
       utils.logWarn('latitude range must have exactly two elements');
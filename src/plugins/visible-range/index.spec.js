@@ -0,0 +1,47 @@
+import assert from 'assert';
+
+import { CONSTANTS } from '../..';
+import { VisibleRangePlugin } from './index';
+
+/**
+ * Viewer displaying the half of a cylindrical panorama
+ */
+function mockViewer() {
+  return {
+    prop   : {
+      ready    : false,
+      panoData : {
+        fullWidth    : 2000,
+        fullHeight   : 1000,
+        croppedWidth : 2000,
+        croppedHeight: 500,
+        croppedX     : 0,
+        croppedY     : 250,
+      },
+    },
+    adapter: { constructor: { id: 'cylindrical' } },
+    on     : () => null,
+    off    : () => null,
+  };
+}
+
+describe('plugins:visible-range:autoLatitudeRange', () => {
+  it('should use the latitude range of cylindrical panoramas', () => {
+    const plugin = new VisibleRangePlugin(mockViewer(), {});
+    plugin.init();
+
+    plugin.handleEvent({ type: CONSTANTS.EVENTS.PANORAMA_LOADED });
+
+    assert.deepStrictEqual(plugin.config.latitudeRange, [-Math.PI / 4, Math.PI / 4]);
+  });
+
+  it('should keep the latitude range changed with the API', () => {
+    const plugin = new VisibleRangePlugin(mockViewer(), {});
+    plugin.init();
+
+    plugin.setLatitudeRange(null);
+    plugin.handleEvent({ type: CONSTANTS.EVENTS.PANORAMA_LOADED });
+
+    assert.strictEqual(plugin.config.latitudeRange, null);
+  });
+});
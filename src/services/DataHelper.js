@@ -2,10 +2,12 @@ import { Euler, MathUtils, Vector2, Vector3 } from 'three';
 import { MESH_USER_DATA, SPHERE_RADIUS } from '../data/constants';
 import { PSVError } from '../PSVError';
 import { applyEulerInverse, parseAngle, parseSpeed } from '../utils';
+import { getProjectionScale, projectDirection, unprojectPoint } from '../utils/projections';
 import { AbstractService } from './AbstractService';
 
 const vector2 = new Vector2();
 const vector3 = new Vector3();
+const direction = new Vector3();
 const eulerZero = new Euler(0, 0, 0, 'ZXY');
 
 /**
@@ -182,8 +184,19 @@ export class DataHelper extends AbstractService {
    * @returns {PSV.Point}
    */
   vector3ToViewerCoords(vector) {
+    const camera = this.psv.renderer.camera;
     const vectorClone = vector.clone();
-    vectorClone.project(this.psv.renderer.camera);
+
+    if (this.config.projection !== 'rectilinear') {
+      vectorClone.sub(camera.position).transformDirection(camera.matrixWorldInverse);
+      projectDirection(this.config.projection, vectorClone, vector2);
+
+      const scale = getProjectionScale(this.config.projection, this.prop.vFov);
+      vectorClone.set(vector2.x / scale / this.prop.aspect, vector2.y / scale, 0);
+    }
+    else {
+      vectorClone.project(camera);
+    }
 
     return {
       x: Math.round((vectorClone.x + 1) / 2 * this.prop.size.width),
@@ -191,6 +204,22 @@ export class DataHelper extends AbstractService {
     };
   }
 
+  /**
+   * @summary Checks if a THREE.Vector3 is in the field of view, taking the projection into account
+   * @description The world matrix of the camera must be up to date.
+   * @param {external:THREE.Vector3} vector
+   * @returns {boolean}
+   */
+  isPointVisible(vector) {
+    const camera = this.psv.renderer.camera;
+
+    direction.copy(vector).sub(camera.position).transformDirection(camera.matrixWorldInverse);
+    projectDirection(this.config.projection, direction, vector2);
+
+    const scale = getProjectionScale(this.config.projection, this.prop.vFov);
+    return Math.abs(vector2.x) <= scale * this.prop.aspect && Math.abs(vector2.y) <= scale;
+  }
+
   /**
    * @summary Converts spherical radians coordinates to position on the viewer
    * @param {PSV.Position} position
@@ -206,12 +235,26 @@ export class DataHelper extends AbstractService {
    * @return {external:THREE.Intersection[]}
    */
   getIntersections(viewerPoint) {
+    const { camera, raycaster } = this.psv.renderer;
+
     vector2.x = 2 * viewerPoint.x / this.prop.size.width - 1;
     vector2.y = -2 * viewerPoint.y / this.prop.size.height + 1;
 
-    this.psv.renderer.raycaster.setFromCamera(vector2, this.psv.renderer.camera);
+    if (this.config.projection !== 'rectilinear') {
+      const scale = getProjectionScale(this.config.projection, this.prop.vFov);
+      vector2.set(vector2.x * scale * this.prop.aspect, vector2.y * scale);
+
+      if (!unprojectPoint(this.config.projection, vector2, direction)) {
+        return [];
+      }
+
+      raycaster.set(camera.position, direction.transformDirection(camera.matrixWorld));
+    }
+    else {
+      raycaster.setFromCamera(vector2, camera);
+    }
 
-    return this.psv.renderer.raycaster.intersectObjects(this.psv.renderer.scene.children, true)
+    return raycaster.intersectObjects(this.psv.renderer.scene.children, true)
       .filter(i => !!i.object.userData);
   }
 
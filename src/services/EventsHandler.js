@@ -315,6 +315,7 @@ export class EventsHandler extends AbstractService {
           detail: {
             originalEvent: evt,
             object       : observer.object,
+            instanceId   : observer.instanceId,
             data         : observer.object.userData[key],
             viewerPoint  : viewerPoint,
           },
@@ -325,13 +326,16 @@ export class EventsHandler extends AbstractService {
         const intersection = intersections.find(i => i.object.userData[key]);
 
         if (intersection) {
-          if (observer.object && intersection.object !== observer.object) {
+          // each instance of an instanced mesh is considered as a different object
+          if (observer.object && (intersection.object !== observer.object || intersection.instanceId !== observer.instanceId)) {
             emit(observer, key, OBJECT_EVENTS.LEAVE_OBJECT);
             delete observer.object;
+            delete observer.instanceId;
           }
 
           if (!observer.object) {
             observer.object = intersection.object;
+            observer.instanceId = intersection.instanceId;
             emit(observer, key, OBJECT_EVENTS.ENTER_OBJECT);
           }
           else {
@@ -341,6 +345,7 @@ export class EventsHandler extends AbstractService {
         else if (observer.object) {
           emit(observer, key, OBJECT_EVENTS.LEAVE_OBJECT);
           delete observer.object;
+          delete observer.instanceId;
         }
       });
     }
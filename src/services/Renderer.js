@@ -1,10 +1,41 @@
-import { Group, PerspectiveCamera, Raycaster, Scene, Vector3, WebGLRenderer } from 'three';
+import {
+  CubeCamera,
+  Group,
+  MathUtils,
+  Matrix3,
+  Mesh,
+  OrthographicCamera,
+  PerspectiveCamera,
+  PlaneGeometry,
+  Raycaster,
+  Scene,
+  ShaderMaterial,
+  Vector2,
+  Vector3,
+  WebGLCubeRenderTarget,
+  WebGLRenderer,
+  WebGLRenderTarget
+} from 'three';
+import { AbstractAdapter } from '../adapters/AbstractAdapter';
 import { EVENTS, MESH_USER_DATA, SPHERE_RADIUS } from '../data/constants';
-import { SYSTEM } from '../data/system';
+import { PSVError } from '../PSVError';
 import { each, isExtendedPosition } from '../utils';
 import { Animation } from '../utils/Animation';
+import { getProjectionScale, PROJECTION_FRAGMENT_SHADER, PROJECTIONS, unprojectPoint } from '../utils/projections';
 import { AbstractService } from './AbstractService';
 
+/**
+ * @summary Angle between the axis and the corners of a face of a cubemap
+ * @type {number}
+ * @private
+ */
+const CUBE_FACE_ANGLE = Math.atan(Math.SQRT2);
+
+const forward = new Vector3(0, 0, -1);
+const cornerDirection = new Vector3();
+const viewDirection = new Vector3();
+const faceDirection = new Vector3();
+
 /**
  * @summary Viewer and renderer
  * @extends PSV.services.AbstractService
@@ -23,9 +54,13 @@ export class Renderer extends AbstractService {
      * @readonly
      * @protected
      */
-    this.renderer = new WebGLRenderer({ alpha: true, antialias: true });
-    this.renderer.setPixelRatio(SYSTEM.pixelRatio);
-    this.renderer.domElement.className = 'psv-canvas';
+    this.renderer = new WebGLRenderer({
+      alpha    : true,
+      antialias: true,
+      canvas   : this.psv.config.headless?.canvas || this.psv.config.headless?.context?.canvas,
+      context  : this.psv.config.headless?.context,
+    });
+    this.renderer.setPixelRatio(this.psv.system.pixelRatio);
 
     /**
      * @member {external:THREE.Scene}
@@ -58,6 +93,14 @@ export class Renderer extends AbstractService {
     this.meshContainer.add(this.mesh);
     this.scene.add(this.meshContainer);
 
+    /**
+     * @summary Overlays applied to the panorama, from bottom to top
+     * @member {PSV.OverlayLayer[]}
+     * @readonly
+     * @package
+     */
+    this.overlays = [];
+
     /**
      * @member {external:THREE.Raycaster}
      * @readonly
@@ -65,6 +108,19 @@ export class Renderer extends AbstractService {
      */
     this.raycaster = new Raycaster();
 
+    /**
+     * @summary Post-process pass of projections other than rectilinear, the scene is rendered in a cubemap
+     * which is then sampled by a full screen quad
+     * @member {Object}
+     * @property {external:THREE.Scene} scene
+     * @property {external:THREE.OrthographicCamera} camera
+     * @property {external:THREE.CubeCamera} cubeCamera
+     * @property {external:THREE.ShaderMaterial} material
+     * @readonly
+     * @private
+     */
+    this.projectionPass = null;
+
     /**
      * @member {number}
      * @private
@@ -77,23 +133,39 @@ export class Renderer extends AbstractService {
      */
     this.ready = false;
 
+    /**
+     * @summary A render is scheduled, in headless mode
+     * @member {boolean}
+     * @private
+     */
+    this.renderRequested = false;
+
     /**
      * @member {HTMLElement}
      * @readonly
      * @package
      */
-    this.canvasContainer = document.createElement('div');
-    this.canvasContainer.className = 'psv-canvas-container';
-    this.canvasContainer.style.background = this.psv.config.canvasBackground;
-    this.canvasContainer.style.cursor = this.psv.config.mousemove ? 'move' : 'default';
-    this.canvasContainer.appendChild(this.renderer.domElement);
-    this.psv.container.appendChild(this.canvasContainer);
+    this.canvasContainer = null;
+
+    // the canvas is not attached to the page in headless mode
+    if (!this.psv.config.headless) {
+      this.renderer.domElement.className = 'psv-canvas';
+
+      this.canvasContainer = document.createElement('div');
+      this.canvasContainer.className = 'psv-canvas-container';
+      this.canvasContainer.style.background = this.psv.config.canvasBackground;
+      this.canvasContainer.style.cursor = this.psv.config.mousemove ? 'move' : 'default';
+      this.canvasContainer.appendChild(this.renderer.domElement);
+      this.psv.container.appendChild(this.canvasContainer);
+    }
 
     psv.on(EVENTS.SIZE_UPDATED, this);
     psv.on(EVENTS.ZOOM_UPDATED, this);
     psv.on(EVENTS.POSITION_UPDATED, this);
     psv.on(EVENTS.CONFIG_CHANGED, this);
 
+    this.__setProjection();
+
     this.hide();
   }
 
@@ -101,14 +173,20 @@ export class Renderer extends AbstractService {
    * @override
    */
   destroy() {
-    // cancel render loop
-    this.renderer.setAnimationLoop(null);
+    // cancel render loop, not started in headless mode
+    if (!this.psv.config.headless) {
+      this.renderer.setAnimationLoop(null);
+    }
 
     // destroy ThreeJS view
     this.__cleanTHREEScene(this.scene);
+    this.__disposeProjectionPass();
+    this.overlays.forEach(overlay => this.psv.adapter.disposeTexture(overlay.textureData));
 
     // remove container
-    this.psv.container.removeChild(this.canvasContainer);
+    if (this.canvasContainer) {
+      this.psv.container.removeChild(this.canvasContainer);
+    }
 
     delete this.canvasContainer;
     delete this.renderer;
@@ -116,6 +194,7 @@ export class Renderer extends AbstractService {
     delete this.camera;
     delete this.mesh;
     delete this.meshContainer;
+    delete this.overlays;
     delete this.raycaster;
 
     super.destroy();
@@ -137,7 +216,10 @@ export class Renderer extends AbstractService {
         if (evt.args[0].includes('fisheye')) {
           this.__onPositionUpdated();
         }
-        if (evt.args[0].includes('mousemove')) {
+        if (evt.args[0].includes('projection')) {
+          this.__setProjection();
+        }
+        if (evt.args[0].includes('mousemove') && this.canvasContainer) {
           this.canvasContainer.style.cursor = this.psv.config.mousemove ? 'move' : 'default';
         }
         break;
@@ -150,14 +232,18 @@ export class Renderer extends AbstractService {
    * @summary Hides the viewer
    */
   hide() {
-    this.canvasContainer.style.opacity = 0;
+    if (this.canvasContainer) {
+      this.canvasContainer.style.opacity = 0;
+    }
   }
 
   /**
    * @summary Shows the viewer
    */
   show() {
-    this.canvasContainer.style.opacity = 1;
+    if (this.canvasContainer) {
+      this.canvasContainer.style.opacity = 1;
+    }
   }
 
   /**
@@ -165,10 +251,11 @@ export class Renderer extends AbstractService {
    * @private
    */
   __onSizeUpdated() {
-    this.renderer.setSize(this.prop.size.width, this.prop.size.height);
+    this.renderer.setSize(this.prop.size.width, this.prop.size.height, !this.psv.config.headless);
     this.camera.aspect = this.prop.aspect;
     this.camera.updateProjectionMatrix();
-    this.prop.needsUpdate = true;
+    this.__updateProjectionPass();
+    this.psv.needsUpdate();
   }
 
   /**
@@ -178,7 +265,8 @@ export class Renderer extends AbstractService {
   __onZoomUpdated() {
     this.camera.fov = this.prop.vFov;
     this.camera.updateProjectionMatrix();
-    this.prop.needsUpdate = true;
+    this.__updateProjectionPass();
+    this.psv.needsUpdate();
   }
 
   /**
@@ -191,7 +279,7 @@ export class Renderer extends AbstractService {
     if (this.config.fisheye) {
       this.camera.position.copy(this.prop.direction).multiplyScalar(this.config.fisheye / 2).negate();
     }
-    this.prop.needsUpdate = true;
+    this.psv.needsUpdate();
   }
 
   /**
@@ -217,6 +305,22 @@ export class Renderer extends AbstractService {
     }
   }
 
+  /**
+   * @summary Schedules a render, used in headless mode where there is no animation loop
+   * @package
+   */
+  requestRender() {
+    if (this.ready && !this.renderRequested) {
+      this.renderRequested = true;
+      Promise.resolve().then(() => {
+        this.renderRequested = false;
+        if (this.renderer) {
+          this.__renderLoop(performance.now());
+        }
+      });
+    }
+  }
+
   /**
    * @summary Performs a render
    * @description Do not call this method directly, instead call
@@ -224,10 +328,295 @@ export class Renderer extends AbstractService {
    * @fires PSV.render
    */
   render() {
-    this.renderer.render(this.scene, this.camera);
+    this.__renderScene();
     this.psv.trigger(EVENTS.RENDER);
   }
 
+  /**
+   * @summary Renders the scene in the current render target, applying the projection pass
+   * @private
+   */
+  __renderScene() {
+    // the projection pass is not compatible with the StereoEffect
+    const projectionPass = this.renderer.isWebGLRenderer ? this.projectionPass : null;
+
+    this.camera.updateMatrixWorld();
+    AbstractAdapter.setOverlayClipCamera(
+      this.camera,
+      projectionPass ? this.config.projection : 'rectilinear',
+      projectionPass?.material.uniforms.scale.value
+    );
+
+    if (projectionPass) {
+      const { scene, camera, material } = projectionPass;
+
+      this.__renderCubeFaces();
+      material.uniforms.cameraRotation.value.setFromMatrix4(this.camera.matrixWorld);
+
+      this.renderer.render(scene, camera);
+    }
+    else {
+      this.renderer.render(this.scene, this.camera);
+    }
+  }
+
+  /**
+   * @summary Renders the faces of the cubemap of the projection pass which are in the field of view
+   * @description Each face is a full render of the scene, the faces which cannot be seen through the projection
+   * are skipped: the back face most of the time and the side faces with narrow fields of view.
+   * @private
+   */
+  __renderCubeFaces() {
+    const { cubeCamera, material } = this.projectionPass;
+
+    // the scale of the projection is the position of the top right corner of the viewer on the projection plane
+    const corner = unprojectPoint(this.config.projection, material.uniforms.scale.value, cornerDirection);
+    const viewAngle = corner ? corner.angleTo(forward) : Math.PI;
+
+    cubeCamera.position.copy(this.camera.position);
+    cubeCamera.updateMatrixWorld();
+    this.camera.getWorldDirection(viewDirection);
+
+    const currentRenderTarget = this.renderer.getRenderTarget();
+
+    cubeCamera.children.forEach((faceCamera, i) => {
+      faceCamera.getWorldDirection(faceDirection);
+
+      if (faceDirection.angleTo(viewDirection) - viewAngle <= CUBE_FACE_ANGLE) {
+        this.renderer.setRenderTarget(cubeCamera.renderTarget, i);
+        this.renderer.render(this.scene, faceCamera);
+      }
+    });
+
+    this.renderer.setRenderTarget(currentRenderTarget);
+  }
+
+  /**
+   * @summary Renders the current view, with the same vertical field of view
+   * @param {int} width
+   * @param {int} height
+   * @returns {PSV.SnapshotPixels}
+   * @throws {PSV.PSVError} when the size is not supported or in stereo view
+   * @package
+   */
+  renderView(width, height) {
+    this.__checkSnapshotSize(width, height);
+
+    const target = new WebGLRenderTarget(width, height);
+
+    this.camera.aspect = width / height;
+    this.camera.updateProjectionMatrix();
+    this.__updateProjectionPass(this.camera.aspect);
+
+    this.renderer.setRenderTarget(target);
+    this.__renderScene();
+    this.renderer.setRenderTarget(null);
+
+    this.camera.aspect = this.prop.aspect;
+    this.camera.updateProjectionMatrix();
+    this.__updateProjectionPass();
+    this.psv.needsUpdate();
+
+    const pixels = this.__readRenderTarget(target);
+    target.dispose();
+    return pixels;
+  }
+
+  /**
+   * @summary Renders the whole sphere with an equirectangular projection, including the overlays, the panorama pose
+   * and the sphere correction
+   * @param {int} width - the height is half the width
+   * @returns {PSV.SnapshotPixels}
+   * @throws {PSV.PSVError} when the size is not supported or in stereo view
+   * @package
+   */
+  renderEquirectangular(width) {
+    const height = Math.round(width / 2);
+    this.__checkSnapshotSize(width, height);
+
+    // the cube faces cover a quarter of the width each
+    const cubeTarget = new WebGLCubeRenderTarget(Math.min(MathUtils.ceilPowerOfTwo(width / 4), this.psv.system.maxTextureWidth));
+    const cubeCamera = new CubeCamera(0.1, 2 * SPHERE_RADIUS, cubeTarget);
+    cubeCamera.update(this.renderer, this.scene);
+
+    const material = new ShaderMaterial({
+      uniforms: {
+        map: { value: cubeTarget.texture },
+      },
+
+      vertexShader: `
+varying vec2 vUv;
+
+void main() {
+  vUv = uv;
+  gl_Position = vec4(position, 1.0);
+}`,
+
+      fragmentShader: `
+uniform samplerCube map;
+
+varying vec2 vUv;
+
+const float PI = 3.1415926535897932384626433832795;
+
+void main() {
+  float longitude = (vUv.x - 0.5) * 2.0 * PI;
+  float latitude = (vUv.y - 0.5) * PI;
+
+  gl_FragColor = textureCube(map, vec3(
+    -cos(latitude) * sin(longitude),
+    sin(latitude),
+    cos(latitude) * cos(longitude)
+  ));
+}`,
+
+      depthTest : false,
+      depthWrite: false,
+    });
+
+    const scene = new Scene();
+    scene.add(new Mesh(new PlaneGeometry(2, 2), material));
+
+    const target = new WebGLRenderTarget(width, height);
+    this.renderer.setRenderTarget(target);
+    this.renderer.render(scene, new OrthographicCamera(-1, 1, 1, -1, 0, 1));
+    this.renderer.setRenderTarget(null);
+
+    const pixels = this.__readRenderTarget(target);
+
+    target.dispose();
+    cubeTarget.dispose();
+    this.__cleanTHREEScene(scene);
+    this.psv.needsUpdate();
+
+    return pixels;
+  }
+
+  /**
+   * @param {int} width
+   * @param {int} height
+   * @throws {PSV.PSVError}
+   * @private
+   */
+  __checkSnapshotSize(width, height) {
+    if (!this.renderer.isWebGLRenderer) {
+      throw new PSVError('Snapshots are not available in stereo view.');
+    }
+    if (!(width > 0 && height > 0) || width > this.psv.system.maxTextureWidth || height > this.psv.system.maxTextureWidth) {
+      throw new PSVError(`Invalid snapshot size, maximum is ${this.psv.system.maxTextureWidth}px.`);
+    }
+  }
+
+  /**
+   * @summary Reads the pixels of a render target, from top to bottom
+   * @param {external:THREE.WebGLRenderTarget} target
+   * @returns {PSV.SnapshotPixels}
+   * @private
+   */
+  __readRenderTarget(target) {
+    const { width, height } = target;
+    const pixels = new Uint8Array(width * height * 4);
+    this.renderer.readRenderTargetPixels(target, 0, 0, width, height, pixels);
+
+    // WebGL rows are from bottom to top
+    const data = new Uint8ClampedArray(width * height * 4);
+    const rowSize = width * 4;
+    for (let y = 0; y < height; y++) {
+      data.set(pixels.subarray((height - y - 1) * rowSize, (height - y) * rowSize), y * rowSize);
+    }
+
+    return { width, height, data };
+  }
+
+  /**
+   * @summary Creates or removes the projection pass depending on the `projection` option
+   * @private
+   */
+  __setProjection() {
+    this.__disposeProjectionPass();
+
+    if (this.config.projection !== 'rectilinear') {
+      const material = new ShaderMaterial({
+        defines : {
+          PROJECTION: PROJECTIONS[this.config.projection],
+        },
+        uniforms: {
+          map           : { value: null },
+          cameraRotation: { value: new Matrix3() },
+          scale         : { value: new Vector2() },
+        },
+
+        vertexShader: `
+varying vec2 vUv;
+
+void main() {
+  vUv = uv;
+  gl_Position = vec4(position, 1.0);
+}`,
+
+        fragmentShader: PROJECTION_FRAGMENT_SHADER,
+
+        depthTest : false,
+        depthWrite: false,
+      });
+
+      const scene = new Scene();
+      scene.add(new Mesh(new PlaneGeometry(2, 2), material));
+
+      this.projectionPass = {
+        scene     : scene,
+        camera    : new OrthographicCamera(-1, 1, 1, -1, 0, 1),
+        cubeCamera: new CubeCamera(0.1, 2 * SPHERE_RADIUS, null),
+        material  : material,
+      };
+
+      this.__updateProjectionPass();
+    }
+
+    this.psv.needsUpdate();
+  }
+
+  /**
+   * @summary Updates the scale of the projection and the size of the cubemap
+   * @param {number} [aspect=prop.aspect]
+   * @private
+   */
+  __updateProjectionPass(aspect = this.prop.aspect) {
+    if (!this.projectionPass || !this.prop.vFov) {
+      return;
+    }
+
+    const { cubeCamera, material } = this.projectionPass;
+
+    const scale = getProjectionScale(this.config.projection, this.prop.vFov);
+    material.uniforms.scale.value.set(scale * aspect, scale);
+
+    // match the density of pixels in the center of the viewer
+    const size = MathUtils.clamp(
+      MathUtils.ceilPowerOfTwo(this.prop.size.height * this.psv.system.pixelRatio / scale),
+      256,
+      Math.min(4096, this.psv.system.maxTextureWidth)
+    );
+
+    // WebGLCubeRenderTarget cannot be resized
+    if (cubeCamera.renderTarget?.width !== size) {
+      cubeCamera.renderTarget?.dispose();
+      cubeCamera.renderTarget = new WebGLCubeRenderTarget(size);
+      material.uniforms.map.value = cubeCamera.renderTarget.texture;
+    }
+  }
+
+  /**
+   * @private
+   */
+  __disposeProjectionPass() {
+    if (this.projectionPass) {
+      this.projectionPass.cubeCamera.renderTarget?.dispose();
+      this.__cleanTHREEScene(this.projectionPass.scene);
+      this.projectionPass = null;
+    }
+  }
+
   /**
    * @summary Applies the texture to the scene, creates the scene if needed
    * @param {PSV.TextureData} textureData
@@ -240,7 +629,10 @@ export class Renderer extends AbstractService {
     this.psv.adapter.setTexture(this.mesh, textureData);
 
     if (!this.ready) {
-      this.renderer.setAnimationLoop(t => this.__renderLoop(t));
+      // there is no animation loop in headless mode, the renders are requested by needsUpdate
+      if (!this.psv.config.headless) {
+        this.renderer.setAnimationLoop(t => this.__renderLoop(t));
+      }
       this.ready = true;
     }
 
@@ -250,14 +642,59 @@ export class Renderer extends AbstractService {
   }
 
   /**
-   * @summary Applies the overlay to the mesh
-   * @param {PSV.TextureData} textureData
-   * @param {number} opacity
+   * @summary Adds or replaces an overlay, a replaced overlay keeps its position in the stack
+   * @param {PSV.OverlayLayer} overlay
    * @package
    */
-  setOverlay(textureData, opacity) {
-    this.psv.adapter.setOverlay(this.mesh, textureData, opacity);
-    this.psv.needsUpdate();
+  setOverlay(overlay) {
+    const index = this.overlays.findIndex(o => o.id === overlay.id);
+
+    if (index !== -1) {
+      this.psv.adapter.disposeTexture(this.overlays[index].textureData);
+      this.overlays[index] = overlay;
+    }
+    else {
+      this.overlays.push(overlay);
+    }
+
+    this.updateOverlays();
+  }
+
+  /**
+   * @summary Removes an overlay
+   * @param {string} id
+   * @package
+   */
+  removeOverlay(id) {
+    const index = this.overlays.findIndex(o => o.id === id);
+
+    if (index !== -1) {
+      this.psv.adapter.disposeTexture(this.overlays[index].textureData);
+      this.overlays.splice(index, 1);
+      this.updateOverlays();
+    }
+  }
+
+  /**
+   * @summary Applies the overlays to a mesh, must be called after any change of {@link overlays}
+   * @param {external:THREE.Mesh} [mesh=this.mesh]
+   * @package
+   */
+  updateOverlays(mesh = this.mesh) {
+    const adapter = this.psv.adapter;
+
+    if (adapter.constructor.supportsOverlay) {
+      // adapters written for the single overlay API only display the top overlay
+      if (adapter.setOverlays === AbstractAdapter.prototype.setOverlays
+        && adapter.setOverlay !== AbstractAdapter.prototype.setOverlay) {
+        const overlay = this.overlays[this.overlays.length - 1];
+        adapter.setOverlay(mesh, overlay ? overlay.textureData : null, overlay ? overlay.opacity : 0);
+      }
+      else {
+        adapter.setOverlays(mesh, this.overlays);
+      }
+      this.psv.needsUpdate();
+    }
   }
 
   /**
@@ -312,6 +749,9 @@ export class Renderer extends AbstractService {
     const mesh = this.psv.adapter.createMesh(0.5);
     this.psv.adapter.setTexture(mesh, textureData, true);
     this.psv.adapter.setTextureOpacity(mesh, 0);
+    if (options.keepOverlays) {
+      this.updateOverlays(mesh);
+    }
     this.setPanoramaPose(textureData.panoData, mesh);
     this.setSphereCorrection(options.sphereCorrection, group);
 
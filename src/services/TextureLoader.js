@@ -98,11 +98,16 @@ export class TextureLoader extends AbstractService {
 
   /**
    * @summary Loads an Image using FileLoader to have progress events
+   * @description In headless mode the image is loaded by {@link PSV.HeadlessOptions} `loadImage` if provided
    * @param {string} url
    * @param {function(number)} [onProgress]
    * @returns {Promise<HTMLImageElement>}
    */
   loadImage(url, onProgress) {
+    if (this.config.headless?.loadImage) {
+      return this.config.headless.loadImage(url);
+    }
+
     return this.loadFile(url, onProgress)
       .then(result => new Promise((resolve, reject) => {
         const img = document.createElementNS('http://www.w3.org/1999/xhtml', 'img');
@@ -13,7 +13,7 @@ import { each } from './misc';
  * @summary Interpolation helper for animations
  * @memberOf PSV.utils
  * @description
- * Implements the Promise API with an additional "cancel" method.
+ * Implements the Promise API with additional "cancel", "pause", "resume" and "seek" methods.
  * The promise is resolved with `true` when the animation is completed and `false` if the animation is cancelled.
  * @example
  * const anim = new Animation({
@@ -26,6 +26,10 @@ import { each } from './misc';
  *
  * anim.then((completed) => ...);
  *
+ * anim.pause();
+ * anim.seek(0.5);
+ * anim.resume();
+ *
  * anim.cancel()
  */
 export class Animation {
@@ -49,6 +53,8 @@ export class Animation {
       }
 
       this.__start = null;
+      this.__progress = 0;
+      this.__paused = false;
       this.options = options;
 
       if (options.delay) {
@@ -72,39 +78,23 @@ export class Animation {
    * @private
    */
   __run(timestamp) {
-    if (this.__cancelled) {
+    if (this.__cancelled || this.__paused) {
       return;
     }
 
-    // first iteration
+    // first iteration, after a pause or a seek
     if (this.__start === null) {
-      this.__start = timestamp;
+      this.__start = timestamp - this.__progress * this.options.duration;
     }
 
     // compute progress
-    const progress = (timestamp - this.__start) / this.options.duration;
-    const current = {};
-
-    if (progress < 1.0) {
-      // interpolate properties
-      each(this.options.properties, (prop, name) => {
-        if (prop) {
-          current[name] = prop.start + (prop.end - prop.start) * this.options.easing(progress);
-        }
-      });
-      this.options.onTick(current, progress);
+    this.__progress = this.options.duration > 0 ? Math.min(1, (timestamp - this.__start) / this.options.duration) : 1;
+    this.__tick(this.__progress);
 
+    if (this.__progress < 1.0) {
       this.__animationFrame = window.requestAnimationFrame(t => this.__run(t));
     }
     else {
-      // call onTick one last time with final values
-      each(this.options.properties, (prop, name) => {
-        if (prop) {
-          current[name] = prop.end;
-        }
-      });
-      this.options.onTick(current, 1.0);
-
       this.__animationFrame = window.requestAnimationFrame(() => {
         this.__resolved = true;
         this.__resolve(true);
@@ -112,6 +102,24 @@ export class Animation {
     }
   }
 
+  /**
+   * @summary Interpolates the properties and calls onTick
+   * @param {float} progress
+   * @private
+   */
+  __tick(progress) {
+    const current = {};
+
+    each(this.options.properties, (prop, name) => {
+      if (prop) {
+        // final values are not interpolated
+        current[name] = progress < 1.0 ? prop.start + (prop.end - prop.start) * this.options.easing(progress) : prop.end;
+      }
+    });
+
+    this.options.onTick(current, progress);
+  }
+
   /**
    * @private
    */
@@ -137,6 +145,72 @@ export class Animation {
       .then(onFulfilled);
   }
 
+  /**
+   * @summary Pauses the animation
+   */
+  pause() {
+    if (this.__resolved || this.__cancelled || this.__paused || !this.options) {
+      return;
+    }
+
+    this.__paused = true;
+    this.__start = null;
+
+    if (this.__animationFrame) {
+      window.cancelAnimationFrame(this.__animationFrame);
+      this.__animationFrame = null;
+    }
+  }
+
+  /**
+   * @summary Resumes the animation after a pause
+   */
+  resume() {
+    if (!this.__paused || this.__cancelled) {
+      return;
+    }
+
+    this.__paused = false;
+
+    // the delay is still running
+    if (!this.__delayTimeout) {
+      this.__animationFrame = window.requestAnimationFrame(t => this.__run(t));
+    }
+  }
+
+  /**
+   * @summary Checks if the animation is paused
+   * @returns {boolean}
+   */
+  isPaused() {
+    return !!this.__paused;
+  }
+
+  /**
+   * @summary Moves the animation to a specific progress, the properties are updated immediately if the animation is paused
+   * @param {float} progress - 0 to 1
+   */
+  seek(progress) {
+    if (this.__resolved || this.__cancelled || !this.options) {
+      return;
+    }
+
+    this.__progress = Math.min(1, Math.max(0, progress));
+    this.__start = null;
+
+    if (this.__paused) {
+      this.__tick(this.__progress);
+    }
+  }
+
+  /**
+   * @summary Returns the current progress of the animation
+   * @returns {float} 0 to 1
+   */
+  getProgress() {
+    return this.__resolved ? 1 : this.__progress || 0;
+  }
+
   /**
    * @summary Cancels the animation
    */
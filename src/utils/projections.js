@@ -0,0 +1,213 @@
+import { MathUtils } from 'three';
+
+/**
+ * @summary Available projections and their identifiers in the shader
+ * @type {Object<string, int>}
+ * @private
+ */
+export const PROJECTIONS = {
+  rectilinear  : 0,
+  fisheye      : 1,
+  stereographic: 2,
+  pannini      : 3,
+};
+
+/**
+ * @summary Distance of the center of projection for Pannini, 1 is the most common choice
+ * @type {number}
+ * @private
+ */
+const PANNINI_DISTANCE = 1;
+
+/**
+ * @summary Returns the half height of the projection plane for a vertical field of view
+ * @description The vertical field of view is measured on the central column of the viewer.
+ * @param {string} projection
+ * @param {number} vFov - in degrees
+ * @returns {number}
+ * @private
+ */
+export function getProjectionScale(projection, vFov) {
+  const angle = MathUtils.degToRad(vFov) / 2;
+
+  switch (projection) {
+    case 'fisheye':
+      return angle;
+    case 'stereographic':
+      return 2 * Math.tan(angle / 2);
+    default:
+      return Math.tan(angle);
+  }
+}
+
+/**
+ * @summary Converts a point of the projection plane to a direction in camera space (looking at -Z)
+ * @param {string} projection
+ * @param {external:THREE.Vector2} point
+ * @param {external:THREE.Vector3} target
+ * @returns {external:THREE.Vector3|null} null if the point is outside of the projection
+ * @private
+ */
+export function unprojectPoint(projection, point, target) {
+  if (projection === 'pannini') {
+    const d = PANNINI_DISTANCE;
+    const k = point.x * point.x / ((d + 1) * (d + 1));
+    const dscr = k * k * d * d - (k + 1) * (k * d * d - 1);
+    const cosPhi = (-k * d + Math.sqrt(dscr)) / (k + 1);
+    const s = (d + 1) / (d + cosPhi);
+
+    return target.set(point.x / s, point.y / s, -cosPhi).normalize();
+  }
+
+  const r = point.length();
+  let theta;
+
+  switch (projection) {
+    case 'fisheye':
+      if (r > Math.PI) {
+        return null;
+      }
+      theta = r;
+      break;
+    case 'stereographic':
+      theta = 2 * Math.atan(r / 2);
+      break;
+    default:
+      theta = Math.atan(r);
+      break;
+  }
+
+  if (r === 0) {
+    return target.set(0, 0, -1);
+  }
+
+  const sinTheta = Math.sin(theta);
+  return target.set(point.x / r * sinTheta, point.y / r * sinTheta, -Math.cos(theta));
+}
+
+/**
+ * @summary Converts a direction in camera space (looking at -Z) to a point of the projection plane
+ * @description Directions which cannot be projected give infinite coordinates.
+ * @param {string} projection
+ * @param {external:THREE.Vector3} direction - normalized direction
+ * @param {external:THREE.Vector2} target
+ * @returns {external:THREE.Vector2}
+ * @private
+ */
+export function projectDirection(projection, direction, target) {
+  if (projection === 'pannini') {
+    const d = PANNINI_DISTANCE;
+    const horizontal = Math.hypot(direction.x, direction.z);
+    const cosPhi = -direction.z / horizontal;
+
+    if (horizontal === 0 || d + cosPhi <= 0) {
+      return target.set(Infinity, Infinity);
+    }
+
+    const s = (d + 1) / (d + cosPhi);
+    return target.set(s * direction.x / horizontal, s * direction.y / horizontal);
+  }
+
+  const theta = Math.acos(MathUtils.clamp(-direction.z, -1, 1));
+  const length = Math.hypot(direction.x, direction.y);
+  let r;
+
+  switch (projection) {
+    case 'fisheye':
+      r = theta;
+      break;
+    case 'stereographic':
+      r = 2 * Math.tan(theta / 2);
+      break;
+    default:
+      r = direction.z < 0 ? Math.tan(theta) : Infinity;
+      break;
+  }
+
+  if (length === 0) {
+    return direction.z < 0 ? target.set(0, 0) : target.set(Infinity, Infinity);
+  }
+
+  return target.set(direction.x / length * r, direction.y / length * r);
+}
+
+/**
+ * @summary Fragment shader of the projection pass, samples a cubemap rendered at the position of the camera
+ * @type {string}
+ * @private
+ */
+export const PROJECTION_FRAGMENT_SHADER = `
+uniform samplerCube map;
+uniform mat3 cameraRotation;
+uniform vec2 scale;
+
+varying vec2 vUv;
+
+const float PANNINI_DISTANCE = ${PANNINI_DISTANCE.toFixed(1)};
+const float PI = 3.1415926535897932384626433832795;
+
+void main() {
+  vec2 point = (vUv * 2.0 - 1.0) * scale;
+  vec3 direction;
+
+#if PROJECTION == ${PROJECTIONS.pannini}
+  float k = point.x * point.x / ((PANNINI_DISTANCE + 1.0) * (PANNINI_DISTANCE + 1.0));
+  float dscr = k * k * PANNINI_DISTANCE * PANNINI_DISTANCE - (k + 1.0) * (k * PANNINI_DISTANCE * PANNINI_DISTANCE - 1.0);
+  float cosPhi = (-k * PANNINI_DISTANCE + sqrt(dscr)) / (k + 1.0);
+  float s = (PANNINI_DISTANCE + 1.0) / (PANNINI_DISTANCE + cosPhi);
+  direction = normalize(vec3(point / s, -cosPhi));
+#else
+  float r = length(point);
+  #if PROJECTION == ${PROJECTIONS.fisheye}
+    if (r > PI) {
+      discard;
+    }
+    float theta = r;
+  #elif PROJECTION == ${PROJECTIONS.stereographic}
+    float theta = 2.0 * atan(r / 2.0);
+  #else
+    float theta = atan(r);
+  #endif
+  direction = r == 0.0 ? vec3(0.0, 0.0, -1.0) : vec3(point / r * sin(theta), -cos(theta));
+#endif
+
+  gl_FragColor = textureCube(map, cameraRotation * direction);
+}`;
+
+/**
+ * @summary Shader function converting a direction in camera space to a point of the projection plane,
+ * same as {@link projectDirection}, directions which cannot be projected give far away points
+ * @type {string}
+ * @private
+ */
+export const PROJECT_DIRECTION_SHADER = `
+vec2 projectDirection( int projection, vec3 direction ) {
+  float outside = 1e9;
+
+  if ( projection == ${PROJECTIONS.pannini} ) {
+    float horizontal = length( direction.xz );
+    if ( horizontal == 0.0 || ${PANNINI_DISTANCE.toFixed(1)} - direction.z / horizontal <= 0.0 ) {
+      return vec2( outside );
+    }
+    float s = ${(PANNINI_DISTANCE + 1).toFixed(1)} / ( ${PANNINI_DISTANCE.toFixed(1)} - direction.z / horizontal );
+    return s * direction.xy / horizontal;
+  }
+
+  float theta = acos( clamp( -direction.z, -1.0, 1.0 ) );
+  float len = length( direction.xy );
+  float r;
+
+  if ( len == 0.0 ) {
+    return direction.z < 0.0 ? vec2( 0.0 ) : vec2( outside );
+  }
+
+  if ( projection == ${PROJECTIONS.fisheye} ) {
+    r = theta;
+  } else if ( projection == ${PROJECTIONS.stereographic} ) {
+    r = 2.0 * tan( theta / 2.0 );
+  } else {
+    r = direction.z < 0.0 ? tan( theta ) : outside;
+  }
+
+  return direction.xy / len * r;
+}`;
@@ -0,0 +1,68 @@
+import assert from 'assert';
+import { Vector2, Vector3 } from 'three';
+
+import { getProjectionScale, projectDirection, unprojectPoint } from './projections';
+
+const PROJECTIONS = ['rectilinear', 'fisheye', 'stereographic', 'pannini'];
+
+function round(x) {
+  return Math.round(x * 10000) / 10000;
+}
+
+describe('utils:projections:getProjectionScale', () => {
+  it('should compute the scale for a vertical fov', () => {
+    assert.strictEqual(round(getProjectionScale('rectilinear', 90)), 1);
+    assert.strictEqual(round(getProjectionScale('pannini', 90)), 1);
+    assert.strictEqual(round(getProjectionScale('fisheye', 90)), round(Math.PI / 4));
+    assert.strictEqual(round(getProjectionScale('stereographic', 90)), round(2 * Math.tan(Math.PI / 8)));
+  });
+});
+
+describe('utils:projections:unprojectPoint', () => {
+  it('should look at -Z in the center', () => {
+    PROJECTIONS.forEach((projection) => {
+      const direction = unprojectPoint(projection, new Vector2(0, 0), new Vector3());
+      assert.deepStrictEqual(direction.toArray().map(round), [0, 0, -1], projection);
+    });
+  });
+
+  it('should keep the vertical angle on the central column', () => {
+    PROJECTIONS.forEach((projection) => {
+      const scale = getProjectionScale(projection, 120);
+      const direction = unprojectPoint(projection, new Vector2(0, scale), new Vector3());
+      assert.strictEqual(round(direction.angleTo(new Vector3(0, 0, -1))), round(Math.PI / 3), projection);
+    });
+  });
+
+  it('should reject points outside of the fisheye circle', () => {
+    assert.strictEqual(unprojectPoint('fisheye', new Vector2(3, 1), new Vector3()), null);
+  });
+
+  it('should keep vertical lines straight with pannini', () => {
+    const top = unprojectPoint('pannini', new Vector2(1.5, 1), new Vector3());
+    const bottom = unprojectPoint('pannini', new Vector2(1.5, -1), new Vector3());
+    assert.strictEqual(round(Math.atan2(top.x, -top.z)), round(Math.atan2(bottom.x, -bottom.z)));
+  });
+});
+
+describe('utils:projections:projectDirection', () => {
+  it('should be the inverse of unprojectPoint', () => {
+    PROJECTIONS.forEach((projection) => {
+      [[0.3, 0.2], [-1.2, 0.8], [0.05, -1.5]].forEach(([x, y]) => {
+        const direction = unprojectPoint(projection, new Vector2(x, y), new Vector3());
+        const point = projectDirection(projection, direction, new Vector2());
+        assert.deepStrictEqual(point.toArray().map(round), [x, y], `${projection} ${x},${y}`);
+      });
+    });
+  });
+
+  it('should not project directions behind a rectilinear camera', () => {
+    const point = projectDirection('rectilinear', new Vector3(0.5, 0, 0.5).normalize(), new Vector2());
+    assert.strictEqual(point.x, Infinity);
+  });
+
+  it('should project directions behind the camera with stereographic', () => {
+    const point = projectDirection('stereographic', new Vector3(0.5, 0, 0.5).normalize(), new Vector2());
+    assert.strictEqual(round(point.x), round(2 * Math.tan(Math.PI * 3 / 8)));
+  });
+});
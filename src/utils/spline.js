@@ -0,0 +1,98 @@
+import { MathUtils } from 'three';
+import { EASINGS } from '../data/constants';
+import { getShortestArc, loop } from './math';
+import { isNil } from './misc';
+
+/**
+ * @summary Interpolates a value with a uniform Catmull-Rom spline, between p1 and p2
+ * @param {number} p0
+ * @param {number} p1
+ * @param {number} p2
+ * @param {number} p3
+ * @param {number} t - 0 to 1
+ * @returns {number}
+ * @private
+ */
+export function catmullRom(p0, p1, p2, p3, t) {
+  const t2 = t * t;
+  const t3 = t2 * t;
+
+  return 0.5 * (
+    2 * p1
+    + (-p0 + p2) * t
+    + (2 * p0 - 5 * p1 + 4 * p2 - p3) * t2
+    + (-p0 + 3 * p1 - 3 * p2 + p3) * t3
+  );
+}
+
+/**
+ * @summary Computes the points and the timing of a path starting at the current position
+ * @description Longitudes are unwrapped to always take the shortest arc between two waypoints.
+ * @param {{longitude: number, latitude: number, zoom: number}} start
+ * @param {PSV.PathWaypoint[]} waypoints - with positions in radians, missing values are kept from the previous waypoint
+ * @returns {{points: Object[], segments: Object[], duration: number}}
+ * @private
+ */
+export function createSplinePath(start, waypoints) {
+  const points = [{ ...start }];
+  const segments = [];
+  let time = 0;
+
+  waypoints.forEach((waypoint) => {
+    const previous = points[points.length - 1];
+    const duration = waypoint.duration || 0;
+    const pause = waypoint.pause || 0;
+
+    // missing values are kept from the previous waypoint
+    points.push({
+      longitude: isNil(waypoint.longitude)
+        ? previous.longitude
+        : previous.longitude + getShortestArc(loop(previous.longitude, Math.PI * 2), waypoint.longitude),
+      latitude : isNil(waypoint.latitude) ? previous.latitude : waypoint.latitude,
+      zoom     : isNil(waypoint.zoom) ? previous.zoom : waypoint.zoom,
+    });
+
+    segments.push({
+      start   : time,
+      duration: duration,
+      pause   : pause,
+      easing  : typeof waypoint.easing === 'function' ? waypoint.easing : EASINGS[waypoint.easing || 'linear'],
+    });
+
+    time += duration + pause;
+  });
+
+  return { points: points, segments: segments, duration: time };
+}
+
+/**
+ * @summary Returns the position and zoom on a path at a given time
+ * @param {{points: Object[], segments: Object[], duration: number}} path
+ * @param {number} time - in milliseconds
+ * @returns {{longitude: number, latitude: number, zoom: number, waypoint: int}}
+ *   waypoint is the index of the last reached waypoint, -1 before the first one
+ * @private
+ */
+export function getSplinePathValue(path, time) {
+  const { points, segments } = path;
+
+  let i = segments.findIndex(s => time < s.start + s.duration + s.pause);
+  if (i === -1) {
+    i = segments.length - 1;
+  }
+
+  const segment = segments[i];
+  const t = segment.duration > 0 ? segment.easing(MathUtils.clamp((time - segment.start) / segment.duration, 0, 1)) : 1;
+
+  const p0 = points[Math.max(i - 1, 0)];
+  const p1 = points[i];
+  const p2 = points[i + 1];
+  const p3 = points[Math.min(i + 2, points.length - 1)];
+
+  return {
+    longitude: catmullRom(p0.longitude, p1.longitude, p2.longitude, p3.longitude, t),
+    latitude : MathUtils.clamp(catmullRom(p0.latitude, p1.latitude, p2.latitude, p3.latitude, t), -Math.PI / 2, Math.PI / 2),
+    zoom     : MathUtils.clamp(catmullRom(p0.zoom, p1.zoom, p2.zoom, p3.zoom, t), 0, 100),
+    waypoint : t < 1 ? i - 1 : i,
+  };
+}
@@ -0,0 +1,81 @@
+import assert from 'assert';
+
+import { catmullRom, createSplinePath, getSplinePathValue } from './spline';
+
+function round(x) {
+  return Math.round(x * 10000) / 10000;
+}
+
+function roundValue(value) {
+  return {
+    longitude: round(value.longitude),
+    latitude : round(value.latitude),
+    zoom     : round(value.zoom),
+    waypoint : value.waypoint,
+  };
+}
+
+describe('utils:spline:catmullRom', () => {
+  it('should pass through the control points', () => {
+    assert.strictEqual(catmullRom(0, 1, 3, 4, 0), 1);
+    assert.strictEqual(catmullRom(0, 1, 3, 4, 1), 3);
+  });
+
+  it('should be linear for aligned points', () => {
+    assert.strictEqual(catmullRom(0, 1, 2, 3, 0.25), 1.25);
+  });
+});
+
+describe('utils:spline:createSplinePath', () => {
+  it('should compute the timing', () => {
+    const path = createSplinePath({ longitude: 0, latitude: 0, zoom: 50 }, [
+      { longitude: 1, latitude: 0, duration: 1000, pause: 500 },
+      { longitude: 2, latitude: 0, duration: 2000 },
+    ]);
+
+    assert.strictEqual(path.duration, 3500);
+    assert.deepStrictEqual(path.segments.map(s => [s.start, s.duration, s.pause]), [[0, 1000, 500], [1500, 2000, 0]]);
+  });
+
+  it('should take the shortest arc and keep the previous values', () => {
+    const path = createSplinePath({ longitude: 6, latitude: 0, zoom: 50 }, [
+      { longitude: 0.5, latitude: 0.2, duration: 1000 },
+      { zoom: 20, duration: 1000 },
+      { longitude: 6, latitude: 0, duration: 1000 },
+    ]);
+
+    assert.deepStrictEqual(path.points.map(p => [round(p.longitude), p.latitude, p.zoom]), [
+      [6, 0, 50],
+      [round(Math.PI * 2 + 0.5), 0.2, 50],
+      [round(Math.PI * 2 + 0.5), 0.2, 20],
+      [6, 0, 20],
+    ]);
+  });
+});
+
+describe('utils:spline:getSplinePathValue', () => {
+  const path = createSplinePath({ longitude: 0, latitude: 0, zoom: 50 }, [
+    { longitude: 1, latitude: 0.5, zoom: 60, duration: 1000, pause: 1000 },
+    { longitude: 2, latitude: 0, zoom: 70, duration: 1000, easing: 'inOutQuad' },
+  ]);
+
+  it('should reach the waypoints', () => {
+    assert.deepStrictEqual(roundValue(getSplinePathValue(path, 0)), { longitude: 0, latitude: 0, zoom: 50, waypoint: -1 });
+    assert.deepStrictEqual(roundValue(getSplinePathValue(path, 1000)), { longitude: 1, latitude: 0.5, zoom: 60, waypoint: 0 });
+    assert.deepStrictEqual(roundValue(getSplinePathValue(path, 3000)), { longitude: 2, latitude: 0, zoom: 70, waypoint: 1 });
+  });
+
+  it('should wait during the pause', () => {
+    assert.deepStrictEqual(roundValue(getSplinePathValue(path, 1500)), { longitude: 1, latitude: 0.5, zoom: 60, waypoint: 0 });
+  });
+
+  it('should apply the easing of the segment', () => {
+    const value = getSplinePathValue(path, 2250);
+    assert.strictEqual(round(value.zoom), round(catmullRom(50, 60, 70, 70, 0.125)));
+    assert.strictEqual(value.waypoint, 0);
+  });
+
+  it('should stay at the end', () => {
+    assert.deepStrictEqual(roundValue(getSplinePathValue(path, 5000)), { longitude: 2, latitude: 0, zoom: 70, waypoint: 1 });
+  });
+});
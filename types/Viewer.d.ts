@@ -2,6 +2,7 @@ import { Vector3 } from 'three';
 import { Event, EventEmitter } from 'uevent';
 import { AdapterConstructor } from './adapters/AbstractAdapter';
 import { Animation } from './utils/Animation';
+import { SYSTEM } from './data/system';
 import { Loader } from './components/Loader';
 import { Navbar } from './components/Navbar';
 import { Notification } from './components/Notification';
@@ -13,13 +14,22 @@ import {
   ClickData,
   CssSize,
   ExtendedPosition,
+  HeadlessOptions,
   NavbarCustomButton,
+  OverlayBlendMode,
+  OverlayClip,
+  OverlayConfig,
   PanoData,
   PanoDataProvider,
   PanoramaOptions,
+  PathWaypoint,
   Position,
+  Projection,
+  SnapshotOptions,
+  SnapshotPixels,
   Size,
-  TextureData
+  TextureData,
+  TilesCacheStats
 } from './models';
 import { AbstractPlugin, PluginConstructor } from './plugins/AbstractPlugin';
 import { DataHelper } from './services/DataHelper';
@@ -30,7 +40,8 @@ import { TooltipRenderer } from './services/TooltipRenderer';
  * @summary Viewer options, see {@link http://photo-sphere-viewer.js.org/guide/config.html}
  */
 export type ViewerOptions = {
-  container: HTMLElement | string;
+  container?: HTMLElement | string;
+  headless?: boolean | HeadlessOptions;
   panorama?: any;
   adapter?: AdapterConstructor<any> | [AdapterConstructor<any>, any];
   overlay?: any;
@@ -42,6 +53,7 @@ export type ViewerOptions = {
   loadingTxt?: string;
   size?: Size;
   fisheye?: boolean | number;
+  projection?: Projection;
   minFov?: number;
   maxFov?: number;
   defaultZoomLvl?: number;
@@ -105,6 +117,11 @@ export class Viewer extends EventEmitter {
    */
   readonly config: ViewerOptions;
 
+  /**
+   * Capabilities of the rendering target, read from the context of the viewer in headless mode
+   */
+  readonly system: typeof SYSTEM;
+
   /**
    * Internal properties
    */
@@ -204,9 +221,62 @@ export class Viewer extends EventEmitter {
 
   /**
    * @summary Loads a new overlay
+   * @description Replaces the overlay identified by DEFAULT_OVERLAY_ID, other overlays are kept.
    */
   setOverlay(path: any, opacity?: number): Promise<unknown>;
 
+  /**
+   * @summary Adds a new overlay above the others, or replaces an existing overlay with the same id
+   */
+  addOverlay(config: OverlayConfig): Promise<unknown>;
+
+  /**
+   * @summary Removes an overlay
+   */
+  removeOverlay(id: string);
+
+  /**
+   * @summary Removes all overlays
+   */
+  clearOverlays();
+
+  /**
+   * @summary Returns the overlays, from bottom to top
+   */
+  getOverlays(): OverlayConfig[];
+
+  /**
+   * @summary Changes the opacity of an overlay
+   * @throws {PSVError} when the overlay does not exist
+   */
+  setOverlayOpacity(id: string, opacity: number);
+
+  /**
+   * @summary Changes the blend mode of an overlay
+   * @throws {PSVError} when the overlay does not exist
+   */
+  setOverlayBlendMode(id: string, blendMode: OverlayBlendMode);
+
+  /**
+   * @summary Changes the part of the viewer where an overlay is visible, the whole viewer if not defined
+   * @throws {PSVError} when the overlay does not exist
+   */
+  setOverlayClip(id: string, clip?: OverlayClip);
+
+  /**
+   * @summary Changes the order of the overlays, from bottom to top, the overlays not listed are moved below the others
+   * @throws {PSVError} when an overlay does not exist
+   */
+  setOverlaysOrder(ids: string[]);
+
+  /**
+   * @summary Renders the current view or the whole panorama to an image
+   * @throws {PSVError} when the panorama is not loaded or the size is invalid
+   */
+  snapshot(options?: SnapshotOptions & { output?: 'blob' }): Promise<Blob>;
+  snapshot(options: SnapshotOptions & { output: 'dataUrl' }): Promise<string>;
+  snapshot(options: SnapshotOptions & { output: 'pixels' }): Promise<SnapshotPixels>;
+
   /**
    * @summary Update options
    */
@@ -252,6 +322,12 @@ export class Viewer extends EventEmitter {
    */
   animate(options: AnimateOptions): Animation<any>;
 
+  /**
+   * @summary Moves the view along a smooth path through several waypoints
+   * @throws {PSVError} when no waypoint is provided
+   */
+  animatePath(waypoints: PathWaypoint[]): Animation<any>;
+
   /**
    * @summary Stops the ongoing animation
    * @description The return value is a Promise because the is no guaranty the animation can be stopped synchronously.
@@ -374,10 +450,18 @@ export class Viewer extends EventEmitter {
    * @summary Triggered when the panel is opened
    */
   on(e: 'open-panel', cb: (e: Event, id: string | undefined) => void): this;
+  /**
+   * @summary Triggered when an overlay is added, removed or changed
+   */
+  on(e: 'overlays-updated', cb: (e: Event, overlays: OverlayConfig[]) => void): this;
   /**
    * @summary Triggered when a panorama image has been loaded
    */
   on(e: 'panorama-loaded', cb: (e: Event, textureData: TextureData) => void): this;
+  /**
+   * @summary Triggered on each frame of animatePath
+   */
+  on(e: 'path-progress', cb: (e: Event, progress: number, waypoint: number) => void): this;
   /**
    * @summary Triggered when the view longitude and/or latitude changes
    */
@@ -406,6 +490,10 @@ export class Viewer extends EventEmitter {
    * @summary Triggered when all current animations are stopped
    */
   on(e: 'stop-all', cb: (e: Event) => void): this;
+  /**
+   * @summary Triggered when the tiles cache of a tiled adapter changes
+   */
+  on(e: 'tiles-cache-stats', cb: (e: Event, stats: TilesCacheStats) => void): this;
   /**
    * @summary Triggered when the zoom level changes
    */
@@ -1,5 +1,5 @@
 import { Mesh } from 'three';
-import { PanoData, PanoDataProvider, TextureData } from '../models';
+import { OverlayLayer, PanoData, PanoDataProvider, TextureData } from '../models';
 import { Viewer } from '../Viewer';
 
 /**
@@ -67,7 +67,13 @@ export abstract class AbstractAdapter<T> {
   disposeTexture(textureData: TextureData);
 
   /**
-   * @summary Applies the overlay to the mesh
+   * @summary Applies the overlays to the mesh, from bottom to top
+   */
+  setOverlays(mesh: Mesh, overlays: OverlayLayer[]);
+
+  /**
+   * @summary Applies a single overlay to the mesh
+   * @deprecated implement `setOverlays` instead
    */
   setOverlay(mesh: Mesh, textureData: TextureData, opacity: number);
 
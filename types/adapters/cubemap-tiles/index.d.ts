@@ -1,20 +1,41 @@
 import { AbstractAdapter, Viewer } from '../..';
 import { Cubemap, CubemapArray } from '../cubemap';
 
+/**
+ * @summary Configuration of a level of a multi-resolution cubemap
+ */
+export type CubemapTilesLevel = {
+  faceSize: number;
+  nbTiles: number;
+  zoomRange?: [number, number];
+};
+
+/**
+ * @summary Description of a tiled image provided by a standard tiles server
+ */
+export type CubemapTilesSource = {
+  type: 'dzi' | 'iiif' | 'krpano';
+  url: string;
+};
+
 /**
  * @summary Configuration of a tiled cubemap
  */
 export type CubemapTilesPanorama = {
   baseUrl?: CubemapArray | Cubemap;
-  faceSize: number;
-  nbTiles: number;
-  tileUrl: (face: keyof Cubemap, col: number, row: number) => string;
+  faceSize?: number;
+  nbTiles?: number;
+  levels?: CubemapTilesLevel[];
+  tileUrl?: (face: keyof Cubemap, col: number, row: number, level: number) => string;
+  tileSource?: CubemapTilesSource;
 };
 
 export type CubemapTilesAdapterOptions = {
   flipTopBottom?: boolean;
   showErrorTile?: boolean;
   baseBlur?: boolean;
+  cacheMaxTiles?: number;
+  cacheMaxBytes?: number;
 }
 
 /**
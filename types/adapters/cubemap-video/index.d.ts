@@ -1,16 +1,22 @@
-import { AbstractAdapter, Viewer } from '../..';
+import { AbstractAdapter, StereoLayout, Viewer } from '../..';
+import { CubemapFaceLayout } from '../cubemap';
+import { VideoQuality, VideoSource, VideoStreamingFactory } from '../equirectangular-video';
 
 /**
  * @summary Configuration of a cubemap video
  */
 export type CubemapVideoPanorama = {
-  source: string;
+  source?: string;
+  sources?: VideoSource[];
 };
 
 export type CubemapVideoAdapterOptions = {
   autoplay?: boolean;
   muted?: boolean;
   equiangular?: boolean;
+  streaming?: VideoStreamingFactory;
+  stereoLayout?: StereoLayout;
+  faceLayout?: CubemapFaceLayout;
 }
 
 /**
@@ -20,4 +26,24 @@ export class CubemapVideoAdapter extends AbstractAdapter<CubemapVideoPanorama> {
 
   constructor(psv: Viewer, options: CubemapVideoAdapterOptions);
 
+  /**
+   * @summary Returns the available qualities of the current video
+   */
+  getQualities(): VideoQuality[];
+
+  /**
+   * @summary Returns the selected quality of the current video, `'auto'` for automatic selection
+   */
+  getQuality(): string | null;
+
+  /**
+   * @summary Returns the quality currently played, even in automatic selection
+   */
+  getCurrentQuality(): string | null;
+
+  /**
+   * @summary Changes the quality of the current video, the playback time is kept
+   */
+  setQuality(id: string): void;
+
 }
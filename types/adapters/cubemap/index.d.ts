@@ -1,4 +1,4 @@
-import { AbstractAdapter, Viewer } from '../..';
+import { AbstractAdapter, StereoLayout, Viewer } from '../..';
 
 /**
  * @summary Cubemap defined as an array of images
@@ -18,14 +18,27 @@ export type Cubemap = {
   bottom: string;
 };
 
+/**
+ * @summary Position of the six faces in a single image or video
+ */
+export type CubemapFaceLayout = {
+  cols?: number;
+  rows?: number;
+  order?: Array<'left' | 'front' | 'right' | 'back' | 'top' | 'bottom' | null>;
+  rotation?: Partial<Record<'left' | 'front' | 'right' | 'back' | 'top' | 'bottom', number>>;
+  padding?: number;
+};
+
 export type CubemapAdapterOptions = {
   flipTopBottom?: boolean;
+  stereoLayout?: StereoLayout;
+  faceLayout?: CubemapFaceLayout;
 };
 
 /**
  * @summary Adapter for cubemaps
  */
-export class CubemapAdapter extends AbstractAdapter<CubemapArray | Cubemap> {
+export class CubemapAdapter extends AbstractAdapter<string | CubemapArray | Cubemap> {
 
   constructor(psv: Viewer, options: CubemapAdapterOptions);
 
@@ -0,0 +1,17 @@
+import { AbstractAdapter, StereoLayout, Viewer } from '../..';
+
+export type CylindricalAdapterOptions = {
+  resolution?: number;
+  hFov?: number;
+  vFov?: number;
+  stereoLayout?: StereoLayout;
+};
+
+/**
+ * @summary Adapter for cylindrical panoramas, as produced by the panorama mode of phones
+ */
+export class CylindricalAdapter extends AbstractAdapter<string> {
+
+  constructor(psv: Viewer, options: CylindricalAdapterOptions);
+
+}
@@ -0,0 +1,46 @@
+import { AbstractAdapter, Viewer } from '../..';
+import { DualFisheyeAdapterOptions } from '../dual-fisheye';
+import { VideoQuality, VideoSource, VideoStreamingFactory } from '../equirectangular-video';
+
+/**
+ * @summary Configuration of a dual fisheye video
+ */
+export type DualFisheyeVideoPanorama = {
+  source?: string;
+  sources?: VideoSource[];
+};
+
+export type DualFisheyeVideoAdapterOptions = DualFisheyeAdapterOptions & {
+  autoplay?: boolean;
+  muted?: boolean;
+  streaming?: VideoStreamingFactory;
+};
+
+/**
+ * @summary Adapter for dual fisheye videos, as produced by consumer 360 cameras
+ */
+export class DualFisheyeVideoAdapter extends AbstractAdapter<DualFisheyeVideoPanorama> {
+
+  constructor(psv: Viewer, options: DualFisheyeVideoAdapterOptions);
+
+  /**
+   * @summary Returns the available qualities of the current video
+   */
+  getQualities(): VideoQuality[];
+
+  /**
+   * @summary Returns the selected quality of the current video, `'auto'` for automatic selection
+   */
+  getQuality(): string | null;
+
+  /**
+   * @summary Returns the quality currently played, even in automatic selection
+   */
+  getCurrentQuality(): string | null;
+
+  /**
+   * @summary Changes the quality of the current video, the playback time is kept
+   */
+  setQuality(id: string): void;
+
+}
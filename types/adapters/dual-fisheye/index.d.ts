@@ -0,0 +1,27 @@
+import { AbstractAdapter, Viewer } from '../..';
+
+/**
+ * @summary Position of a fisheye circle in the image, relative to the image size
+ */
+export type DualFisheyeLens = {
+  x?: number;
+  y?: number;
+  radius?: number;
+};
+
+export type DualFisheyeAdapterOptions = {
+  resolution?: number;
+  fov?: number;
+  blendAngle?: number;
+  frontLens?: DualFisheyeLens;
+  backLens?: DualFisheyeLens;
+};
+
+/**
+ * @summary Adapter for dual fisheye panoramas, as produced by consumer 360 cameras
+ */
+export class DualFisheyeAdapter extends AbstractAdapter<string> {
+
+  constructor(psv: Viewer, options: DualFisheyeAdapterOptions);
+
+}
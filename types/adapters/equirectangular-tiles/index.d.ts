@@ -1,21 +1,42 @@
 import { AbstractAdapter, Viewer, PanoData, PanoDataProvider } from '../..';
 
+/**
+ * @summary Configuration of a level of a multi-resolution panorama
+ */
+export type EquirectangularTilesLevel = {
+  width: number;
+  cols: number;
+  rows: number;
+};
+
+/**
+ * @summary Description of a tiled image provided by a standard tiles server
+ */
+export type EquirectangularTilesSource = {
+  type: 'dzi' | 'iiif' | 'krpano';
+  url: string;
+};
+
 /**
  * @summary Configuration of a tiled panorama
  */
 export type EquirectangularTilesPanorama = {
   baseUrl?: string;
   basePanoData?: PanoData | PanoDataProvider;
-  width: number;
-  cols: number;
-  rows: number;
-  tileUrl: (col: number, row: number) => string;
+  width?: number;
+  cols?: number;
+  rows?: number;
+  levels?: EquirectangularTilesLevel[];
+  tileUrl?: (col: number, row: number, level: number) => string;
+  tileSource?: EquirectangularTilesSource;
 };
 
 export type EquirectangularTilesAdapterOptions = {
   resolution?: number,
   showErrorTile?: boolean;
   baseBlur?: boolean;
+  cacheMaxTiles?: number;
+  cacheMaxBytes?: number;
 };
 
 /**
@@ -1,16 +1,54 @@
-import { AbstractAdapter, Viewer } from '../..';
+import { AbstractAdapter, StereoLayout, Viewer } from '../..';
 
 /**
  * @summary Configuration of an equirectangular video
  */
 export type EquirectangularVideoPanorama = {
+  source?: string;
+  sources?: VideoSource[];
+};
+
+/**
+ * @summary Quality of a video
+ */
+export type VideoSource = {
+  id?: string;
+  label?: string;
   source: string;
+  bitrate: number;
+};
+
+/**
+ * @summary Quality available in a stream
+ */
+export type VideoQuality = {
+  id: string;
+  label: string;
+  bitrate?: number;
 };
 
+/**
+ * @summary Streaming layer attached to a video element, able to switch between qualities
+ */
+export type VideoStream = {
+  getLevels(): VideoQuality[];
+  getLevel(): string;
+  isAuto(): boolean;
+  setLevel(id: string): void;
+  destroy(): void;
+};
+
+/**
+ * @summary Function called to attach a streaming library (hls.js, dash.js, ...) to a video element
+ */
+export type VideoStreamingFactory = (video: HTMLVideoElement, panorama: { source?: string, sources?: VideoSource[] }, onChange: () => void) => VideoStream;
+
 export type EquirectangularVideoAdapterOptions = {
   autoplay?: boolean;
   muted?: boolean;
   resolution?: number;
+  streaming?: VideoStreamingFactory;
+  stereoLayout?: StereoLayout;
 }
 
 /**
@@ -20,4 +58,24 @@ export class EquirectangularVideoAdapter extends AbstractAdapter<Equirectangular
 
   constructor(psv: Viewer, options: EquirectangularVideoAdapterOptions);
 
+  /**
+   * @summary Returns the available qualities of the current video
+   */
+  getQualities(): VideoQuality[];
+
+  /**
+   * @summary Returns the selected quality of the current video, `'auto'` for automatic selection
+   */
+  getQuality(): string | null;
+
+  /**
+   * @summary Returns the quality currently played, even in automatic selection
+   */
+  getCurrentQuality(): string | null;
+
+  /**
+   * @summary Changes the quality of the current video, the playback time is kept
+   */
+  setQuality(id: string): void;
+
 }
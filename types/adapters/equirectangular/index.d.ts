@@ -1,7 +1,8 @@
-import { AbstractAdapter, Viewer } from '../..';
+import { AbstractAdapter, StereoLayout, Viewer } from '../..';
 
 export type EquirectangularAdapterOptions = {
   resolution?: number,
+  stereoLayout?: StereoLayout,
 };
 
 /**
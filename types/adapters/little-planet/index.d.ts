@@ -1,10 +1,37 @@
-import { AbstractAdapter, Viewer } from '../..';
+import { AbstractAdapter, Animation, Viewer } from '../..';
+
+export type LittlePlanetAdapterTransitionOptions = {
+  longitude?: number | string;
+  latitude?: number | string;
+  zoom?: number;
+  duration?: number;
+  easing?: string;
+};
+
+export type LittlePlanetAdapterOptions = {
+  flyIn?: boolean | LittlePlanetAdapterTransitionOptions;
+};
 
 /**
  * @summary Adapter for equirectangular panoramas displayed with little planet effect
  */
 export class LittlePlanetAdapter extends AbstractAdapter<string> {
 
-  constructor(psv: Viewer);
+  constructor(psv: Viewer, options?: LittlePlanetAdapterOptions);
+
+  /**
+   * @summary Checks if the little planet projection is displayed, this is also true during transitions
+   */
+  isLittlePlanet(): boolean;
+
+  /**
+   * @summary Animates the projection to the normal spherical view
+   */
+  toSphere(options?: LittlePlanetAdapterTransitionOptions): Animation<boolean>;
+
+  /**
+   * @summary Animates the projection to the little planet view
+   */
+  toLittlePlanet(options?: LittlePlanetAdapterTransitionOptions): Animation<boolean>;
 
 }
@@ -8,6 +8,11 @@ export const SPHERE_RADIUS = 10;
  */
 export const VIEWER_DATA: 'photoSphereViewer';
 
+/**
+ * @summary Identifier of the overlay defined by the `overlay` option and Viewer#setOverlay
+ */
+export const DEFAULT_OVERLAY_ID: 'default';
+
 /**
  * @summary Available actions
  */
@@ -38,7 +43,9 @@ export const EVENTS: {
   HIDE_TOOLTIP: 'hide-tooltip',
   LOAD_PROGRESS: 'load-progress',
   OPEN_PANEL: 'open-panel',
+  OVERLAYS_UPDATED: 'overlays-updated',
   PANORAMA_LOADED: 'panorama-loaded',
+  PATH_PROGRESS: 'path-progress',
   POSITION_UPDATED: 'position-updated',
   READY: 'ready',
   RENDER: 'render',
@@ -47,6 +54,7 @@ export const EVENTS: {
   SHOW_TOOLTIP: 'show-tooltip',
   SIZE_UPDATED: 'size-updated',
   STOP_ALL: 'stop-all',
+  TILES_CACHE_STATS: 'tiles-cache-stats',
   ZOOM_UPDATED: 'zoom-updated',
 };
 
@@ -109,6 +117,7 @@ export const KEY_CODES: {
   ArrowRight: 'ArrowRight',
   ArrowDown : 'ArrowDown',
   Delete    : 'Delete',
+  Backspace : 'Backspace',
   Plus      : '+',
   Minus     : '-',
 };
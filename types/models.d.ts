@@ -51,6 +51,16 @@ export type AnimateOptions = ExtendedPosition & {
   zoom?: number;
 };
 
+/**
+ * @summary Waypoint of Viewer#animatePath, the position and the zoom are kept from the previous waypoint if missing
+ */
+export type PathWaypoint = Partial<ExtendedPosition> & {
+  zoom?: number;
+  duration?: number;
+  easing?: string | ((progress: number) => number);
+  pause?: number;
+};
+
 /**
  * Crop information of the panorama
  */
@@ -84,6 +94,45 @@ export type PanoramaOptions = (ExtendedPosition | {}) & {
   panoData?: PanoData | PanoDataProvider;
   overlay?: any;
   overlayOpacity?: number;
+  keepOverlays?: boolean;
+};
+
+/**
+ * @summary Blend mode of an overlay
+ */
+export type OverlayBlendMode = 'normal' | 'multiply' | 'screen';
+
+/**
+ * @summary Configuration of an overlay added with Viewer#addOverlay
+ */
+export type OverlayConfig = {
+  id: string;
+  path: any;
+  opacity?: number;
+  blendMode?: OverlayBlendMode;
+  clip?: OverlayClip;
+};
+
+/**
+ * @summary Rectangle of the viewer, in ratio of its size, from the top left corner
+ */
+export type OverlayClip = {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+};
+
+/**
+ * @summary Overlay applied to the panorama
+ */
+export type OverlayLayer = {
+  id: string;
+  path: any;
+  opacity: number;
+  blendMode: OverlayBlendMode;
+  clip: OverlayClip | null;
+  textureData: TextureData;
 };
 
 /**
@@ -111,6 +160,58 @@ export type ClickData = {
   marker?: any;
 }
 
+/**
+ * @summary Statistics of the tiles cache of tiled adapters
+ */
+export type TilesCacheStats = {
+  tiles: number;
+  bytes: number;
+  hits: number;
+  misses: number;
+  evictions: number;
+};
+
+/**
+ * @summary Layout of stereoscopic panoramas, the left eye is on the top or on the left
+ */
+export type StereoLayout = 'top-bottom' | 'left-right';
+
+/**
+ * @summary Options of Viewer#snapshot
+ */
+export type SnapshotOptions = {
+  width?: number;
+  height?: number;
+  format?: string;
+  quality?: number;
+  includeMarkers?: boolean;
+  equirectangular?: boolean;
+  output?: 'blob' | 'dataUrl' | 'pixels';
+};
+
+/**
+ * @summary Raw RGBA pixels returned by Viewer#snapshot, from the top left corner
+ */
+export type SnapshotPixels = {
+  width: number;
+  height: number;
+  data: Uint8ClampedArray;
+};
+
+/**
+ * @summary Rendering target of the headless mode
+ */
+export type HeadlessOptions = {
+  canvas?: HTMLCanvasElement | OffscreenCanvas;
+  context?: WebGLRenderingContext | WebGL2RenderingContext;
+  loadImage?: (url: string) => Promise<HTMLImageElement | ImageBitmap | { width: number, height: number, data: ArrayBufferView }>;
+};
+
+/**
+ * @summary Projection used to display the panorama
+ */
+export type Projection = 'rectilinear' | 'fisheye' | 'stereographic' | 'pannini';
+
 /**
  * Definition of a custom navbar button
  */
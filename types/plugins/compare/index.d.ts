@@ -0,0 +1,83 @@
+import { AbstractPlugin, Viewer } from '../..';
+import { Event } from 'uevent';
+
+/**
+ * @summary Available options
+ */
+export type ComparePluginOptions = {
+  panorama?: any;
+  position?: number;
+  swapped?: boolean;
+  swapKey?: string | null;
+};
+
+export const EVENTS: {
+  COMPARE_UPDATED: 'compare-updated',
+  DIVIDER_UPDATED: 'divider-updated',
+};
+
+/**
+ * @summary Compares two panoramas on each side of a draggable divider
+ */
+export class ComparePlugin extends AbstractPlugin {
+
+  static EVENTS: typeof EVENTS;
+
+  constructor(psv: Viewer, options?: ComparePluginOptions);
+
+  /**
+   * @summary Checks if the comparison is displayed
+   */
+  isEnabled(): boolean;
+
+  /**
+   * @summary Loads and displays the panorama compared to the main one
+   */
+  setPanorama(panorama: any): Promise<void>;
+
+  /**
+   * @summary Displays the compared panorama
+   */
+  start(): Promise<void>;
+
+  /**
+   * @summary Hides the compared panorama
+   */
+  stop();
+
+  /**
+   * @summary Displays or hides the compared panorama
+   */
+  toggle();
+
+  /**
+   * @summary Moves the divider, from 0 (left) to 1 (right)
+   */
+  setPosition(position: number);
+
+  /**
+   * @summary Returns the position of the divider
+   */
+  getPosition(): number;
+
+  /**
+   * @summary Displays the compared panorama on the other side of the divider
+   */
+  swap();
+
+  /**
+   * @summary Checks if the compared panorama is on the left of the divider
+   */
+  isSwapped(): boolean;
+
+  /**
+   * @summary Triggered when the comparison is enabled/disabled
+   */
+  on(e: 'compare-updated', cb: (e: Event, enabled: boolean) => void): this;
+
+  /**
+   * @summary Triggered when the divider is moved or the sides are swapped
+   */
+  on(e: 'divider-updated', cb: (e: Event, position: number, swapped: boolean) => void): this;
+
+}
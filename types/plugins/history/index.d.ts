@@ -0,0 +1,78 @@
+import { AbstractPlugin, Position, Viewer } from '../..';
+import { Event } from 'uevent';
+
+/**
+ * @summary Viewpoint stored in the history
+ */
+export type HistoryEntry = {
+  id: number;
+  panorama: any;
+  position: Position;
+  zoom: number;
+  node?: string;
+};
+
+/**
+ * @summary Available options
+ */
+export type HistoryPluginOptions = {
+  maxSize?: number;
+  delay?: number;
+  speed?: string | number;
+  browserHistory?: boolean;
+};
+
+export const EVENTS: {
+  HISTORY_UPDATED: 'history-updated',
+};
+
+/**
+ * @summary Keeps the history of the viewpoints to go back and forward
+ */
+export class HistoryPlugin extends AbstractPlugin {
+
+  static EVENTS: typeof EVENTS;
+
+  constructor(psv: Viewer, options?: HistoryPluginOptions);
+
+  /**
+   * @summary Returns the viewpoints of the history
+   */
+  getEntries(): HistoryEntry[];
+
+  /**
+   * @summary Returns the index of the current viewpoint
+   */
+  getIndex(): number;
+
+  /**
+   * @summary Checks if there is a previous viewpoint
+   */
+  canGoBack(): boolean;
+
+  /**
+   * @summary Checks if there is a next viewpoint
+   */
+  canGoForward(): boolean;
+
+  /**
+   * @summary Goes to the previous viewpoint
+   */
+  back(): Promise<void>;
+
+  /**
+   * @summary Goes to the next viewpoint
+   */
+  forward(): Promise<void>;
+
+  /**
+   * @summary Removes all the viewpoints except the current one
+   */
+  clear();
+
+  /**
+   * @summary Triggered when an entry is added or when the current entry changes
+   */
+  on(e: 'history-updated', cb: (e: Event, index: number, length: number) => void): this;
+
+}
@@ -46,6 +46,8 @@ export type MarkerProperties = Partial<ExtendedPosition> & {
   tooltip?: string | { content: string, position?: string, className?: string, trigger?: 'hover' | 'click' };
   content?: string;
   hideList?: boolean;
+  cluster?: string | boolean;
+  layer?: string;
   data?: any;
 };
 
@@ -57,9 +59,21 @@ export type SelectMarkerData = {
   rightclick: boolean;
 };
 
+/**
+ * @summary Configuration of the clusters
+ */
+export type ClusteringOptions = {
+  distance?: number;
+  maxZoom?: number;
+  zoomStep?: number;
+  speed?: string | number;
+};
+
 export type MarkersPluginOptions = {
   clickEventOnMarker?: boolean;
   markers?: MarkerProperties[];
+  clustering?: boolean | ClusteringOptions;
+  imageRenderer?: 'dom' | 'webgl';
 };
 
 /**
@@ -115,10 +129,16 @@ export class Marker {
    */
   isSvg(): boolean;
 
+  /**
+   * @summary Returns a copy of the properties of the marker, can be used to create the marker again
+   */
+  toJSON(): MarkerProperties;
+
 }
 
 export const EVENTS: {
   MARKER_VISIBILITY  : 'marker-visibility',
+  LAYER_VISIBILITY: 'layer-visibility',
   GOTO_MARKER_DONE: 'goto-marker-done',
   LEAVE_MARKER: 'leave-marker',
   OVER_MARKER: 'over-marker',
@@ -129,6 +149,8 @@ export const EVENTS: {
   HIDE_MARKERS: 'hide-markers',
   SET_MARKERS: 'set-markers',
   SHOW_MARKERS: 'show-markers',
+  MARKER_EDITED: 'marker-edited',
+  MARKER_DELETED: 'marker-deleted',
 };
 
 /**
@@ -183,6 +205,12 @@ export class MarkersPlugin extends AbstractPlugin {
    */
   getCurrentMarker(): Marker;
 
+  /**
+   * @summary Selects a marker as if it was clicked by the user, opens its tooltip or panel
+   * @throws {PSVError} when the marker cannot be found
+   */
+  selectMarker(markerId: string);
+
   /**
    * @summary Updates the existing marker with the same id
    * @description Every property can be changed but you can't change its type (Eg: `image` to `html`).
@@ -209,6 +237,42 @@ export class MarkersPlugin extends AbstractPlugin {
    */
   clearMarkers(render?: boolean);
 
+  /**
+   * @summary Returns the properties of all the markers, to be serialized with `JSON.stringify`
+   */
+  getMarkersAsJSON(): MarkerProperties[];
+
+  /**
+   * @summary Enables the edit mode, the markers can be moved with the mouse and deleted with the keyboard
+   */
+  startEditing();
+
+  /**
+   * @summary Disables the edit mode, the current drawing is cancelled
+   */
+  stopEditing();
+
+  /**
+   * @summary Checks if the edit mode is enabled
+   */
+  isEditing(): boolean;
+
+  /**
+   * @summary Starts drawing a new polygon or polyline, each click on the viewer adds a vertex
+   * @throws {PSVError} when the type is unknown
+   */
+  startDrawing(type: 'polygon' | 'polyline', properties?: Partial<MarkerProperties>);
+
+  /**
+   * @summary Ends the current drawing and creates the marker
+   */
+  finishDrawing();
+
+  /**
+   * @summary Cancels the current drawing
+   */
+  cancelDrawing();
+
   /**
    * @summary Rotate the view to face the marker
    */
@@ -239,6 +303,31 @@ export class MarkersPlugin extends AbstractPlugin {
    */
   hideMarkerTooltip(markerId: string);
 
+  /**
+   * @summary Returns the layers of the markers
+   */
+  getLayers(): string[];
+
+  /**
+   * @summary Checks if the markers of a layer are displayed
+   */
+  isLayerVisible(layer: string): boolean;
+
+  /**
+   * @summary Hides the markers of a layer
+   */
+  hideLayer(layer: string);
+
+  /**
+   * @summary Shows the markers of a layer
+   */
+  showLayer(layer: string);
+
+  /**
+   * @summary Toggles the markers of a layer
+   */
+  toggleLayer(layer: string, visible?: boolean);
+
   /**
    * @summary Opens the panel with the content of the marker
    */
@@ -269,6 +358,11 @@ export class MarkersPlugin extends AbstractPlugin {
    */
   on(e: 'marker-visibility', cb: (e: Event, marker: Marker, visible: boolean) => void): this;
 
+  /**
+   * @summary Triggered when a layer is shown or hidden
+   */
+  on(e: 'layer-visibility', cb: (e: Event, layer: string, visible: boolean) => void): this;
+
   /**
    * @summary Triggered when the animation to a marker is done
    */
@@ -315,4 +409,14 @@ export class MarkersPlugin extends AbstractPlugin {
    */
   on(e: 'show-markers', cb: (e: Event) => void): this;
 
+  /**
+   * @summary Triggered when a marker is moved or drawn in the edit mode
+   */
+  on(e: 'marker-edited', cb: (e: Event, marker: Marker, properties: MarkerProperties) => void): this;
+
+  /**
+   * @summary Triggered when a marker is deleted in the edit mode
+   */
+  on(e: 'marker-deleted', cb: (e: Event, properties: MarkerProperties) => void): this;
+
 }
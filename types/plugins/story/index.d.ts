@@ -0,0 +1,116 @@
+import { AbstractPlugin, ExtendedPosition, PanoramaOptions, Viewer } from '../..';
+import { Event } from 'uevent';
+
+/**
+ * @summary Step of the story
+ */
+export type StoryStep = {
+  title?: string;
+  content?: string;
+  panorama?: any;
+  panoramaOptions?: PanoramaOptions;
+  position?: ExtendedPosition;
+  zoom?: number;
+  marker?: string;
+  speed?: string | number;
+  duration?: number;
+};
+
+/**
+ * @summary Available options
+ */
+export type StoryPluginOptions = {
+  steps?: StoryStep[];
+  display?: 'panel' | 'notification';
+  autostart?: boolean;
+  autoplay?: boolean;
+  delay?: number;
+  loop?: boolean;
+  speed?: string | number;
+};
+
+export const EVENTS: {
+  STEP_CHANGED: 'step-changed',
+  STORY_STOPPED: 'story-stopped',
+};
+
+/**
+ * @summary Guided tour made of steps moving the view and displaying a text card
+ */
+export class StoryPlugin extends AbstractPlugin {
+
+  static EVENTS: typeof EVENTS;
+
+  constructor(psv: Viewer, options?: StoryPluginOptions);
+
+  /**
+   * @summary Returns the steps of the story
+   */
+  getSteps(): StoryStep[];
+
+  /**
+   * @summary Changes the steps of the story, the current story is stopped
+   */
+  setSteps(steps: StoryStep[]);
+
+  /**
+   * @summary Returns the index of the current step, -1 if the story is stopped
+   */
+  getCurrentStep(): number;
+
+  /**
+   * @summary Checks if the story is displayed
+   */
+  isRunning(): boolean;
+
+  /**
+   * @summary Starts the story
+   */
+  start(index?: number): Promise<void>;
+
+  /**
+   * @summary Stops the story and hides the card
+   */
+  stop();
+
+  /**
+   * @summary Starts or stops the story
+   */
+  toggle();
+
+  /**
+   * @summary Goes to the next step, or to the first one if looping
+   */
+  next(): Promise<void>;
+
+  /**
+   * @summary Goes to the previous step, or to the last one if looping
+   */
+  previous(): Promise<void>;
+
+  /**
+   * @summary Displays a step, the story is started if needed
+   */
+  goToStep(index: number): Promise<void>;
+
+  /**
+   * @summary Enables or disables the automatic change of step
+   */
+  toggleAutoplay(enabled?: boolean);
+
+  /**
+   * @summary Checks if the automatic change of step is enabled
+   */
+  isAutoplayEnabled(): boolean;
+
+  /**
+   * @summary Triggered when a step is displayed
+   */
+  on(e: 'step-changed', cb: (e: Event, index: number, step: StoryStep) => void): this;
+
+  /**
+   * @summary Triggered when the story is stopped
+   */
+  on(e: 'story-stopped', cb: (e: Event) => void): this;
+
+}
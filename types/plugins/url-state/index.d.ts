@@ -0,0 +1,75 @@
+import { AbstractPlugin, Viewer } from '../..';
+import { Event } from 'uevent';
+
+/**
+ * @summary Serializable state of the view
+ */
+export type UrlState = {
+  longitude?: number;
+  latitude?: number;
+  zoom?: number;
+  node?: string;
+  marker?: string;
+};
+
+/**
+ * @summary Names of the URL parameters, `null` to not save a value
+ */
+export type UrlStateParams = {
+  longitude?: string | null;
+  latitude?: string | null;
+  zoom?: string | null;
+  node?: string | null;
+  marker?: string | null;
+};
+
+/**
+ * @summary Available options
+ */
+export type UrlStatePluginOptions = {
+  mode?: 'hash' | 'query';
+  params?: UrlStateParams;
+  precision?: number;
+  delay?: number;
+  restore?: boolean;
+};
+
+export const EVENTS: {
+  STATE_UPDATED: 'state-updated',
+};
+
+/**
+ * @summary Synchronizes the position, zoom, virtual tour node and selected marker with the URL
+ */
+export class UrlStatePlugin extends AbstractPlugin {
+
+  static EVENTS: typeof EVENTS;
+
+  constructor(psv: Viewer, options?: UrlStatePluginOptions);
+
+  /**
+   * @summary Returns the current state of the view
+   */
+  getState(): UrlState;
+
+  /**
+   * @summary Returns the state stored in the current URL
+   */
+  getUrlState(): UrlState;
+
+  /**
+   * @summary Returns the current URL updated with the current state, for sharing
+   */
+  getUrl(): string;
+
+  /**
+   * @summary Applies a state, the virtual tour node is loaded first
+   */
+  setState(state: UrlState): Promise<void>;
+
+  /**
+   * @summary Triggered when the view state changes, after the URL is updated
+   */
+  on(e: 'state-updated', cb: (e: Event, state: UrlState) => void): this;
+
+}
@@ -1,5 +1,6 @@
 import { Event } from 'uevent';
 import { AbstractPlugin, ExtendedPosition, Viewer } from '../..';
+import { VideoQuality } from '../../adapters/equirectangular-video';
 
 export const EVENTS: {
   PLAY: 'play',
@@ -7,6 +8,7 @@ export const EVENTS: {
   VOLUME_CHANGE: 'volume-change',
   PROGRESS: 'progress',
   BUFFER: 'buffer',
+  QUALITY_CHANGE: 'quality-change',
 };
 
 /**
@@ -97,6 +99,26 @@ export class VideoPlugin extends AbstractPlugin {
    */
   setProgress(progress: number): void;
 
+  /**
+   * @summary Returns the available qualities of the video
+   */
+  getQualities(): VideoQuality[];
+
+  /**
+   * @summary Returns the selected quality of the video, `'auto'` for automatic selection
+   */
+  getQuality(): string | null;
+
+  /**
+   * @summary Returns the quality currently played, even in automatic selection
+   */
+  getCurrentQuality(): string | null;
+
+  /**
+   * @summary Changes the quality of the video, the playback time is kept
+   */
+  setQuality(id: string): void;
+
   /**
    * @summary Triggered when the video starts playing
    */
@@ -122,4 +144,9 @@ export class VideoPlugin extends AbstractPlugin {
    */
   on(e: 'buffer', cb: (e: Event, maxBuffer: number) => void): this;
 
+  /**
+   * @summary Triggered when the selected or the played quality of the video changes
+   */
+  on(e: 'quality-change', cb: (e: Event, quality: string, currentQuality: string) => void): this;
+
 }
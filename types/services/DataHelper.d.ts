@@ -56,6 +56,11 @@ export class DataHelper {
    */
   vector3ToViewerCoords(vector: Vector3): Point;
 
+  /**
+   * @summary Checks if a THREE.Vector3 is in the field of view, taking the projection into account
+   */
+  isPointVisible(vector: Vector3): boolean;
+
   /**
    * @summary Converts spherical radians coordinates to position on the viewer
    */
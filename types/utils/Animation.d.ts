@@ -9,7 +9,7 @@ export type AnimationOptions<T> = {
 /**
  * @summary Interpolation helper for animations
  * @description
- * Implements the Promise API with an additional "cancel" method.
+ * Implements the Promise API with additional "cancel", "pause", "resume" and "seek" methods.
  * The promise is resolved when the animation is complete and rejected if the animation is cancelled.
  */
 export class Animation<T> implements PromiseLike<boolean> {
@@ -20,4 +20,29 @@ export class Animation<T> implements PromiseLike<boolean> {
 
   cancel();
 
+  /**
+   * @summary Pauses the animation
+   */
+  pause();
+
+  /**
+   * @summary Resumes the animation after a pause
+   */
+  resume();
+
+  /**
+   * @summary Checks if the animation is paused
+   */
+  isPaused(): boolean;
+
+  /**
+   * @summary Moves the animation to a specific progress, from 0 to 1
+   */
+  seek(progress: number);
+
+  /**
+   * @summary Returns the current progress of the animation, from 0 to 1
+   */
+  getProgress(): number;
+
 }